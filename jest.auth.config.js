@@ -0,0 +1,27 @@
+/**
+ * **JEST PARA AUTENTICACIÓN** 🧪📧
+ *
+ * Corre tests/auth contra los emuladores de Auth y Firestore
+ * (`npm run test:auth`). Las pruebas importan `authService` de la app,
+ * así que se transforma con el preset de Babel de Expo, igual que al
+ * empaquetar la app; solo la conexión a Firebase apunta a los emuladores.
+ */
+module.exports = {
+  preset: 'react-native',
+  testMatch: ['<rootDir>/tests/auth/**/*.test.js'],
+  // Firebase trae una versión para Node: se prefiere a la del navegador
+  testEnvironmentOptions: {
+    customExportConditions: ['node', 'require', 'react-native']
+  },
+  transform: {
+    '^.+\\.(js|jsx|ts|tsx)$': ['babel-jest', { presets: ['babel-preset-expo'] }]
+  },
+  transformIgnorePatterns: [
+    'node_modules/(?!((jest-)?react-native|@react-native(-community)?)/)'
+  ],
+  moduleNameMapper: {
+    '^.*/firebaseConfig$': '<rootDir>/tests/auth/emulatorFirebaseConfig.js',
+    '^expo-constants$': '<rootDir>/tests/auth/expoConstants.js'
+  },
+  testTimeout: 20000
+};
@@ -0,0 +1,13 @@
+/**
+ * **JEST PARA LAS REGLAS DE SEGURIDAD** 🧪🔐
+ *
+ * Corre tests/rules contra los emuladores de Firestore y Storage
+ * (`npm run test:rules`). No usa el preset de la app: son pruebas de
+ * Node sin transformar.
+ */
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/rules/**/*.test.js'],
+  transform: {},
+  testTimeout: 20000
+};
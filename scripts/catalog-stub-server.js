@@ -0,0 +1,143 @@
+/**
+ * **SERVIDOR STUB DE CATÁLOGO** 🧪
+ *
+ * Sirve el fixture local imitando las tres APIs de catálogo para probar
+ * los proveedores sin depender de servicios externos:
+ * - Udacity:      GET /books, GET /books/:id, POST /search
+ * - Google Books: GET /volumes?q=, GET /volumes/:id
+ * - Open Library: GET /search.json?q=, GET /subjects/:tema.json, GET /works/:id.json
+ *
+ * Uso: `npm run stub:catalog` y después, desde la app,
+ * `booksApiService.setProviderSettings('googleBooks', { enabled: true, baseURL: 'http://<ip>:4010' })`.
+ */
+
+const http = require('http');
+const path = require('path');
+
+const fixture = require(path.join(__dirname, '../src/services/api/providers/fixtures/catalog.json'));
+
+const PORT = Number(process.env.CATALOG_STUB_PORT) || 4010;
+const books = fixture.books;
+
+// ===================================
+// 🔄 FORMATOS POR PROVEEDOR
+// ===================================
+
+const toGoogleVolume = (book) => {
+  const { id, ...volumeInfo } = book;
+  return { id, volumeInfo };
+};
+
+const toOpenLibraryDoc = (book) => ({
+  key: `/works/${book.id}`,
+  title: book.title,
+  author_name: book.authors,
+  first_publish_year: Number(String(book.publishedDate).slice(0, 4)) || undefined,
+  publisher: book.publisher ? [book.publisher] : [],
+  language: book.language ? [book.language] : [],
+  number_of_pages_median: book.pageCount,
+  subject: book.categories,
+  isbn: (book.industryIdentifiers || []).map(identifier => identifier.identifier),
+  ratings_average: book.averageRating,
+  ratings_count: book.ratingsCount
+});
+
+const toOpenLibraryWork = (book) => ({
+  key: `/works/${book.id}`,
+  title: book.title,
+  description: { type: '/type/text', value: book.description },
+  subjects: book.categories,
+  first_publish_date: book.publishedDate
+});
+
+const matches = (book, query) => {
+  const term = String(query || '').toLowerCase();
+  return book.title.toLowerCase().includes(term) ||
+    book.authors.some(author => author.toLowerCase().includes(term));
+};
+
+// ===================================
+// 🌐 SERVIDOR
+// ===================================
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise(resolve => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      resolve({});
+    }
+  });
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const limit = Number(url.searchParams.get('limit') || url.searchParams.get('maxResults')) || books.length;
+  const findBook = (id) => books.find(book => book.id === decodeURIComponent(id));
+  let match;
+
+  console.log(`🧪 ${req.method} ${url.pathname}${url.search}`);
+
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+
+  // Udacity
+  if (req.method === 'GET' && url.pathname === '/books') {
+    return send(res, 200, { books: books.slice(0, limit) });
+  }
+  if (req.method === 'GET' && (match = url.pathname.match(/^\/books\/([^/]+)$/))) {
+    const book = findBook(match[1]);
+    return book ? send(res, 200, { book }) : send(res, 404, { error: 'not found' });
+  }
+  if (req.method === 'POST' && url.pathname === '/search') {
+    const { query, maxResults = 20 } = await readBody(req);
+    return send(res, 200, { books: books.filter(book => matches(book, query)).slice(0, maxResults) });
+  }
+
+  // Google Books
+  if (req.method === 'GET' && url.pathname === '/volumes') {
+    const query = (url.searchParams.get('q') || '').replace(/^subject:\w+$/, '');
+    const found = books.filter(book => matches(book, query));
+    return send(res, 200, { totalItems: found.length, items: found.slice(0, limit).map(toGoogleVolume) });
+  }
+  if (req.method === 'GET' && (match = url.pathname.match(/^\/volumes\/([^/]+)$/))) {
+    const book = findBook(match[1]);
+    return book ? send(res, 200, toGoogleVolume(book)) : send(res, 404, { error: 'not found' });
+  }
+
+  // Open Library
+  if (req.method === 'GET' && url.pathname === '/search.json') {
+    const found = books.filter(book => matches(book, url.searchParams.get('q')));
+    return send(res, 200, { numFound: found.length, docs: found.slice(0, limit).map(toOpenLibraryDoc) });
+  }
+  if (req.method === 'GET' && url.pathname.match(/^\/subjects\/[^/]+\.json$/)) {
+    const works = books.slice(0, limit).map(book => ({
+      key: `/works/${book.id}`,
+      title: book.title,
+      authors: book.authors.map(name => ({ name })),
+      subject: book.categories,
+      first_publish_year: Number(String(book.publishedDate).slice(0, 4)) || undefined
+    }));
+    return send(res, 200, { works });
+  }
+  if (req.method === 'GET' && (match = url.pathname.match(/^\/works\/([^/]+)\.json$/))) {
+    const book = findBook(match[1]);
+    return book ? send(res, 200, toOpenLibraryWork(book)) : send(res, 404, { error: 'not found' });
+  }
+
+  return send(res, 404, { error: `Ruta no soportada: ${req.method} ${url.pathname}` });
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Servidor stub de catálogo escuchando en http://localhost:${PORT}`);
+});
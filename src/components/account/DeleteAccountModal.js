@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, TextInput, RadioButton, ProgressBar } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+
+import { Modal, Button } from '../common';
+import {
+  accountDeletionService,
+  DELETION_STEPS,
+  REVIEW_DELETION_MODES
+} from '../../services/account/accountDeletionService';
+import { ANONYMOUS_REVIEWER_NAME } from '../../services/firebase/firestoreService';
+
+/**
+ * **ELIMINAR CUENTA EDUCATIVO** 🗑️
+ *
+ * Pide la contraseña y qué hacer con las reseñas, y muestra el avance
+ * de cada paso. Si algo falla se puede reintentar desde el mismo
+ * diálogo. Al terminar, Auth cierra la sesión por su cuenta.
+ */
+
+const DeleteAccountModal = ({
+  visible = false,
+  onDismiss,
+  onDeleted = () => {}
+}) => {
+  const theme = useTheme();
+  const [password, setPassword] = useState('');
+  const [reviewsMode, setReviewsMode] = useState(REVIEW_DELETION_MODES.ELIMINAR);
+  const [progress, setProgress] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    setPassword('');
+    setReviewsMode(REVIEW_DELETION_MODES.ELIMINAR);
+    setProgress(null);
+    setError(null);
+  }, [visible]);
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    setError(null);
+
+    const result = await accountDeletionService.deleteAccount(password, {
+      reviewsMode,
+      onProgress: setProgress
+    });
+
+    setDeleting(false);
+    if (result.success) {
+      onDeleted();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const dynamicStyles = StyleSheet.create({
+    text: {
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.sm,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+      marginTop: theme.spacing.sm,
+    },
+    note: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.sm,
+    },
+    error: {
+      fontSize: 14,
+      color: theme.customColors.error,
+      marginTop: theme.spacing.sm,
+    },
+    input: {
+      marginTop: theme.spacing.sm,
+    }
+  });
+
+  return (
+    <Modal
+      visible={visible}
+      onDismiss={onDismiss}
+      title="Eliminar cuenta"
+      size="large"
+      dismissable={!deleting}
+      showCloseButton={!deleting}
+      actions={
+        <>
+          <Button variant="text" disabled={deleting} onPress={onDismiss}>
+            Cancelar
+          </Button>
+          <Button
+            variant="danger"
+            loading={deleting}
+            disabled={deleting || !password}
+            onPress={handleDelete}
+          >
+            {error ? 'Reintentar' : 'Eliminar'}
+          </Button>
+        </>
+      }
+    >
+      <View>
+        <Text style={dynamicStyles.text}>
+          Se eliminarán tu perfil, tu librería, estanterías, sesiones, metas, seguidores, tus votos en reseñas y fotos. Esta acción no se puede deshacer.
+        </Text>
+        <Text style={dynamicStyles.note}>
+          Si quieres conservar una copia, usa "Exportar mis datos" antes de continuar.
+        </Text>
+
+        <Text style={dynamicStyles.label}>Tus reseñas</Text>
+        <RadioButton.Group value={reviewsMode} onValueChange={setReviewsMode}>
+          <RadioButton.Item
+            label="Eliminarlas"
+            value={REVIEW_DELETION_MODES.ELIMINAR}
+            disabled={deleting}
+          />
+          <RadioButton.Item
+            label="Dejar las públicas, anónimas"
+            value={REVIEW_DELETION_MODES.ANONIMIZAR}
+            disabled={deleting}
+          />
+        </RadioButton.Group>
+        {reviewsMode === REVIEW_DELETION_MODES.ANONIMIZAR && (
+          <Text style={dynamicStyles.note}>
+            Se mostrarán como "{ANONYMOUS_REVIEWER_NAME}", sin ningún vínculo con tu cuenta, y ya no podrás editarlas ni borrarlas. Las privadas o las que tu perfil oculta se eliminan.
+          </Text>
+        )}
+
+        <TextInput
+          label="Contraseña"
+          value={password}
+          onChangeText={setPassword}
+          secureTextEntry
+          autoCapitalize="none"
+          disabled={deleting}
+          mode="outlined"
+          style={dynamicStyles.input}
+        />
+
+        {progress && (
+          <View style={dynamicStyles.input}>
+            <Text style={dynamicStyles.note}>
+              {progress.paso ? `${DELETION_STEPS[progress.paso]}...` : 'Cuenta eliminada'}
+            </Text>
+            <ProgressBar
+              progress={progress.completados / progress.total}
+              color={theme.customColors.error}
+            />
+          </View>
+        )}
+        {error && <Text style={dynamicStyles.error}>{error}</Text>}
+      </View>
+    </Modal>
+  );
+};
+
+export default DeleteAccountModal;
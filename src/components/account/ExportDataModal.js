@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, List } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import * as Sharing from 'expo-sharing';
+
+import { Modal, Button, LoadingSpinner } from '../common';
+import { accountDataService, CSV_EXPORTS } from '../../services/account/accountDataService';
+
+/**
+ * **EXPORTAR DATOS DE LA CUENTA EDUCATIVO** 📤
+ *
+ * Arma la exportación al abrirse, muestra qué contiene y la comparte
+ * como JSON (restaurable) o como CSV por colección.
+ */
+
+const CSV_LABELS = {
+  libreria: { title: 'Librería (CSV)', icon: 'bookshelf' },
+  resenas: { title: 'Reseñas (CSV)', icon: 'star-outline' },
+  estanterias: { title: 'Estanterías (CSV)', icon: 'folder-outline' },
+  sesiones: { title: 'Sesiones de lectura (CSV)', icon: 'timer-outline' }
+};
+
+const ExportDataModal = ({
+  visible = false,
+  userId,
+  onDismiss,
+  onError = () => {}
+}) => {
+  const theme = useTheme();
+  const [archive, setArchive] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [sharing, setSharing] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible || !userId) return;
+
+    let active = true;
+    setArchive(null);
+    setError(null);
+    setLoading(true);
+
+    accountDataService.buildExport(userId).then(result => {
+      if (!active) return;
+      if (result.success) {
+        setArchive(result.data);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    });
+
+    return () => { active = false; };
+  }, [visible, userId]);
+
+  const handleShare = async (format) => {
+    setSharing(format);
+    try {
+      const file = await accountDataService.writeExportFile(archive, format);
+      if (!file.success) {
+        onError(file.error);
+        return;
+      }
+
+      if (!(await Sharing.isAvailableAsync())) {
+        onError('Compartir archivos no está disponible en este dispositivo');
+        return;
+      }
+      await Sharing.shareAsync(file.data.uri, {
+        mimeType: file.data.mimeType,
+        dialogTitle: file.data.fileName
+      });
+    } catch (shareError) {
+      console.error('❌ Error compartiendo exportación:', shareError);
+      onError('No se pudo compartir el archivo');
+    } finally {
+      setSharing(null);
+    }
+  };
+
+  const dynamicStyles = StyleSheet.create({
+    summary: {
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.sm,
+    },
+    note: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.sm,
+    },
+    message: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      paddingVertical: theme.spacing.lg,
+    }
+  });
+
+  const renderContent = () => {
+    if (loading) {
+      return <LoadingSpinner message="Reuniendo tus datos..." />;
+    }
+    if (error) {
+      return <Text style={dynamicStyles.message}>{error}</Text>;
+    }
+    if (!archive) return null;
+
+    const summary = accountDataService.getSummary(archive);
+
+    return (
+      <View>
+        <Text style={dynamicStyles.summary}>
+          {summary.libros} libros · {summary.resenas} reseñas · {summary.estanterias} estanterías · {summary.sesiones} sesiones · {summary.metas} metas · {summary.siguiendo} seguidos
+        </Text>
+        <Text style={dynamicStyles.note}>
+          El archivo JSON incluye también tu perfil y configuración, y se puede restaurar en otra cuenta.
+        </Text>
+
+        <List.Item
+          title="Copia completa (JSON)"
+          left={() => <List.Icon icon="code-json" />}
+          right={() => sharing === 'json' ? <LoadingSpinner size="small" /> : <List.Icon icon="share-variant" />}
+          disabled={!!sharing}
+          onPress={() => handleShare('json')}
+        />
+        {CSV_EXPORTS.map(name => (
+          <List.Item
+            key={name}
+            title={CSV_LABELS[name].title}
+            left={() => <List.Icon icon={CSV_LABELS[name].icon} />}
+            right={() => sharing === name ? <LoadingSpinner size="small" /> : <List.Icon icon="share-variant" />}
+            disabled={!!sharing}
+            onPress={() => handleShare(name)}
+          />
+        ))}
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      onDismiss={onDismiss}
+      title="Exportar mis datos"
+      size="medium"
+      actions={
+        <Button variant="text" onPress={onDismiss}>
+          Cerrar
+        </Button>
+      }
+    >
+      {renderContent()}
+    </Modal>
+  );
+};
+
+export default ExportDataModal;
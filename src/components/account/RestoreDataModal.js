@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, ProgressBar } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+
+import { Modal, Button } from '../common';
+import { accountDataService, RESTORE_STEPS } from '../../services/account/accountDataService';
+
+/**
+ * **RESTAURAR COPIA DE SEGURIDAD EDUCATIVO** ♻️
+ *
+ * Elige un JSON exportado, muestra qué contiene y lo restaura paso a
+ * paso. Restaurar es idempotente: si algo falla se puede reintentar.
+ */
+
+const RestoreDataModal = ({
+  visible = false,
+  userId,
+  userName,
+  onDismiss,
+  onRestored = () => {}
+}) => {
+  const theme = useTheme();
+  const [archive, setArchive] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setArchive(null);
+    setProgress(null);
+    setResults(null);
+    setError(null);
+  }, [visible]);
+
+  const handlePickFile = async () => {
+    try {
+      const picked = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/plain'],
+        copyToCacheDirectory: true
+      });
+      if (picked.canceled || !picked.assets?.length) return;
+
+      setError(null);
+      const text = await FileSystem.readAsStringAsync(picked.assets[0].uri);
+      const result = accountDataService.parseArchive(text);
+      if (result.success) {
+        setArchive(result.data);
+      } else {
+        setError(result.error);
+      }
+    } catch (pickError) {
+      console.error('❌ Error leyendo copia de seguridad:', pickError);
+      setError('No se pudo leer el archivo');
+    }
+  };
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    setError(null);
+
+    const result = await accountDataService.restoreArchive(userId, archive, {
+      userName,
+      onProgress: setProgress
+    });
+
+    setResults(result.data);
+    if (result.success) {
+      onRestored(result.data);
+    } else {
+      setError(result.error);
+    }
+    setRestoring(false);
+  };
+
+  const dynamicStyles = StyleSheet.create({
+    text: {
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.sm,
+    },
+    note: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.sm,
+    },
+    error: {
+      fontSize: 14,
+      color: theme.customColors.error,
+      marginBottom: theme.spacing.sm,
+    },
+    progress: {
+      marginVertical: theme.spacing.sm,
+    }
+  });
+
+  const renderResults = () => (
+    <View>
+      {Object.entries(RESTORE_STEPS).map(([paso, label]) => {
+        const stepResult = results?.[paso];
+        if (!stepResult) return null;
+
+        return (
+          <Text key={paso} style={dynamicStyles.note}>
+            {label}: {stepResult.restaurados} restaurados
+            {stepResult.existentes > 0 ? `, ${stepResult.existentes} ya estaban` : ''}
+            {stepResult.fallidos > 0 ? `, ${stepResult.fallidos} con error` : ''}
+          </Text>
+        );
+      })}
+    </View>
+  );
+
+  const renderContent = () => {
+    if (!archive) {
+      return (
+        <View>
+          <Text style={dynamicStyles.text}>
+            Elige un archivo JSON creado con "Exportar mis datos".
+          </Text>
+          {error && <Text style={dynamicStyles.error}>{error}</Text>}
+        </View>
+      );
+    }
+
+    const summary = accountDataService.getSummary(archive);
+
+    return (
+      <View>
+        <Text style={dynamicStyles.text}>
+          Copia del {new Date(summary.fechaExportacion).toLocaleDateString()}: {summary.libros} libros, {summary.resenas} reseñas, {summary.estanterias} estanterías, {summary.sesiones} sesiones, {summary.metas} metas y {summary.siguiendo} seguidos.
+        </Text>
+        {!results && !restoring && (
+          <Text style={dynamicStyles.note}>
+            Se reemplazarán tu perfil y configuración. Lo que ya tengas en tu librería se conserva. Las reseñas se publican de nuevo con la fecha de hoy.
+          </Text>
+        )}
+        {progress && (
+          <View style={dynamicStyles.progress}>
+            <Text style={dynamicStyles.note}>
+              {progress.paso ? `Restaurando ${RESTORE_STEPS[progress.paso].toLowerCase()}...` : 'Restauración terminada'}
+            </Text>
+            <ProgressBar
+              progress={progress.completados / progress.total}
+              color={theme.customColors.primary}
+            />
+          </View>
+        )}
+        {results && renderResults()}
+        {error && <Text style={dynamicStyles.error}>{error}</Text>}
+      </View>
+    );
+  };
+
+  const renderActions = () => {
+    if (!archive) {
+      return (
+        <>
+          <Button variant="text" onPress={onDismiss}>Cancelar</Button>
+          <Button variant="primary" icon="file-upload-outline" onPress={handlePickFile}>
+            Elegir archivo
+          </Button>
+        </>
+      );
+    }
+    if (results && !error) {
+      return <Button variant="primary" onPress={onDismiss}>Listo</Button>;
+    }
+
+    return (
+      <>
+        <Button variant="text" disabled={restoring} onPress={onDismiss}>Cancelar</Button>
+        <Button variant="primary" loading={restoring} disabled={restoring} onPress={handleRestore}>
+          {error ? 'Reintentar' : 'Restaurar'}
+        </Button>
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      onDismiss={onDismiss}
+      title="Restaurar copia de seguridad"
+      size="medium"
+      dismissable={!restoring}
+      showCloseButton={!restoring}
+      actions={renderActions()}
+    >
+      {renderContent()}
+    </Modal>
+  );
+};
+
+export default RestoreDataModal;
@@ -1,9 +1,11 @@
 import React, { useState, useCallback, useMemo } from 'react';
 import { View, FlatList, StyleSheet, RefreshControl } from 'react-native';
-import { Text, Searchbar, Chip } from 'react-native-paper';
+import { Text, Searchbar, Chip, HelperText } from 'react-native-paper';
 import { useTheme } from 'react-native-paper';
 
 import { BookCard, LoadingSpinner, EmptySearchState, ErrorState } from '../common';
+import { useSearchIndex } from '../../hooks/useSearchIndex';
+import { queryParser } from '../../services/search/queryParser';
 
 /**
  * **COMPONENTE BOOK LIST EDUCATIVO** 📚
@@ -59,18 +61,21 @@ const BookList = ({
     return Array.from(genres).slice(0, 10); // Mostrar máximo 10 filtros
   }, [books]);
 
+  // **ÍNDICE DE BÚSQUEDA** 🗂️
+  const { index: searchIndex, version: indexVersion } = useSearchIndex(books);
+
+  // **CONSULTA AVANZADA** 🧾
+  // Se parsea siempre para mostrar los errores debajo de la barra
+  const parsedQuery = useMemo(() => queryParser.parse(searchQuery), [searchQuery]);
+
   // **LIBROS FILTRADOS** 🔍
   const filteredBooks = useMemo(() => {
     let result = books;
 
-    // Filtrar por búsqueda
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase().trim();
-      result = result.filter(book => 
-        book.titulo?.toLowerCase().includes(query) ||
-        book.autor?.toLowerCase().includes(query) ||
-        book.sinopsis?.toLowerCase().includes(query)
-      );
+    // Filtrar por la consulta con el índice local. Si el padre maneja la
+    // búsqueda (onSearch), `books` ya son los resultados y no se refiltran
+    if (parsedQuery.ast.clauses.length > 0 && !onSearch) {
+      result = queryParser.filterBooks(books, parsedQuery.ast, { index: searchIndex });
     }
 
     // Filtrar por categorías seleccionadas
@@ -81,7 +86,7 @@ const BookList = ({
     }
 
     return result;
-  }, [books, searchQuery, selectedFilters]);
+  }, [books, searchIndex, indexVersion, onSearch, parsedQuery, selectedFilters]);
 
   // **VERIFICAR SI LIBRO ESTÁ EN LIBRERÍA** 📖
   const isBookInLibrary = useCallback((bookId) => {
@@ -204,6 +209,11 @@ const BookList = ({
           inputStyle={{ fontSize: 16 }}
           iconColor={theme.customColors.text.secondary}
         />
+        {parsedQuery.error && (
+          <HelperText type="error" visible>
+            {parsedQuery.error}
+          </HelperText>
+        )}
       </View>
     );
   };
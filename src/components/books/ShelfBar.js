@@ -0,0 +1,124 @@
+import React from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import ShelfCover from './ShelfCover';
+
+/**
+ * **BARRA DE ESTANTERÍAS EDUCATIVA** 🗂️
+ *
+ * Fila horizontal con las estanterías del usuario para filtrar la
+ * librería. Tocar una estantería la selecciona (o la deselecciona);
+ * mantenerla presionada permite editarla.
+ */
+
+const ShelfBar = ({
+  shelves = [],
+  booksById,
+  selectedShelfId = null,
+  onSelect,
+  onEdit,
+  onCreate
+}) => {
+  const theme = useTheme();
+
+  // **ESTILOS DINÁMICOS** 🎨
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      paddingHorizontal: theme.spacing.xl,
+      paddingTop: theme.spacing.md,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.sm,
+    },
+    row: {
+      flexDirection: 'row',
+      gap: theme.spacing.md,
+    },
+    item: {
+      width: 76,
+      alignItems: 'center',
+      padding: theme.spacing.xs,
+      borderRadius: 10,
+      borderWidth: 2,
+      borderColor: 'transparent',
+    },
+    itemSelected: {
+      borderColor: theme.customColors.primary,
+    },
+    name: {
+      fontSize: 12,
+      fontWeight: '500',
+      color: theme.customColors.text.primary,
+      marginTop: theme.spacing.xs,
+      textAlign: 'center',
+    },
+    count: {
+      fontSize: 11,
+      color: theme.customColors.text.secondary,
+    },
+    iconTile: {
+      width: 64,
+      height: 64,
+      borderRadius: 8,
+      justifyContent: 'center',
+      alignItems: 'center',
+      backgroundColor: theme.customColors.background.secondary,
+    }
+  });
+
+  // Solo cuentan los libros que siguen en la librería
+  const getBookCount = (shelf) =>
+    (shelf.libros || []).filter(bookId => booksById.has(bookId)).length;
+
+  // **RENDERIZAR ACCESO FIJO (TODAS / NUEVA)** 📌
+  const renderIconItem = (key, icon, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[dynamicStyles.item, selected && dynamicStyles.itemSelected]}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityLabel={label}
+    >
+      <View style={dynamicStyles.iconTile}>
+        <Icon name={icon} size={28} color={theme.customColors.text.secondary} />
+      </View>
+      <Text style={dynamicStyles.name} numberOfLines={1}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={dynamicStyles.container}>
+      <Text style={dynamicStyles.label}>Estanterías</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        <View style={dynamicStyles.row}>
+          {renderIconItem('all', 'book-multiple', 'Todas', !selectedShelfId, () => onSelect(null))}
+
+          {shelves.map(shelf => (
+            <TouchableOpacity
+              key={shelf.id}
+              style={[dynamicStyles.item, selectedShelfId === shelf.id && dynamicStyles.itemSelected]}
+              onPress={() => onSelect(selectedShelfId === shelf.id ? null : shelf.id)}
+              onLongPress={() => onEdit?.(shelf)}
+              accessibilityRole="button"
+              accessibilityLabel={`Estantería ${shelf.nombre}`}
+            >
+              <ShelfCover shelf={shelf} booksById={booksById} />
+              <Text style={dynamicStyles.name} numberOfLines={1}>{shelf.nombre}</Text>
+              <Text style={dynamicStyles.count}>{getBookCount(shelf)}</Text>
+            </TouchableOpacity>
+          ))}
+
+          {onCreate && renderIconItem('new', 'plus', 'Nueva', false, onCreate)}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+export default ShelfBar;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { View, StyleSheet, Image } from 'react-native';
+import { useTheme } from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+/**
+ * **PORTADA DE ESTANTERÍA EDUCATIVA** 🗂️🖼️
+ *
+ * Mosaico de 2x2 con las portadas de los primeros libros de la
+ * estantería (en el orden de la estantería). Los libros sin portada
+ * se saltan; si no hay ninguna se muestra un ícono.
+ */
+
+const MAX_COVERS = 4;
+
+/**
+ * **PORTADAS DE UNA ESTANTERÍA** 🖼️
+ *
+ * `booksById` es un Map bookId → libro de la librería. Los ids de
+ * libros que ya no están en la librería se ignoran.
+ */
+export const getShelfCovers = (shelf, booksById, max = MAX_COVERS) =>
+  (shelf?.libros || [])
+    .map(bookId => booksById.get(bookId)?.portadaUrl)
+    .filter(Boolean)
+    .slice(0, max);
+
+const ShelfCover = ({ shelf, booksById, size = 64, style = null }) => {
+  const theme = useTheme();
+  const covers = getShelfCovers(shelf, booksById);
+  const tileSize = covers.length > 1 ? size / 2 : size;
+
+  // **ESTILOS DINÁMICOS** 🎨
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      width: size,
+      height: size,
+      borderRadius: 8,
+      overflow: 'hidden',
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      backgroundColor: theme.customColors.background.secondary,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    tile: {
+      width: tileSize,
+      height: tileSize,
+    }
+  });
+
+  return (
+    <View style={[dynamicStyles.container, style]}>
+      {covers.length === 0 ? (
+        <Icon
+          name="bookshelf"
+          size={size * 0.5}
+          color={theme.customColors.text.disabled}
+        />
+      ) : (
+        covers.map((uri, index) => (
+          <Image
+            key={`${uri}-${index}`}
+            source={{ uri }}
+            style={dynamicStyles.tile}
+            resizeMode="cover"
+          />
+        ))
+      )}
+    </View>
+  );
+};
+
+export default ShelfCover;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { useTheme } from 'react-native-paper';
+
+import { Modal, Button } from '../common';
+import Input from '../forms/Input';
+
+/**
+ * **FORMULARIO DE ESTANTERÍA EDUCATIVO** 🗂️✏️
+ *
+ * Modal para crear una estantería o editar una existente (nombre y
+ * descripción). Al editar también permite eliminarla.
+ */
+
+const MAX_NAME_LENGTH = 40;
+
+const ShelfFormModal = ({
+  visible = false,
+  shelf = null,
+  loading = false,
+  error = null,
+  onDismiss,
+  onSubmit,
+  onDelete = null
+}) => {
+  const theme = useTheme();
+  const [nombre, setNombre] = useState('');
+  const [descripcion, setDescripcion] = useState('');
+
+  const isEditing = !!shelf;
+
+  // Cargar los datos al abrir
+  useEffect(() => {
+    if (visible) {
+      setNombre(shelf?.nombre || '');
+      setDescripcion(shelf?.descripcion || '');
+    }
+  }, [visible, shelf]);
+
+  const dynamicStyles = StyleSheet.create({
+    field: {
+      marginBottom: theme.spacing.md,
+    },
+    deleteRow: {
+      alignItems: 'flex-start',
+    }
+  });
+
+  const handleSubmit = () => {
+    onSubmit({ nombre: nombre.trim(), descripcion: descripcion.trim() });
+  };
+
+  const actions = (
+    <>
+      <Button variant="text" onPress={onDismiss} disabled={loading}>
+        Cancelar
+      </Button>
+      <Button
+        variant="primary"
+        onPress={handleSubmit}
+        loading={loading}
+        disabled={loading || !nombre.trim()}
+      >
+        {isEditing ? 'Guardar' : 'Crear'}
+      </Button>
+    </>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      onDismiss={onDismiss}
+      title={isEditing ? 'Editar estantería' : 'Nueva estantería'}
+      actions={actions}
+      size="medium"
+      dismissable={!loading}
+    >
+      <Input
+        label="Nombre"
+        value={nombre}
+        onChangeText={setNombre}
+        placeholder="Ej: Club de lectura"
+        maxLength={MAX_NAME_LENGTH}
+        error={error}
+        required
+        style={dynamicStyles.field}
+      />
+      <Input
+        label="Descripción"
+        value={descripcion}
+        onChangeText={setDescripcion}
+        placeholder="Opcional"
+        multiline
+        numberOfLines={2}
+        style={dynamicStyles.field}
+      />
+
+      {isEditing && onDelete && (
+        <View style={dynamicStyles.deleteRow}>
+          <Button
+            variant="text"
+            icon="delete-outline"
+            onPress={() => onDelete(shelf)}
+            disabled={loading}
+          >
+            Eliminar estantería
+          </Button>
+        </View>
+      )}
+    </Modal>
+  );
+};
+
+export default ShelfFormModal;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+
+import { Modal, Button } from '../common';
+import ShelfCover from './ShelfCover';
+
+/**
+ * **SELECTOR DE ESTANTERÍA EDUCATIVO** 🗂️🔀
+ *
+ * Modal para elegir la estantería de destino al mover o agregar
+ * varios libros a la vez. La estantería de origen no se ofrece.
+ */
+
+const ShelfPickerModal = ({
+  visible = false,
+  shelves = [],
+  booksById,
+  excludeShelfId = null,
+  selectedCount = 0,
+  loading = false,
+  onDismiss,
+  onPick
+}) => {
+  const theme = useTheme();
+  const options = shelves.filter(shelf => shelf.id !== excludeShelfId);
+
+  const dynamicStyles = StyleSheet.create({
+    subtitle: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.md,
+    },
+    option: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.sm,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.customColors.border.light,
+    },
+    optionText: {
+      flex: 1,
+      marginLeft: theme.spacing.md,
+    },
+    name: {
+      fontSize: 16,
+      fontWeight: '500',
+      color: theme.customColors.text.primary,
+    },
+    description: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+    },
+    empty: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      paddingVertical: theme.spacing.lg,
+    }
+  });
+
+  return (
+    <Modal
+      visible={visible}
+      onDismiss={onDismiss}
+      title={excludeShelfId ? 'Mover a estantería' : 'Agregar a estantería'}
+      size="medium"
+      dismissable={!loading}
+      actions={
+        <Button variant="text" onPress={onDismiss} disabled={loading}>
+          Cancelar
+        </Button>
+      }
+    >
+      <Text style={dynamicStyles.subtitle}>
+        {selectedCount} libro{selectedCount !== 1 ? 's' : ''} seleccionado{selectedCount !== 1 ? 's' : ''}
+      </Text>
+
+      {options.length === 0 ? (
+        <Text style={dynamicStyles.empty}>
+          No hay otras estanterías. Crea una desde la barra de estanterías.
+        </Text>
+      ) : (
+        <ScrollView>
+          {options.map(shelf => (
+            <TouchableOpacity
+              key={shelf.id}
+              style={dynamicStyles.option}
+              onPress={() => onPick(shelf)}
+              disabled={loading}
+              accessibilityRole="button"
+              accessibilityLabel={`Elegir ${shelf.nombre}`}
+            >
+              <ShelfCover shelf={shelf} booksById={booksById} size={44} />
+              <View style={dynamicStyles.optionText}>
+                <Text style={dynamicStyles.name} numberOfLines={1}>{shelf.nombre}</Text>
+                {shelf.descripcion && (
+                  <Text style={dynamicStyles.description} numberOfLines={1}>
+                    {shelf.descripcion}
+                  </Text>
+                )}
+              </View>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+    </Modal>
+  );
+};
+
+export default ShelfPickerModal;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+
+/**
+ * **GRÁFICO DE BARRAS EDUCATIVO** 📊
+ *
+ * Barras verticales dibujadas con vistas (sin librerías de gráficos).
+ * Cada dato es `{ label, value }`; la barra más alta ocupa toda la
+ * altura disponible.
+ */
+
+const BarChart = ({
+  data = [],
+  height = 120,
+  color = null,
+  showValues = true,
+  accessibilityLabel = null,
+  style = null
+}) => {
+  const theme = useTheme();
+  const barColor = color || theme.customColors.primary;
+  const maxValue = Math.max(...data.map(item => item.value), 0);
+
+  const dynamicStyles = StyleSheet.create({
+    chart: {
+      flexDirection: 'row',
+      alignItems: 'flex-end',
+      height,
+    },
+    column: {
+      flex: 1,
+      alignItems: 'center',
+      justifyContent: 'flex-end',
+      height: '100%',
+      paddingHorizontal: 2,
+    },
+    bar: {
+      width: '70%',
+      minHeight: 2,
+      borderTopLeftRadius: 4,
+      borderTopRightRadius: 4,
+      backgroundColor: barColor,
+    },
+    value: {
+      fontSize: 10,
+      color: theme.customColors.text.secondary,
+      marginBottom: 2,
+    },
+    labels: {
+      flexDirection: 'row',
+      marginTop: theme.spacing.xs,
+    },
+    label: {
+      flex: 1,
+      fontSize: 10,
+      textAlign: 'center',
+      color: theme.customColors.text.secondary,
+    }
+  });
+
+  return (
+    <View
+      style={style}
+      accessible={true}
+      accessibilityLabel={accessibilityLabel || data.map(item => `${item.label}: ${item.value}`).join(', ')}
+    >
+      <View style={dynamicStyles.chart}>
+        {data.map((item, index) => (
+          <View key={`${item.label}-${index}`} style={dynamicStyles.column}>
+            {showValues && item.value > 0 && (
+              <Text style={dynamicStyles.value}>{item.value}</Text>
+            )}
+            <View
+              style={[
+                dynamicStyles.bar,
+                {
+                  height: maxValue > 0 ? `${(item.value / maxValue) * 85}%` : 2,
+                  opacity: item.value > 0 ? 1 : 0.25
+                }
+              ]}
+            />
+          </View>
+        ))}
+      </View>
+      <View style={dynamicStyles.labels}>
+        {data.map((item, index) => (
+          <Text key={`${item.label}-${index}`} style={dynamicStyles.label} numberOfLines={1}>
+            {item.label}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+
+/**
+ * **GRÁFICO DE LÍNEA EDUCATIVO** 📈
+ *
+ * Línea dibujada con vistas: un punto por dato y un segmento rotado
+ * entre cada par de puntos. El ancho se mide con `onLayout`.
+ */
+
+const POINT_SIZE = 8;
+
+const LineChart = ({
+  data = [],
+  height = 120,
+  color = null,
+  accessibilityLabel = null,
+  style = null
+}) => {
+  const theme = useTheme();
+  const [width, setWidth] = useState(0);
+  const lineColor = color || theme.customColors.primary;
+  const maxValue = Math.max(...data.map(item => item.value), 0);
+
+  const dynamicStyles = StyleSheet.create({
+    chart: {
+      height,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.customColors.border.light,
+    },
+    point: {
+      position: 'absolute',
+      width: POINT_SIZE,
+      height: POINT_SIZE,
+      borderRadius: POINT_SIZE / 2,
+      backgroundColor: lineColor,
+    },
+    segment: {
+      position: 'absolute',
+      height: 2,
+      backgroundColor: lineColor,
+    },
+    labels: {
+      flexDirection: 'row',
+      marginTop: theme.spacing.xs,
+    },
+    label: {
+      flex: 1,
+      fontSize: 10,
+      textAlign: 'center',
+      color: theme.customColors.text.secondary,
+    }
+  });
+
+  // Cada punto se centra en su columna, igual que las etiquetas
+  const step = data.length > 0 ? width / data.length : 0;
+  const usableHeight = height - POINT_SIZE;
+  const points = data.map((item, index) => ({
+    x: step * index + step / 2,
+    y: maxValue > 0
+      ? POINT_SIZE / 2 + usableHeight * (1 - item.value / maxValue)
+      : height - POINT_SIZE / 2
+  }));
+
+  const renderSegment = (from, to, index) => {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+
+    return (
+      <View
+        key={`segment-${index}`}
+        style={[
+          dynamicStyles.segment,
+          {
+            width: length,
+            left: (from.x + to.x) / 2 - length / 2,
+            top: (from.y + to.y) / 2 - 1,
+            transform: [{ rotate: `${Math.atan2(dy, dx)}rad` }]
+          }
+        ]}
+      />
+    );
+  };
+
+  return (
+    <View
+      style={style}
+      accessible={true}
+      accessibilityLabel={accessibilityLabel || data.map(item => `${item.label}: ${item.value}`).join(', ')}
+    >
+      <View
+        style={dynamicStyles.chart}
+        onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+      >
+        {width > 0 && points.slice(1).map((point, index) => renderSegment(points[index], point, index))}
+        {width > 0 && points.map((point, index) => (
+          <View
+            key={`point-${index}`}
+            style={[
+              dynamicStyles.point,
+              { left: point.x - POINT_SIZE / 2, top: point.y - POINT_SIZE / 2 }
+            ]}
+          />
+        ))}
+      </View>
+      <View style={dynamicStyles.labels}>
+        {data.map((item, index) => (
+          <Text key={`${item.label}-${index}`} style={dynamicStyles.label} numberOfLines={1}>
+            {item.label}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,181 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+
+/**
+ * **GRÁFICO DE TORTA EDUCATIVO** 🥧
+ *
+ * Torta (tipo dona) dibujada con vistas, sin librerías de gráficos.
+ * Cada porción se pinta como un sector que va desde las 12 en punto
+ * hasta su ángulo acumulado; se dibujan del más grande al más chico
+ * para que cada una tape a la siguiente. Un sector se arma con
+ * medios discos rotados y recortados con `overflow: 'hidden'`.
+ */
+
+const PieChart = ({
+  data = [],
+  size = 140,
+  colors = null,
+  accessibilityLabel = null,
+  style = null
+}) => {
+  const theme = useTheme();
+  const radius = size / 2;
+  const palette = colors || [
+    theme.customColors.primary,
+    theme.customColors.secondary,
+    theme.customColors.success,
+    theme.customColors.warning,
+    theme.customColors.error,
+    theme.customColors.text.secondary
+  ];
+
+  const total = data.reduce((sum, item) => sum + item.value, 0);
+
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    pie: {
+      width: size,
+      height: size,
+      borderRadius: radius,
+      overflow: 'hidden',
+      backgroundColor: theme.customColors.background.secondary,
+    },
+    layer: {
+      ...StyleSheet.absoluteFillObject,
+    },
+    clip: {
+      position: 'absolute',
+      top: 0,
+      width: radius,
+      height: size,
+      overflow: 'hidden',
+    },
+    disc: {
+      position: 'absolute',
+      top: 0,
+      width: size,
+      height: size,
+    },
+    hole: {
+      position: 'absolute',
+      top: size * 0.25,
+      left: size * 0.25,
+      width: size * 0.5,
+      height: size * 0.5,
+      borderRadius: size * 0.25,
+      backgroundColor: theme.customColors.background.card,
+    },
+    legend: {
+      flex: 1,
+      marginLeft: theme.spacing.lg,
+    },
+    legendItem: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: theme.spacing.xs,
+    },
+    swatch: {
+      width: 12,
+      height: 12,
+      borderRadius: 3,
+      marginRight: theme.spacing.sm,
+    },
+    legendLabel: {
+      flex: 1,
+      fontSize: 13,
+      color: theme.customColors.text.primary,
+    },
+    legendValue: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+    }
+  });
+
+  // Medio disco pintado a la izquierda o a la derecha
+  const halfDisc = (side, color) => ({
+    position: 'absolute',
+    top: 0,
+    [side]: 0,
+    width: radius,
+    height: size,
+    backgroundColor: color,
+    ...(side === 'left'
+      ? { borderTopLeftRadius: radius, borderBottomLeftRadius: radius }
+      : { borderTopRightRadius: radius, borderBottomRightRadius: radius })
+  });
+
+  // **SECTOR DE 0° A `degrees` EN SENTIDO HORARIO** 🥧
+  const renderSector = (degrees, color, key) => {
+    if (degrees >= 360) {
+      return <View key={key} style={[dynamicStyles.layer, { backgroundColor: color }]} />;
+    }
+
+    if (degrees <= 180) {
+      // Mitad derecha: medio disco izquierdo girado `degrees`
+      return (
+        <View key={key} style={dynamicStyles.layer}>
+          <View style={[dynamicStyles.clip, { left: radius }]}>
+            <View style={[dynamicStyles.disc, { left: -radius, transform: [{ rotate: `${degrees}deg` }] }]}>
+              <View style={halfDisc('left', color)} />
+            </View>
+          </View>
+        </View>
+      );
+    }
+
+    // Mitad derecha completa y el resto en la mitad izquierda
+    return (
+      <View key={key} style={dynamicStyles.layer}>
+        <View style={halfDisc('right', color)} />
+        <View style={[dynamicStyles.clip, { left: 0 }]}>
+          <View style={[dynamicStyles.disc, { left: 0, transform: [{ rotate: `${degrees - 180}deg` }] }]}>
+            <View style={halfDisc('right', color)} />
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  // Ángulo acumulado al final de cada porción
+  let accumulated = 0;
+  const slices = data.map((item, index) => {
+    accumulated += item.value;
+    return {
+      ...item,
+      color: palette[index % palette.length],
+      end: total > 0 ? (accumulated / total) * 360 : 0
+    };
+  });
+
+  return (
+    <View
+      style={[dynamicStyles.container, style]}
+      accessible={true}
+      accessibilityLabel={accessibilityLabel || data.map(item => `${item.label}: ${item.value}`).join(', ')}
+    >
+      <View style={dynamicStyles.pie}>
+        {[...slices].reverse().map((slice, index) => renderSector(slice.end, slice.color, `sector-${index}`))}
+        <View style={dynamicStyles.hole} />
+      </View>
+
+      <View style={dynamicStyles.legend}>
+        {slices.map(slice => (
+          <View key={slice.label} style={dynamicStyles.legendItem}>
+            <View style={[dynamicStyles.swatch, { backgroundColor: slice.color }]} />
+            <Text style={dynamicStyles.legendLabel} numberOfLines={1}>{slice.label}</Text>
+            <Text style={dynamicStyles.legendValue}>
+              {total > 0 ? Math.round((slice.value / total) * 100) : 0}%
+            </Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+export default PieChart;
@@ -4,6 +4,8 @@ import { Surface, Text, Button, Chip } from 'react-native-paper';
 import { useTheme } from 'react-native-paper';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 
+import ReadingProgressBar from './ReadingProgressBar';
+
 /**
  * **COMPONENTE BOOK CARD EDUCATIVO** 📚
  * 
@@ -20,12 +22,14 @@ import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 const BookCard = ({ 
   book,
   onPress,
+  onLongPress = null,
   onAddToLibrary,
   isInLibrary = false,
   imageSize = 'medium',
   style = null,
   showActions = true,
-  compact = false 
+  compact = false,
+  selected = false
 }) => {
   const theme = useTheme();
 
@@ -55,6 +59,15 @@ const BookCard = ({
       shadowOpacity: 0.1,
       shadowRadius: 4,
     },
+    selectedContainer: {
+      borderWidth: 2,
+      borderColor: theme.customColors.primary,
+    },
+    selectedBadge: {
+      position: 'absolute',
+      top: theme.spacing.sm,
+      right: theme.spacing.sm,
+    },
     content: {
       flexDirection: 'row',
       padding: theme.spacing.md,
@@ -117,6 +130,11 @@ const BookCard = ({
     },
     inLibraryChip: {
       backgroundColor: theme.customColors.success + '20',
+    },
+    sources: {
+      fontSize: 11,
+      color: theme.customColors.text.disabled,
+      marginBottom: theme.spacing.xs,
     }
   });
 
@@ -127,6 +145,13 @@ const BookCard = ({
     }
   };
 
+  // **MANEJAR PRESIÓN LARGA** 📱 (selección múltiple)
+  const handleCardLongPress = () => {
+    if (onLongPress) {
+      onLongPress(book);
+    }
+  };
+
   // **RENDERIZAR IMAGEN O PLACEHOLDER** 🖼️
   const renderImage = () => {
     if (book.portadaUrl) {
@@ -181,12 +206,14 @@ const BookCard = ({
   };
 
   return (
-    <Surface style={[dynamicStyles.container, style]}>
+    <Surface style={[dynamicStyles.container, selected && dynamicStyles.selectedContainer, style]}>
       <TouchableOpacity 
         onPress={handleCardPress}
+        onLongPress={onLongPress ? handleCardLongPress : undefined}
         activeOpacity={0.7}
         accessible={true}
         accessibilityRole="button"
+        accessibilityState={{ selected }}
         accessibilityLabel={`Libro: ${book.titulo} por ${book.autor}`}
       >
         <View style={dynamicStyles.content}>
@@ -226,10 +253,29 @@ const BookCard = ({
               </Text>
             )}
 
+            {/* **PROGRESO DE LECTURA (libros de la librería)** */}
+            <ReadingProgressBar book={book} showLabel={!compact} />
+
+            {/* **FUENTES (resultados de búsqueda federada)** */}
+            {book.fuentes?.length > 0 && (
+              <Text style={dynamicStyles.sources} numberOfLines={1}>
+                {book.fuentes.map(fuente => fuente.nombre).join(' · ')}
+              </Text>
+            )}
+
             {/* **ACCIONES** */}
             {renderActions()}
           </View>
         </View>
+
+        {selected && (
+          <Icon
+            name="check-circle"
+            size={24}
+            color={theme.customColors.primary}
+            style={dynamicStyles.selectedBadge}
+          />
+        )}
       </TouchableOpacity>
     </Surface>
   );
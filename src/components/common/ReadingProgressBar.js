@@ -0,0 +1,63 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, ProgressBar } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+
+/**
+ * **BARRA DE PROGRESO DE LECTURA EDUCATIVA** 📖📊
+ *
+ * Muestra `porcentajeLeido` de un libro de la librería y, si se conoce,
+ * la página actual. No se muestra si el libro no tiene progreso.
+ */
+
+// **TEXTO DE PROGRESO** 📝
+export const getReadingProgressLabel = (book) => {
+  const percent = Math.round(book.porcentajeLeido || 0);
+  if (book.paginaActual && book.numeroPaginas) {
+    return `${percent}% · pág. ${book.paginaActual} de ${book.numeroPaginas}`;
+  }
+  return `${percent}%`;
+};
+
+const ReadingProgressBar = ({ book, showLabel = true, style = null }) => {
+  const theme = useTheme();
+  const percent = book?.porcentajeLeido || 0;
+
+  if (percent <= 0) return null;
+
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      marginBottom: theme.spacing.sm,
+    },
+    bar: {
+      height: 6,
+      borderRadius: 3,
+      backgroundColor: theme.customColors.background.secondary,
+    },
+    label: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      marginTop: theme.spacing.xs,
+    }
+  });
+
+  return (
+    <View
+      style={[dynamicStyles.container, style]}
+      accessible={true}
+      accessibilityRole="progressbar"
+      accessibilityValue={{ min: 0, max: 100, now: Math.round(percent) }}
+    >
+      <ProgressBar
+        progress={Math.min(percent, 100) / 100}
+        color={percent >= 100 ? theme.customColors.success : theme.customColors.primary}
+        style={dynamicStyles.bar}
+      />
+      {showLabel && (
+        <Text style={dynamicStyles.label}>{getReadingProgressLabel(book)}</Text>
+      )}
+    </View>
+  );
+};
+
+export default ReadingProgressBar;
@@ -13,6 +13,7 @@ export { default as Button, PrimaryButton, SecondaryButton, OutlineButton, TextB
 export { default as Card, DefaultCard, OutlinedCard, ElevatedCard } from './Card';
 export { default as BookCard, CompactBookCard, DetailedBookCard, SimpleBookCard } from './BookCard';
 export { default as StatsCard, NumberStatsCard, PercentageStatsCard, CurrencyStatsCard } from './StatsCard';
+export { default as ReadingProgressBar, getReadingProgressLabel } from './ReadingProgressBar';
 
 // **FEEDBACK Y NOTIFICACIONES** 📢
 export { default as Toast, SuccessToast, ErrorToast, WarningToast, InfoToast, useToast } from './Toast';
@@ -3,6 +3,8 @@ import { View, StyleSheet } from 'react-native';
 import { TextInput, Text, HelperText, IconButton } from 'react-native-paper';
 import { useTheme } from 'react-native-paper';
 
+import { APP_CONFIG } from '../../constants/firebase';
+
 /**
  * **COMPONENTE INPUT EDUCATIVO** 📝
  * 
@@ -445,9 +447,9 @@ export const validators = {
     return !value || value.length <= max ? true : msg;
   },
   
-  password: (message = 'La contraseña debe tener al menos 8 caracteres, una mayúscula, una minúscula y un número') => (value) => {
+  password: (message = `La contraseña debe tener al menos ${APP_CONFIG.VALIDATION.PASSWORD_MIN_LENGTH} caracteres, una mayúscula, una minúscula y un número`) => (value) => {
     if (!value) return true;
-    const hasLength = value.length >= 8;
+    const hasLength = value.length >= APP_CONFIG.VALIDATION.PASSWORD_MIN_LENGTH;
     const hasUpper = /[A-Z]/.test(value);
     const hasLower = /[a-z]/.test(value);
     const hasNumber = /\d/.test(value);
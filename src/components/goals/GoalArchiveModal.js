@@ -0,0 +1,119 @@
+import React from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import { Modal, Button, LoadingSpinner } from '../common';
+import { GOAL_TYPES } from '../../services/goals/readingGoalsService';
+
+/**
+ * **ARCHIVO DE METAS EDUCATIVO** 🗄️
+ *
+ * Lista las metas de años anteriores con su resultado final.
+ */
+
+const GoalArchiveModal = ({
+  visible = false,
+  archive = [],
+  loading = false,
+  error = null,
+  onDismiss
+}) => {
+  const theme = useTheme();
+
+  const dynamicStyles = StyleSheet.create({
+    row: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.sm,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.customColors.border.light,
+    },
+    year: {
+      width: 56,
+      fontSize: 18,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+    },
+    info: {
+      flex: 1,
+    },
+    result: {
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+    },
+    detail: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+    },
+    message: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      paddingVertical: theme.spacing.lg,
+    }
+  });
+
+  const renderContent = () => {
+    if (loading) {
+      return <LoadingSpinner message="Cargando metas..." />;
+    }
+    if (error) {
+      return <Text style={dynamicStyles.message}>{error}</Text>;
+    }
+    if (archive.length === 0) {
+      return (
+        <Text style={dynamicStyles.message}>
+          Aún no tienes metas de años anteriores.
+        </Text>
+      );
+    }
+
+    return (
+      <ScrollView>
+        {archive.map(({ anio, progress }) => {
+          const unit = GOAL_TYPES[progress.tipo] || GOAL_TYPES.libros;
+          const achieved = progress.estado === 'completed';
+
+          return (
+            <View key={anio} style={dynamicStyles.row}>
+              <Text style={dynamicStyles.year}>{anio}</Text>
+              <View style={dynamicStyles.info}>
+                <Text style={dynamicStyles.result}>
+                  {progress.logrado.toLocaleString()} de {progress.meta.toLocaleString()} {unit.label}
+                </Text>
+                <Text style={dynamicStyles.detail}>
+                  {achieved ? 'Meta cumplida' : `Llegaste al ${progress.porcentaje}%`}
+                </Text>
+              </View>
+              <Icon
+                name={achieved ? 'trophy' : 'flag-outline'}
+                size={24}
+                color={achieved ? theme.customColors.success : theme.customColors.text.secondary}
+              />
+            </View>
+          );
+        })}
+      </ScrollView>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      onDismiss={onDismiss}
+      title="Años anteriores"
+      size="medium"
+      actions={
+        <Button variant="text" onPress={onDismiss}>
+          Cerrar
+        </Button>
+      }
+    >
+      {renderContent()}
+    </Modal>
+  );
+};
+
+export default GoalArchiveModal;
@@ -0,0 +1,146 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Surface, Text, ProgressBar } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import { Button } from '../common';
+import { readingGoalsService, GOAL_TYPES } from '../../services/goals/readingGoalsService';
+
+/**
+ * **TARJETA DE RETO DE LECTURA EDUCATIVA** 🎯
+ *
+ * Muestra el avance de la meta del año, si el usuario va por delante
+ * o por detrás del ritmo esperado, y accesos para editar la meta y ver
+ * el archivo. Sin meta muestra una invitación a crearla.
+ */
+
+const ReadingGoalCard = ({
+  year,
+  progress = null,
+  onEdit,
+  onShowArchive,
+  style = null
+}) => {
+  const theme = useTheme();
+
+  const statusColors = {
+    completed: theme.customColors.success,
+    ahead: theme.customColors.success,
+    'on-track': theme.customColors.primary,
+    behind: theme.customColors.warning,
+    failed: theme.customColors.error
+  };
+
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      marginHorizontal: theme.spacing.xl,
+      padding: theme.spacing.lg,
+      borderRadius: 12,
+      backgroundColor: theme.customColors.background.card,
+      ...theme.shadows.small,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: theme.spacing.sm,
+    },
+    title: {
+      flex: 1,
+      marginLeft: theme.spacing.sm,
+      fontSize: 18,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+    },
+    amount: {
+      fontSize: 28,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+    },
+    amountSuffix: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.sm,
+    },
+    bar: {
+      height: 8,
+      borderRadius: 4,
+      backgroundColor: theme.customColors.background.secondary,
+    },
+    status: {
+      fontSize: 14,
+      fontWeight: '500',
+      marginTop: theme.spacing.sm,
+    },
+    empty: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.md,
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: theme.spacing.sm,
+    }
+  });
+
+  // **SIN META: INVITACIÓN** ✨
+  if (!progress) {
+    return (
+      <Surface style={[dynamicStyles.container, style]}>
+        <View style={dynamicStyles.header}>
+          <Icon name="flag-checkered" size={24} color={theme.customColors.primary} />
+          <Text style={dynamicStyles.title}>Reto de lectura {year}</Text>
+        </View>
+        <Text style={dynamicStyles.empty}>
+          Define cuántos libros o páginas quieres leer este año y sigue tu ritmo.
+        </Text>
+        <View style={dynamicStyles.actions}>
+          {onShowArchive && (
+            <Button variant="text" size="small" onPress={onShowArchive}>Años anteriores</Button>
+          )}
+          <Button variant="primary" size="small" icon="target" onPress={onEdit}>Definir meta</Button>
+        </View>
+      </Surface>
+    );
+  }
+
+  const unit = GOAL_TYPES[progress.tipo] || GOAL_TYPES.libros;
+  const color = statusColors[progress.estado] || theme.customColors.primary;
+
+  return (
+    <Surface style={[dynamicStyles.container, style]}>
+      <View style={dynamicStyles.header}>
+        <Icon name="flag-checkered" size={24} color={color} />
+        <Text style={dynamicStyles.title}>Reto de lectura {year}</Text>
+        <Text style={{ color: theme.customColors.text.secondary }}>{progress.porcentaje}%</Text>
+      </View>
+
+      <Text style={dynamicStyles.amount}>
+        {progress.logrado.toLocaleString()}
+      </Text>
+      <Text style={dynamicStyles.amountSuffix}>
+        de {progress.meta.toLocaleString()} {unit.label}
+      </Text>
+
+      <ProgressBar
+        progress={progress.porcentaje / 100}
+        color={color}
+        style={dynamicStyles.bar}
+      />
+
+      <Text style={[dynamicStyles.status, { color }]}>
+        {readingGoalsService.describeProgress(progress)}
+      </Text>
+
+      <View style={dynamicStyles.actions}>
+        {onShowArchive && (
+          <Button variant="text" size="small" onPress={onShowArchive}>Años anteriores</Button>
+        )}
+        <Button variant="text" size="small" onPress={onEdit}>Editar meta</Button>
+      </View>
+    </Surface>
+  );
+};
+
+export default ReadingGoalCard;
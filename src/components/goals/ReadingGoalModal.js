@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet } from 'react-native';
+import { Text, SegmentedButtons } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+
+import { Modal, Button } from '../common';
+import Input from '../forms/Input';
+
+/**
+ * **FORMULARIO DE META DE LECTURA EDUCATIVO** 🎯✏️
+ *
+ * Modal para definir o cambiar la meta del año: cantidad de libros
+ * o de páginas a leer.
+ */
+
+const ReadingGoalModal = ({
+  visible = false,
+  year,
+  goal = null,
+  loading = false,
+  error = null,
+  onDismiss,
+  onSubmit
+}) => {
+  const theme = useTheme();
+  const [tipo, setTipo] = useState('libros');
+  const [meta, setMeta] = useState('');
+
+  // Cargar la meta actual al abrir
+  useEffect(() => {
+    if (visible) {
+      setTipo(goal?.tipo || 'libros');
+      setMeta(goal?.meta ? String(goal.meta) : '');
+    }
+  }, [visible, goal]);
+
+  const dynamicStyles = StyleSheet.create({
+    subtitle: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.md,
+    },
+    segmented: {
+      marginBottom: theme.spacing.md,
+    }
+  });
+
+  const handleSubmit = () => {
+    onSubmit({ tipo, meta: Number(meta) });
+  };
+
+  const actions = (
+    <>
+      <Button variant="text" onPress={onDismiss} disabled={loading}>
+        Cancelar
+      </Button>
+      <Button
+        variant="primary"
+        onPress={handleSubmit}
+        loading={loading}
+        disabled={loading || !meta.trim()}
+      >
+        Guardar
+      </Button>
+    </>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      onDismiss={onDismiss}
+      title={`Meta de lectura ${year}`}
+      actions={actions}
+      size="medium"
+      dismissable={!loading}
+    >
+      <Text style={dynamicStyles.subtitle}>
+        Cuentan los libros de tu librería que marques como leídos durante el año.
+      </Text>
+
+      <SegmentedButtons
+        value={tipo}
+        onValueChange={setTipo}
+        buttons={[
+          { value: 'libros', label: 'Libros', icon: 'book-outline' },
+          { value: 'paginas', label: 'Páginas', icon: 'file-document-outline' }
+        ]}
+        style={dynamicStyles.segmented}
+      />
+
+      <Input
+        label={tipo === 'paginas' ? 'Páginas a leer' : 'Libros a leer'}
+        value={meta}
+        onChangeText={(text) => setMeta(text.replace(/[^0-9]/g, ''))}
+        placeholder={tipo === 'paginas' ? 'Ej: 6000' : 'Ej: 24'}
+        keyboardType="number-pad"
+        error={error}
+        required
+      />
+    </Modal>
+  );
+};
+
+export default ReadingGoalModal;
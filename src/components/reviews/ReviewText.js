@@ -0,0 +1,167 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { View, StyleSheet, Pressable } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import { reviewMarkupParser } from '../../services/reviews/reviewMarkupParser';
+
+/**
+ * **TEXTO DE RESEÑA CON FORMATO EDUCATIVO** ✍️👁️
+ *
+ * Dibuja el árbol de `reviewMarkupParser` con componentes <Text>:
+ * negrita, cursiva, citas, listas y spoilers. Los spoilers quedan
+ * ocultos hasta que se tocan; tocarlos de nuevo los vuelve a ocultar.
+ */
+
+const ReviewText = ({ text, style = null }) => {
+  const theme = useTheme();
+  const [revealed, setRevealed] = useState({});
+
+  const tree = useMemo(() => reviewMarkupParser.parse(text), [text]);
+
+  const toggleSpoiler = useCallback((key) => {
+    setRevealed(prev => ({ ...prev, [key]: !prev[key] }));
+  }, []);
+
+  const dynamicStyles = StyleSheet.create({
+    base: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      lineHeight: 20,
+    },
+    block: {
+      marginBottom: theme.spacing.sm,
+    },
+    bold: {
+      fontWeight: 'bold',
+    },
+    italic: {
+      fontStyle: 'italic',
+    },
+    quote: {
+      borderLeftWidth: 3,
+      borderLeftColor: theme.customColors.border.light,
+      paddingLeft: theme.spacing.md,
+    },
+    listItem: {
+      flexDirection: 'row',
+    },
+    listMarker: {
+      width: 20,
+    },
+    listText: {
+      flex: 1,
+    },
+    spoilerHidden: {
+      color: 'transparent',
+      backgroundColor: theme.customColors.text.secondary,
+    },
+    spoilerShown: {
+      backgroundColor: theme.customColors.background.secondary,
+    },
+    spoilerBlock: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: theme.spacing.md,
+      borderRadius: 8,
+      backgroundColor: theme.customColors.background.secondary,
+    },
+    spoilerBlockShown: {
+      padding: theme.spacing.sm,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderStyle: 'dashed',
+      borderColor: theme.customColors.border.light,
+    },
+    spoilerLabel: {
+      marginLeft: theme.spacing.sm,
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+    },
+  });
+
+  const baseStyle = [dynamicStyles.base, style];
+
+  // **FORMATO EN LÍNEA** 🔤
+  const renderInline = (nodes, path) => nodes.map((node, index) => {
+    const key = `${path}.${index}`;
+
+    switch (node.type) {
+      case 'text':
+        return node.text;
+      case 'bold':
+        return <Text key={key} style={dynamicStyles.bold}>{renderInline(node.children, key)}</Text>;
+      case 'italic':
+        return <Text key={key} style={dynamicStyles.italic}>{renderInline(node.children, key)}</Text>;
+      case 'spoiler': {
+        const isRevealed = !!revealed[key];
+        return (
+          <Text
+            key={key}
+            style={isRevealed ? dynamicStyles.spoilerShown : dynamicStyles.spoilerHidden}
+            onPress={() => toggleSpoiler(key)}
+            accessibilityRole="button"
+            accessibilityLabel={isRevealed ? undefined : 'Spoiler oculto, toca para mostrar'}
+          >
+            {renderInline(node.children, key)}
+          </Text>
+        );
+      }
+      default:
+        return null;
+    }
+  });
+
+  // **BLOQUES** 🧱
+  const renderBlocks = (blocks, path) => blocks.map((block, index) => {
+    const key = `${path}.${index}`;
+
+    switch (block.type) {
+      case 'paragraph':
+        return <Text key={key} style={[baseStyle, dynamicStyles.block]}>{renderInline(block.children, key)}</Text>;
+      case 'quote':
+        return (
+          <View key={key} style={[dynamicStyles.quote, dynamicStyles.block]}>
+            <Text style={[baseStyle, dynamicStyles.italic]}>{renderInline(block.children, key)}</Text>
+          </View>
+        );
+      case 'list':
+        return (
+          <View key={key} style={dynamicStyles.block}>
+            {block.items.map((item, itemIndex) => (
+              <View key={`${key}.${itemIndex}`} style={dynamicStyles.listItem}>
+                <Text style={[baseStyle, dynamicStyles.listMarker]}>
+                  {block.ordered ? `${itemIndex + 1}.` : '•'}
+                </Text>
+                <Text style={[baseStyle, dynamicStyles.listText]}>{renderInline(item, `${key}.${itemIndex}`)}</Text>
+              </View>
+            ))}
+          </View>
+        );
+      case 'spoiler':
+        return revealed[key] ? (
+          <Pressable key={key} onPress={() => toggleSpoiler(key)} style={[dynamicStyles.spoilerBlockShown, dynamicStyles.block]}>
+            {renderBlocks(block.children, key)}
+          </Pressable>
+        ) : (
+          <Pressable
+            key={key}
+            onPress={() => toggleSpoiler(key)}
+            style={[dynamicStyles.spoilerBlock, dynamicStyles.block]}
+            accessibilityRole="button"
+            accessibilityLabel="Spoiler oculto, toca para mostrar"
+          >
+            <Icon name="eye-off-outline" size={18} color={theme.customColors.text.secondary} />
+            <Text style={dynamicStyles.spoilerLabel}>Spoiler · toca para mostrar</Text>
+          </Pressable>
+        );
+      default:
+        return null;
+    }
+  });
+
+  return <View>{renderBlocks(tree.children, 'b')}</View>;
+};
+
+export default ReviewText;
@@ -0,0 +1,201 @@
+import React from 'react';
+import { View, StyleSheet, Pressable } from 'react-native';
+import { Text, Avatar, Surface, Button } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import { LoadingSpinner, BookImage } from '../common';
+import { ACTIVITY_TYPES } from '../../services/firebase/firestoreService';
+
+/**
+ * **FEED DE ACTIVIDAD EDUCATIVO** 📰👥
+ *
+ * Lista los eventos de los lectores seguidos: libros agregados,
+ * cambios de estado de lectura y reseñas públicas. Solo presenta
+ * datos; la carga y la paginación las maneja la pantalla.
+ */
+
+// Qué hizo el lector según el estado nuevo del libro
+const STATUS_VERBS = {
+  reading: 'empezó a leer',
+  read: 'terminó de leer',
+  'want-to-read': 'quiere leer',
+  abandoned: 'abandonó'
+};
+
+const STATUS_ICONS = {
+  reading: 'book-open-page-variant',
+  read: 'book-check',
+  'want-to-read': 'bookmark-outline',
+  abandoned: 'book-remove'
+};
+
+// "hace 5 min", "hace 3 h", "hace 2 d" o la fecha
+const formatRelativeDate = (value) => {
+  if (!value?.toDate) return 'Ahora';
+  const date = value.toDate();
+  const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+
+  if (minutes < 1) return 'Ahora';
+  if (minutes < 60) return `hace ${minutes} min`;
+  if (minutes < 24 * 60) return `hace ${Math.floor(minutes / 60)} h`;
+  if (minutes < 7 * 24 * 60) return `hace ${Math.floor(minutes / (24 * 60))} d`;
+  return date.toLocaleDateString();
+};
+
+const describeEvent = (event) => {
+  switch (event.tipo) {
+    case ACTIVITY_TYPES.BOOK_ADDED:
+      return { verb: 'agregó a su librería', icon: 'book-plus' };
+    case ACTIVITY_TYPES.STATUS_CHANGED:
+      return {
+        verb: STATUS_VERBS[event.estadoLectura] || 'actualizó',
+        icon: STATUS_ICONS[event.estadoLectura] || 'book-edit'
+      };
+    case ACTIVITY_TYPES.REVIEW_PUBLISHED:
+      return { verb: 'reseñó', icon: 'star' };
+    default:
+      return { verb: 'actualizó', icon: 'book' };
+  }
+};
+
+const ActivityFeed = ({
+  events = [],
+  authors = {},
+  loading = false,
+  hasMore = false,
+  error = null,
+  onLoadMore,
+  onBookPress,
+  onAuthorPress,
+  style = null
+}) => {
+  const theme = useTheme();
+
+  const dynamicStyles = StyleSheet.create({
+    item: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.sm,
+      borderRadius: 12,
+      backgroundColor: theme.customColors.background.card,
+      ...theme.shadows.small,
+    },
+    body: {
+      flex: 1,
+      marginHorizontal: theme.spacing.md,
+    },
+    sentence: {
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+      lineHeight: 20,
+    },
+    name: {
+      fontWeight: '600',
+    },
+    bookTitle: {
+      fontStyle: 'italic',
+    },
+    meta: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginTop: 2,
+    },
+    metaText: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      marginLeft: theme.spacing.xs,
+    },
+    cover: {
+      width: 36,
+      height: 54,
+      borderRadius: 4,
+    },
+    empty: {
+      alignItems: 'center',
+      padding: theme.spacing.lg,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      marginTop: theme.spacing.sm,
+    },
+  });
+
+  // **EVENTO** 📰
+  const renderEvent = (event) => {
+    const author = authors[event.userId];
+    const { verb, icon } = describeEvent(event);
+
+    return (
+      <Pressable key={event.id} onPress={() => onBookPress?.(event)}>
+        <Surface style={dynamicStyles.item}>
+          {author?.fotoPerfilUrl
+            ? <Avatar.Image size={36} source={{ uri: author.fotoPerfilUrl }} />
+            : <Avatar.Text size={36} label={(author?.nombre || 'U').charAt(0).toUpperCase()} />}
+
+          <View style={dynamicStyles.body}>
+            <Text style={dynamicStyles.sentence}>
+              <Text
+                style={dynamicStyles.name}
+                onPress={onAuthorPress ? () => onAuthorPress(event.userId, author?.nombre) : undefined}
+              >
+                {author?.nombre || 'Un lector'}
+              </Text>
+              {` ${verb} `}
+              <Text style={dynamicStyles.bookTitle}>{event.bookTitle || 'un libro'}</Text>
+            </Text>
+            <View style={dynamicStyles.meta}>
+              <Icon name={icon} size={14} color={theme.customColors.text.secondary} />
+              <Text style={dynamicStyles.metaText}>
+                {event.tipo === ACTIVITY_TYPES.REVIEW_PUBLISHED && event.calificacion
+                  ? `${'★'.repeat(event.calificacion)} · ${formatRelativeDate(event.fecha)}`
+                  : formatRelativeDate(event.fecha)}
+              </Text>
+            </View>
+          </View>
+
+          {event.bookCover ? (
+            <BookImage source={event.bookCover} style={dynamicStyles.cover} resizeMode="cover" />
+          ) : null}
+        </Surface>
+      </Pressable>
+    );
+  };
+
+  if (error && events.length === 0) {
+    return (
+      <View style={[dynamicStyles.empty, style]}>
+        <Icon name="cloud-alert" size={32} color={theme.customColors.text.secondary} />
+        <Text style={dynamicStyles.emptyText}>{error}</Text>
+      </View>
+    );
+  }
+
+  if (!loading && events.length === 0) {
+    return (
+      <View style={[dynamicStyles.empty, style]}>
+        <Icon name="account-group-outline" size={32} color={theme.customColors.text.secondary} />
+        <Text style={dynamicStyles.emptyText}>
+          Sigue a otros lectores desde sus reseñas para ver aquí lo que están leyendo.
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={style}>
+      {events.map(renderEvent)}
+      {loading && <LoadingSpinner size="small" />}
+      {!loading && hasMore && (
+        <Button mode="text" onPress={onLoadMore}>
+          Ver más actividad
+        </Button>
+      )}
+    </View>
+  );
+};
+
+export default ActivityFeed;
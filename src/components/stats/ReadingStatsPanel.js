@@ -0,0 +1,208 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Surface, Text } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import BarChart from '../charts/BarChart';
+import LineChart from '../charts/LineChart';
+import PieChart from '../charts/PieChart';
+
+/**
+ * **PANEL DE ESTADÍSTICAS DE LECTURA EDUCATIVO** 📊📚
+ *
+ * Muestra el resultado de `readingStatsService.computeStats`: lectura
+ * por mes, géneros, calificaciones, tiempos, rachas y autores. Solo
+ * presenta datos; no hace cálculos ni consultas.
+ */
+
+const ReadingStatsPanel = ({ stats, style = null }) => {
+  const theme = useTheme();
+
+  const dynamicStyles = StyleSheet.create({
+    highlights: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'space-between',
+      marginBottom: theme.spacing.md,
+    },
+    highlight: {
+      width: '48%',
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.sm,
+      borderRadius: 12,
+      backgroundColor: theme.customColors.background.card,
+      ...theme.shadows.small,
+    },
+    highlightText: {
+      marginLeft: theme.spacing.sm,
+      flex: 1,
+    },
+    highlightValue: {
+      fontSize: 18,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+    },
+    highlightLabel: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+    },
+    card: {
+      padding: theme.spacing.lg,
+      marginBottom: theme.spacing.md,
+      borderRadius: 12,
+      backgroundColor: theme.customColors.background.card,
+      ...theme.shadows.small,
+    },
+    cardTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.xs,
+    },
+    cardSubtitle: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.md,
+    },
+    empty: {
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      paddingVertical: theme.spacing.md,
+    },
+    authorRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.xs,
+    },
+    authorRank: {
+      width: 24,
+      fontSize: 14,
+      fontWeight: 'bold',
+      color: theme.customColors.primary,
+    },
+    authorName: {
+      flex: 1,
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+    },
+    authorCount: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+    }
+  });
+
+  if (!stats) return null;
+
+  const { porMes, generos, calificaciones, tiempoParaTerminar, rachas, autores } = stats;
+  const hasMonthlyData = porMes.some(month => month.libros > 0);
+
+  // **DATO DESTACADO** ✨
+  const renderHighlight = (icon, value, label, color) => (
+    <View style={dynamicStyles.highlight} key={label}>
+      <Icon name={icon} size={24} color={color} />
+      <View style={dynamicStyles.highlightText}>
+        <Text style={dynamicStyles.highlightValue}>{value}</Text>
+        <Text style={dynamicStyles.highlightLabel}>{label}</Text>
+      </View>
+    </View>
+  );
+
+  // **TARJETA DE GRÁFICO** 📊
+  const renderCard = (title, subtitle, content) => (
+    <Surface style={dynamicStyles.card}>
+      <Text style={dynamicStyles.cardTitle}>{title}</Text>
+      {subtitle && <Text style={dynamicStyles.cardSubtitle}>{subtitle}</Text>}
+      {content}
+    </Surface>
+  );
+
+  const renderEmpty = (message) => <Text style={dynamicStyles.empty}>{message}</Text>;
+
+  return (
+    <View style={style}>
+      <View style={dynamicStyles.highlights}>
+        {renderHighlight('book-check', stats.librosLeidos, 'libros leídos', theme.customColors.primary)}
+        {renderHighlight('file-document-multiple', stats.paginasUltimoAnio.toLocaleString(), 'páginas en 12 meses', theme.customColors.secondary)}
+        {renderHighlight(
+          'timer-sand',
+          tiempoParaTerminar.promedioDias ? `${tiempoParaTerminar.promedioDias} d` : '-',
+          'promedio por libro',
+          theme.customColors.success
+        )}
+        {renderHighlight(
+          'fire',
+          `${rachas.rachaMasLarga} d`,
+          rachas.rachaActual > 0 ? `mejor racha · actual ${rachas.rachaActual} d` : 'mejor racha',
+          theme.customColors.warning
+        )}
+      </View>
+
+      {renderCard(
+        'Libros por mes',
+        `${stats.librosUltimoAnio} terminados en los últimos 12 meses`,
+        hasMonthlyData
+          ? <BarChart data={porMes.map(month => ({ label: month.label, value: month.libros }))} />
+          : renderEmpty('Marca libros como leídos para ver tu actividad mensual.')
+      )}
+
+      {renderCard(
+        'Páginas por mes',
+        'Páginas de los libros terminados cada mes',
+        hasMonthlyData
+          ? (
+            <LineChart
+              data={porMes.map(month => ({ label: month.label, value: month.paginas }))}
+              color={theme.customColors.secondary}
+            />
+          )
+          : renderEmpty('Aún no hay páginas registradas.')
+      )}
+
+      {renderCard(
+        'Géneros',
+        'Distribución de los géneros de tu librería',
+        generos.length > 0
+          ? <PieChart data={generos.map(item => ({ label: item.genero, value: item.cantidad }))} />
+          : renderEmpty('Tus libros todavía no tienen géneros.')
+      )}
+
+      {renderCard(
+        'Calificaciones',
+        calificaciones.total > 0
+          ? `Promedio ${calificaciones.promedio} en ${calificaciones.total} reseña${calificaciones.total !== 1 ? 's' : ''}`
+          : null,
+        calificaciones.total > 0
+          ? (
+            <BarChart
+              data={calificaciones.distribucion.map(item => ({ label: `${item.estrellas}★`, value: item.cantidad }))}
+              color={theme.customColors.warning}
+              height={90}
+            />
+          )
+          : renderEmpty('Escribe reseñas para ver cómo calificas.')
+      )}
+
+      {renderCard(
+        'Autores más leídos',
+        null,
+        autores.length > 0
+          ? autores.map((author, index) => (
+            <View key={author.autor} style={dynamicStyles.authorRow}>
+              <Text style={dynamicStyles.authorRank}>{index + 1}</Text>
+              <Text style={dynamicStyles.authorName} numberOfLines={1}>{author.autor}</Text>
+              <Text style={dynamicStyles.authorCount}>
+                {author.leidos} leído{author.leidos !== 1 ? 's' : ''} · {author.libros} en librería
+              </Text>
+            </View>
+          ))
+          : renderEmpty('Agrega libros a tu librería.')
+      )}
+    </View>
+  );
+};
+
+export default ReadingStatsPanel;
@@ -73,10 +73,48 @@ export const BOOKS_API = {
   TIMEOUT: 10000, // 10 segundos
 };
 
+// Fuentes de catálogo disponibles (menor prioridad = se consulta primero)
+// BASE_URL puede apuntar a un servidor stub local para pruebas
+export const CATALOG_PROVIDERS = {
+  UDACITY: {
+    ID: 'udacity',
+    BASE_URL: BOOKS_API.BASE_URL,
+    ENABLED: true,
+    PRIORITY: 1
+  },
+  GOOGLE_BOOKS: {
+    ID: 'googleBooks',
+    BASE_URL: 'https://www.googleapis.com/books/v1',
+    ENABLED: false,
+    PRIORITY: 2,
+    DEFAULT_QUERY: 'subject:fiction'
+  },
+  OPEN_LIBRARY: {
+    ID: 'openLibrary',
+    BASE_URL: 'https://openlibrary.org',
+    ENABLED: false,
+    PRIORITY: 3,
+    DEFAULT_SUBJECT: 'fiction',
+    COVERS_URL: 'https://covers.openlibrary.org'
+  },
+  LOCAL_FIXTURE: {
+    ID: 'localFixture',
+    ENABLED: false,
+    PRIORITY: 99
+  }
+};
+
 // Configuraciones de la aplicación
 export const APP_CONFIG = {
   // Determina si usar emuladores (para desarrollo)
   USE_EMULATORS: __DEV__, // true en desarrollo, false en producción
+
+  // Si es true, las cuentas sin email verificado no pasan de la
+  // pantalla "Verifica tu email"
+  REQUIRE_EMAIL_VERIFICATION: true,
+
+  // Segundos de espera entre reenvíos del email de verificación
+  VERIFICATION_RESEND_COOLDOWN: 60,
   
   // Configuración de caché
   CACHE_TIMEOUT: 5 * 60 * 1000, // 5 minutos
@@ -95,7 +133,31 @@ export const APP_CONFIG = {
     NAME_MIN_LENGTH: 2,
     NAME_MAX_LENGTH: 50,
     REVIEW_MIN_LENGTH: 10,
-    REVIEW_MAX_LENGTH: 1000
+    REVIEW_MAX_LENGTH: 1000,
+    // Texto con marcas de formato (**, ||, > ...) incluido
+    REVIEW_MAX_MARKUP_LENGTH: 1500,
+    COMMENT_MAX_LENGTH: 500,
+    BIO_MAX_LENGTH: 300
+  },
+
+  // Campos del perfil que puede cambiar el usuario; `firestore.rules`
+  // acepta los mismos (más las fechas y la privacidad, que pone la app)
+  PROFILE_FIELDS: ['nombre', 'apellido', 'telefono', 'fechaNacimiento', 'genero', 'bio', 'fotoPerfilUrl'],
+
+  // Qué ven otros lectores del perfil (se guarda en `users.privacidad`)
+  DEFAULT_PRIVACY: {
+    perfilPublico: true,
+    estanterias: true,
+    resenas: true,
+    estadisticas: true
+  },
+
+  // Reacciones disponibles en las reseñas (clave guardada → emoji)
+  REVIEW_REACTIONS: {
+    like: '👍',
+    love: '❤️',
+    funny: '😂',
+    insightful: '💡'
   }
 };
 
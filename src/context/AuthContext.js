@@ -2,7 +2,6 @@ import React, { createContext, useContext, useEffect, useState } from 'react';
 import { 
   onAuthStateChanged,
   signInWithEmailAndPassword,
-  createUserWithEmailAndPassword,
   signOut,
   sendPasswordResetEmail
 } from 'firebase/auth';
@@ -10,7 +9,10 @@ import { doc, getDoc, setDoc, updateDoc, serverTimestamp } from 'firebase/firest
 
 import { getFirebaseAuth, getFirebaseFirestore, getFirebaseStorage } from '../services/firebase/firebaseConfig';
 
+import { authService } from '../services/firebase/authService';
 import { booksApiService } from '../services/api/booksApiService';
+import { firestoreService } from '../services/firebase/firestoreService';
+import { APP_CONFIG } from '../constants/firebase';
 
 /**
  * **CONTEXT DE AUTENTICACIÓN EDUCATIVO** 👤
@@ -49,6 +51,7 @@ export const AuthProvider = ({ children }) => {
   const [userProfile, setUserProfile] = useState(null); // Perfil desde Firestore
   const [loading, setLoading] = useState(true);         // Estado de carga inicial
   const [error, setError] = useState(null);             // Errores de autenticación
+  const [emailVerified, setEmailVerified] = useState(false); // Email confirmado en Auth
 
   // Instancias de Firebase
   const auth = getFirebaseAuth();
@@ -68,9 +71,16 @@ export const AuthProvider = ({ children }) => {
         if (firebaseUser) {
           console.log('✅ Usuario autenticado:', firebaseUser.email);
           setUser(firebaseUser);
+          setEmailVerified(firebaseUser.emailVerified);
           
           // Configurar email en BooksApiService para autorización
           booksApiService.setUserEmail(firebaseUser.email);
+
+          // Reintentar cambios de librería hechos sin conexión
+          firestoreService.startAutoSync(firebaseUser.uid);
+
+          // Llevar reseñas antiguas al modelo actual (una vez por versión)
+          firestoreService.migrateLegacyReviews(firebaseUser.uid);
           
           // Cargar perfil del usuario desde Firestore
           await loadUserProfile(firebaseUser.uid);
@@ -82,9 +92,13 @@ export const AuthProvider = ({ children }) => {
           console.log('👋 Usuario no autenticado');
           setUser(null);
           setUserProfile(null);
+          setEmailVerified(false);
           
           // Limpiar autorización en BooksApiService
           booksApiService.clearAuthorization();
+
+          // Detener la sincronización offline del usuario anterior
+          firestoreService.stopAutoSync();
         }
       } catch (error) {
         console.error('❌ Error en listener de auth:', error);
@@ -114,9 +128,20 @@ export const AuthProvider = ({ children }) => {
       const userDoc = await getDoc(doc(db, 'users', userId));
       
       if (userDoc.exists()) {
-        const profileData = userDoc.data();
+        let profileData = userDoc.data();
+
+        // Tras confirmar un cambio de email, Auth ya tiene el nuevo
+        const authEmail = auth.currentUser?.email;
+        if (authEmail && profileData.email !== authEmail) {
+          await updateDoc(doc(db, 'users', userId), { email: authEmail });
+          profileData = { ...profileData, email: authEmail };
+        }
+
         setUserProfile(profileData);
         console.log('✅ Perfil cargado:', profileData.email);
+
+        // Perfiles creados antes de los perfiles públicos no tienen copia
+        firestoreService.syncPublicProfile(userId, profileData);
       } else {
         console.log('⚠️ Perfil no encontrado, creando perfil básico...');
         // Si no existe perfil, crear uno básico
@@ -143,12 +168,14 @@ export const AuthProvider = ({ children }) => {
         nombre: additionalData.nombre || '',
         apellido: additionalData.apellido || '',
         fotoPerfilUrl: null,
+        privacidad: { ...APP_CONFIG.DEFAULT_PRIVACY },
         fechaCreacion: serverTimestamp(),
         fechaUltimaActividad: serverTimestamp(),
         ...additionalData
       };
 
       await setDoc(doc(db, 'users', userId), userProfile);
+      await firestoreService.syncPublicProfile(userId, userProfile);
       setUserProfile(userProfile);
       
       console.log('✅ Perfil de usuario creado');
@@ -178,7 +205,8 @@ export const AuthProvider = ({ children }) => {
 /**Actualizar Photo de Usuario */
    const updatePhotoUser = async (userId,PhotoURL) => {
     try {
-        await updateDoc(doc(db, 'users', userId), {
+        // También actualiza la foto del perfil público
+        await firestoreService.updateUserProfile(userId, {
           fotoPerfilUrl: PhotoURL
         });
     } catch (error) {
@@ -243,7 +271,8 @@ export const AuthProvider = ({ children }) => {
   /**
    * **REGISTRAR USUARIO** 📝
    * 
-   * Crea una nueva cuenta y perfil de usuario.
+   * `authService.signUp` crea la cuenta y el perfil y envía el email de
+   * verificación; aquí se agrega la copia pública del perfil.
    */
   const signUp = async (email, password, additionalData = {}) => {
     try {
@@ -252,36 +281,22 @@ export const AuthProvider = ({ children }) => {
       
       console.log('📝 Registrando nuevo usuario:', email);
       
-      
-      const userCredential = await createUserWithEmailAndPassword(auth, email, password);
-      
-      // Crear perfil en Firestore
-      await createUserProfile(userCredential.user.uid, additionalData);
+      const result = await authService.signUp(email, password, additionalData);
+      if (!result.success) {
+        setError(result.error);
+        return result;
+      }
+
+      await firestoreService.syncPublicProfile(result.user.uid, result.profile);
+      setUserProfile(result.profile);
       
       console.log('✅ Usuario registrado exitosamente');
-      return { success: true, user: userCredential.user };
+      return { success: true, user: auth.currentUser };
       
     } catch (error) {
       console.error('❌ Error en registro:', error);
-      
-      let errorMessage = 'Error en el registro';
-      
-      switch (error.code) {
-        case 'auth/email-already-in-use':
-          errorMessage = 'Ya existe una cuenta con este email';
-          break;
-        case 'auth/invalid-email':
-          errorMessage = 'Email inválido';
-          break;
-        case 'auth/weak-password':
-          errorMessage = 'La contraseña debe tener al menos 6 caracteres';
-          break;
-        default:
-          errorMessage = error.message;
-      }
-      
-      setError(errorMessage);
-      return { success: false, error: errorMessage };
+      setError(error.message);
+      return { success: false, error: error.message };
     } finally {
       setLoading(false);
     }
@@ -351,6 +366,25 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * **REENVIAR EMAIL DE VERIFICACIÓN** 📧🔁
+   */
+  const resendVerificationEmail = () => authService.resendVerificationEmail();
+
+  /**
+   * **COMPROBAR VERIFICACIÓN** ✅📧
+   * 
+   * Recarga el usuario en `authService` y actualiza el estado que decide
+   * si se muestra la pantalla de verificación.
+   */
+  const refreshEmailVerification = async () => {
+    const result = await authService.refreshEmailVerification();
+    if (result.success) {
+      setEmailVerified(result.verified);
+    }
+    return result;
+  };
+
   /**
    * **VALOR DEL CONTEXTO** 📦
    * 
@@ -369,12 +403,16 @@ export const AuthProvider = ({ children }) => {
     logout,
     resetPassword,
     updatePhotoUser,
+    resendVerificationEmail,
+    refreshEmailVerification,
     // Funciones de perfil
     loadUserProfile,
     createUserProfile,
     
     // Estados derivados
     isAuthenticated: !!user,
+    emailVerified,
+    needsEmailVerification: !!user && APP_CONFIG.REQUIRE_EMAIL_VERIFICATION && !emailVerified,
     isLoading: loading,
     hasError: !!error,
     
@@ -0,0 +1,193 @@
+import { useState, useEffect, useCallback } from 'react';
+
+import { firestoreService } from '../services/firebase/firestoreService';
+
+/**
+ * **HOOKS DE SUSCRIPCIÓN A FIRESTORE** 📡
+ *
+ * Capa de hooks sobre los listeners `onSnapshot` de FirestoreService.
+ * Cada hook se suscribe al montar, se vuelve a suscribir cuando cambian
+ * sus parámetros y cancela la suscripción al desmontar.
+ *
+ * Conceptos educativos demostrados:
+ * - Custom hooks
+ * - Cleanup de efectos
+ * - Datos en tiempo real
+ */
+
+const initialState = {
+  data: null,
+  loading: true,
+  error: null,
+  fromCache: false,
+  pendingCount: 0
+};
+
+/**
+ * **HOOK GENÉRICO DE SUSCRIPCIÓN** 🪝
+ *
+ * `subscribe` recibe (onData, onError) y retorna la función de cancelación.
+ * Tiene que venir de `useCallback` con sus parámetros como dependencias:
+ * cuando cambia, el listener se vuelve a crear. Si `enabled` es false no
+ * se crea ningún listener. `resubscribe` vuelve a crear el listener
+ * (útil para reintentar tras un error).
+ */
+export const useFirestoreSubscription = (subscribe, enabled = true) => {
+  const [state, setState] = useState(initialState);
+  const [attempt, setAttempt] = useState(0);
+
+  const resubscribe = useCallback(() => setAttempt(prev => prev + 1), []);
+
+  useEffect(() => {
+    if (!enabled) {
+      setState({ ...initialState, loading: false });
+      return undefined;
+    }
+
+    setState(prev => ({ ...prev, loading: true, error: null }));
+
+    const unsubscribe = subscribe(
+      (result) => {
+        setState({
+          data: result.data,
+          loading: false,
+          error: null,
+          fromCache: !!result.fromCache,
+          pendingCount: result.pendingCount || 0
+        });
+      },
+      (result) => {
+        setState(prev => ({ ...prev, loading: false, error: result.error }));
+      }
+    );
+
+    return unsubscribe;
+  }, [subscribe, enabled, attempt]);
+
+  return { ...state, resubscribe };
+};
+
+/**
+ * **LIBRERÍA DEL USUARIO EN TIEMPO REAL** 📚
+ */
+export const useUserLibrary = (userId, { limitCount = null } = {}) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToUserLibrary(userId, onData, onError, { limitCount }),
+    [userId, limitCount]
+  );
+  return useFirestoreSubscription(subscribe, !!userId);
+};
+
+/**
+ * **LIBRO DE LA LIBRERÍA EN TIEMPO REAL** 📖
+ */
+export const useLibraryBook = (userId, bookId) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToLibraryBook(userId, bookId, onData, onError),
+    [userId, bookId]
+  );
+  return useFirestoreSubscription(subscribe, !!userId && !!bookId);
+};
+
+/**
+ * **RESEÑAS DE UN LIBRO EN TIEMPO REAL** ⭐
+ */
+export const useBookReviews = (bookId, { limitCount = 10 } = {}) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToBookReviews(bookId, onData, onError, { limitCount }),
+    [bookId, limitCount]
+  );
+  return useFirestoreSubscription(subscribe, !!bookId);
+};
+
+/**
+ * **RESEÑAS DEL USUARIO EN TIEMPO REAL** ⭐
+ */
+export const useUserReviews = (userId, { limitCount = 10 } = {}) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToUserReviews(userId, onData, onError, { limitCount }),
+    [userId, limitCount]
+  );
+  return useFirestoreSubscription(subscribe, !!userId);
+};
+
+/**
+ * **RESUMEN DE CALIFICACIONES DE UN LIBRO EN TIEMPO REAL** 📊⭐
+ */
+export const useBookRatingSummary = (bookId) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToBookRatingSummary(bookId, onData, onError),
+    [bookId]
+  );
+  return useFirestoreSubscription(subscribe, !!bookId);
+};
+
+/**
+ * **COMENTARIOS DE UNA RESEÑA EN TIEMPO REAL** 💬
+ *
+ * `data` son los hilos: comentarios principales con sus `respuestas`.
+ */
+export const useReviewComments = (reviewId) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToReviewComments(reviewId, onData, onError),
+    [reviewId]
+  );
+  return useFirestoreSubscription(subscribe, !!reviewId);
+};
+
+/**
+ * **LECTORES SEGUIDOS EN TIEMPO REAL** 👥
+ *
+ * `data` es la lista de `userId` seguidos.
+ */
+export const useFollowing = (userId) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToFollowing(userId, onData, onError),
+    [userId]
+  );
+  return useFirestoreSubscription(subscribe, !!userId);
+};
+
+/**
+ * **ESTADÍSTICAS DEL USUARIO EN TIEMPO REAL** 📊
+ */
+export const useUserStats = (userId) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToUserStats(userId, onData, onError),
+    [userId]
+  );
+  return useFirestoreSubscription(subscribe, !!userId);
+};
+
+/**
+ * **ESTANTERÍAS DEL USUARIO EN TIEMPO REAL** 🗂️
+ */
+export const useUserShelves = (userId) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToUserShelves(userId, onData, onError),
+    [userId]
+  );
+  return useFirestoreSubscription(subscribe, !!userId);
+};
+
+/**
+ * **SESIONES DE LECTURA EN TIEMPO REAL** ⏱️
+ */
+export const useReadingSessions = (userId, { bookId = null, limitCount = 10 } = {}) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToReadingSessions(userId, onData, onError, { bookId, limitCount }),
+    [userId, bookId, limitCount]
+  );
+  return useFirestoreSubscription(subscribe, !!userId);
+};
+
+/**
+ * **META DE LECTURA DE UN AÑO EN TIEMPO REAL** 🎯
+ */
+export const useReadingGoal = (userId, year) => {
+  const subscribe = useCallback(
+    (onData, onError) => firestoreService.subscribeToReadingGoal(userId, year, onData, onError),
+    [userId, year]
+  );
+  return useFirestoreSubscription(subscribe, !!userId && !!year);
+};
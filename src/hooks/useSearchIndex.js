@@ -0,0 +1,32 @@
+import { useRef, useMemo } from 'react';
+
+import { SearchIndex } from '../services/search/searchIndex';
+
+/**
+ * **HOOK DE ÍNDICE DE BÚSQUEDA** 🗂️🪝
+ *
+ * Mantiene un SearchIndex sincronizado con una lista de documentos.
+ * El índice vive mientras el componente esté montado y en cada cambio
+ * de la lista solo se reindexan los elementos que cambiaron.
+ *
+ * Retorna `{ index, version }`: `version` cambia cada vez que el
+ * índice se actualiza, para usarlo como dependencia de useMemo.
+ */
+export const useSearchIndex = (documents, options) => {
+  const indexRef = useRef(null);
+  const versionRef = useRef(0);
+
+  if (!indexRef.current) {
+    indexRef.current = new SearchIndex(options);
+  }
+
+  const version = useMemo(() => {
+    const changes = indexRef.current.sync(documents || []);
+    if (changes.added || changes.updated || changes.removed) {
+      versionRef.current += 1;
+    }
+    return versionRef.current;
+  }, [documents]);
+
+  return { index: indexRef.current, version };
+};
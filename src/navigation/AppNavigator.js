@@ -12,16 +12,22 @@ import { useAuth } from '../context/AuthContext';
 import LoginScreen from '../screens/auth/LoginScreen';
 import SignupScreen from '../screens/auth/SignupScreen';
 import PasswordResetScreen from '../screens/auth/PasswordResetScreen';
+import VerifyEmailScreen from '../screens/auth/VerifyEmailScreen';
 
 // **PANTALLAS PRINCIPALES** 🏠
 import HomeScreen from '../screens/main/HomeScreen';
 import StoreScreen from '../screens/main/StoreScreen';
 import LibraryScreen from '../screens/main/LibraryScreen';
 import ProfileScreen from '../screens/main/ProfileScreen';
+import PublicProfileScreen from '../screens/main/PublicProfileScreen';
+import LibraryImportScreen from '../screens/main/LibraryImportScreen';
+import ChangePasswordScreen from '../screens/main/ChangePasswordScreen';
+import ChangeEmailScreen from '../screens/main/ChangeEmailScreen';
 
 // **PANTALLAS SECUNDARIAS** 📄
 import BookDetailScreen from '../screens/books/BookDetailScreen';
 import ReviewScreen from '../screens/books/ReviewScreen';
+import ReviewCommentsScreen from '../screens/books/ReviewCommentsScreen';
 
 /**
  * **NAVEGACIÓN PRINCIPAL EDUCATIVA** 🧭
@@ -206,6 +212,18 @@ const AuthNavigator = () => {
   );
 };
 
+/**
+ * **NAVEGADOR DE VERIFICACIÓN DE EMAIL** 📧
+ * 
+ * Reemplaza a las pestañas mientras el email no esté verificado y
+ * `APP_CONFIG.REQUIRE_EMAIL_VERIFICATION` lo exija.
+ */
+const VerifyEmailNavigator = () => (
+  <Stack.Navigator screenOptions={{ headerShown: false }}>
+    <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
+  </Stack.Navigator>
+);
+
 /**
  * **NAVEGADOR PRINCIPAL** 🏠
  */
@@ -264,6 +282,51 @@ const MainNavigator = () => {
           presentation: 'modal',
         }}
       />
+
+      <Stack.Screen 
+        name="ReviewComments" 
+        component={ReviewCommentsScreen}
+        options={{
+          title: 'Comentarios',
+          presentation: 'card',
+        }}
+      />
+
+      <Stack.Screen 
+        name="PublicProfile" 
+        component={PublicProfileScreen}
+        options={({ route }) => ({
+          title: route.params?.nombre || 'Perfil',
+          presentation: 'card',
+        })}
+      />
+
+      <Stack.Screen 
+        name="LibraryImport" 
+        component={LibraryImportScreen}
+        options={{
+          title: 'Importar librería',
+          presentation: 'card',
+        }}
+      />
+
+      <Stack.Screen 
+        name="ChangePassword" 
+        component={ChangePasswordScreen}
+        options={{
+          title: 'Cambiar contraseña',
+          presentation: 'card',
+        }}
+      />
+
+      <Stack.Screen 
+        name="ChangeEmail" 
+        component={ChangeEmailScreen}
+        options={{
+          title: 'Cambiar email',
+          presentation: 'card',
+        }}
+      />
     </Stack.Navigator>
   );
 };
@@ -272,7 +335,7 @@ const MainNavigator = () => {
  * **NAVEGADOR RAÍZ** 🌳
  */
 const RootNavigator = () => {
-  const { user, loading } = useAuth();
+  const { user, loading, needsEmailVerification } = useAuth();
   const theme = useTheme();
 
   // **PANTALLA DE CARGA DURANTE VERIFICACIÓN DE AUTH** ⏳
@@ -308,7 +371,8 @@ const RootNavigator = () => {
   }
 
   // **NAVEGACIÓN CONDICIONAL SEGÚN AUTENTICACIÓN** 🔀
-  return user ? <MainNavigator /> : <AuthNavigator />;
+  if (!user) return <AuthNavigator />;
+  return needsEmailVerification ? <VerifyEmailNavigator /> : <MainNavigator />;
 };
 
 /**
@@ -6,6 +6,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 
 import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
+import { APP_CONFIG } from '../../constants/firebase';
 import { 
   Button, 
   PrimaryButton, 
@@ -294,9 +295,12 @@ const SignupScreen = ({ navigation }) => {
         apellido: lastName.value.trim()
       });
       
+      // Con la sesión ya iniciada, AppNavigator muestra la verificación
+      // del email (o las pestañas, si no se exige)
       if (result.success) {
-        showSuccess('¡Cuenta creada exitosamente! Ya puedes iniciar sesión.');
-        navigation.navigate('Login');
+        showSuccess(APP_CONFIG.REQUIRE_EMAIL_VERIFICATION
+          ? '¡Cuenta creada! Te enviamos un email para verificar tu dirección.'
+          : '¡Cuenta creada exitosamente!');
       } else {
         showError(result.error || 'Error al crear la cuenta');
       }
@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, StyleSheet, AppState } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import { APP_CONFIG } from '../../constants/firebase';
+import { PrimaryButton, OutlineButton, TextButton } from '../../components/common';
+
+/**
+ * **PANTALLA DE VERIFICACIÓN DE EMAIL EDUCATIVA** 📧✅
+ *
+ * Se muestra en lugar de las pestañas mientras el email no esté
+ * verificado (`APP_CONFIG.REQUIRE_EMAIL_VERIFICATION`). El enlace se
+ * abre fuera de la app, así que se vuelve a comprobar al regresar a
+ * ella y con el botón "Ya lo verifiqué".
+ *
+ * Conceptos educativos demostrados:
+ * - Navegación condicionada por el estado de Auth
+ * - AppState para reaccionar al volver a la app
+ * - Espera entre reenvíos
+ */
+
+const VerifyEmailScreen = () => {
+  const theme = useTheme();
+  const { user, logout, resendVerificationEmail, refreshEmailVerification } = useAuth();
+  const { showSuccess, showError, showInfo } = useToast();
+
+  const [checking, setChecking] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [cooldown, setCooldown] = useState(0);
+
+  // **CUENTA REGRESIVA DEL REENVÍO** ⏱️
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  // **COMPROBAR AL VOLVER A LA APP** 📱
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        refreshEmailVerification();
+      }
+    });
+    return () => subscription.remove();
+  }, [refreshEmailVerification]);
+
+  const handleCheck = useCallback(async () => {
+    setChecking(true);
+    const result = await refreshEmailVerification();
+    setChecking(false);
+
+    if (!result.success) {
+      showError(result.error);
+    } else if (result.verified) {
+      showSuccess('¡Email verificado!');
+    } else {
+      showInfo('Todavía no vemos la verificación. Abre el enlace del email e intenta de nuevo.');
+    }
+  }, [refreshEmailVerification, showSuccess, showError, showInfo]);
+
+  const handleResend = useCallback(async () => {
+    setSending(true);
+    const result = await resendVerificationEmail();
+    setSending(false);
+
+    if (result.success) {
+      showSuccess(`Enviamos otro email a ${user?.email}`);
+      setCooldown(APP_CONFIG.VERIFICATION_RESEND_COOLDOWN);
+    } else {
+      showError(result.error);
+    }
+  }, [resendVerificationEmail, user, showSuccess, showError]);
+
+  // **ESTILOS DINÁMICOS** 🎨
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.customColors.background.primary,
+    },
+    content: {
+      flex: 1,
+      justifyContent: 'center',
+      paddingHorizontal: theme.spacing.xl,
+    },
+    icon: {
+      alignSelf: 'center',
+      marginBottom: theme.spacing.lg,
+    },
+    title: {
+      fontSize: 24,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+      textAlign: 'center',
+      marginBottom: theme.spacing.sm,
+    },
+    text: {
+      fontSize: 16,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      lineHeight: 22,
+    },
+    email: {
+      fontSize: 16,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+      textAlign: 'center',
+      marginVertical: theme.spacing.md,
+    },
+    hint: {
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      marginBottom: theme.spacing.xl,
+    },
+    button: {
+      marginBottom: theme.spacing.md,
+    }
+  });
+
+  return (
+    <SafeAreaView style={dynamicStyles.container}>
+      <View style={dynamicStyles.content}>
+        <Icon
+          name="email-fast-outline"
+          size={72}
+          color={theme.customColors.primary}
+          style={dynamicStyles.icon}
+        />
+        <Text style={dynamicStyles.title}>Revisa tu bandeja de entrada</Text>
+        <Text style={dynamicStyles.text}>
+          Para usar MyLibrary, abre el enlace que enviamos a
+        </Text>
+        <Text style={dynamicStyles.email}>{user?.email}</Text>
+        <Text style={dynamicStyles.hint}>
+          Si no lo encuentras, revisa la carpeta de spam.
+        </Text>
+
+        <PrimaryButton
+          onPress={handleCheck}
+          loading={checking}
+          disabled={checking}
+          fullWidth
+          style={dynamicStyles.button}
+          testID="verify-email-check-button"
+        >
+          Ya lo verifiqué
+        </PrimaryButton>
+
+        <OutlineButton
+          onPress={handleResend}
+          loading={sending}
+          disabled={sending || cooldown > 0}
+          fullWidth
+          style={dynamicStyles.button}
+          testID="verify-email-resend-button"
+        >
+          {cooldown > 0 ? `Reenviar email (${cooldown} s)` : 'Reenviar email'}
+        </OutlineButton>
+
+        <TextButton onPress={logout} testID="verify-email-logout-button">
+          Usar otra cuenta
+        </TextButton>
+      </View>
+    </SafeAreaView>
+  );
+};
+
+export default VerifyEmailScreen;
@@ -10,6 +10,10 @@ import {
   Card,
   Portal,
   Dialog,
+  TextInput,
+  HelperText,
+  SegmentedButtons,
+  ProgressBar,
 } from 'react-native-paper';
 import { useTheme } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
@@ -18,11 +22,14 @@ import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
 import { firestoreService } from '../../services/firebase/firestoreService';
+import { localStorageService } from '../../services/storage/localStorageService';
+import { useLibraryBook, useReadingSessions, useBookRatingSummary } from '../../hooks/useFirestoreSubscriptions';
 
 import { 
   LoadingSpinner, 
   ErrorState,
-  BookImage
+  BookImage,
+  ReadingProgressBar
 } from '../../components/common';
 
 const { width: screenWidth } = Dimensions.get('window');
@@ -33,6 +40,7 @@ const { width: screenWidth } = Dimensions.get('window');
  * Pantalla detallada de un libro que demuestra:
  * - Información completa del libro con diseño atractivo
  * - Estados de lectura y gestión de librería
+ * - Progreso y sesiones de lectura
  * - Sistema de calificaciones y reseñas
  * - Enlaces externos (preview, info, compra)
  * - Libros relacionados/recomendados
@@ -62,6 +70,9 @@ const BookDetailScreen = ({ route, navigation }) => {
   const [relatedBooks, setRelatedBooks] = useState([]);
   const [showRatingDialog, setShowRatingDialog] = useState(false);
   const [error, setError] = useState(null);
+  const [activeSession, setActiveSession] = useState(null);
+  const [progressDialog, setProgressDialog] = useState({ visible: false, unit: 'paginas', value: '', error: null });
+  const [savingProgress, setSavingProgress] = useState(false);
 
   // **ESTILOS DINÁMICOS** 🎨
   const dynamicStyles = StyleSheet.create({
@@ -233,6 +244,73 @@ const BookDetailScreen = ({ route, navigation }) => {
       marginBottom: theme.spacing.md,
       color: theme.customColors.text.primary,
     },
+    progressSection: {
+      marginBottom: theme.spacing.lg,
+    },
+    ratingSummarySection: {
+      marginBottom: theme.spacing.lg,
+    },
+    ratingSummaryText: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.sm,
+    },
+    histogramRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: theme.spacing.xs,
+    },
+    histogramLabel: {
+      width: 28,
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+    },
+    histogramBarContainer: {
+      flex: 1,
+    },
+    histogramBar: {
+      height: 8,
+      borderRadius: 4,
+      backgroundColor: theme.customColors.background.secondary,
+    },
+    histogramCount: {
+      width: 32,
+      fontSize: 13,
+      textAlign: 'right',
+      color: theme.customColors.text.secondary,
+    },
+    progressEmpty: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.sm,
+    },
+    progressActions: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: theme.spacing.sm,
+      marginTop: theme.spacing.sm,
+    },
+    activeSessionText: {
+      fontSize: 14,
+      color: theme.customColors.secondary,
+      fontWeight: '500',
+      marginTop: theme.spacing.sm,
+    },
+    sessionItem: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      paddingVertical: theme.spacing.sm,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.customColors.border.light,
+    },
+    sessionDate: {
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+    },
+    sessionDetail: {
+      fontSize: 13,
+      color: theme.customColors.text.primary,
+    },
     statusButtons: {
       flexDirection: 'row',
       flexWrap: 'wrap',
@@ -245,22 +323,52 @@ const BookDetailScreen = ({ route, navigation }) => {
     },
   });
 
+  // **LIBRO EN LA LIBRERÍA (TIEMPO REAL)** 📡
+  // Refleja cambios hechos desde otra pantalla u otro dispositivo
+  const libraryBook = useLibraryBook(user?.uid, book.bookId);
+
+  useEffect(() => {
+    if (libraryBook.loading) return;
+
+    const userBook = libraryBook.data;
+    setIsInLibrary(!!userBook);
+    if (userBook) {
+      setReadingStatus(userBook.estadoLectura || 'want-to-read');
+      setUserRating(userBook.calificacionUsuario || 0);
+    }
+  }, [libraryBook.loading, libraryBook.data]);
+
+  // **PROGRESO DE LECTURA** ⏱️
+  const libraryEntry = libraryBook.data;
+  const pageCount = Number(libraryEntry?.numeroPaginas || book.numeroPaginas) || null;
+  const { data: sessions } = useReadingSessions(isInLibrary ? user?.uid : null, {
+    bookId: book.bookId,
+    limitCount: 5
+  });
+
+  // **CALIFICACIONES DE LOS LECTORES** ⭐
+  // Un solo documento resumen en lugar de todas las reseñas del libro
+  const { data: ratingSummary } = useBookRatingSummary(book.bookId);
+  const communityRating = ratingSummary?.totalReseñas > 0
+    ? { promedio: ratingSummary.promedioCalificacion.toFixed(1), total: ratingSummary.totalReseñas }
+    : book.rating
+      ? { promedio: book.rating, total: book.ratingsCount || 0 }
+      : null;
+
+  // La sesión en curso sobrevive a cerrar la pantalla
+  useEffect(() => {
+    if (!user) return;
+
+    localStorageService.getActiveReadingSession(user.uid, book.bookId).then(result => {
+      setActiveSession(result.success ? result.data : null);
+    });
+  }, [user, book.bookId]);
+
   // **CARGAR DATOS ADICIONALES** 📥
   const loadAdditionalData = useCallback(async () => {
     try {
       if (!user) return;
 
-      // Verificar si el libro está en la librería del usuario
-      const libraryResult = await firestoreService.getUserLibrary(user.uid);
-      if (libraryResult.success) {
-        const userBook = libraryResult.data.find(b => b.bookId === book.bookId);
-        if (userBook) {
-          setIsInLibrary(true);
-          setReadingStatus(userBook.estadoLectura || 'want-to-read');
-          setUserRating(userBook.calificacionUsuario || 0);
-        }
-      }
-
       // Cargar libros relacionados (mismo autor o género)
       // En una implementación real, esto vendría de un servicio de recomendaciones
       setRelatedBooks([]);
@@ -268,7 +376,7 @@ const BookDetailScreen = ({ route, navigation }) => {
     } catch (error) {
       console.error('Error cargando datos adicionales:', error);
     }
-  }, [user, book.bookId]);
+  }, [user]);
 
   // **EFECTOS** ⚡
   useEffect(() => {
@@ -317,7 +425,7 @@ const BookDetailScreen = ({ route, navigation }) => {
   // **MANEJAR CAMBIO DE ESTADO** 📖
   const handleStatusChange = useCallback(async (newStatus) => {
     try {
-      if (!isInLibrary) return;
+      if (!isInLibrary || newStatus === readingStatus) return;
 
       const result = await firestoreService.updateBookInLibrary(user.uid, book.bookId, {
         estadoLectura: newStatus,
@@ -333,7 +441,7 @@ const BookDetailScreen = ({ route, navigation }) => {
     } catch (error) {
       showError('Error actualizando estado de lectura');
     }
-  }, [isInLibrary, user, book.bookId, showSuccess, showError]);
+  }, [isInLibrary, readingStatus, user, book.bookId, showSuccess, showError]);
 
   // **MANEJAR CALIFICACIÓN** ⭐
   const handleRating = useCallback(async (rating) => {
@@ -360,6 +468,72 @@ const BookDetailScreen = ({ route, navigation }) => {
     }
   }, [isInLibrary, user, book.bookId, handleToggleLibrary, showSuccess, showError]);
 
+  // **INICIAR SESIÓN DE LECTURA** ▶️
+  const handleStartSession = useCallback(async () => {
+    const session = {
+      inicio: new Date().toISOString(),
+      paginaInicial: libraryEntry?.paginaActual ?? 0,
+      porcentajeInicial: libraryEntry?.porcentajeLeido ?? 0
+    };
+    await localStorageService.saveActiveReadingSession(user.uid, book.bookId, session);
+    setActiveSession(session);
+  }, [user, book.bookId, libraryEntry]);
+
+  const handleCancelSession = useCallback(async () => {
+    await localStorageService.clearActiveReadingSession(user.uid, book.bookId);
+    setActiveSession(null);
+  }, [user, book.bookId]);
+
+  // **ABRIR DIÁLOGO DE PROGRESO** 📝
+  // Con sesión en curso, guardar la cierra; sin sesión solo corrige el progreso
+  const handleOpenProgressDialog = useCallback(() => {
+    const unit = pageCount ? 'paginas' : 'porcentaje';
+    const current = unit === 'paginas' ? libraryEntry?.paginaActual : libraryEntry?.porcentajeLeido;
+    setProgressDialog({ visible: true, unit, value: current ? String(current) : '', error: null });
+  }, [pageCount, libraryEntry]);
+
+  const handleSaveProgress = useCallback(async () => {
+    const { unit, value } = progressDialog;
+    const position = unit === 'paginas' ? { pagina: value } : { porcentaje: value };
+
+    setSavingProgress(true);
+    try {
+      const result = activeSession
+        ? await firestoreService.logReadingSession(user.uid, book.bookId, {
+          inicio: activeSession.inicio,
+          fin: new Date(),
+          numeroPaginas: pageCount,
+          ...(unit === 'paginas'
+            ? { paginaInicial: activeSession.paginaInicial, paginaFinal: value }
+            : { porcentajeInicial: activeSession.porcentajeInicial, porcentajeFinal: value })
+        })
+        : await firestoreService.updateReadingProgress(user.uid, book.bookId, {
+          ...position,
+          numeroPaginas: pageCount
+        });
+
+      if (!result.success) {
+        setProgressDialog(prev => ({ ...prev, error: result.error }));
+        return;
+      }
+
+      if (activeSession) {
+        await localStorageService.clearActiveReadingSession(user.uid, book.bookId);
+        setActiveSession(null);
+      }
+
+      setProgressDialog(prev => ({ ...prev, visible: false }));
+      if (result.finished) {
+        setReadingStatus('read');
+        showSuccess('¡Terminaste el libro! Se marcó como leído 🎉');
+      } else {
+        showSuccess(activeSession ? 'Sesión de lectura registrada' : 'Progreso actualizado');
+      }
+    } finally {
+      setSavingProgress(false);
+    }
+  }, [progressDialog, activeSession, user, book.bookId, pageCount, showSuccess]);
+
   // **MANEJAR NAVEGACIÓN A RESEÑA** 📝
   const handleWriteReview = useCallback(() => {
     navigation.navigate('Review', { book, fromLibrary: isInLibrary });
@@ -435,6 +609,163 @@ const BookDetailScreen = ({ route, navigation }) => {
     );
   };
 
+  // **FORMATEAR FECHA DE SESIÓN** 📅
+  // `fin` llega como Timestamp de Firestore
+  const formatSessionDate = (value) => {
+    const date = value?.toDate ? value.toDate() : new Date(value);
+    return date.toLocaleDateString();
+  };
+
+  const formatSessionDetail = (session) => {
+    const range = session.unidad === 'paginas'
+      ? `pág. ${session.paginaInicial} → ${session.paginaFinal}`
+      : `${session.porcentajeInicial}% → ${session.porcentajeFinal}%`;
+    return session.duracionMinutos > 0 ? `${range} · ${session.duracionMinutos} min` : range;
+  };
+
+  // **RENDERIZAR PROGRESO DE LECTURA** 📊
+  const renderReadingProgress = () => {
+    if (!isInLibrary) return null;
+
+    const sessionStart = activeSession
+      ? new Date(activeSession.inicio).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : null;
+
+    return (
+      <View style={dynamicStyles.progressSection}>
+        <Text style={dynamicStyles.sectionTitle}>Progreso de lectura</Text>
+
+        {libraryEntry?.porcentajeLeido > 0 ? (
+          <ReadingProgressBar book={{ ...libraryEntry, numeroPaginas: pageCount }} />
+        ) : (
+          <Text style={dynamicStyles.progressEmpty}>Aún no registraste progreso</Text>
+        )}
+
+        {activeSession && (
+          <Text style={dynamicStyles.activeSessionText}>
+            Sesión en curso desde las {sessionStart}
+          </Text>
+        )}
+
+        <View style={dynamicStyles.progressActions}>
+          {activeSession ? (
+            <>
+              <Button mode="contained" icon="stop" onPress={handleOpenProgressDialog}>
+                Terminar sesión
+              </Button>
+              <Button mode="text" onPress={handleCancelSession}>
+                Descartar
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button mode="contained" icon="play" onPress={handleStartSession}>
+                Empezar a leer
+              </Button>
+              <Button mode="outlined" icon="bookmark-check" onPress={handleOpenProgressDialog}>
+                Actualizar progreso
+              </Button>
+            </>
+          )}
+        </View>
+
+        {sessions?.length > 0 && (
+          <View style={{ marginTop: theme.spacing.md }}>
+            {sessions.map(session => (
+              <View key={session.id} style={dynamicStyles.sessionItem}>
+                <Text style={dynamicStyles.sessionDate}>{formatSessionDate(session.fin)}</Text>
+                <Text style={dynamicStyles.sessionDetail}>{formatSessionDetail(session)}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  // **RENDERIZAR DISTRIBUCIÓN DE CALIFICACIONES** ⭐📊
+  const renderRatingSummary = () => {
+    if (!ratingSummary || ratingSummary.totalReseñas === 0) return null;
+
+    const { histograma = {}, totalReseñas, promedioCalificacion } = ratingSummary;
+
+    return (
+      <View style={dynamicStyles.ratingSummarySection}>
+        <Text style={dynamicStyles.sectionTitle}>Calificaciones de lectores</Text>
+        <Text style={dynamicStyles.ratingSummaryText}>
+          {promedioCalificacion.toFixed(1)} de 5 · {totalReseñas} reseña{totalReseñas !== 1 ? 's' : ''}
+        </Text>
+        {[5, 4, 3, 2, 1].map(stars => {
+          const count = histograma[stars] || 0;
+          return (
+            <View key={stars} style={dynamicStyles.histogramRow}>
+              <Text style={dynamicStyles.histogramLabel}>{stars}★</Text>
+              <View style={dynamicStyles.histogramBarContainer}>
+                <ProgressBar
+                  progress={count / totalReseñas}
+                  color="#FFD700"
+                  style={dynamicStyles.histogramBar}
+                />
+              </View>
+              <Text style={dynamicStyles.histogramCount}>{count}</Text>
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
+  // **RENDERIZAR DIÁLOGO DE PROGRESO** 📝
+  const renderProgressDialog = () => (
+    <Portal>
+      <Dialog
+        visible={progressDialog.visible}
+        onDismiss={() => !savingProgress && setProgressDialog(prev => ({ ...prev, visible: false }))}
+      >
+        <Dialog.Title>{activeSession ? 'Terminar sesión' : 'Actualizar progreso'}</Dialog.Title>
+        <Dialog.Content>
+          {pageCount && (
+            <SegmentedButtons
+              value={progressDialog.unit}
+              onValueChange={(unit) => setProgressDialog(prev => ({ ...prev, unit, value: '', error: null }))}
+              buttons={[
+                { value: 'paginas', label: 'Página' },
+                { value: 'porcentaje', label: 'Porcentaje' }
+              ]}
+              style={{ marginBottom: theme.spacing.md }}
+            />
+          )}
+          <TextInput
+            mode="outlined"
+            label={progressDialog.unit === 'paginas' ? `Página actual (de ${pageCount})` : 'Porcentaje leído'}
+            value={progressDialog.value}
+            onChangeText={(value) => setProgressDialog(prev => ({ ...prev, value, error: null }))}
+            keyboardType="numeric"
+            right={progressDialog.unit === 'porcentaje' ? <TextInput.Affix text="%" /> : null}
+          />
+          <HelperText type="error" visible={!!progressDialog.error}>
+            {progressDialog.error}
+          </HelperText>
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button
+            onPress={() => setProgressDialog(prev => ({ ...prev, visible: false }))}
+            disabled={savingProgress}
+          >
+            Cancelar
+          </Button>
+          <Button
+            onPress={handleSaveProgress}
+            loading={savingProgress}
+            disabled={savingProgress || !progressDialog.value}
+          >
+            Guardar
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+
   // **RENDERIZAR DIÁLOGO DE CALIFICACIÓN** ⭐
   const renderRatingDialog = () => (
     <Portal>
@@ -517,11 +848,11 @@ const BookDetailScreen = ({ route, navigation }) => {
               <Text style={dynamicStyles.bookTitle}>{book.titulo}</Text>
               <Text style={dynamicStyles.bookAuthor}>{book.autor}</Text>
               
-              {book.rating && (
+              {communityRating && (
                 <View style={dynamicStyles.ratingContainer}>
                   <Icon name="star" size={20} color="#FFD700" />
                   <Text style={dynamicStyles.ratingText}>
-                    {book.rating} ({book.ratingsCount || 0} reseñas)
+                    {communityRating.promedio} ({communityRating.total} reseñas)
                   </Text>
                 </View>
               )}
@@ -558,6 +889,9 @@ const BookDetailScreen = ({ route, navigation }) => {
           {/* Estados de lectura */}
           {renderStatusButtons()}
 
+          {/* Progreso de lectura */}
+          {renderReadingProgress()}
+
           {/* Sinopsis */}
           {book.sinopsis && (
             <>
@@ -566,6 +900,9 @@ const BookDetailScreen = ({ route, navigation }) => {
             </>
           )}
 
+          {/* Calificaciones de lectores */}
+          {renderRatingSummary()}
+
           {/* Detalles del libro */}
           <Text style={dynamicStyles.sectionTitle}>Detalles</Text>
           <View style={dynamicStyles.detailsGrid}>
@@ -657,6 +994,7 @@ const BookDetailScreen = ({ route, navigation }) => {
 
       {/* Diálogos */}
       {renderRatingDialog()}
+      {renderProgressDialog()}
     </SafeAreaView>
   );
 };
@@ -0,0 +1,536 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
+import {
+  Text,
+  Button,
+  TextInput,
+  IconButton,
+  Portal,
+  Dialog,
+  Avatar,
+  Card,
+  Chip,
+  Divider
+} from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import { firestoreService } from '../../services/firebase/firestoreService';
+import { useReviewComments } from '../../hooks/useFirestoreSubscriptions';
+import { APP_CONFIG } from '../../constants/firebase';
+import ReviewText from '../../components/reviews/ReviewText';
+
+import {
+  LoadingSpinner,
+  ErrorState
+} from '../../components/common';
+
+/**
+ * **PANTALLA DE COMENTARIOS DE RESEÑA EDUCATIVA** 💬
+ *
+ * Hilo de comentarios de una reseña pública que demuestra:
+ * - Comentarios en tiempo real (subcolección de la reseña)
+ * - Respuestas de un solo nivel
+ * - Edición con historial visible
+ * - Eliminación que conserva las respuestas del hilo
+ * - Autores resueltos desde `publicProfiles`
+ *
+ * Conceptos educativos demostrados:
+ * - Datos jerárquicos en una lista plana
+ * - Un mismo campo de texto para comentar, responder y editar
+ * - Confirmaciones antes de acciones destructivas
+ */
+
+// Fechas de Firestore (Timestamp), Date o texto ISO
+const formatCommentDate = (value) => {
+  if (!value) return 'Ahora';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const ReviewCommentsScreen = ({ route, navigation }) => {
+  const { review } = route.params;
+  const theme = useTheme();
+  const { user } = useAuth();
+  const { showSuccess, showError } = useToast();
+
+  const { data: threads, loading, error, resubscribe } = useReviewComments(review.id);
+
+  // **ESTADO LOCAL** 📊
+  const [authors, setAuthors] = useState({});
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [historyComment, setHistoryComment] = useState(null);
+  const [commentToDelete, setCommentToDelete] = useState(null);
+
+  const maxCharacters = APP_CONFIG.VALIDATION.COMMENT_MAX_LENGTH;
+
+  const commentCount = useMemo(
+    () => (threads || []).reduce((total, thread) => total + 1 + thread.respuestas.length, 0),
+    [threads]
+  );
+
+  // **ESTILOS DINÁMICOS** 🎨
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.customColors.background.primary,
+    },
+    content: {
+      padding: theme.spacing.lg,
+    },
+    reviewCard: {
+      marginBottom: theme.spacing.lg,
+    },
+    reviewHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: theme.spacing.sm,
+    },
+    reviewerName: {
+      flex: 1,
+      marginLeft: theme.spacing.md,
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+    },
+    stars: {
+      flexDirection: 'row',
+      marginBottom: theme.spacing.sm,
+    },
+    reviewText: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      lineHeight: 20,
+    },
+    sectionTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.md,
+    },
+    comment: {
+      flexDirection: 'row',
+      paddingVertical: theme.spacing.sm,
+    },
+    reply: {
+      marginLeft: theme.spacing.xxl,
+    },
+    commentBody: {
+      flex: 1,
+      marginLeft: theme.spacing.sm,
+    },
+    commentHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+    },
+    authorName: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+      marginRight: theme.spacing.sm,
+    },
+    commentMeta: {
+      fontSize: 11,
+      color: theme.customColors.text.secondary,
+    },
+    editedLabel: {
+      fontSize: 11,
+      color: theme.customColors.primary,
+      marginLeft: theme.spacing.xs,
+    },
+    commentText: {
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+      lineHeight: 20,
+      marginTop: 2,
+    },
+    deletedText: {
+      fontSize: 14,
+      fontStyle: 'italic',
+      color: theme.customColors.text.secondary,
+      marginTop: 2,
+    },
+    commentActions: {
+      flexDirection: 'row',
+      marginLeft: -theme.spacing.sm,
+    },
+    composer: {
+      padding: theme.spacing.md,
+      backgroundColor: theme.customColors.background.card,
+      borderTopWidth: 1,
+      borderTopColor: theme.customColors.border.light,
+    },
+    composerContext: {
+      alignSelf: 'flex-start',
+      marginBottom: theme.spacing.sm,
+    },
+    composerRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    input: {
+      flex: 1,
+      maxHeight: 120,
+      backgroundColor: theme.customColors.background.card,
+    },
+    charCounter: {
+      fontSize: 11,
+      textAlign: 'right',
+      color: theme.customColors.text.secondary,
+    },
+    charCounterError: {
+      color: theme.customColors.error,
+    },
+    historyItem: {
+      paddingVertical: theme.spacing.sm,
+    },
+    emptyState: {
+      alignItems: 'center',
+      padding: theme.spacing.xl,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      marginTop: theme.spacing.sm,
+    },
+    loadingContainer: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+  });
+
+  // **CARGAR AUTORES** 👤
+  // getUserSummaries solo lee los perfiles que no tiene en caché; al
+  // estado se agregan los que faltan
+  useEffect(() => {
+    if (!threads) return undefined;
+
+    const userIds = [...new Set(threads
+      .flatMap(thread => [thread, ...thread.respuestas])
+      .map(comment => comment.userId))];
+    let cancelled = false;
+
+    firestoreService.getUserSummaries(userIds).then(result => {
+      if (cancelled || !result.success) return;
+
+      setAuthors(prev => {
+        const missing = userIds.filter(userId => !prev[userId]);
+        if (missing.length === 0) return prev;
+
+        const next = { ...prev };
+        missing.forEach(userId => { next[userId] = result.data[userId]; });
+        return next;
+      });
+    });
+
+    return () => { cancelled = true; };
+  }, [threads]);
+
+  // **PREPARAR RESPUESTA O EDICIÓN** ↩️✏️
+  const startReply = useCallback((comment) => {
+    setEditing(null);
+    setReplyTo(comment);
+    setText('');
+  }, []);
+
+  const startEdit = useCallback((comment) => {
+    setReplyTo(null);
+    setEditing(comment);
+    setText(comment.texto);
+  }, []);
+
+  const resetComposer = useCallback(() => {
+    setReplyTo(null);
+    setEditing(null);
+    setText('');
+  }, []);
+
+  // **ENVIAR COMENTARIO** 📤
+  const handleSend = useCallback(async () => {
+    if (!text.trim() || sending) return;
+
+    setSending(true);
+    const result = editing
+      ? await firestoreService.updateReviewComment(review.id, editing.id, user.uid, text)
+      : await firestoreService.addReviewComment(review.id, user.uid, {
+        texto: text,
+        parentId: replyTo?.id || null
+      });
+    setSending(false);
+
+    if (result.success) {
+      resetComposer();
+      if (editing) showSuccess('Comentario actualizado');
+    } else {
+      showError(result.error);
+    }
+  }, [text, sending, editing, replyTo, review.id, user.uid, resetComposer, showSuccess, showError]);
+
+  // **ELIMINAR COMENTARIO** 🗑️
+  const handleDelete = useCallback(async () => {
+    const comment = commentToDelete;
+    setCommentToDelete(null);
+    if (!comment) return;
+
+    const result = await firestoreService.deleteReviewComment(review.id, comment.id, user.uid);
+    if (result.success) {
+      if (editing?.id === comment.id || replyTo?.id === comment.id) resetComposer();
+      showSuccess('Comentario eliminado');
+    } else {
+      showError(result.error);
+    }
+  }, [commentToDelete, editing, replyTo, review.id, user.uid, resetComposer, showSuccess, showError]);
+
+  // **ABRIR PERFIL DEL AUTOR** 👤
+  const openProfile = useCallback((userId, nombre) => {
+    navigation.navigate('PublicProfile', { userId, nombre });
+  }, [navigation]);
+
+  // **RENDERIZAR AVATAR** 👤
+  const renderAvatar = (author, size) => (
+    author?.fotoPerfilUrl
+      ? <Avatar.Image size={size} source={{ uri: author.fotoPerfilUrl }} />
+      : <Avatar.Text size={size} label={(author?.nombre || 'U').charAt(0).toUpperCase()} />
+  );
+
+  // **RENDERIZAR COMENTARIO** 💬
+  const renderComment = (comment, isReply = false) => {
+    const author = authors[comment.userId];
+    const isOwn = comment.userId === user.uid;
+
+    return (
+      <View key={comment.id} style={[dynamicStyles.comment, isReply && dynamicStyles.reply]}>
+        {renderAvatar(comment.eliminado ? null : author, isReply ? 28 : 36)}
+        <View style={dynamicStyles.commentBody}>
+          <View style={dynamicStyles.commentHeader}>
+            {!comment.eliminado && (
+              <Text
+                style={dynamicStyles.authorName}
+                onPress={() => openProfile(comment.userId, author?.nombre)}
+                accessibilityRole="link"
+              >
+                {author?.nombre || 'Usuario'}
+              </Text>
+            )}
+            <Text style={dynamicStyles.commentMeta}>{formatCommentDate(comment.fechaCreacion)}</Text>
+            {comment.editado && !comment.eliminado && (
+              <Text
+                style={dynamicStyles.editedLabel}
+                onPress={() => setHistoryComment(comment)}
+                accessibilityRole="button"
+                accessibilityLabel="Ver historial de ediciones"
+              >
+                · editado
+              </Text>
+            )}
+          </View>
+
+          {comment.eliminado ? (
+            <Text style={dynamicStyles.deletedText}>Comentario eliminado</Text>
+          ) : (
+            <Text style={dynamicStyles.commentText}>{comment.texto}</Text>
+          )}
+
+          {!comment.eliminado && (
+            <View style={dynamicStyles.commentActions}>
+              <Button compact onPress={() => startReply(comment)}>Responder</Button>
+              {isOwn && <Button compact onPress={() => startEdit(comment)}>Editar</Button>}
+              {isOwn && (
+                <Button
+                  compact
+                  textColor={theme.customColors.error}
+                  onPress={() => setCommentToDelete(comment)}
+                >
+                  Eliminar
+                </Button>
+              )}
+            </View>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  // **RENDERIZAR RESEÑA** ⭐
+  const renderReview = () => (
+    <Card style={dynamicStyles.reviewCard}>
+      <Card.Content>
+        <View style={dynamicStyles.reviewHeader}>
+          <Avatar.Text size={36} label={(review.userName || 'U').charAt(0).toUpperCase()} />
+          <Text
+            style={dynamicStyles.reviewerName}
+            onPress={() => openProfile(review.userId, review.userName)}
+            accessibilityRole="link"
+          >
+            {review.userName || 'Usuario'}
+          </Text>
+        </View>
+        <View style={dynamicStyles.stars}>
+          {[1, 2, 3, 4, 5].map((star) => (
+            <Icon
+              key={star}
+              name={star <= review.calificacion ? 'star' : 'star-outline'}
+              size={16}
+              color="#FFD700"
+              style={{ marginRight: 2 }}
+            />
+          ))}
+        </View>
+        <ReviewText text={review.texto} style={dynamicStyles.reviewText} />
+      </Card.Content>
+    </Card>
+  );
+
+  // **RENDERIZAR HILOS** 🧵
+  const renderThreads = () => {
+    if (loading && !threads) {
+      return <LoadingSpinner size="small" />;
+    }
+
+    if (!threads || threads.length === 0) {
+      return (
+        <View style={dynamicStyles.emptyState}>
+          <Icon name="comment-outline" size={40} color={theme.customColors.text.secondary} />
+          <Text style={dynamicStyles.emptyText}>Todavía no hay comentarios. ¡Empieza la conversación!</Text>
+        </View>
+      );
+    }
+
+    return threads.map((thread, index) => (
+      <View key={thread.id}>
+        {index > 0 && <Divider />}
+        {renderComment(thread)}
+        {thread.respuestas.map(reply => renderComment(reply, true))}
+      </View>
+    ));
+  };
+
+  // **RENDERIZAR CAMPO DE TEXTO** ✍️
+  const renderComposer = () => {
+    const tooLong = text.trim().length > maxCharacters;
+
+    return (
+      <View style={dynamicStyles.composer}>
+        {(replyTo || editing) && (
+          <Chip
+            icon={editing ? 'pencil' : 'reply'}
+            onClose={resetComposer}
+            style={dynamicStyles.composerContext}
+          >
+            {editing
+              ? 'Editando comentario'
+              : `Respondiendo a ${authors[replyTo.userId]?.nombre || 'Usuario'}`}
+          </Chip>
+        )}
+        <View style={dynamicStyles.composerRow}>
+          <TextInput
+            style={dynamicStyles.input}
+            mode="outlined"
+            dense
+            placeholder={replyTo ? 'Escribe tu respuesta...' : 'Escribe un comentario...'}
+            value={text}
+            onChangeText={setText}
+            multiline
+            maxLength={maxCharacters + 50} // Permitir exceder para mostrar error
+          />
+          <IconButton
+            icon="send"
+            iconColor={theme.customColors.primary}
+            onPress={handleSend}
+            disabled={!text.trim() || tooLong || sending}
+            accessibilityLabel="Enviar comentario"
+          />
+        </View>
+        {text.length > 0 && (
+          <Text style={[dynamicStyles.charCounter, tooLong && dynamicStyles.charCounterError]}>
+            {text.trim().length}/{maxCharacters}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  // **RENDERIZAR DIÁLOGOS** 💭
+  const renderHistoryDialog = () => (
+    <Portal>
+      <Dialog visible={!!historyComment} onDismiss={() => setHistoryComment(null)}>
+        <Dialog.Title>Historial de ediciones</Dialog.Title>
+        <Dialog.ScrollArea>
+          <ScrollView>
+            {(historyComment?.historial || []).slice().reverse().map((entry, index) => (
+              <View key={index} style={dynamicStyles.historyItem}>
+                <Text style={dynamicStyles.commentMeta}>
+                  Versión reemplazada el {formatCommentDate(entry.fecha)}
+                </Text>
+                <Text style={dynamicStyles.commentText}>{entry.texto}</Text>
+              </View>
+            ))}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={() => setHistoryComment(null)}>Cerrar</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+
+  const renderDeleteDialog = () => (
+    <Portal>
+      <Dialog visible={!!commentToDelete} onDismiss={() => setCommentToDelete(null)}>
+        <Dialog.Title>Eliminar comentario</Dialog.Title>
+        <Dialog.Content>
+          <Text>¿Seguro que quieres eliminar este comentario? Esta acción no se puede deshacer.</Text>
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={() => setCommentToDelete(null)}>Cancelar</Button>
+          <Button onPress={handleDelete} textColor={theme.customColors.error}>Eliminar</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+
+  // **RENDERIZAR ESTADO DE ERROR** ❌
+  if (error && !threads) {
+    return (
+      <SafeAreaView style={dynamicStyles.container}>
+        <View style={dynamicStyles.loadingContainer}>
+          <ErrorState onRetry={resubscribe} error={error} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  // **RENDERIZAR CONTENIDO PRINCIPAL** 🏗️
+  return (
+    <SafeAreaView style={dynamicStyles.container} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView contentContainerStyle={dynamicStyles.content} keyboardShouldPersistTaps="handled">
+          {renderReview()}
+          <Text style={dynamicStyles.sectionTitle}>
+            Comentarios{commentCount > 0 ? ` (${commentCount})` : ''}
+          </Text>
+          {renderThreads()}
+        </ScrollView>
+
+        {renderComposer()}
+      </KeyboardAvoidingView>
+
+      {renderHistoryDialog()}
+      {renderDeleteDialog()}
+    </SafeAreaView>
+  );
+};
+
+export default ReviewCommentsScreen;
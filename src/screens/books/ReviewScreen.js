@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform, Pressable } from 'react-native';
 import { 
   Text, 
   Surface, 
@@ -9,7 +9,10 @@ import {
   Dialog,
   Avatar,
   Divider,
-  Card
+  Card,
+  Chip,
+  SegmentedButtons,
+  IconButton
 } from 'react-native-paper';
 import { useTheme } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
@@ -19,6 +22,11 @@ import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
 import { firestoreService } from '../../services/firebase/firestoreService';
+import { localStorageService } from '../../services/storage/localStorageService';
+import { APP_CONFIG } from '../../constants/firebase';
+import { reviewMarkupParser } from '../../services/reviews/reviewMarkupParser';
+import ReviewText from '../../components/reviews/ReviewText';
+import { useFollowing } from '../../hooks/useFirestoreSubscriptions';
 
 import { 
   LoadingSpinner, 
@@ -31,10 +39,11 @@ import {
  * 
  * Pantalla para escribir y gestionar reseñas de libros que demuestra:
  * - Sistema de calificaciones con estrellas
- * - Editor de texto para reseñas con validación
+ * - Editor de texto para reseñas con formato (negrita, citas, spoilers...)
  * - Vista previa de la reseña antes de publicar
+ * - Borradores guardados en el dispositivo mientras se escribe
  * - Gestión de reseñas existentes (editar/eliminar)
- * - Lista de reseñas de otros usuarios
+ * - Lista de reseñas de otros usuarios (con opción de seguir a su autor)
  * - Estados de carga y validación
  * 
  * Conceptos educativos demostrados:
@@ -46,25 +55,123 @@ import {
  * - Responsive design para diferentes tamaños de pantalla
  */
 
+// **ORDEN DE OTRAS RESEÑAS** 🔀
+const REVIEW_SORT_OPTIONS = [
+  { value: 'helpful', label: 'Útiles' },
+  { value: 'newest', label: 'Recientes' },
+  { value: 'highest', label: 'Mejores' },
+  { value: 'lowest', label: 'Peores' }
+];
+
+const REVIEWS_PAGE_SIZE = 10;
+
+// **BARRA DE FORMATO** ✍️
+// `wrap` envuelve la selección; `line` antepone el prefijo a cada línea
+const FORMAT_ACTIONS = [
+  { key: 'bold', icon: 'format-bold', label: 'Negrita', wrap: '**' },
+  { key: 'italic', icon: 'format-italic', label: 'Cursiva', wrap: '*' },
+  { key: 'quote', icon: 'format-quote-close', label: 'Cita', line: '> ' },
+  { key: 'list', icon: 'format-list-bulleted', label: 'Lista', line: '- ' },
+  { key: 'spoiler', icon: 'eye-off-outline', label: 'Spoiler', wrap: '||' }
+];
+
+// Espera desde la última tecla antes de guardar el borrador
+const DRAFT_AUTOSAVE_DELAY = 1000;
+
+const REVIEW_MIN_LENGTH = APP_CONFIG.VALIDATION.REVIEW_MIN_LENGTH;
+const REVIEW_MAX_MARKUP_LENGTH = APP_CONFIG.VALIDATION.REVIEW_MAX_MARKUP_LENGTH;
+
+// Aplica una acción de formato al texto y retorna el texto y la nueva selección
+const applyFormatAction = (text, selection, action) => {
+  const { start, end } = selection;
+  const selected = text.slice(start, end);
+
+  if (action.line) {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const block = text.slice(lineStart, end);
+    const formatted = block.split('\n').map(line => `${action.line}${line}`).join('\n');
+    const next = text.slice(0, lineStart) + formatted + text.slice(end);
+    const cursor = lineStart + formatted.length;
+    return { text: next, selection: { start: cursor, end: cursor } };
+  }
+
+  // Un spoiler de varias líneas va con `||` en líneas propias
+  const [open, close] = action.key === 'spoiler' && selected.includes('\n')
+    ? ['\n||\n', '\n||\n']
+    : [action.wrap, action.wrap];
+  const next = text.slice(0, start) + open + selected + close + text.slice(end);
+  return {
+    text: next,
+    selection: { start: start + open.length, end: start + open.length + selected.length }
+  };
+};
+
+// Fechas de Firestore (Timestamp) o texto ISO de reseñas antiguas
+const formatReviewDate = (value) => {
+  if (!value) return '';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+};
+
+// Aplica el cambio de voto a los contadores mostrados (actualización optimista)
+const applyVoteToReview = (review, from, to) => {
+  const reacciones = { ...review.reacciones };
+  if (from.reaccion) reacciones[from.reaccion] = Math.max((reacciones[from.reaccion] || 0) - 1, 0);
+  if (to.reaccion) reacciones[to.reaccion] = (reacciones[to.reaccion] || 0) + 1;
+
+  return {
+    ...review,
+    votosUtiles: Math.max(review.votosUtiles + (to.util ? 1 : 0) - (from.util ? 1 : 0), 0),
+    reacciones
+  };
+};
+
+// Un borrador vale la pena si tiene algo y difiere de la reseña publicada
+const isMeaningfulDraft = (draft, review) => {
+  if (!draft.texto.trim() && !draft.calificacion) return false;
+  if (!review) return true;
+  return draft.texto.trim() !== (review.texto || '') ||
+    draft.calificacion !== (review.calificacion || 0) ||
+    draft.esPrivada !== !!review.esPrivada;
+};
+
 const ReviewScreen = ({ route, navigation }) => {
-  const { book, fromLibrary = false, existingReview = null } = route.params;
+  const { book, fromLibrary = false, existingReview: initialReview = null } = route.params;
   const theme = useTheme();
   const { user, userProfile } = useAuth();
   const { showSuccess, showError } = useToast();
 
   // **ESTADO LOCAL** 📊
-  const [loading, setLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
-  const [rating, setRating] = useState(existingReview?.calificacion || 0);
-  const [reviewText, setReviewText] = useState(existingReview?.texto || '');
-  const [isPrivate, setIsPrivate] = useState(existingReview?.esPrivada || false);
+  const [existingReview, setExistingReview] = useState(initialReview);
+  const [rating, setRating] = useState(initialReview?.calificacion || 0);
+  const [reviewText, setReviewText] = useState(initialReview?.texto || '');
+  const [isPrivate, setIsPrivate] = useState(initialReview?.esPrivada || false);
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
+  const [pendingDraft, setPendingDraft] = useState(null);
+  const [draftReady, setDraftReady] = useState(false);
+  const draftTimer = useRef(null);
+  const unsavedDraft = useRef(null);
   const [showPreview, setShowPreview] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [otherReviews, setOtherReviews] = useState([]);
+  const [sortBy, setSortBy] = useState('helpful');
+  const [hasMoreReviews, setHasMoreReviews] = useState(false);
+  const [loadingReviews, setLoadingReviews] = useState(false);
+  const [votes, setVotes] = useState({});
+  const reviewsCursor = useRef(null);
   const [error, setError] = useState(null);
 
+  // Lectores seguidos, para el botón "Seguir" de cada reseña
+  const { data: followingIds } = useFollowing(user.uid);
+  const [followBusy, setFollowBusy] = useState(null);
+
   const isEditing = !!existingReview;
-  const maxCharacters = 1000;
+  const maxCharacters = APP_CONFIG.VALIDATION.REVIEW_MAX_LENGTH;
+
+  // El límite se mide sobre lo que se lee, no sobre las marcas de formato
+  const visibleLength = useMemo(() => reviewMarkupParser.getVisibleLength(reviewText), [reviewText]);
 
   // **ESTILOS DINÁMICOS** 🎨
   const dynamicStyles = StyleSheet.create({
@@ -137,8 +244,23 @@ const ReviewScreen = ({ route, navigation }) => {
       textAlign: 'right',
       fontSize: 12,
       color: theme.customColors.text.secondary,
+    },
+    counterRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'flex-start',
       marginBottom: theme.spacing.lg,
     },
+    formatHint: {
+      flex: 1,
+      fontSize: 11,
+      color: theme.customColors.text.secondary,
+      marginRight: theme.spacing.sm,
+    },
+    formatBar: {
+      flexDirection: 'row',
+      marginBottom: -theme.spacing.xs,
+    },
     charCounterWarning: {
       color: theme.customColors.warning,
     },
@@ -168,6 +290,11 @@ const ReviewScreen = ({ route, navigation }) => {
       alignItems: 'center',
       marginBottom: theme.spacing.md,
     },
+    reviewerLink: {
+      flex: 1,
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
     reviewerInfo: {
       flex: 1,
       marginLeft: theme.spacing.md,
@@ -197,6 +324,33 @@ const ReviewScreen = ({ route, navigation }) => {
     reviewItem: {
       marginBottom: theme.spacing.md,
     },
+    sortButtons: {
+      marginBottom: theme.spacing.md,
+    },
+    voteRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      marginTop: theme.spacing.sm,
+    },
+    reactions: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: theme.spacing.xs,
+      marginLeft: theme.spacing.sm,
+    },
+    reactionChip: {
+      backgroundColor: theme.customColors.background.secondary,
+    },
+    draftExcerpt: {
+      marginTop: theme.spacing.md,
+      fontStyle: 'italic',
+      color: theme.customColors.text.secondary,
+    },
+    commentsButton: {
+      alignSelf: 'flex-start',
+      marginTop: theme.spacing.xs,
+    },
     loadingContainer: {
       flex: 1,
       justifyContent: 'center',
@@ -214,30 +368,174 @@ const ReviewScreen = ({ route, navigation }) => {
   });
 
   // **CARGAR RESEÑAS EXISTENTES** 📥
-  const loadOtherReviews = useCallback(async () => {
+  // `reset` empieza desde la primera página; si no, continúa desde el cursor
+  const loadOtherReviews = useCallback(async ({ reset = true } = {}) => {
     try {
-      setLoading(true);
-      const result = await firestoreService.getBookReviews(book.bookId);
+      setLoadingReviews(true);
+      const result = await firestoreService.getBookReviews(book.bookId, {
+        limitCount: REVIEWS_PAGE_SIZE,
+        lastDocument: reset ? null : reviewsCursor.current,
+        sortBy
+      });
       
       if (result.success) {
         // Filtrar reseñas que no sean del usuario actual
-        const filtered = result.data.filter(review => 
-          review.userId !== user.uid && !review.esPrivada
-        );
-        setOtherReviews(filtered);
+        const page = result.data.filter(review => review.userId !== user.uid);
+        reviewsCursor.current = result.lastDocument;
+        setHasMoreReviews(result.hasMore);
+        setOtherReviews(prev => (reset ? page : [...prev, ...page]));
+
+        const votesResult = await firestoreService.getUserReviewVotes(user.uid, page.map(review => review.id));
+        if (votesResult.success) {
+          setVotes(prev => ({ ...(reset ? {} : prev), ...votesResult.data }));
+        }
       }
     } catch (error) {
       console.error('Error cargando reseñas:', error);
     } finally {
+      setLoadingReviews(false);
       setLoading(false);
     }
-  }, [book.bookId, user.uid]);
+  }, [book.bookId, user.uid, sortBy]);
 
   // **EFECTOS** ⚡
   useEffect(() => {
     loadOtherReviews();
   }, [loadOtherReviews]);
 
+  // **SEGUIR AL AUTOR DE UNA RESEÑA** 👥
+  const handleToggleFollow = useCallback(async (authorId, authorName) => {
+    const isFollowing = (followingIds || []).includes(authorId);
+    setFollowBusy(authorId);
+
+    const result = isFollowing
+      ? await firestoreService.unfollowUser(user.uid, authorId)
+      : await firestoreService.followUser(user.uid, authorId);
+
+    setFollowBusy(null);
+    if (result.success) {
+      showSuccess(isFollowing ? `Dejaste de seguir a ${authorName}` : `Ahora sigues a ${authorName}`);
+    } else {
+      showError(result.error);
+    }
+  }, [followingIds, user.uid, showSuccess, showError]);
+
+  // **VOTAR RESEÑA** 👍
+  const handleVote = useCallback(async (review, changes) => {
+    const previous = votes[review.id] || { util: false, reaccion: null };
+    const next = { ...previous, ...changes };
+
+    const applyVote = (from, to) => {
+      setVotes(prev => ({ ...prev, [review.id]: to }));
+      setOtherReviews(prev => prev.map(item => (
+        item.id === review.id ? applyVoteToReview(item, from, to) : item
+      )));
+    };
+
+    applyVote(previous, next);
+
+    const result = await firestoreService.setReviewVote(review.id, user.uid, next);
+    if (!result.success) {
+      applyVote(next, previous);
+      showError(result.error);
+    }
+  }, [votes, user.uid, showError]);
+
+  // **RESEÑA EXISTENTE Y BORRADOR** 📝
+  // Cada usuario tiene una sola reseña por libro: si ya existe, se edita.
+  // Después se busca un borrador y, si difiere, se ofrece recuperarlo.
+  useEffect(() => {
+    let active = true;
+
+    const loadReviewAndDraft = async () => {
+      let review = initialReview;
+      if (!review) {
+        const result = await firestoreService.getUserReviewForBook(user.uid, book.bookId);
+        if (result.success && active) {
+          review = result.data;
+          setExistingReview(result.data);
+          setRating(result.data.calificacion || 0);
+          setReviewText(result.data.texto);
+          setIsPrivate(result.data.esPrivada);
+        }
+      }
+
+      const draftResult = await localStorageService.getReviewDraft(user.uid, book.bookId);
+      if (!active) return;
+
+      if (draftResult.success && isMeaningfulDraft(draftResult.data, review)) {
+        setPendingDraft(draftResult.data);
+      } else {
+        if (draftResult.success) localStorageService.clearReviewDraft(user.uid, book.bookId);
+        setDraftReady(true);
+      }
+    };
+
+    loadReviewAndDraft();
+    return () => {
+      active = false;
+    };
+  }, [initialReview, user.uid, book.bookId]);
+
+  // **GUARDAR O DESCARTAR BORRADOR** 💾
+  const persistDraft = useCallback((draft) => {
+    unsavedDraft.current = null;
+    if (draft.meaningful) {
+      const { meaningful, ...data } = draft;
+      return localStorageService.saveReviewDraft(user.uid, book.bookId, data);
+    }
+    return localStorageService.clearReviewDraft(user.uid, book.bookId);
+  }, [user.uid, book.bookId]);
+
+  const discardDraft = useCallback(() => {
+    clearTimeout(draftTimer.current);
+    unsavedDraft.current = null;
+    return localStorageService.clearReviewDraft(user.uid, book.bookId);
+  }, [user.uid, book.bookId]);
+
+  // **AUTOGUARDADO** ⏱️
+  // No empieza hasta que el usuario decide qué hacer con un borrador previo
+  useEffect(() => {
+    if (!draftReady) return undefined;
+
+    const draft = {
+      calificacion: rating,
+      texto: reviewText,
+      esPrivada: isPrivate,
+      book: {
+        bookId: book.bookId,
+        titulo: book.titulo,
+        autor: book.autor,
+        portadaUrl: book.portadaUrl || null
+      }
+    };
+    draft.meaningful = isMeaningfulDraft(draft, existingReview);
+    unsavedDraft.current = draft;
+
+    draftTimer.current = setTimeout(() => persistDraft(draft), DRAFT_AUTOSAVE_DELAY);
+    return () => clearTimeout(draftTimer.current);
+  }, [draftReady, rating, reviewText, isPrivate, existingReview, book, persistDraft]);
+
+  // Al salir de la pantalla se guarda lo que quedó pendiente del debounce
+  useEffect(() => () => {
+    if (unsavedDraft.current) persistDraft(unsavedDraft.current);
+  }, [persistDraft]);
+
+  // **RECUPERAR O DESCARTAR BORRADOR PREVIO** ♻️
+  const handleRestoreDraft = useCallback(() => {
+    setRating(pendingDraft.calificacion || 0);
+    setReviewText(pendingDraft.texto || '');
+    setIsPrivate(!!pendingDraft.esPrivada);
+    setPendingDraft(null);
+    setDraftReady(true);
+  }, [pendingDraft]);
+
+  const handleDiscardDraft = useCallback(async () => {
+    setPendingDraft(null);
+    await discardDraft();
+    setDraftReady(true);
+  }, [discardDraft]);
+
   // **VALIDAR FORMULARIO** ✅
   const validateForm = useCallback(() => {
     if (rating === 0) {
@@ -245,18 +543,30 @@ const ReviewScreen = ({ route, navigation }) => {
       return false;
     }
     
-    if (reviewText.trim().length < 10) {
-      showError('La reseña debe tener al menos 10 caracteres');
+    if (visibleLength < REVIEW_MIN_LENGTH) {
+      showError(`La reseña debe tener al menos ${REVIEW_MIN_LENGTH} caracteres`);
       return false;
     }
     
-    if (reviewText.length > maxCharacters) {
+    if (visibleLength > maxCharacters) {
       showError(`La reseña no puede exceder ${maxCharacters} caracteres`);
       return false;
     }
+
+    if (reviewText.length > REVIEW_MAX_MARKUP_LENGTH) {
+      showError('La reseña tiene demasiado formato; simplifica las marcas');
+      return false;
+    }
     
     return true;
-  }, [rating, reviewText, showError]);
+  }, [rating, visibleLength, maxCharacters, reviewText, showError]);
+
+  // **APLICAR FORMATO** ✍️
+  const handleFormat = useCallback((action) => {
+    const result = applyFormatAction(reviewText, selection, action);
+    setReviewText(result.text);
+    setSelection(result.selection);
+  }, [reviewText, selection]);
 
   // **GUARDAR RESEÑA** 💾
   const handleSaveReview = useCallback(async () => {
@@ -271,17 +581,15 @@ const ReviewScreen = ({ route, navigation }) => {
         calificacion: rating,
         texto: reviewText.trim(),
         esPrivada: isPrivate,
-        fechaCreacion: existingReview?.fechaCreacion || new Date().toISOString(),
-        fechaActualizacion: new Date().toISOString(),
         
+
         // Información del libro para facilitar consultas
         bookTitle: book.titulo,  // Cambio de libroTitulo a bookTitle
         bookAuthor: book.autor,  // Cambio de libroAutor a bookAuthor
         bookCover: book.portadaUrl,  // Cambio de libroPortada a bookCover
         
         // Información del usuario
-        userName: userProfile?.nombre || user.displayName || 'Usuario',  // Cambio de usuarioNombre a userName
-        userEmail: user.email  // Cambio de usuarioEmail a userEmail
+        userName: userProfile?.nombre || user.displayName || 'Usuario'  // Cambio de usuarioNombre a userName
       };
 
       let result;
@@ -292,6 +600,8 @@ const ReviewScreen = ({ route, navigation }) => {
       }
 
       if (result.success) {
+        await discardDraft();
+
         // También actualizar la calificación en la librería del usuario
         await firestoreService.updateBookInLibrary(user.uid, book.bookId, {
           calificacionUsuario: rating,
@@ -304,13 +614,19 @@ const ReviewScreen = ({ route, navigation }) => {
         throw new Error(result.error);
       }
     } catch (error) {
-      showError('Error guardando reseña');
+      // El borrador queda en el dispositivo para reintentar más tarde
+      if (unsavedDraft.current) {
+        clearTimeout(draftTimer.current);
+        persistDraft(unsavedDraft.current);
+      }
+      showError(`${error.message || 'Error guardando reseña'}. Tu borrador quedó guardado.`);
     } finally {
       setSaving(false);
     }
   }, [
     validateForm, rating, reviewText, isPrivate, book, user, userProfile,
-    existingReview, isEditing, showSuccess, showError, navigation
+    existingReview, isEditing, showSuccess, showError, navigation,
+    discardDraft, persistDraft
   ]);
 
   // **ELIMINAR RESEÑA** 🗑️
@@ -322,6 +638,7 @@ const ReviewScreen = ({ route, navigation }) => {
       const result = await firestoreService.deleteReview(existingReview.id);
       
       if (result.success) {
+        await discardDraft();
         showSuccess('Reseña eliminada');
         navigation.goBack();
       } else {
@@ -332,11 +649,11 @@ const ReviewScreen = ({ route, navigation }) => {
     } finally {
       setSaving(false);
     }
-  }, [existingReview, showSuccess, showError, navigation]);
+  }, [existingReview, showSuccess, showError, navigation, discardDraft]);
 
   // **OBTENER COLOR DEL CONTADOR** 🎨
   const getCharCounterStyle = () => {
-    const remaining = maxCharacters - reviewText.length;
+    const remaining = maxCharacters - visibleLength;
     if (remaining < 0) return dynamicStyles.charCounterError;
     if (remaining < 50) return dynamicStyles.charCounterWarning;
     return null;
@@ -382,7 +699,7 @@ const ReviewScreen = ({ route, navigation }) => {
                 </Text>
               </View>
               
-              <Text style={dynamicStyles.reviewText}>{reviewText}</Text>
+              <ReviewText text={reviewText} style={dynamicStyles.reviewText} />
               
               {isPrivate && (
                 <View style={{ 
@@ -413,6 +730,32 @@ const ReviewScreen = ({ route, navigation }) => {
     </Portal>
   );
 
+  // **RENDERIZAR DIÁLOGO DE BORRADOR** 📝
+  const renderDraftDialog = () => (
+    <Portal>
+      <Dialog visible={!!pendingDraft} dismissable={false}>
+        <Dialog.Icon icon="file-document-edit-outline" />
+        <Dialog.Title>Recuperar borrador</Dialog.Title>
+        <Dialog.Content>
+          <Text>
+            Tienes un borrador de esta reseña guardado el{' '}
+            {pendingDraft?.fechaGuardado ? new Date(pendingDraft.fechaGuardado).toLocaleString() : ''}.
+            ¿Quieres seguir desde ahí?
+          </Text>
+          {pendingDraft?.texto ? (
+            <Text style={dynamicStyles.draftExcerpt} numberOfLines={3}>
+              {reviewMarkupParser.getVisibleText(pendingDraft.texto)}
+            </Text>
+          ) : null}
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={handleDiscardDraft} textColor={theme.customColors.error}>Descartar</Button>
+          <Button onPress={handleRestoreDraft} mode="contained">Recuperar</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+
   // **RENDERIZAR DIÁLOGO DE ELIMINACIÓN** 🗑️
   const renderDeleteDialog = () => (
     <Portal>
@@ -434,7 +777,7 @@ const ReviewScreen = ({ route, navigation }) => {
 
   // **RENDERIZAR OTRAS RESEÑAS** 📝
   const renderOtherReviews = () => {
-    if (otherReviews.length === 0) {
+    if (otherReviews.length === 0 && !loadingReviews) {
       return (
         <View style={dynamicStyles.emptyState}>
           <Icon name="comment-text-outline" size={48} color={theme.customColors.text.secondary} />
@@ -449,16 +792,37 @@ const ReviewScreen = ({ route, navigation }) => {
       <Card key={review.id || index} style={dynamicStyles.reviewItem}>
         <Card.Content>
           <View style={dynamicStyles.reviewHeader}>
-            <Avatar.Text
-              size={40}
-              label={review.userName.charAt(0).toUpperCase()}
-            />
-            <View style={dynamicStyles.reviewerInfo}>
-              <Text style={dynamicStyles.reviewerName}>{review.userName}</Text>
-              <Text style={dynamicStyles.reviewDate}>
-                {new Date(review.fechaCreacion).toLocaleDateString()}
-              </Text>
-            </View>
+            <Pressable
+              style={dynamicStyles.reviewerLink}
+              onPress={() => navigation.navigate('PublicProfile', { userId: review.userId, nombre: review.userName })}
+              disabled={!review.userId}
+              accessibilityRole="link"
+              accessibilityLabel={`Ver perfil de ${review.userName || 'este lector'}`}
+            >
+              <Avatar.Text
+                size={40}
+                label={(review.userName || 'U').charAt(0).toUpperCase()}
+              />
+              <View style={dynamicStyles.reviewerInfo}>
+                <Text style={dynamicStyles.reviewerName}>{review.userName || 'Usuario'}</Text>
+                <Text style={dynamicStyles.reviewDate}>
+                  {formatReviewDate(review.fechaCreacion)}
+                </Text>
+              </View>
+            </Pressable>
+            {/* Las reseñas anonimizadas no tienen autor al que seguir */}
+            {followingIds && review.userId && (
+              <Button
+                mode={followingIds.includes(review.userId) ? 'outlined' : 'contained-tonal'}
+                icon={followingIds.includes(review.userId) ? 'account-check' : 'account-plus'}
+                compact
+                loading={followBusy === review.userId}
+                disabled={followBusy === review.userId}
+                onPress={() => handleToggleFollow(review.userId, review.userName || 'este lector')}
+              >
+                {followingIds.includes(review.userId) ? 'Siguiendo' : 'Seguir'}
+              </Button>
+            )}
           </View>
           
           <View style={dynamicStyles.reviewRating}>
@@ -478,12 +842,74 @@ const ReviewScreen = ({ route, navigation }) => {
             </Text>
           </View>
           
-          <Text style={dynamicStyles.reviewText}>{review.texto}</Text>
+          <ReviewText text={review.texto} style={dynamicStyles.reviewText} />
+
+          {renderReviewVotes(review)}
+
+          <Button
+            icon="comment-outline"
+            compact
+            style={dynamicStyles.commentsButton}
+            onPress={() => navigation.navigate('ReviewComments', { review })}
+          >
+            Comentarios{review.totalComentarios > 0 ? ` (${review.totalComentarios})` : ''}
+          </Button>
         </Card.Content>
       </Card>
     ));
   };
 
+  // **RENDERIZAR VOTOS Y REACCIONES** 👍😂
+  const renderReviewVotes = (review) => {
+    const vote = votes[review.id] || { util: false, reaccion: null };
+
+    return (
+      <View style={dynamicStyles.voteRow}>
+        <Button
+          mode={vote.util ? 'contained-tonal' : 'text'}
+          icon={vote.util ? 'thumb-up' : 'thumb-up-outline'}
+          compact
+          onPress={() => handleVote(review, { util: !vote.util })}
+          accessibilityLabel={`Marcar como útil, ${review.votosUtiles} votos`}
+        >
+          Útil{review.votosUtiles > 0 ? ` (${review.votosUtiles})` : ''}
+        </Button>
+
+        <View style={dynamicStyles.reactions}>
+          {Object.entries(APP_CONFIG.REVIEW_REACTIONS).map(([key, emoji]) => {
+            const count = review.reacciones[key] || 0;
+            return (
+              <Chip
+                key={key}
+                compact
+                selected={vote.reaccion === key}
+                showSelectedCheck={false}
+                onPress={() => handleVote(review, { reaccion: vote.reaccion === key ? null : key })}
+                style={dynamicStyles.reactionChip}
+              >
+                {count > 0 ? `${emoji} ${count}` : emoji}
+              </Chip>
+            );
+          })}
+        </View>
+      </View>
+    );
+  };
+
+  // **RENDERIZAR LISTA PAGINADA** 📃
+  const renderReviewsFooter = () => {
+    if (loadingReviews) {
+      return <LoadingSpinner size="small" />;
+    }
+    if (!hasMoreReviews) return null;
+
+    return (
+      <Button mode="outlined" onPress={() => loadOtherReviews({ reset: false })}>
+        Cargar más reseñas
+      </Button>
+    );
+  };
+
   // **RENDERIZAR ESTADO DE CARGA** ⏳
   if (loading) {
     return (
@@ -550,6 +976,17 @@ const ReviewScreen = ({ route, navigation }) => {
             </Surface>
 
             {/* Texto de la reseña */}
+            <View style={dynamicStyles.formatBar}>
+              {FORMAT_ACTIONS.map(action => (
+                <IconButton
+                  key={action.key}
+                  icon={action.icon}
+                  size={20}
+                  onPress={() => handleFormat(action)}
+                  accessibilityLabel={action.label}
+                />
+              ))}
+            </View>
             <TextInput
               style={dynamicStyles.textInput}
               mode="outlined"
@@ -557,15 +994,22 @@ const ReviewScreen = ({ route, navigation }) => {
               placeholder="Comparte tu opinión sobre este libro..."
               value={reviewText}
               onChangeText={setReviewText}
+              selection={selection}
+              onSelectionChange={(event) => setSelection(event.nativeEvent.selection)}
               multiline
               numberOfLines={6}
-              maxLength={maxCharacters + 50} // Permitir exceder para mostrar error
+              maxLength={REVIEW_MAX_MARKUP_LENGTH + 50} // Permitir exceder para mostrar error
             />
 
-            {/* Contador de caracteres */}
-            <Text style={[dynamicStyles.charCounter, getCharCounterStyle()]}>
-              {reviewText.length}/{maxCharacters} caracteres
-            </Text>
+            {/* Contador de caracteres (texto visible) */}
+            <View style={dynamicStyles.counterRow}>
+              <Text style={dynamicStyles.formatHint}>
+                **negrita** *cursiva* {'>'} cita - lista ||spoiler||
+              </Text>
+              <Text style={[dynamicStyles.charCounter, getCharCounterStyle()]}>
+                {visibleLength}/{maxCharacters} caracteres
+              </Text>
+            </View>
 
             {/* Configuración de privacidad */}
             <Surface style={{ 
@@ -602,7 +1046,7 @@ const ReviewScreen = ({ route, navigation }) => {
                 mode="outlined"
                 onPress={() => setShowPreview(true)}
                 style={dynamicStyles.button}
-                disabled={rating === 0 || reviewText.trim().length < 10}
+                disabled={rating === 0 || visibleLength < REVIEW_MIN_LENGTH}
               >
                 Vista previa
               </Button>
@@ -637,9 +1081,17 @@ const ReviewScreen = ({ route, navigation }) => {
           {/* Otras reseñas */}
           <View style={dynamicStyles.otherReviewsSection}>
             <Text style={dynamicStyles.sectionTitle}>
-              Otras reseñas ({otherReviews.length})
+              Otras reseñas
             </Text>
+            <SegmentedButtons
+              value={sortBy}
+              onValueChange={setSortBy}
+              buttons={REVIEW_SORT_OPTIONS}
+              density="small"
+              style={dynamicStyles.sortButtons}
+            />
             {renderOtherReviews()}
+            {renderReviewsFooter()}
           </View>
         </ScrollView>
       </KeyboardAvoidingView>
@@ -647,6 +1099,7 @@ const ReviewScreen = ({ route, navigation }) => {
       {/* Diálogos */}
       {renderPreview()}
       {renderDeleteDialog()}
+      {renderDraftDialog()}
     </SafeAreaView>
   );
 };
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
+import { Text, Card } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import { useAuth } from '../../context/AuthContext';
+import { authService } from '../../services/firebase/authService';
+import { PrimaryButton, TextButton } from '../../components/common';
+import {
+  EmailInput,
+  PasswordInput,
+  useInputValidation,
+  validators
+} from '../../components/forms/Input';
+
+/**
+ * **PANTALLA DE CAMBIO DE EMAIL EDUCATIVA** 📧✏️
+ *
+ * El cambio no es inmediato: Firebase envía un enlace al email nuevo
+ * y lo aplica cuando el usuario lo abre. Hasta entonces se sigue
+ * entrando con el email actual.
+ */
+
+const ChangeEmailScreen = ({ navigation }) => {
+  const theme = useTheme();
+  const { user } = useAuth();
+
+  const newEmail = useInputValidation('', [
+    validators.required('Ingresa el nuevo email'),
+    validators.email()
+  ]);
+
+  const currentPassword = useInputValidation('', [
+    validators.required('Ingresa tu contraseña actual')
+  ]);
+
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [sentTo, setSentTo] = useState(null);
+
+  const canSend = newEmail.value && !newEmail.error && currentPassword.value;
+
+  // **ESTILOS DINÁMICOS** 🎨
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.customColors.background.primary,
+    },
+    content: {
+      padding: theme.spacing.lg,
+    },
+    intro: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      lineHeight: 20,
+      marginBottom: theme.spacing.md,
+    },
+    currentEmail: {
+      fontSize: 16,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.md,
+    },
+    inputContainer: {
+      marginBottom: theme.spacing.md,
+    },
+    error: {
+      fontSize: 14,
+      color: theme.customColors.error,
+      marginBottom: theme.spacing.md,
+    },
+    sent: {
+      alignItems: 'center',
+      paddingVertical: theme.spacing.md,
+    },
+    sentTitle: {
+      fontSize: 18,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+      marginTop: theme.spacing.md,
+      marginBottom: theme.spacing.sm,
+    },
+    sentText: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      lineHeight: 20,
+      marginBottom: theme.spacing.md,
+    }
+  });
+
+  // **ENVIAR ENLACE** 📨
+  const handleSend = async () => {
+    setSending(true);
+    setError(null);
+
+    const result = await authService.changeEmail(currentPassword.value, newEmail.value);
+
+    setSending(false);
+    if (result.success) {
+      setSentTo(result.data.email);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  // **RENDERIZAR CONFIRMACIÓN** ✅
+  const renderSent = () => (
+    <View style={dynamicStyles.sent}>
+      <Icon name="email-check-outline" size={56} color={theme.customColors.primary} />
+      <Text style={dynamicStyles.sentTitle}>Revisa tu correo</Text>
+      <Text style={dynamicStyles.sentText}>
+        Enviamos un enlace a {sentTo}. Cuando lo abras, ese será tu email y tendrás que iniciar sesión de nuevo con él.
+      </Text>
+      <TextButton onPress={() => navigation.goBack()}>Volver al perfil</TextButton>
+    </View>
+  );
+
+  // **RENDERIZAR FORMULARIO** 📝
+  const renderForm = () => (
+    <>
+      <Text style={dynamicStyles.intro}>Tu email actual es</Text>
+      <Text style={dynamicStyles.currentEmail}>{user?.email}</Text>
+
+      <View style={dynamicStyles.inputContainer}>
+        <EmailInput
+          label="Nuevo email"
+          value={newEmail.value}
+          onChangeText={newEmail.handleChangeText}
+          onBlur={newEmail.handleBlur}
+          error={newEmail.touched ? newEmail.error : null}
+          required
+          autoComplete="email"
+          testID="change-email-new-input"
+        />
+      </View>
+
+      <View style={dynamicStyles.inputContainer}>
+        <PasswordInput
+          label="Contraseña actual"
+          value={currentPassword.value}
+          onChangeText={currentPassword.handleChangeText}
+          onBlur={currentPassword.handleBlur}
+          error={currentPassword.touched ? currentPassword.error : null}
+          required
+          testID="change-email-password-input"
+        />
+      </View>
+
+      {error && <Text style={dynamicStyles.error}>{error}</Text>}
+
+      <PrimaryButton
+        onPress={handleSend}
+        loading={sending}
+        disabled={!canSend || sending}
+        fullWidth
+        testID="change-email-send-button"
+      >
+        Enviar enlace de verificación
+      </PrimaryButton>
+    </>
+  );
+
+  return (
+    <SafeAreaView style={dynamicStyles.container} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={dynamicStyles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView contentContainerStyle={dynamicStyles.content} keyboardShouldPersistTaps="handled">
+          <Card>
+            <Card.Content>
+              {sentTo ? renderSent() : renderForm()}
+            </Card.Content>
+          </Card>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+export default ChangeEmailScreen;
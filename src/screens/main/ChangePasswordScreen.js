@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
+import { Text, Card } from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import { useToast } from '../../context/ToastContext';
+import { authService } from '../../services/firebase/authService';
+import { PrimaryButton } from '../../components/common';
+import {
+  PasswordInput,
+  useInputValidation,
+  validators
+} from '../../components/forms/Input';
+
+/**
+ * **PANTALLA DE CAMBIO DE CONTRASEÑA EDUCATIVA** 🔐✏️
+ *
+ * Pide la contraseña actual para reautenticar y valida la nueva con
+ * las mismas reglas que el registro, mostrando qué le falta.
+ */
+
+const ChangePasswordScreen = ({ navigation }) => {
+  const theme = useTheme();
+  const { showSuccess } = useToast();
+
+  const currentPassword = useInputValidation('', [
+    validators.required('Ingresa tu contraseña actual')
+  ]);
+
+  const newPassword = useInputValidation('', [
+    validators.required('Ingresa la nueva contraseña'),
+    validators.password()
+  ]);
+
+  const confirmPassword = useInputValidation('', [
+    validators.required('Confirma la nueva contraseña'),
+    (value) => value === newPassword.value || 'Las contraseñas no coinciden'
+  ]);
+
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const passwordIssues = authService.getPasswordIssues(newPassword.value);
+  const canSave = currentPassword.value && newPassword.value && confirmPassword.value &&
+    passwordIssues.length === 0 && newPassword.value === confirmPassword.value;
+
+  // **ESTILOS DINÁMICOS** 🎨
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.customColors.background.primary,
+    },
+    content: {
+      padding: theme.spacing.lg,
+    },
+    intro: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      lineHeight: 20,
+      marginBottom: theme.spacing.md,
+    },
+    inputContainer: {
+      marginBottom: theme.spacing.md,
+    },
+    requirements: {
+      fontSize: 12,
+      marginTop: theme.spacing.xs,
+    },
+    error: {
+      fontSize: 14,
+      color: theme.customColors.error,
+      marginBottom: theme.spacing.md,
+    }
+  });
+
+  // **GUARDAR** 💾
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    const result = await authService.changePassword(currentPassword.value, newPassword.value);
+
+    setSaving(false);
+    if (result.success) {
+      showSuccess('Contraseña actualizada');
+      navigation.goBack();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <SafeAreaView style={dynamicStyles.container} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={dynamicStyles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView contentContainerStyle={dynamicStyles.content} keyboardShouldPersistTaps="handled">
+          <Card>
+            <Card.Content>
+              <Text style={dynamicStyles.intro}>
+                Por seguridad, primero confirma tu contraseña actual.
+              </Text>
+
+              <View style={dynamicStyles.inputContainer}>
+                <PasswordInput
+                  label="Contraseña actual"
+                  value={currentPassword.value}
+                  onChangeText={currentPassword.handleChangeText}
+                  onBlur={currentPassword.handleBlur}
+                  error={currentPassword.touched ? currentPassword.error : null}
+                  required
+                  testID="change-password-current-input"
+                />
+              </View>
+
+              <View style={dynamicStyles.inputContainer}>
+                <PasswordInput
+                  label="Nueva contraseña"
+                  value={newPassword.value}
+                  onChangeText={newPassword.handleChangeText}
+                  onBlur={newPassword.handleBlur}
+                  error={newPassword.touched ? newPassword.error : null}
+                  required
+                  testID="change-password-new-input"
+                />
+                {newPassword.value ? (
+                  <Text
+                    style={[
+                      dynamicStyles.requirements,
+                      { color: passwordIssues.length ? theme.customColors.warning : theme.customColors.success }
+                    ]}
+                  >
+                    {passwordIssues.length ? `Falta: ${passwordIssues.join(', ')}` : 'Cumple los requisitos'}
+                  </Text>
+                ) : null}
+              </View>
+
+              <View style={dynamicStyles.inputContainer}>
+                <PasswordInput
+                  label="Confirmar nueva contraseña"
+                  value={confirmPassword.value}
+                  onChangeText={confirmPassword.handleChangeText}
+                  onBlur={confirmPassword.handleBlur}
+                  error={confirmPassword.touched ? confirmPassword.error : null}
+                  required
+                  testID="change-password-confirm-input"
+                />
+              </View>
+
+              {error && <Text style={dynamicStyles.error}>{error}</Text>}
+
+              <PrimaryButton
+                onPress={handleSave}
+                loading={saving}
+                disabled={!canSave || saving}
+                fullWidth
+                testID="change-password-save-button"
+              >
+                Cambiar contraseña
+              </PrimaryButton>
+            </Card.Content>
+          </Card>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+export default ChangePasswordScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { View, StyleSheet, ScrollView, RefreshControl } from 'react-native';
 import { Text, Surface, Divider } from 'react-native-paper';
 import { useTheme } from 'react-native-paper';
@@ -8,6 +8,8 @@ import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
 import { booksApiService } from '../../services/api/booksApiService';
 import { firestoreService } from '../../services/firebase/firestoreService';
+import { readingGoalsService } from '../../services/goals/readingGoalsService';
+import { useUserLibrary, useUserStats, useReadingGoal, useFollowing } from '../../hooks/useFirestoreSubscriptions';
 
 import { 
   LoadingSpinner, 
@@ -17,6 +19,12 @@ import {
   WelcomeState,
   FloatingActionButton
 } from '../../components/common';
+import ReadingGoalCard from '../../components/goals/ReadingGoalCard';
+import ReadingGoalModal from '../../components/goals/ReadingGoalModal';
+import GoalArchiveModal from '../../components/goals/GoalArchiveModal';
+import ActivityFeed from '../../components/social/ActivityFeed';
+
+const FEED_PAGE_SIZE = 10;
 
 /**
  * **PANTALLA HOME EDUCATIVA** 🏠
@@ -24,6 +32,8 @@ import {
  * Pantalla principal que demuestra un dashboard informativo con:
  * - Saludo personalizado al usuario
  * - Estadísticas de la librería personal
+ * - Reto de lectura del año
+ * - Actividad de los lectores que sigue
  * - Libros recomendados y populares
  * - Acciones rápidas
  * - Estados de carga y error
@@ -39,16 +49,25 @@ import {
 const HomeScreen = ({ navigation }) => {
   const theme = useTheme();
   const { user, userProfile } = useAuth();
-  const { showError, showNetworkError } = useToast();
+  const { showError, showSuccess, showNetworkError } = useToast();
 
   // **ESTADO LOCAL** 📊
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [stats, setStats] = useState(null);
   const [recommendedBooks, setRecommendedBooks] = useState([]);
-  const [userLibrary, setUserLibrary] = useState([]);
   const [error, setError] = useState(null);
 
+  // **ESTADO DEL RETO DE LECTURA** 🎯
+  const [goalModalVisible, setGoalModalVisible] = useState(false);
+  const [savingGoal, setSavingGoal] = useState(false);
+  const [goalError, setGoalError] = useState(null);
+  const [archiveVisible, setArchiveVisible] = useState(false);
+  const [archive, setArchive] = useState({ loading: false, data: [], error: null });
+
+  // **ESTADO DEL FEED DE ACTIVIDAD** 📰
+  const [feed, setFeed] = useState({ events: [], authors: {}, loading: false, hasMore: false, error: null });
+  const feedCursor = useRef(null);
+
   // **ESTILOS DINÁMICOS** 🎨
   const dynamicStyles = StyleSheet.create({
     container: {
@@ -147,6 +166,25 @@ const HomeScreen = ({ navigation }) => {
     }
   });
 
+  // **DATOS EN TIEMPO REAL** 📡
+  // Totales de reseñas desde el resumen `userStats`, sin leer cada reseña
+  const { data: stats } = useUserStats(user?.uid);
+  // Librería completa: la usan la meta del año y el indicador "en tu librería"
+  const { data: libraryData } = useUserLibrary(user?.uid);
+  const userLibrary = libraryData || [];
+
+  const currentYear = readingGoalsService.getCurrentYear();
+  const { data: readingGoal } = useReadingGoal(user?.uid, currentYear);
+
+  // Lectores seguidos: al cambiar la lista se recarga el feed (la clave
+  // es null hasta que llega la lista)
+  const { data: followingData } = useFollowing(user?.uid);
+  const followingKey = followingData ? followingData.join(',') : null;
+
+  const goalProgress = useMemo(() => (
+    readingGoal ? readingGoalsService.computeProgress(readingGoal, userLibrary) : null
+  ), [readingGoal, userLibrary]);
+
   // **CARGAR DATOS INICIALES** 📥
   const loadData = useCallback(async () => {
     try {
@@ -154,26 +192,8 @@ const HomeScreen = ({ navigation }) => {
       
       if (!user) return;
 
-      // Cargar en paralelo para mejor performance
-      const [
-        userStatsResult,
-        libraryResult,
-        booksResult
-      ] = await Promise.all([
-        firestoreService.getUserStats(user.uid),
-        firestoreService.getUserLibrary(user.uid, { limitCount: 5 }),
-        booksApiService.getAllBooks(true) // Usar cache
-      ]);
-
-      // Procesar estadísticas
-      if (userStatsResult.success) {
-        setStats(userStatsResult.data);
-      }
-
-      // Procesar librería del usuario
-      if (libraryResult.success) {
-        setUserLibrary(libraryResult.data);
-      }
+      // Estadísticas y librería llegan por suscripción; aquí solo el catálogo
+      const booksResult = await booksApiService.getAllBooks(true); // Usar cache
 
       // Procesar libros recomendados (seleccionar algunos aleatorios)
       if (booksResult.success) {
@@ -194,16 +214,67 @@ const HomeScreen = ({ navigation }) => {
     }
   }, [user]);
 
+  // **CARGAR FEED DE ACTIVIDAD** 📰
+  // `reset` empieza desde los eventos más recientes
+  const loadFeed = useCallback(async ({ reset = true } = {}) => {
+    if (!user) return;
+
+    setFeed(prev => ({ ...prev, loading: true, error: null }));
+    const result = await firestoreService.getActivityFeed(user.uid, {
+      pageSize: FEED_PAGE_SIZE,
+      cursor: reset ? null : feedCursor.current
+    });
+
+    if (!result.success) {
+      setFeed(prev => ({ ...prev, loading: false, error: result.error }));
+      return;
+    }
+
+    feedCursor.current = result.cursor;
+    const authorsResult = await firestoreService.getUserSummaries(result.data.map(event => event.userId));
+
+    setFeed(prev => ({
+      events: reset ? result.data : [...prev.events, ...result.data],
+      authors: { ...prev.authors, ...(authorsResult.success ? authorsResult.data : {}) },
+      loading: false,
+      hasMore: result.hasMore,
+      error: null
+    }));
+  }, [user]);
+
   // **EFECTOS** ⚡
   useEffect(() => {
     loadData();
   }, [loadData]);
 
+  useEffect(() => {
+    if (followingKey !== null) {
+      loadFeed();
+    }
+  }, [followingKey, loadFeed]);
+
   // **MANEJAR REFRESH** 🔄
   const handleRefresh = useCallback(async () => {
     setRefreshing(true);
-    await loadData();
-  }, [loadData]);
+    await Promise.all([loadData(), loadFeed()]);
+  }, [loadData, loadFeed]);
+
+  // **ABRIR LIBRO DE UN EVENTO** 📖
+  const handleActivityPress = useCallback((event) => {
+    navigation.navigate('BookDetail', {
+      book: {
+        bookId: event.bookId,
+        titulo: event.bookTitle,
+        autor: event.bookAuthor,
+        portadaUrl: event.bookCover
+      }
+    });
+  }, [navigation]);
+
+  // **ABRIR PERFIL DE UN LECTOR** 👤
+  const handleAuthorPress = useCallback((userId, nombre) => {
+    navigation.navigate('PublicProfile', { userId, nombre });
+  }, [navigation]);
 
   // **NAVEGACIÓN** 🧭
   const handleBookPress = useCallback((book) => {
@@ -225,10 +296,8 @@ const HomeScreen = ({ navigation }) => {
   const handleAddToLibrary = useCallback(async (book) => {
     try {
       const result = await firestoreService.addBookToLibrary(user.uid, book);
-      if (result.success) {
-        // Actualizar datos locales
-        setUserLibrary(prev => [...prev, book]);
-        setStats(prev => prev ? { ...prev, totalLibros: prev.totalLibros + 1 } : null);
+      if (!result.success) {
+        throw new Error(result.error);
       }
     } catch (error) {
       showError('Error agregando libro a la librería');
@@ -240,6 +309,41 @@ const HomeScreen = ({ navigation }) => {
     return userLibrary.some(book => book.bookId === bookId);
   }, [userLibrary]);
 
+  // **GUARDAR META DEL AÑO** 🎯
+  const handleSaveGoal = useCallback(async ({ tipo, meta }) => {
+    setSavingGoal(true);
+    setGoalError(null);
+
+    const result = await readingGoalsService.saveGoal(user.uid, { tipo, meta, anio: currentYear });
+
+    setSavingGoal(false);
+    if (!result.success) {
+      setGoalError(result.error);
+      return;
+    }
+
+    setGoalModalVisible(false);
+    showSuccess(`Meta de ${currentYear} guardada`);
+  }, [user, currentYear, showSuccess]);
+
+  const handleEditGoal = useCallback(() => {
+    setGoalError(null);
+    setGoalModalVisible(true);
+  }, []);
+
+  // **ABRIR ARCHIVO DE METAS** 🗄️
+  const handleShowArchive = useCallback(async () => {
+    setArchiveVisible(true);
+    setArchive({ loading: true, data: [], error: null });
+
+    const result = await readingGoalsService.getArchive(user.uid, userLibrary);
+    setArchive({
+      loading: false,
+      data: result.success ? result.data : [],
+      error: result.success ? null : 'No se pudieron cargar las metas anteriores'
+    });
+  }, [user, userLibrary]);
+
   // **OBTENER SALUDO SEGÚN HORA** 🌅
   const getGreeting = () => {
     const hour = new Date().getHours();
@@ -423,6 +527,37 @@ const HomeScreen = ({ navigation }) => {
           {renderStats()}
         </View>
 
+        {/* **RETO DE LECTURA** 🎯 */}
+        <View style={dynamicStyles.section}>
+          <ReadingGoalCard
+            year={currentYear}
+            progress={goalProgress}
+            onEdit={handleEditGoal}
+            onShowArchive={handleShowArchive}
+          />
+        </View>
+
+        {/* **ACTIVIDAD DE LECTORES SEGUIDOS** 📰 */}
+        <View style={dynamicStyles.section}>
+          <View style={dynamicStyles.sectionHeader}>
+            <Text style={dynamicStyles.sectionTitle}>Actividad</Text>
+            <Text style={dynamicStyles.sectionSubtitle}>
+              Lo que están leyendo los lectores que sigues
+            </Text>
+          </View>
+          <ActivityFeed
+            events={feed.events}
+            authors={feed.authors}
+            loading={feed.loading}
+            hasMore={feed.hasMore}
+            error={feed.error}
+            onLoadMore={() => loadFeed({ reset: false })}
+            onBookPress={handleActivityPress}
+            onAuthorPress={handleAuthorPress}
+            style={dynamicStyles.booksContainer}
+          />
+        </View>
+
         <Divider style={dynamicStyles.divider} />
 
         {/* **LIBROS RECOMENDADOS** 📚 */}
@@ -450,6 +585,24 @@ const HomeScreen = ({ navigation }) => {
         onPress={handleSearchPress}
         testID="add-book-fab"
       />
+
+      {/* **MODALES DEL RETO** 🎯 */}
+      <ReadingGoalModal
+        visible={goalModalVisible}
+        year={currentYear}
+        goal={readingGoal}
+        loading={savingGoal}
+        error={goalError}
+        onDismiss={() => setGoalModalVisible(false)}
+        onSubmit={handleSaveGoal}
+      />
+      <GoalArchiveModal
+        visible={archiveVisible}
+        archive={archive.data}
+        loading={archive.loading}
+        error={archive.error}
+        onDismiss={() => setArchiveVisible(false)}
+      />
     </SafeAreaView>
   );
 };
@@ -0,0 +1,587 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { View, StyleSheet, ScrollView, Pressable } from 'react-native';
+import {
+  Text,
+  Button,
+  Card,
+  ProgressBar,
+  Surface,
+  Portal,
+  Dialog,
+  Searchbar,
+  List
+} from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import { booksApiService } from '../../services/api/booksApiService';
+import {
+  libraryImportService,
+  IMPORT_ROW_STATUS,
+  IMPORT_PHASES
+} from '../../services/import/libraryImportService';
+
+import {
+  LoadingSpinner,
+  BookImage
+} from '../../components/common';
+
+/**
+ * **PANTALLA DE IMPORTACIÓN DE LIBRERÍA EDUCATIVA** 📥📚
+ *
+ * Importa la librería desde la exportación CSV de Goodreads:
+ * - Elegir el archivo y ver cuántos libros trae
+ * - Progreso de búsqueda, guardado y reseñas
+ * - Pausar y retomar (también después de cerrar la app)
+ * - Resolver a mano las filas sin coincidencia
+ *
+ * Conceptos educativos demostrados:
+ * - Trabajo largo fuera del render con avance por callback
+ * - Cancelación cooperativa con una ref
+ * - Estado persistido que sobrevive a la pantalla
+ */
+
+const PHASE_LABELS = {
+  [IMPORT_PHASES.MATCHING]: 'Buscando libros en el catálogo',
+  [IMPORT_PHASES.WRITING]: 'Guardando en tu librería',
+  [IMPORT_PHASES.REVIEWS]: 'Importando reseñas'
+};
+
+const STATUS_LABELS = {
+  'read': 'Leído',
+  'reading': 'Leyendo',
+  'want-to-read': 'Quiero leer',
+  'abandoned': 'Abandonado'
+};
+
+const LibraryImportScreen = ({ navigation }) => {
+  const theme = useTheme();
+  const { user, userProfile } = useAuth();
+  const { showSuccess, showError } = useToast();
+
+  // **ESTADO LOCAL** 📊
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [reading, setReading] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [resolvingRow, setResolvingRow] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  // La importación consulta la ref entre filas para pausarse
+  const cancelRef = useRef(false);
+
+  const summary = useMemo(() => (job ? libraryImportService.getSummary(job) : null), [job]);
+  const unmatchedRows = useMemo(
+    () => (job ? job.rows.filter(row => row.estado === IMPORT_ROW_STATUS.UNMATCHED) : []),
+    [job]
+  );
+
+  // **ESTILOS DINÁMICOS** 🎨
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.customColors.background.primary,
+    },
+    loadingContainer: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    content: {
+      padding: theme.spacing.lg,
+    },
+    card: {
+      marginBottom: theme.spacing.lg,
+    },
+    introText: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      lineHeight: 20,
+      marginBottom: theme.spacing.sm,
+    },
+    step: {
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.xs,
+    },
+    fileName: {
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.md,
+    },
+    counts: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+    },
+    count: {
+      width: '33%',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.sm,
+    },
+    countValue: {
+      fontSize: 20,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+    },
+    countLabel: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+    },
+    progressLabel: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.sm,
+    },
+    progressBar: {
+      height: 8,
+      borderRadius: 4,
+    },
+    progressCount: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      marginTop: theme.spacing.xs,
+    },
+    errorBox: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.lg,
+      borderRadius: 12,
+      backgroundColor: theme.customColors.background.secondary,
+    },
+    errorText: {
+      flex: 1,
+      marginLeft: theme.spacing.sm,
+      fontSize: 13,
+      color: theme.customColors.error,
+    },
+    actions: {
+      marginTop: theme.spacing.md,
+    },
+    actionButton: {
+      marginBottom: theme.spacing.sm,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.xs,
+    },
+    sectionSubtitle: {
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.md,
+    },
+    row: {
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.sm,
+      borderRadius: 12,
+      backgroundColor: theme.customColors.background.card,
+      ...theme.shadows.small,
+    },
+    rowTitle: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+    },
+    rowMeta: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      marginTop: 2,
+    },
+    candidate: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.sm,
+    },
+    candidateCover: {
+      width: 32,
+      height: 48,
+      borderRadius: 4,
+      marginRight: theme.spacing.sm,
+    },
+    candidateText: {
+      flex: 1,
+    },
+    candidateTitle: {
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+    },
+    rowActions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: theme.spacing.xs,
+    },
+    dialogScroll: {
+      maxHeight: 360,
+      paddingHorizontal: theme.spacing.lg,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      paddingVertical: theme.spacing.md,
+    },
+  });
+
+  // **CARGAR IMPORTACIÓN GUARDADA** 📥
+  useEffect(() => {
+    const loadSavedImport = async () => {
+      const result = await libraryImportService.getSavedImport(user.uid);
+      setJob(result.data);
+      setLoading(false);
+    };
+
+    loadSavedImport();
+  }, [user.uid]);
+
+  // Pausar si se sale de la pantalla con la importación en marcha
+  useEffect(() => () => {
+    cancelRef.current = true;
+  }, []);
+
+  // **ELEGIR ARCHIVO** 📄
+  const handlePickFile = useCallback(async () => {
+    try {
+      const picked = await DocumentPicker.getDocumentAsync({
+        type: ['text/csv', 'text/comma-separated-values', 'application/vnd.ms-excel', 'text/plain'],
+        copyToCacheDirectory: true
+      });
+      if (picked.canceled || !picked.assets?.length) return;
+
+      setReading(true);
+      setError(null);
+
+      const asset = picked.assets[0];
+      const text = await FileSystem.readAsStringAsync(asset.uri);
+      const result = await libraryImportService.createImport(user.uid, text, asset.name);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      setJob(result.data);
+    } catch (pickError) {
+      console.error('Error leyendo archivo de importación:', pickError);
+      showError(pickError.message || 'No se pudo leer el archivo');
+    } finally {
+      setReading(false);
+    }
+  }, [user.uid, showError]);
+
+  // **EJECUTAR O RETOMAR** ▶️
+  const handleRun = useCallback(async () => {
+    if (!job) return;
+
+    cancelRef.current = false;
+    setRunning(true);
+    setError(null);
+    setProgress(null);
+
+    const result = await libraryImportService.runImport(user.uid, job, {
+      userName: userProfile?.nombre || user.displayName || 'Usuario',
+      onProgress: ({ job: current, ...phase }) => {
+        setProgress(phase);
+        setJob(current);
+      },
+      isCancelled: () => cancelRef.current
+    });
+
+    setJob(result.data);
+    setRunning(false);
+    setProgress(null);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    if (!result.paused) {
+      const { importadas, resenasImportadas } = libraryImportService.getSummary(result.data);
+      showSuccess(`Importación lista: ${importadas} libros y ${resenasImportadas} reseñas`);
+    }
+  }, [job, user.uid, user.displayName, userProfile, showSuccess]);
+
+  const handlePause = useCallback(() => {
+    cancelRef.current = true;
+  }, []);
+
+  // **TERMINAR O DESCARTAR** 🧹
+  // Lo ya importado queda en la librería; solo se borra el avance guardado
+  const handleDiscard = useCallback(async () => {
+    await libraryImportService.discardImport(user.uid);
+    setJob(null);
+    setError(null);
+  }, [user.uid]);
+
+  // **RESOLVER FILA** 🧩
+  const openResolve = useCallback((row) => {
+    setResolvingRow(row);
+    setSearchQuery(`${row.titulo} ${row.autor}`);
+    setSearchResults(row.candidatos || []);
+  }, []);
+
+  const handleSearch = useCallback(async () => {
+    setSearching(true);
+    const result = await booksApiService.searchBooks(searchQuery, { maxResults: 10 });
+    setSearching(false);
+
+    if (result.success) {
+      setSearchResults(result.data);
+    } else {
+      showError(result.error);
+    }
+  }, [searchQuery, showError]);
+
+  const handleResolve = useCallback(async (row, book) => {
+    const result = await libraryImportService.resolveRow(user.uid, job, row.fila, book);
+    if (result.success) {
+      setJob(result.data);
+      setResolvingRow(null);
+    } else {
+      showError(result.error);
+    }
+  }, [user.uid, job, showError]);
+
+  const handleSkip = useCallback(async (row) => {
+    const result = await libraryImportService.skipRow(user.uid, job, row.fila);
+    if (result.success) {
+      setJob(result.data);
+    } else {
+      showError(result.error);
+    }
+  }, [user.uid, job, showError]);
+
+  // **RENDERIZAR INSTRUCCIONES** 📝
+  const renderIntro = () => (
+    <Card style={dynamicStyles.card}>
+      <Card.Title title="Importar desde Goodreads" left={(props) => <List.Icon {...props} icon="file-import-outline" />} />
+      <Card.Content>
+        <Text style={dynamicStyles.introText}>
+          Trae tus libros, calificaciones y reseñas. Las reseñas se importan como privadas.
+        </Text>
+        <Text style={dynamicStyles.step}>1. En Goodreads, abre Mis libros → Importar y exportar</Text>
+        <Text style={dynamicStyles.step}>2. Elige "Exportar biblioteca" y descarga el CSV</Text>
+        <Text style={dynamicStyles.step}>3. Selecciona ese archivo aquí</Text>
+      </Card.Content>
+      <Card.Actions>
+        <Button
+          mode="contained"
+          icon="file-upload-outline"
+          loading={reading}
+          disabled={reading}
+          onPress={handlePickFile}
+        >
+          Elegir archivo CSV
+        </Button>
+      </Card.Actions>
+    </Card>
+  );
+
+  // **RENDERIZAR RESUMEN** 📊
+  const renderCount = (value, label) => (
+    <View style={dynamicStyles.count}>
+      <Text style={dynamicStyles.countValue}>{value}</Text>
+      <Text style={dynamicStyles.countLabel}>{label}</Text>
+    </View>
+  );
+
+  const renderSummary = () => {
+    const hasWork = summary.pendientes > 0 || summary.encontradas > 0 || summary.resenasPendientes > 0;
+    const started = summary.pendientes < summary.total;
+
+    return (
+      <Card style={dynamicStyles.card}>
+        <Card.Content>
+          <Text style={dynamicStyles.sectionTitle}>
+            {summary.terminada ? 'Importación terminada' : `${summary.total} libros en el archivo`}
+          </Text>
+          {job.nombreArchivo ? <Text style={dynamicStyles.fileName}>{job.nombreArchivo}</Text> : null}
+
+          <View style={dynamicStyles.counts}>
+            {renderCount(summary.importadas, 'importados')}
+            {renderCount(summary.yaEstaban, 'ya estaban')}
+            {renderCount(summary.sinCoincidencia, 'sin coincidencia')}
+            {renderCount(summary.pendientes + summary.encontradas, 'por procesar')}
+            {renderCount(summary.resenasImportadas, 'reseñas')}
+            {renderCount(summary.omitidas, 'omitidos')}
+          </View>
+
+          {running && progress && (
+            <View style={dynamicStyles.actions}>
+              <Text style={dynamicStyles.progressLabel}>{PHASE_LABELS[progress.fase]}</Text>
+              <ProgressBar
+                progress={progress.total ? progress.procesadas / progress.total : 0}
+                color={theme.customColors.primary}
+                style={dynamicStyles.progressBar}
+              />
+              <Text style={dynamicStyles.progressCount}>{progress.procesadas} de {progress.total}</Text>
+            </View>
+          )}
+
+          <View style={dynamicStyles.actions}>
+            {running ? (
+              <Button mode="outlined" icon="pause" onPress={handlePause} style={dynamicStyles.actionButton}>
+                Pausar
+              </Button>
+            ) : (
+              <>
+                {hasWork && (
+                  <Button mode="contained" icon="play" onPress={handleRun} style={dynamicStyles.actionButton}>
+                    {started ? 'Continuar importación' : 'Importar'}
+                  </Button>
+                )}
+                {summary.terminada && (
+                  <Button
+                    mode="contained"
+                    icon="bookshelf"
+                    onPress={() => navigation.navigate('MainTabs', { screen: 'Library' })}
+                    style={dynamicStyles.actionButton}
+                  >
+                    Ver mi librería
+                  </Button>
+                )}
+                <Button mode="text" onPress={handleDiscard} style={dynamicStyles.actionButton}>
+                  {summary.terminada ? 'Cerrar importación' : 'Descartar importación'}
+                </Button>
+              </>
+            )}
+          </View>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  // **RENDERIZAR FILAS SIN COINCIDENCIA** 🧩
+  const renderUnmatched = () => {
+    if (running || unmatchedRows.length === 0) return null;
+
+    return (
+      <View>
+        <Text style={dynamicStyles.sectionTitle}>Sin coincidencia</Text>
+        <Text style={dynamicStyles.sectionSubtitle}>
+          Elige el libro correcto o omite la fila. Los resueltos se guardan al continuar la importación.
+        </Text>
+
+        {unmatchedRows.map(row => (
+          <Surface key={row.fila} style={dynamicStyles.row}>
+            <Text style={dynamicStyles.rowTitle}>{row.titulo}</Text>
+            <Text style={dynamicStyles.rowMeta}>
+              {row.autor} · {STATUS_LABELS[row.estadoLectura]}
+              {row.calificacion ? ` · ${'★'.repeat(row.calificacion)}` : ''}
+            </Text>
+
+            {(row.candidatos || []).map(candidate => (
+              <Pressable
+                key={candidate.bookId}
+                style={dynamicStyles.candidate}
+                onPress={() => handleResolve(row, candidate)}
+              >
+                <BookImage source={candidate.portadaUrl} style={dynamicStyles.candidateCover} resizeMode="cover" />
+                <View style={dynamicStyles.candidateText}>
+                  <Text style={dynamicStyles.candidateTitle} numberOfLines={2}>{candidate.titulo}</Text>
+                  <Text style={dynamicStyles.rowMeta}>
+                    {candidate.autor}{candidate.anoPublicacion ? ` · ${candidate.anoPublicacion}` : ''}
+                  </Text>
+                </View>
+                <Icon name="check-circle-outline" size={22} color={theme.customColors.primary} />
+              </Pressable>
+            ))}
+
+            <View style={dynamicStyles.rowActions}>
+              <Button compact onPress={() => handleSkip(row)}>Omitir</Button>
+              <Button compact icon="magnify" onPress={() => openResolve(row)}>Buscar</Button>
+            </View>
+          </Surface>
+        ))}
+      </View>
+    );
+  };
+
+  // **DIÁLOGO DE BÚSQUEDA MANUAL** 🔍
+  const renderResolveDialog = () => (
+    <Portal>
+      <Dialog visible={!!resolvingRow} onDismiss={() => setResolvingRow(null)}>
+        <Dialog.Title>Buscar libro</Dialog.Title>
+        <Dialog.Content>
+          <Searchbar
+            placeholder="Título, autor o ISBN"
+            value={searchQuery}
+            onChangeText={setSearchQuery}
+            onSubmitEditing={handleSearch}
+          />
+        </Dialog.Content>
+        <Dialog.ScrollArea style={dynamicStyles.dialogScroll}>
+          <ScrollView>
+            {searching && <LoadingSpinner size="small" />}
+            {!searching && searchResults.length === 0 && (
+              <Text style={dynamicStyles.emptyText}>Sin resultados</Text>
+            )}
+            {!searching && searchResults.map(book => (
+              <Pressable
+                key={book.bookId}
+                style={dynamicStyles.candidate}
+                onPress={() => handleResolve(resolvingRow, book)}
+              >
+                <BookImage source={book.portadaUrl} style={dynamicStyles.candidateCover} resizeMode="cover" />
+                <View style={dynamicStyles.candidateText}>
+                  <Text style={dynamicStyles.candidateTitle} numberOfLines={2}>{book.titulo}</Text>
+                  <Text style={dynamicStyles.rowMeta}>{book.autor}</Text>
+                </View>
+              </Pressable>
+            ))}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={() => setResolvingRow(null)}>Cancelar</Button>
+          <Button onPress={handleSearch} disabled={searchQuery.trim().length < 2}>Buscar</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+
+  // **RENDERIZAR ESTADO DE CARGA** ⏳
+  if (loading) {
+    return (
+      <SafeAreaView style={dynamicStyles.container} edges={['bottom']}>
+        <View style={dynamicStyles.loadingContainer}>
+          <LoadingSpinner size="large" message="Cargando importación..." />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  // **RENDERIZAR CONTENIDO PRINCIPAL** 🏗️
+  return (
+    <SafeAreaView style={dynamicStyles.container} edges={['bottom']}>
+      <ScrollView contentContainerStyle={dynamicStyles.content} showsVerticalScrollIndicator={false}>
+        {error && (
+          <View style={dynamicStyles.errorBox}>
+            <Icon name="cloud-alert" size={20} color={theme.customColors.error} />
+            <Text style={dynamicStyles.errorText}>
+              {error}. El avance quedó guardado: puedes continuar cuando quieras.
+            </Text>
+          </View>
+        )}
+
+        {job ? renderSummary() : renderIntro()}
+        {job && renderUnmatched()}
+      </ScrollView>
+
+      {renderResolveDialog()}
+    </SafeAreaView>
+  );
+};
+
+export default LibraryImportScreen;
@@ -1,6 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { View, StyleSheet, ScrollView, RefreshControl, FlatList } from 'react-native';
-import { Text, Surface, Chip, Button, Searchbar, FAB } from 'react-native-paper';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, RefreshControl, FlatList, Alert } from 'react-native';
+import { Text, Surface, Chip, Button, Searchbar, FAB, HelperText, IconButton } from 'react-native-paper';
 import { useTheme } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
@@ -8,6 +8,10 @@ import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
 import { firestoreService } from '../../services/firebase/firestoreService';
+import { offlineQueueService } from '../../services/storage/offlineQueueService';
+import { useUserLibrary, useUserStats, useUserShelves } from '../../hooks/useFirestoreSubscriptions';
+import { useSearchIndex } from '../../hooks/useSearchIndex';
+import { queryParser } from '../../services/search/queryParser';
 
 import { 
   LoadingSpinner, 
@@ -15,6 +19,9 @@ import {
   ErrorState,
   EmptyState
 } from '../../components/common';
+import ShelfBar from '../../components/books/ShelfBar';
+import ShelfFormModal from '../../components/books/ShelfFormModal';
+import ShelfPickerModal from '../../components/books/ShelfPickerModal';
 
 /**
  * **PANTALLA LIBRARY EDUCATIVA** 📚
@@ -22,6 +29,7 @@ import {
  * Pantalla que muestra la librería personal del usuario con:
  * - Lista completa de libros guardados
  * - Filtros por categoría y estado de lectura
+ * - Estanterías personalizadas con orden propio y movimiento en lote
  * - Búsqueda dentro de la librería
  * - Ordenamiento por diferentes criterios
  * - Gestión de estados de lectura
@@ -38,19 +46,50 @@ import {
 const LibraryScreen = ({ navigation }) => {
   const theme = useTheme();
   const { user } = useAuth();
-  const { showSuccess, showError } = useToast();
+  const { showSuccess, showError, showInfo } = useToast();
+
+  // **DATOS EN TIEMPO REAL** 📡
+  const library = useUserLibrary(user?.uid);
+  const { data: stats } = useUserStats(user?.uid);
+  const books = useMemo(() => library.data || [], [library.data]);
+  const loading = library.loading && !library.data;
+  const error = library.error && !library.data
+    ? 'Error cargando tu librería. Verifica tu conexión.'
+    : null;
+  const isOffline = library.fromCache;
+  const pendingCount = library.pendingCount;
+
+  // **ÍNDICE DE BÚSQUEDA** 🗂️
+  // Se actualiza solo con los libros que cambian en cada snapshot
+  const { index: searchIndex, version: indexVersion } = useSearchIndex(books);
+
+  // **ESTANTERÍAS** 🗂️
+  const shelvesSubscription = useUserShelves(user?.uid);
+  const shelves = useMemo(() => shelvesSubscription.data || [], [shelvesSubscription.data]);
+  const booksById = useMemo(() => new Map(books.map(book => [book.bookId, book])), [books]);
 
   // **ESTADO LOCAL** 📊
-  const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [books, setBooks] = useState([]);
   const [filteredBooks, setFilteredBooks] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedStatus, setSelectedStatus] = useState('all');
   const [sortBy, setSortBy] = useState('dateAdded');
-  const [error, setError] = useState(null);
-  const [stats, setStats] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [selectedShelfId, setSelectedShelfId] = useState(null);
+  const [selectedBookIds, setSelectedBookIds] = useState([]);
+  const [reorderMode, setReorderMode] = useState(false);
+  const [shelfForm, setShelfForm] = useState({ visible: false, shelf: null, error: null });
+  const [shelfPickerVisible, setShelfPickerVisible] = useState(false);
+  const [savingShelf, setSavingShelf] = useState(false);
+
+  const selectedShelf = shelves.find(shelf => shelf.id === selectedShelfId) || null;
+  const selectionMode = selectedBookIds.length > 0;
+
+  // **CONSULTA AVANZADA** 🧾
+  // Ej: autor:"Borges" año:>1950 estado:reading -genero:poesia
+  const parsedQuery = useMemo(() => queryParser.parse(searchQuery), [searchQuery]);
 
   // Filtros disponibles
   const categories = ['all', 'fiction', 'non-fiction', 'science', 'technology', 'art', 'history'];
@@ -144,57 +183,106 @@ const LibraryScreen = ({ navigation }) => {
       flex: 1,
       minHeight: 400,
     },
+    reorderRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginLeft: theme.spacing.xl,
+      marginRight: theme.spacing.sm,
+      marginBottom: theme.spacing.md,
+    },
+    reorderCard: {
+      flex: 1,
+    },
+    selectionBar: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginHorizontal: theme.spacing.xl,
+      marginBottom: theme.spacing.md,
+      paddingLeft: theme.spacing.md,
+      borderRadius: 12,
+      backgroundColor: theme.customColors.background.card,
+    },
+    selectionText: {
+      flex: 1,
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+    },
+    shelfHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginHorizontal: theme.spacing.xl,
+      marginBottom: theme.spacing.md,
+    },
+    shelfHeaderText: {
+      flex: 1,
+      marginRight: theme.spacing.sm,
+    },
+    shelfTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+    },
+    shelfDescription: {
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+    },
     fab: {
       position: 'absolute',
       right: theme.spacing.xl,
       bottom: theme.spacing.xl,
     },
+    syncBanner: {
+      marginHorizontal: theme.spacing.xl,
+      marginBottom: theme.spacing.md,
+      padding: theme.spacing.md,
+      borderRadius: 8,
+      backgroundColor: theme.customColors.warning + '20',
+    },
+    syncRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    syncText: {
+      flex: 1,
+      marginLeft: theme.spacing.sm,
+      fontSize: 14,
+      color: theme.customColors.text.primary,
+    },
+    conflictItem: {
+      marginTop: theme.spacing.sm,
+    },
+    conflictText: {
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.xs,
+    },
+    conflictActions: {
+      flexDirection: 'row',
+      gap: theme.spacing.sm,
+    },
   });
 
-  // **CARGAR DATOS** 📥
-  const loadLibraryData = useCallback(async () => {
-    try {
-      setError(null);
-      
-      if (!user) return;
+  // **CARGAR CONFLICTOS DE SINCRONIZACIÓN** 📴
+  const loadConflicts = useCallback(async () => {
+    if (!user) return;
 
-      const [libraryResult, statsResult] = await Promise.all([
-        firestoreService.getUserLibrary(user.uid),
-        firestoreService.getUserStats(user.uid)
-      ]);
-
-      if (libraryResult.success) {
-        setBooks(libraryResult.data);
-      } else {
-        throw new Error(libraryResult.error);
-      }
-
-      if (statsResult.success) {
-        setStats(statsResult.data);
-      }
-
-    } catch (error) {
-      console.error('Error cargando librería:', error);
-      setError('Error cargando tu librería. Verifica tu conexión.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
+    const result = await firestoreService.getSyncStatus(user.uid);
+    if (result.success) {
+      setConflicts(result.data.conflicts);
     }
   }, [user]);
 
   // **FILTRAR Y ORDENAR LIBROS** 🔍
   const filterAndSortBooks = useCallback(() => {
-    let filtered = [...books];
-
-    // Filtrar por búsqueda
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(book => 
-        book.titulo.toLowerCase().includes(query) ||
-        book.autor.toLowerCase().includes(query) ||
-        book.generos?.some(genre => genre.toLowerCase().includes(query))
-      );
-    }
+    // El texto libre se busca con el índice (acentos, raíces, prefijos y
+    // errores de tipeo) y llega ordenado por relevancia; los filtros de
+    // campo se aplican encima. Mientras la consulta tenga errores se usan
+    // las cláusulas válidas.
+    const textQuery = queryParser.getTextQuery(parsedQuery.ast);
+    let filtered = parsedQuery.ast.clauses.length > 0
+      ? queryParser.filterBooks(books, parsedQuery.ast, { index: searchIndex })
+      : [...books];
 
     // Filtrar por categoría
     if (selectedCategory !== 'all') {
@@ -210,32 +298,49 @@ const LibraryScreen = ({ navigation }) => {
       filtered = filtered.filter(book => book.estadoLectura === selectedStatus);
     }
 
-    // Ordenar
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'title':
-          return a.titulo.localeCompare(b.titulo);
-        case 'author':
-          return a.autor.localeCompare(b.autor);
-        case 'rating':
-          return (b.calificacionUsuario || 0) - (a.calificacionUsuario || 0);
-        case 'dateAdded':
-        default:
-          return new Date(b.fechaAgregado) - new Date(a.fechaAgregado);
-      }
-    });
+    // Filtrar por estantería
+    const shelfPositions = selectedShelf
+      ? new Map((selectedShelf.libros || []).map((bookId, position) => [bookId, position]))
+      : null;
+    if (shelfPositions) {
+      filtered = filtered.filter(book => shelfPositions.has(book.bookId));
+    }
+
+    // Ordenar (mientras se busca se conserva el orden por relevancia;
+    // dentro de una estantería manda el orden de la estantería)
+    if (!textQuery && shelfPositions) {
+      filtered.sort((a, b) => shelfPositions.get(a.bookId) - shelfPositions.get(b.bookId));
+    } else if (!textQuery) {
+      filtered.sort((a, b) => {
+        switch (sortBy) {
+          case 'title':
+            return a.titulo.localeCompare(b.titulo);
+          case 'author':
+            return a.autor.localeCompare(b.autor);
+          case 'rating':
+            return (b.calificacionUsuario || 0) - (a.calificacionUsuario || 0);
+          case 'dateAdded':
+          default:
+            return new Date(b.fechaAgregado) - new Date(a.fechaAgregado);
+        }
+      });
+    }
 
     setFilteredBooks(filtered);
-  }, [books, searchQuery, selectedCategory, selectedStatus, sortBy]);
+  }, [books, searchIndex, indexVersion, parsedQuery, selectedCategory, selectedStatus, selectedShelf, sortBy]);
 
   // **EFECTOS** ⚡
   useEffect(() => {
-    
-    //alert("estoy entrando a mi libreria efecto cargar libreria")
-   
-    loadLibraryData();
-    console.log(" 📊 MI LIBRERIA CARGADO")
-  }, [loadLibraryData]);
+    loadConflicts();
+  }, [loadConflicts]);
+
+  // La estantería seleccionada se eliminó (aquí o en otro dispositivo)
+  useEffect(() => {
+    if (selectedShelfId && shelvesSubscription.data && !selectedShelf) {
+      setSelectedShelfId(null);
+      setReorderMode(false);
+    }
+  }, [selectedShelfId, selectedShelf, shelvesSubscription.data]);
 
   useEffect(() => {    
     //alert("estoy entrando a mi libreria efecto filtro")
@@ -243,11 +348,35 @@ const LibraryScreen = ({ navigation }) => {
     console.log(" 📊 FILTROS DE LIBROS REALIZADO")
   }, [filterAndSortBooks]);
 
+  // Los conflictos se detectan al sincronizar la cola offline
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = offlineQueueService.subscribe(({ userId }) => {
+      if (userId === user.uid) {
+        loadConflicts();
+      }
+    });
+
+    return unsubscribe;
+  }, [user, loadConflicts]);
+
   // **MANEJAR REFRESH** 🔄
+  // La lista se actualiza sola; el refresh reintenta la sincronización pendiente
   const handleRefresh = useCallback(async () => {
     setRefreshing(true);
-    await loadLibraryData();
-  }, [loadLibraryData]);
+    try {
+      if (library.error) {
+        library.resubscribe();
+      }
+      if (user && pendingCount > 0) {
+        await firestoreService.syncPendingLibraryOperations(user.uid);
+      }
+      await loadConflicts();
+    } finally {
+      setRefreshing(false);
+    }
+  }, [user, library, pendingCount, loadConflicts]);
 
   // **NAVEGACIÓN Y ACCIONES** 🧭
   const handleBookPress = useCallback((book) => {
@@ -266,34 +395,249 @@ const LibraryScreen = ({ navigation }) => {
       });
 
       if (result.success) {
-        setBooks(prev => prev.map(b => 
-          b.bookId === book.bookId 
-            ? { ...b, estadoLectura: newStatus }
-            : b
-        ));
-        showSuccess('Estado de lectura actualizado');
+        if (result.queued) {
+          showInfo('Sin conexión: el cambio se sincronizará más tarde');
+        } else {
+          showSuccess('Estado de lectura actualizado');
+        }
       } else {
         throw new Error(result.error);
       }
     } catch (error) {
       showError('Error actualizando estado de lectura');
     }
-  }, [user, showSuccess, showError]);
+  }, [user, showSuccess, showError, showInfo]);
 
   const handleRemoveBook = useCallback(async (book) => {
     try {
       const result = await firestoreService.removeBookFromLibrary(user.uid, book.bookId);
 
       if (result.success) {
-        setBooks(prev => prev.filter(b => b.bookId !== book.bookId));
-        showSuccess('Libro eliminado de tu librería');
+        if (result.queued) {
+          showInfo('Sin conexión: el libro se eliminará al sincronizar');
+        } else {
+          showSuccess('Libro eliminado de tu librería');
+        }
       } else {
         throw new Error(result.error);
       }
     } catch (error) {
       showError('Error eliminando libro de la librería');
     }
-  }, [user, showSuccess, showError]);
+  }, [user, showSuccess, showError, showInfo]);
+
+  // **SELECCIÓN MÚLTIPLE** ☑️
+  // Mantener presionado un libro inicia la selección; después cada toque suma o quita
+  const toggleBookSelection = useCallback((book) => {
+    setSelectedBookIds(prev => (
+      prev.includes(book.bookId)
+        ? prev.filter(bookId => bookId !== book.bookId)
+        : [...prev, book.bookId]
+    ));
+  }, []);
+
+  const clearSelection = useCallback(() => setSelectedBookIds([]), []);
+
+  // **ESTANTERÍAS** 🗂️
+  const handleSelectShelf = useCallback((shelfId) => {
+    setSelectedShelfId(shelfId);
+    setSelectedBookIds([]);
+    setReorderMode(false);
+  }, []);
+
+  const handleSaveShelf = useCallback(async ({ nombre, descripcion }) => {
+    setSavingShelf(true);
+    try {
+      const result = shelfForm.shelf
+        ? await firestoreService.updateShelf(user.uid, shelfForm.shelf.id, { nombre, descripcion })
+        : await firestoreService.createShelf(user.uid, {
+          nombre,
+          descripcion,
+          // Crear desde una selección agrega esos libros a la nueva estantería
+          libros: selectedBookIds
+        });
+
+      if (!result.success) {
+        setShelfForm(prev => ({ ...prev, error: result.error }));
+        return;
+      }
+
+      showSuccess(shelfForm.shelf ? 'Estantería actualizada' : `Estantería "${nombre}" creada`);
+      setShelfForm({ visible: false, shelf: null, error: null });
+      if (!shelfForm.shelf && selectedBookIds.length > 0) {
+        setSelectedBookIds([]);
+      }
+    } finally {
+      setSavingShelf(false);
+    }
+  }, [user, shelfForm.shelf, selectedBookIds, showSuccess]);
+
+  const handleDeleteShelf = useCallback((shelf) => {
+    Alert.alert(
+      'Eliminar estantería',
+      `¿Eliminar "${shelf.nombre}"? Los libros seguirán en tu librería.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Eliminar',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await firestoreService.deleteShelf(user.uid, shelf.id);
+            if (result.success) {
+              setShelfForm({ visible: false, shelf: null, error: null });
+              if (selectedShelfId === shelf.id) handleSelectShelf(null);
+              showSuccess('Estantería eliminada');
+            } else {
+              showError(result.error);
+            }
+          }
+        }
+      ]
+    );
+  }, [user, selectedShelfId, handleSelectShelf, showSuccess, showError]);
+
+  // **MOVER LIBROS SELECCIONADOS** 🔀
+  // Dentro de una estantería se mueven (salen de ella); desde "Todas" se agregan
+  const handleMoveSelected = useCallback(async (targetShelf) => {
+    setSavingShelf(true);
+    try {
+      const result = await firestoreService.moveBooksBetweenShelves(
+        user.uid,
+        selectedBookIds,
+        selectedShelfId,
+        targetShelf.id
+      );
+
+      if (result.success) {
+        const count = selectedBookIds.length;
+        showSuccess(`${count} libro${count !== 1 ? 's' : ''} en "${targetShelf.nombre}"`);
+        setShelfPickerVisible(false);
+        setSelectedBookIds([]);
+      } else {
+        showError(result.error);
+      }
+    } finally {
+      setSavingShelf(false);
+    }
+  }, [user, selectedBookIds, selectedShelfId, showSuccess, showError]);
+
+  const handleRemoveSelectedFromShelf = useCallback(async () => {
+    const result = await firestoreService.removeBooksFromShelf(user.uid, selectedShelfId, selectedBookIds);
+
+    if (result.success) {
+      showSuccess(`Libros quitados de "${selectedShelf?.nombre}"`);
+      setSelectedBookIds([]);
+    } else {
+      showError(result.error);
+    }
+  }, [user, selectedShelfId, selectedShelf, selectedBookIds, showSuccess, showError]);
+
+  // **REORDENAR DENTRO DE LA ESTANTERÍA** ↕️
+  // Intercambia el libro con su vecino visible (puede haber filtros activos)
+  const handleMoveInShelf = useCallback(async (book, neighbor) => {
+    if (!selectedShelf || !neighbor) return;
+
+    const order = [...(selectedShelf.libros || [])];
+    const from = order.indexOf(book.bookId);
+    const to = order.indexOf(neighbor.bookId);
+    if (from === -1 || to === -1) return;
+
+    [order[from], order[to]] = [order[to], order[from]];
+
+    const result = await firestoreService.reorderShelfBooks(user.uid, selectedShelf.id, order);
+    if (!result.success) {
+      showError(result.error);
+    }
+  }, [user, selectedShelf, showError]);
+
+  // **SINCRONIZAR AHORA** 🔄
+  const handleSyncNow = useCallback(async () => {
+    try {
+      setSyncing(true);
+      const result = await firestoreService.syncPendingLibraryOperations(user.uid);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (result.remaining > 0) {
+        showInfo('Sigues sin conexión. Reintentaremos más tarde');
+      } else if (result.conflicts > 0) {
+        showInfo(`${result.conflicts} cambio(s) necesitan tu revisión`);
+      } else {
+        showSuccess('Librería sincronizada');
+      }
+    } catch (error) {
+      showError(error.message || 'Error sincronizando librería');
+    } finally {
+      setSyncing(false);
+      await loadConflicts();
+    }
+  }, [user, loadConflicts, showSuccess, showError, showInfo]);
+
+  // **RESOLVER CONFLICTO** ⚔️
+  const handleResolveConflict = useCallback(async (conflict, strategy) => {
+    const result = await firestoreService.resolveSyncConflict(user.uid, conflict.id, strategy);
+
+    if (result.success) {
+      showSuccess('Conflicto resuelto');
+      await loadConflicts();
+    } else {
+      showError(result.error);
+    }
+  }, [user, loadConflicts, showSuccess, showError]);
+
+  // **RENDERIZAR ESTADO DE SINCRONIZACIÓN** 📴
+  const renderSyncBanner = () => {
+    if (!isOffline && pendingCount === 0 && conflicts.length === 0) return null;
+
+    const conflictMessages = {
+      'modified-on-server': 'se modificó en otro dispositivo',
+      'deleted-on-server': 'se eliminó en otro dispositivo',
+      'exists-on-server': 'ya estaba en tu librería',
+      'error': 'no se pudo sincronizar'
+    };
+
+    return (
+      <Surface style={dynamicStyles.syncBanner}>
+        <View style={dynamicStyles.syncRow}>
+          <Icon
+            name={isOffline ? 'cloud-off-outline' : 'cloud-sync'}
+            size={20}
+            color={theme.customColors.warning}
+          />
+          <Text style={dynamicStyles.syncText}>
+            {isOffline ? 'Sin conexión. ' : ''}
+            {pendingCount > 0
+              ? `${pendingCount} cambio${pendingCount !== 1 ? 's' : ''} pendiente${pendingCount !== 1 ? 's' : ''}`
+              : isOffline ? 'Mostrando copia local' : ''}
+          </Text>
+          {pendingCount > 0 && (
+            <Button compact mode="text" onPress={handleSyncNow} loading={syncing} disabled={syncing}>
+              Sincronizar
+            </Button>
+          )}
+        </View>
+
+        {conflicts.map(conflict => (
+          <View key={conflict.id} style={dynamicStyles.conflictItem}>
+            <Text style={dynamicStyles.conflictText}>
+              "{conflict.operation.payload?.titulo || conflict.serverData?.titulo || conflict.operation.bookId}"{' '}
+              {conflictMessages[conflict.reason] || 'tiene un conflicto'}
+            </Text>
+            <View style={dynamicStyles.conflictActions}>
+              <Button compact mode="outlined" onPress={() => handleResolveConflict(conflict, 'local')}>
+                Usar mi cambio
+              </Button>
+              <Button compact mode="text" onPress={() => handleResolveConflict(conflict, 'server')}>
+                Descartar
+              </Button>
+            </View>
+          </View>
+        ))}
+      </Surface>
+    );
+  };
 
   // **RENDERIZAR ESTADÍSTICAS** 📊
   const renderStats = () => {
@@ -385,18 +729,105 @@ const LibraryScreen = ({ navigation }) => {
   };
 
   // **RENDERIZAR ITEM DE LIBRO** 📖
-  const renderBookItem = ({ item: book }) => (
-    <BookCard
-      book={book}
-      onPress={() => handleBookPress(book)}
-      onStatusChange={(newStatus) => handleUpdateReadingStatus(book, newStatus)}
-      onRemove={() => handleRemoveBook(book)}
-      showLibraryActions={true}
-      style={dynamicStyles.bookItem}
-      imageSize="medium"
+  const renderBookItem = ({ item: book, index }) => {
+    const card = (
+      <BookCard
+        book={book}
+        onPress={() => (selectionMode ? toggleBookSelection(book) : handleBookPress(book))}
+        onLongPress={reorderMode ? null : toggleBookSelection}
+        selected={selectedBookIds.includes(book.bookId)}
+        onStatusChange={(newStatus) => handleUpdateReadingStatus(book, newStatus)}
+        onRemove={() => handleRemoveBook(book)}
+        showLibraryActions={true}
+        style={reorderMode ? dynamicStyles.reorderCard : dynamicStyles.bookItem}
+        imageSize="medium"
+      />
+    );
+
+    if (!reorderMode) return card;
+
+    // Modo ordenar: flechas para subir o bajar el libro en la estantería
+    return (
+      <View style={dynamicStyles.reorderRow}>
+        {card}
+        <View>
+          <IconButton
+            icon="chevron-up"
+            onPress={() => handleMoveInShelf(book, filteredBooks[index - 1])}
+            disabled={index === 0}
+            accessibilityLabel={`Subir ${book.titulo}`}
+          />
+          <IconButton
+            icon="chevron-down"
+            onPress={() => handleMoveInShelf(book, filteredBooks[index + 1])}
+            disabled={index === filteredBooks.length - 1}
+            accessibilityLabel={`Bajar ${book.titulo}`}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  // **RENDERIZAR ESTANTERÍAS** 🗂️
+  const renderShelves = () => (
+    <ShelfBar
+      shelves={shelves}
+      booksById={booksById}
+      selectedShelfId={selectedShelfId}
+      onSelect={handleSelectShelf}
+      onEdit={(shelf) => setShelfForm({ visible: true, shelf, error: null })}
+      onCreate={() => setShelfForm({ visible: true, shelf: null, error: null })}
     />
   );
 
+  // **RENDERIZAR BARRA DE SELECCIÓN / ESTANTERÍA** ☑️
+  const renderShelfActions = () => {
+    if (selectionMode) {
+      return (
+        <Surface style={dynamicStyles.selectionBar}>
+          <Text style={dynamicStyles.selectionText}>
+            {selectedBookIds.length} seleccionado{selectedBookIds.length !== 1 ? 's' : ''}
+          </Text>
+          <Button compact mode="text" onPress={() => setShelfPickerVisible(true)}>
+            {selectedShelf ? 'Mover' : 'Agregar a'}
+          </Button>
+          {selectedShelf && (
+            <Button compact mode="text" onPress={handleRemoveSelectedFromShelf}>
+              Quitar
+            </Button>
+          )}
+          <Button compact mode="text" onPress={() => setShelfForm({ visible: true, shelf: null, error: null })}>
+            Nueva
+          </Button>
+          <IconButton icon="close" size={20} onPress={clearSelection} accessibilityLabel="Cancelar selección" />
+        </Surface>
+      );
+    }
+
+    if (!selectedShelf) return null;
+
+    // Ordenar solo tiene sentido con el orden de la estantería a la vista
+    const canReorder = !queryParser.getTextQuery(parsedQuery.ast);
+
+    return (
+      <View style={dynamicStyles.shelfHeader}>
+        <View style={dynamicStyles.shelfHeaderText}>
+          <Text style={dynamicStyles.shelfTitle}>{selectedShelf.nombre}</Text>
+          {selectedShelf.descripcion && (
+            <Text style={dynamicStyles.shelfDescription} numberOfLines={2}>
+              {selectedShelf.descripcion}
+            </Text>
+          )}
+        </View>
+        {canReorder && (
+          <Button compact mode={reorderMode ? 'contained' : 'outlined'} onPress={() => setReorderMode(prev => !prev)}>
+            {reorderMode ? 'Listo' : 'Ordenar'}
+          </Button>
+        )}
+      </View>
+    );
+  };
+
   // **RENDERIZAR ESTADO DE CARGA** ⏳
   if (loading) {
     return (
@@ -444,6 +875,9 @@ const LibraryScreen = ({ navigation }) => {
             actionText="Explorar Libros"
             onAction={handleAddBooks}
           />
+          <Button mode="text" icon="file-import-outline" onPress={() => navigation.navigate('LibraryImport')}>
+            Importar desde Goodreads
+          </Button>
         </View>
       </SafeAreaView>
     );
@@ -468,20 +902,35 @@ const LibraryScreen = ({ navigation }) => {
             icon="magnify"
             clearIcon="close"
           />
+          {parsedQuery.error && (
+            <HelperText type="error" visible>
+              {parsedQuery.error}
+            </HelperText>
+          )}
         </View>
       </View>
 
+      {/* Estado de sincronización offline */}
+      {renderSyncBanner()}
+
       {/* Estadísticas */}
       {renderStats()}
 
+      {/* Estanterías */}
+      {renderShelves()}
+
       {/* Filtros */}
       {renderFilters()}
 
+      {/* Acciones de selección o de la estantería abierta */}
+      {renderShelfActions()}
+
       {/* Lista de libros */}
       <FlatList
         data={filteredBooks}
         renderItem={renderBookItem}
         keyExtractor={(item) => item.bookId}
+        extraData={[selectedBookIds, reorderMode]}
         style={dynamicStyles.listContainer}
         refreshControl={
           <RefreshControl
@@ -502,17 +951,41 @@ const LibraryScreen = ({ navigation }) => {
               setSearchQuery('');
               setSelectedCategory('all');
               setSelectedStatus('all');
+              handleSelectShelf(null);
             }}
           />
         }
       />
 
       {/* FAB para agregar libros */}
-      <FAB
-        icon="plus"
-        onPress={handleAddBooks}
-        style={dynamicStyles.fab}
-        label="Agregar"
+      {!selectionMode && (
+        <FAB
+          icon="plus"
+          onPress={handleAddBooks}
+          style={dynamicStyles.fab}
+          label="Agregar"
+        />
+      )}
+
+      {/* Modales de estanterías */}
+      <ShelfFormModal
+        visible={shelfForm.visible}
+        shelf={shelfForm.shelf}
+        error={shelfForm.error}
+        loading={savingShelf}
+        onDismiss={() => setShelfForm({ visible: false, shelf: null, error: null })}
+        onSubmit={handleSaveShelf}
+        onDelete={handleDeleteShelf}
+      />
+      <ShelfPickerModal
+        visible={shelfPickerVisible}
+        shelves={shelves}
+        booksById={booksById}
+        excludeShelfId={selectedShelfId}
+        selectedCount={selectedBookIds.length}
+        loading={savingShelf}
+        onDismiss={() => setShelfPickerVisible(false)}
+        onPick={handleMoveSelected}
       />
     </SafeAreaView>
   );
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { View, StyleSheet, ScrollView, RefreshControl, Alert } from 'react-native';
 import {
   Text,
@@ -10,8 +10,10 @@ import {
   Switch,
   Dialog,
   Portal,
-  TextInput
+  TextInput,
+  IconButton
 } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
 import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { useTheme } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
@@ -21,6 +23,11 @@ import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
 import { firestoreService } from '../../services/firebase/firestoreService'; 
 import { storageService } from '../../services/firebase/storageService';
+import { localStorageService } from '../../services/storage/localStorageService';
+import { readingStatsService } from '../../services/stats/readingStatsService';
+import { reviewMarkupParser } from '../../services/reviews/reviewMarkupParser';
+import { APP_CONFIG } from '../../constants/firebase';
+import { useUserLibrary, useReadingSessions, useUserReviews } from '../../hooks/useFirestoreSubscriptions';
 import { doc, getDoc, setDoc, collection, updateDoc, serverTimestamp } from 'firebase/firestore';
 import { getFirebaseAuth,getFirebaseFirestore,getFirebaseStorage } from '../../services/firebase/firebaseConfig';
  
@@ -30,6 +37,10 @@ import {
   StatsCard,
   ErrorState
 } from '../../components/common';
+import ReadingStatsPanel from '../../components/stats/ReadingStatsPanel';
+import ExportDataModal from '../../components/account/ExportDataModal';
+import RestoreDataModal from '../../components/account/RestoreDataModal';
+import DeleteAccountModal from '../../components/account/DeleteAccountModal';
 import { getStorage } from 'firebase/storage';
 
 /**
@@ -38,6 +49,7 @@ import { getStorage } from 'firebase/storage';
  * Pantalla de perfil del usuario que demuestra:
  * - Información personal y avatar
  * - Estadísticas de actividad
+ * - Estadísticas de lectura con gráficos
  * - Configuraciones de la aplicación
  * - Gestión de cuenta (editar perfil, cerrar sesión)
  * - Preferencias de notificaciones
@@ -52,6 +64,13 @@ import { getStorage } from 'firebase/storage';
  * - Integración con servicios de backend
  */
 
+// Secciones del perfil público que se pueden ocultar
+const PRIVACY_OPTIONS = [
+  { key: 'estanterias', title: 'Estanterías', description: 'Tus estanterías y los libros que contienen' },
+  { key: 'resenas', title: 'Reseñas', description: 'Tus reseñas públicas, en tu perfil y en la página de cada libro' },
+  { key: 'estadisticas', title: 'Estadísticas', description: 'Gráficos de lectura calculados con tu librería' }
+];
+
 const ProfileScreen = ({ navigation }) => {
   const theme = useTheme();
   const { user, userProfile, logout } = useAuth();
@@ -85,6 +104,21 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
   // Estados para configuraciones
   const [notifications, setNotifications] = useState(true);
   const [darkMode, setDarkMode] = useState(false);
+  const [offlineMode, setOfflineMode] = useState(false);
+  const [autoSync, setAutoSync] = useState(true);
+
+  // Borradores de reseñas guardados en el dispositivo
+  const [reviewDrafts, setReviewDrafts] = useState([]);
+
+  // Qué ven otros lectores en el perfil público
+  const [privacy, setPrivacy] = useState(() => firestoreService.resolvePrivacy(userProfile?.privacidad));
+  const [showPrivacyDialog, setShowPrivacyDialog] = useState(false);
+  const [savingPrivacy, setSavingPrivacy] = useState(false);
+
+  // Exportación y restauración de la cuenta
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [showRestoreDialog, setShowRestoreDialog] = useState(false);
+  const [showDeleteAccountDialog, setShowDeleteAccountDialog] = useState(false);
 
   // Estados para edición de perfil
   const [editForm, setEditForm] = useState({
@@ -171,6 +205,9 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
     settingItem: {
       paddingHorizontal: theme.spacing.xl,
     },
+    draftsSection: {
+      paddingBottom: theme.spacing.md,
+    },
     divider: {
       marginVertical: theme.spacing.md,
       marginHorizontal: theme.spacing.xl,
@@ -181,6 +218,7 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
     },
     dangerButton: {
       borderColor: theme.customColors.error,
+      marginBottom: theme.spacing.sm,
     },
     loadingContainer: {
       flex: 1,
@@ -194,6 +232,11 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
     dialogContent: {
       paddingBottom: theme.spacing.lg,
     },
+    privacyNote: {
+      marginTop: theme.spacing.md,
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+    },
     formField: {
       marginBottom: theme.spacing.md,
     },
@@ -244,9 +287,10 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
       const blob = await response.blob();
 
       // **PASO 5: CREAR REFERENCIA EN STORAGE** 📁
-      // Crear un nombre único para la imagen usando timestamp
+      // Crear un nombre único para la imagen usando timestamp, dentro de
+      // la carpeta del usuario (storages.rules no permite otra)
       const timestamp = Date.now();
-      const fileName = `images/demo_image_${timestamp}.jpg`;
+      const fileName = `${storageService.profileImagePath}/${user.uid}/profile_${timestamp}.jpg`;
       const storageRef = ref(storage, fileName);
 
       setUploadProgress('Subiendo a Firebase Storage...');
@@ -298,7 +342,8 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
           console.log("Mi base de dato",db)
           console.log("Mi usuario: ",userId)
           console.log("MI URL de mi foto: ",PhotoURL)
-          await updateDoc(doc(db, 'users', userId), {
+          // También actualiza la foto del perfil público
+          await firestoreService.updateUserProfile(userId, {
             fotoPerfilUrl: PhotoURL,
           });
       } catch (error) {
@@ -399,6 +444,19 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
       });
     }
   }
+  // **DATOS PARA ESTADÍSTICAS DE LECTURA** 📊
+  // Llegan por suscripción (funcionan con la caché offline); los
+  // gráficos se calculan en el dispositivo
+  const { data: libraryData } = useUserLibrary(user?.uid);
+  const { data: sessionsData } = useReadingSessions(user?.uid, { limitCount: 500 });
+  const { data: reviewsData } = useUserReviews(user?.uid, { limitCount: 500 });
+
+  const readingStats = useMemo(() => readingStatsService.computeStats({
+    books: libraryData || [],
+    sessions: sessionsData || [],
+    reviews: reviewsData || []
+  }), [libraryData, sessionsData, reviewsData]);
+
   // **CARGAR DATOS** 📥
   const loadProfileData = useCallback(async () => {
     try {
@@ -406,12 +464,20 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
 
       if (!user) return;
 
-      const statsResult = await firestoreService.getUserStats(user.uid);
+      const [statsResult, settingsResult] = await Promise.all([
+        firestoreService.getUserStats(user.uid),
+        localStorageService.getUserSettings(user.uid)
+      ]);
 
       if (statsResult.success) {
         setStats(statsResult.data);
       }
 
+      if (settingsResult.success) {
+        setOfflineMode(settingsResult.data.offlineMode);
+        setAutoSync(settingsResult.data.autoSync);
+      }
+
     } catch (error) {
       console.error('Error cargando datos del perfil:', error);
       setError('Error cargando datos del perfil. Verifica tu conexión.');
@@ -433,15 +499,96 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
         apellido: userProfile.apellido || '',
         bio: userProfile.bio || ''
       });
+      setPrivacy(firestoreService.resolvePrivacy(userProfile.privacidad));
     }
   }, [userProfile]);
 
+  // **BORRADORES DE RESEÑAS** 📝
+  // Se recargan al volver a la pestaña: ReviewScreen los crea y descarta
+  const loadReviewDrafts = useCallback(async () => {
+    if (!user) return;
+    const result = await localStorageService.getReviewDrafts(user.uid);
+    if (result.success) {
+      setReviewDrafts(result.data);
+    }
+  }, [user]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadReviewDrafts();
+    }, [loadReviewDrafts])
+  );
+
+  const handleDiscardDraft = useCallback((draft) => {
+    Alert.alert(
+      'Descartar borrador',
+      `¿Descartar el borrador de la reseña de "${draft.book?.titulo || 'este libro'}"?`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Descartar',
+          style: 'destructive',
+          onPress: async () => {
+            await localStorageService.clearReviewDraft(user.uid, draft.bookId);
+            loadReviewDrafts();
+          }
+        }
+      ]
+    );
+  }, [user, loadReviewDrafts]);
+
+  // **GUARDAR PRIVACIDAD** 🔒
+  // Se muestra el cambio al instante y se revierte si no se pudo guardar
+  const handlePrivacyChange = useCallback(async (key, value) => {
+    if (!user) return;
+    const previous = privacy;
+    setPrivacy(prev => ({ ...prev, [key]: value }));
+    setSavingPrivacy(true);
+
+    const result = await firestoreService.updatePrivacySettings(user.uid, { [key]: value });
+
+    setSavingPrivacy(false);
+    if (result.success) {
+      setPrivacy(result.data);
+    } else {
+      setPrivacy(previous);
+      showError(result.error);
+    }
+  }, [user, privacy, showError]);
+
   // **MANEJAR REFRESH** 🔄
   const handleRefresh = useCallback(async () => {
     setRefreshing(true);
     await loadProfileData();
   }, [loadProfileData]);
 
+  // **GUARDAR CONFIGURACIÓN DE SINCRONIZACIÓN** 📴
+  const handleSyncSettingChange = useCallback(async (key, value) => {
+    try {
+      if (!user) return;
+
+      const current = await localStorageService.getUserSettings(user.uid);
+      const result = await localStorageService.saveUserSettings(user.uid, {
+        ...current.data,
+        [key]: value
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (key === 'offlineMode') setOfflineMode(value);
+      if (key === 'autoSync') setAutoSync(value);
+
+      // Al volver a estar en línea, enviar lo pendiente
+      if (key === 'offlineMode' && !value) {
+        firestoreService.triggerAutoSync(user.uid);
+      }
+    } catch (error) {
+      showError('Error guardando configuración');
+    }
+  }, [user, showError]);
+
   // **MANEJAR LOGOUT** 🚪
   const handleLogout = useCallback(async () => {
     try {
@@ -548,6 +695,47 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
     );
   };
 
+  // **RENDERIZAR BORRADORES** 📝
+  const renderReviewDrafts = () => {
+    if (reviewDrafts.length === 0) return null;
+
+    return (
+      <View style={dynamicStyles.draftsSection}>
+        <Text style={[dynamicStyles.sectionTitle, { paddingHorizontal: theme.spacing.xl }]}>
+          Reseñas sin publicar
+        </Text>
+
+        {reviewDrafts.map(draft => {
+          const excerpt = reviewMarkupParser.getVisibleText(draft.texto || '').replace(/\n/g, ' ');
+          const savedAt = draft.fechaGuardado ? new Date(draft.fechaGuardado).toLocaleDateString() : '';
+
+          return (
+            <List.Item
+              key={draft.bookId}
+              title={draft.book?.titulo || 'Libro'}
+              description={[
+                draft.calificacion ? '★'.repeat(draft.calificacion) : null,
+                excerpt || 'Sin texto',
+                savedAt ? `Guardado el ${savedAt}` : null
+              ].filter(Boolean).join(' · ')}
+              descriptionNumberOfLines={2}
+              left={() => <List.Icon icon="file-document-edit-outline" />}
+              right={() => (
+                <IconButton
+                  icon="delete-outline"
+                  onPress={() => handleDiscardDraft(draft)}
+                  accessibilityLabel="Descartar borrador"
+                />
+              )}
+              onPress={() => navigation.navigate('Review', { book: draft.book })}
+              style={dynamicStyles.settingItem}
+            />
+          );
+        })}
+      </View>
+    );
+  };
+
   // **RENDERIZAR CONFIGURACIONES** ⚙️
   const renderSettings = () => (
     <View style={dynamicStyles.settingsSection}>
@@ -581,14 +769,94 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
         style={dynamicStyles.settingItem}
       />
 
+      <List.Item
+        title="Modo sin conexión"
+        description="Guardar cambios de la librería solo en el dispositivo"
+        left={() => <List.Icon icon="cloud-off-outline" />}
+        right={() => (
+          <Switch
+            value={offlineMode}
+            onValueChange={(value) => handleSyncSettingChange('offlineMode', value)}
+          />
+        )}
+        style={dynamicStyles.settingItem}
+      />
+
+      <List.Item
+        title="Sincronización automática"
+        description="Enviar cambios pendientes al recuperar la conexión"
+        left={() => <List.Icon icon="cloud-sync" />}
+        right={() => (
+          <Switch
+            value={autoSync}
+            onValueChange={(value) => handleSyncSettingChange('autoSync', value)}
+          />
+        )}
+        style={dynamicStyles.settingItem}
+      />
+
       <Divider style={dynamicStyles.divider} />
 
+      <List.Item
+        title="Cambiar contraseña"
+        description="Requiere tu contraseña actual"
+        left={() => <List.Icon icon="lock-reset" />}
+        right={() => <List.Icon icon="chevron-right" />}
+        onPress={() => navigation.navigate('ChangePassword')}
+        style={dynamicStyles.settingItem}
+      />
+
+      <List.Item
+        title="Cambiar email"
+        description={user?.email}
+        left={() => <List.Icon icon="email-edit-outline" />}
+        right={() => <List.Icon icon="chevron-right" />}
+        onPress={() => navigation.navigate('ChangeEmail')}
+        style={dynamicStyles.settingItem}
+      />
+
       <List.Item
         title="Privacidad"
         description="Configurar privacidad de datos"
         left={() => <List.Icon icon="shield-account" />}
         right={() => <List.Icon icon="chevron-right" />}
-        onPress={() => {/* Navegar a configuración de privacidad */ }}
+        onPress={() => setShowPrivacyDialog(true)}
+        style={dynamicStyles.settingItem}
+      />
+
+      <List.Item
+        title="Ver mi perfil público"
+        description="Cómo ven tu perfil otros lectores"
+        left={() => <List.Icon icon="account-eye" />}
+        right={() => <List.Icon icon="chevron-right" />}
+        onPress={() => navigation.navigate('PublicProfile', { userId: user.uid, nombre: getFullName() })}
+        style={dynamicStyles.settingItem}
+      />
+
+      <List.Item
+        title="Importar desde Goodreads"
+        description="Traer libros, calificaciones y reseñas desde un CSV"
+        left={() => <List.Icon icon="file-import-outline" />}
+        right={() => <List.Icon icon="chevron-right" />}
+        onPress={() => navigation.navigate('LibraryImport')}
+        style={dynamicStyles.settingItem}
+      />
+
+      <List.Item
+        title="Exportar mis datos"
+        description="Copia en JSON y CSV de tu perfil, librería y reseñas"
+        left={() => <List.Icon icon="database-export-outline" />}
+        right={() => <List.Icon icon="chevron-right" />}
+        onPress={() => setShowExportDialog(true)}
+        style={dynamicStyles.settingItem}
+      />
+
+      <List.Item
+        title="Restaurar copia de seguridad"
+        description="Cargar una exportación en esta cuenta"
+        left={() => <List.Icon icon="database-import-outline" />}
+        right={() => <List.Icon icon="chevron-right" />}
+        onPress={() => setShowRestoreDialog(true)}
         style={dynamicStyles.settingItem}
       />
 
@@ -617,6 +885,16 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
       >
         Cerrar Sesión
       </Button>
+
+      <Button
+        mode="outlined"
+        icon="account-remove"
+        onPress={() => setShowDeleteAccountDialog(true)}
+        style={dynamicStyles.dangerButton}
+        textColor={theme.customColors.error}
+      >
+        Eliminar cuenta
+      </Button>
     </View>
   );
 
@@ -665,6 +943,7 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
             onChangeText={(text) => setEditForm(prev => ({ ...prev, bio: text }))}
             multiline
             numberOfLines={3}
+            maxLength={APP_CONFIG.VALIDATION.BIO_MAX_LENGTH}
             style={dynamicStyles.formField}
             mode="outlined"
           />
@@ -677,6 +956,53 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
     </Portal>
   );
 
+  // **RENDERIZAR DIÁLOGO DE PRIVACIDAD** 🔒
+  const renderPrivacyDialog = () => (
+    <Portal>
+      <Dialog visible={showPrivacyDialog} onDismiss={() => setShowPrivacyDialog(false)}>
+        <Dialog.Icon icon="shield-account" />
+        <Dialog.Title>Privacidad</Dialog.Title>
+        <Dialog.Content style={dynamicStyles.dialogContent}>
+          <List.Item
+            title="Perfil público"
+            description="Si lo desactivas, los demás solo ven tu nombre y tu foto"
+            descriptionNumberOfLines={2}
+            right={() => (
+              <Switch
+                value={privacy.perfilPublico}
+                disabled={savingPrivacy}
+                onValueChange={(value) => handlePrivacyChange('perfilPublico', value)}
+              />
+            )}
+          />
+          <Divider />
+          {PRIVACY_OPTIONS.map(option => (
+            <List.Item
+              key={option.key}
+              title={option.title}
+              description={option.description}
+              descriptionNumberOfLines={2}
+              disabled={!privacy.perfilPublico}
+              right={() => (
+                <Switch
+                  value={privacy.perfilPublico && privacy[option.key]}
+                  disabled={savingPrivacy || !privacy.perfilPublico}
+                  onValueChange={(value) => handlePrivacyChange(option.key, value)}
+                />
+              )}
+            />
+          ))}
+          <Text style={dynamicStyles.privacyNote}>
+            Tus reseñas públicas siempre se ven en la página de cada libro.
+          </Text>
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={() => setShowPrivacyDialog(false)}>Listo</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+
   // **RENDERIZAR ESTADO DE CARGA** ⏳
   if (loading) {
     return (
@@ -762,6 +1088,15 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
           {renderStats()}
         </View>
 
+        {/* Estadísticas de lectura */}
+        <View style={dynamicStyles.statsSection}>
+          <Text style={dynamicStyles.sectionTitle}>Tu Lectura</Text>
+          <ReadingStatsPanel stats={readingStats} />
+        </View>
+
+        {/* Borradores de reseñas */}
+        {renderReviewDrafts()}
+
         <Divider style={dynamicStyles.divider} />
 
         {/* Configuraciones */}
@@ -776,6 +1111,28 @@ const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // URL de la ima
       {/* Diálogos */}
       {renderLogoutDialog()}
       {renderEditDialog()}
+      {renderPrivacyDialog()}
+      <ExportDataModal
+        visible={showExportDialog}
+        userId={user?.uid}
+        onDismiss={() => setShowExportDialog(false)}
+        onError={showError}
+      />
+      <RestoreDataModal
+        visible={showRestoreDialog}
+        userId={user?.uid}
+        userName={getFullName()}
+        onDismiss={() => setShowRestoreDialog(false)}
+        onRestored={() => {
+          showSuccess('Copia de seguridad restaurada');
+          handleRefresh();
+        }}
+      />
+      <DeleteAccountModal
+        visible={showDeleteAccountDialog}
+        onDismiss={() => setShowDeleteAccountDialog(false)}
+        onDeleted={() => showSuccess('Tu cuenta fue eliminada')}
+      />
     </SafeAreaView>
   );
 };
@@ -0,0 +1,488 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, RefreshControl, Pressable } from 'react-native';
+import {
+  Text,
+  Avatar,
+  Button,
+  Card,
+  Surface,
+  Divider
+} from 'react-native-paper';
+import { useTheme } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import { firestoreService } from '../../services/firebase/firestoreService';
+import { readingStatsService } from '../../services/stats/readingStatsService';
+import { useFollowing } from '../../hooks/useFirestoreSubscriptions';
+import ReviewText from '../../components/reviews/ReviewText';
+import ReadingStatsPanel from '../../components/stats/ReadingStatsPanel';
+
+import {
+  LoadingSpinner,
+  ErrorState,
+  BookImage
+} from '../../components/common';
+
+/**
+ * **PANTALLA DE PERFIL PÚBLICO EDUCATIVA** 👤🌐
+ *
+ * Perfil de cualquier lector que demuestra:
+ * - Datos públicos desde `publicProfiles` (nunca desde `users`)
+ * - Secciones que respetan la privacidad del lector
+ * - Estadísticas calculadas en el dispositivo con datos públicos
+ * - Seguir y dejar de seguir desde el perfil
+ *
+ * Conceptos educativos demostrados:
+ * - Privacidad aplicada en la consulta, no solo en la interfaz
+ * - Cargas en paralelo de secciones independientes
+ * - Paginación de reseñas en el dispositivo
+ */
+
+// Las reseñas se cargan una vez (también alimentan las estadísticas)
+// y se muestran de a páginas
+const REVIEWS_LIMIT = 500;
+const REVIEWS_PAGE_SIZE = 10;
+
+// Cantidad de portadas que se muestran por estantería
+const SHELF_PREVIEW_SIZE = 4;
+
+const formatReviewDate = (value) => {
+  if (!value) return '';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+};
+
+const PublicProfileScreen = ({ route, navigation }) => {
+  const { userId } = route.params;
+  const theme = useTheme();
+  const { user } = useAuth();
+  const { showSuccess, showError } = useToast();
+
+  const { data: followingIds } = useFollowing(user.uid);
+
+  // **ESTADO LOCAL** 📊
+  const [profile, setProfile] = useState(null);
+  const [followCounts, setFollowCounts] = useState(null);
+  const [books, setBooks] = useState([]);
+  const [shelves, setShelves] = useState([]);
+  const [reviews, setReviews] = useState([]);
+  const [shownReviews, setShownReviews] = useState(REVIEWS_PAGE_SIZE);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [followBusy, setFollowBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isFollowing = (followingIds || []).includes(userId);
+  const displayName = [profile?.nombre, profile?.apellido].filter(Boolean).join(' ') || route.params?.nombre || 'Lector';
+
+  // **ESTILOS DINÁMICOS** 🎨
+  const dynamicStyles = StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.customColors.background.primary,
+    },
+    loadingContainer: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    header: {
+      alignItems: 'center',
+      paddingHorizontal: theme.spacing.xl,
+      paddingVertical: theme.spacing.lg,
+      backgroundColor: theme.customColors.background.card,
+    },
+    userName: {
+      marginTop: theme.spacing.md,
+      fontSize: 22,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+    },
+    userBio: {
+      marginTop: theme.spacing.sm,
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+    },
+    followCounts: {
+      flexDirection: 'row',
+      marginTop: theme.spacing.md,
+    },
+    followCount: {
+      alignItems: 'center',
+      marginHorizontal: theme.spacing.lg,
+    },
+    followValue: {
+      fontSize: 18,
+      fontWeight: 'bold',
+      color: theme.customColors.text.primary,
+    },
+    followLabel: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+    },
+    followButton: {
+      marginTop: theme.spacing.md,
+    },
+    section: {
+      padding: theme.spacing.lg,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+      marginBottom: theme.spacing.md,
+    },
+    hiddenNotice: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: theme.spacing.md,
+      borderRadius: 12,
+      backgroundColor: theme.customColors.background.secondary,
+    },
+    hiddenText: {
+      flex: 1,
+      marginLeft: theme.spacing.sm,
+      fontSize: 13,
+      color: theme.customColors.text.secondary,
+    },
+    shelf: {
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.sm,
+      borderRadius: 12,
+      backgroundColor: theme.customColors.background.card,
+      ...theme.shadows.small,
+    },
+    shelfName: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+    },
+    shelfMeta: {
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+      marginBottom: theme.spacing.sm,
+    },
+    shelfCovers: {
+      flexDirection: 'row',
+    },
+    shelfCover: {
+      width: 48,
+      height: 72,
+      borderRadius: 4,
+      marginRight: theme.spacing.sm,
+    },
+    reviewCard: {
+      marginBottom: theme.spacing.md,
+    },
+    reviewBook: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: theme.customColors.text.primary,
+    },
+    reviewMeta: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginVertical: theme.spacing.xs,
+    },
+    reviewDate: {
+      marginLeft: theme.spacing.sm,
+      fontSize: 12,
+      color: theme.customColors.text.secondary,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: theme.customColors.text.secondary,
+      textAlign: 'center',
+      paddingVertical: theme.spacing.md,
+    },
+  });
+
+  // **CARGAR PERFIL** 📥
+  // Cada servicio vuelve a revisar la privacidad: la pantalla solo
+  // decide qué secciones pedir
+  const loadProfile = useCallback(async () => {
+    try {
+      setError(null);
+
+      const profileResult = await firestoreService.getPublicProfile(user.uid, userId);
+      if (!profileResult.success) {
+        throw new Error(profileResult.error);
+      }
+
+      const { visible } = profileResult.data;
+      const [countsResult, libraryResult, shelvesResult, reviewsResult] = await Promise.all([
+        firestoreService.getFollowCounts(userId),
+        visible.estanterias || visible.estadisticas
+          ? firestoreService.getPublicLibrary(user.uid, userId)
+          : null,
+        visible.estanterias ? firestoreService.getPublicShelves(user.uid, userId) : null,
+        visible.resenas
+          ? firestoreService.getPublicReviews(user.uid, userId, { limitCount: REVIEWS_LIMIT })
+          : null
+      ]);
+
+      setProfile(profileResult.data);
+      setFollowCounts(countsResult.success ? countsResult.data : null);
+      setBooks(libraryResult?.success ? libraryResult.data : []);
+      setShelves(shelvesResult?.success ? shelvesResult.data : []);
+      setReviews(reviewsResult?.success ? reviewsResult.data : []);
+      setShownReviews(REVIEWS_PAGE_SIZE);
+
+    } catch (loadError) {
+      console.error('Error cargando perfil público:', loadError);
+      setError(loadError.message || 'Error cargando el perfil');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [user.uid, userId]);
+
+  useEffect(() => {
+    loadProfile();
+  }, [loadProfile]);
+
+  useEffect(() => {
+    navigation.setOptions({ title: displayName });
+  }, [navigation, displayName]);
+
+  const handleRefresh = useCallback(() => {
+    setRefreshing(true);
+    loadProfile();
+  }, [loadProfile]);
+
+  // **SEGUIR** 👥
+  const handleToggleFollow = useCallback(async () => {
+    setFollowBusy(true);
+
+    const result = isFollowing
+      ? await firestoreService.unfollowUser(user.uid, userId)
+      : await firestoreService.followUser(user.uid, userId);
+
+    setFollowBusy(false);
+    if (result.success) {
+      setFollowCounts(prev => prev && { ...prev, seguidores: prev.seguidores + (isFollowing ? -1 : 1) });
+      showSuccess(isFollowing ? `Dejaste de seguir a ${displayName}` : `Ahora sigues a ${displayName}`);
+    } else {
+      showError(result.error);
+    }
+  }, [isFollowing, user.uid, userId, displayName, showSuccess, showError]);
+
+  // **ESTADÍSTICAS** 📊
+  // Las sesiones de lectura son privadas: las rachas quedan en cero.
+  // Sin reseñas visibles tampoco hay distribución de calificaciones
+  const readingStats = useMemo(() => readingStatsService.computeStats({
+    books,
+    sessions: [],
+    reviews
+  }), [books, reviews]);
+
+  const booksById = useMemo(() => {
+    const map = {};
+    books.forEach(book => {
+      map[book.id] = book;
+    });
+    return map;
+  }, [books]);
+
+  // **AVISO DE SECCIÓN OCULTA** 🔒
+  const renderHidden = (message) => (
+    <View style={dynamicStyles.hiddenNotice}>
+      <Icon name="lock-outline" size={20} color={theme.customColors.text.secondary} />
+      <Text style={dynamicStyles.hiddenText}>{message}</Text>
+    </View>
+  );
+
+  // **RENDERIZAR ENCABEZADO** 👤
+  const renderHeader = () => (
+    <View style={dynamicStyles.header}>
+      {profile.fotoPerfilUrl
+        ? <Avatar.Image size={96} source={{ uri: profile.fotoPerfilUrl }} />
+        : <Avatar.Text size={96} label={displayName.charAt(0).toUpperCase()} />}
+
+      <Text style={dynamicStyles.userName}>{displayName}</Text>
+      {profile.bio ? <Text style={dynamicStyles.userBio}>{profile.bio}</Text> : null}
+
+      {followCounts && (
+        <View style={dynamicStyles.followCounts}>
+          <View style={dynamicStyles.followCount}>
+            <Text style={dynamicStyles.followValue}>{followCounts.seguidores}</Text>
+            <Text style={dynamicStyles.followLabel}>seguidores</Text>
+          </View>
+          <View style={dynamicStyles.followCount}>
+            <Text style={dynamicStyles.followValue}>{followCounts.siguiendo}</Text>
+            <Text style={dynamicStyles.followLabel}>siguiendo</Text>
+          </View>
+        </View>
+      )}
+
+      {!profile.esPropio && followingIds && (
+        <Button
+          mode={isFollowing ? 'outlined' : 'contained'}
+          icon={isFollowing ? 'account-check' : 'account-plus'}
+          loading={followBusy}
+          disabled={followBusy}
+          onPress={handleToggleFollow}
+          style={dynamicStyles.followButton}
+        >
+          {isFollowing ? 'Siguiendo' : 'Seguir'}
+        </Button>
+      )}
+    </View>
+  );
+
+  // **RENDERIZAR ESTANTERÍAS** 🗂️
+  const renderShelves = () => {
+    if (!profile.visible.estanterias) {
+      return renderHidden('Las estanterías de este lector son privadas.');
+    }
+    if (shelves.length === 0) {
+      return <Text style={dynamicStyles.emptyText}>Todavía no tiene estanterías.</Text>;
+    }
+
+    return shelves.map(shelf => {
+      const shelfBooks = (shelf.libros || []).map(bookId => booksById[bookId]).filter(Boolean);
+
+      return (
+        <Surface key={shelf.id} style={dynamicStyles.shelf}>
+          <Text style={dynamicStyles.shelfName}>{shelf.nombre}</Text>
+          <Text style={dynamicStyles.shelfMeta}>
+            {shelfBooks.length} libro{shelfBooks.length !== 1 ? 's' : ''}
+            {shelf.descripcion ? ` · ${shelf.descripcion}` : ''}
+          </Text>
+          <View style={dynamicStyles.shelfCovers}>
+            {shelfBooks.slice(0, SHELF_PREVIEW_SIZE).map(book => (
+              <Pressable key={book.id} onPress={() => navigation.navigate('BookDetail', { book })}>
+                <BookImage source={book.portadaUrl} style={dynamicStyles.shelfCover} resizeMode="cover" />
+              </Pressable>
+            ))}
+          </View>
+        </Surface>
+      );
+    });
+  };
+
+  // **RENDERIZAR RESEÑAS** ⭐
+  const renderReviews = () => {
+    if (!profile.visible.resenas) {
+      return renderHidden('Las reseñas de este lector no se muestran en su perfil.');
+    }
+    if (reviews.length === 0) {
+      return <Text style={dynamicStyles.emptyText}>Todavía no publicó reseñas.</Text>;
+    }
+
+    return (
+      <View>
+        {reviews.slice(0, shownReviews).map(review => (
+          <Card key={review.id} style={dynamicStyles.reviewCard}>
+            <Card.Content>
+              <Text style={dynamicStyles.reviewBook}>{review.bookTitle || 'Libro'}</Text>
+              <View style={dynamicStyles.reviewMeta}>
+                {[1, 2, 3, 4, 5].map(star => (
+                  <Icon
+                    key={star}
+                    name={star <= review.calificacion ? 'star' : 'star-outline'}
+                    size={14}
+                    color="#FFD700"
+                  />
+                ))}
+                <Text style={dynamicStyles.reviewDate}>{formatReviewDate(review.fechaCreacion)}</Text>
+              </View>
+              <ReviewText text={review.texto} />
+            </Card.Content>
+            <Card.Actions>
+              <Button
+                icon="comment-outline"
+                compact
+                onPress={() => navigation.navigate('ReviewComments', { review })}
+              >
+                Comentarios ({review.totalComentarios || 0})
+              </Button>
+            </Card.Actions>
+          </Card>
+        ))}
+
+        {reviews.length > shownReviews && (
+          <Button mode="text" onPress={() => setShownReviews(prev => prev + REVIEWS_PAGE_SIZE)}>
+            Ver más reseñas
+          </Button>
+        )}
+      </View>
+    );
+  };
+
+  // **RENDERIZAR ESTADO DE CARGA** ⏳
+  if (loading) {
+    return (
+      <SafeAreaView style={dynamicStyles.container} edges={['bottom']}>
+        <View style={dynamicStyles.loadingContainer}>
+          <LoadingSpinner size="large" message="Cargando perfil..." />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  // **RENDERIZAR ESTADO DE ERROR** ❌
+  if (error || !profile) {
+    return (
+      <SafeAreaView style={dynamicStyles.container} edges={['bottom']}>
+        <ErrorState error={error} onRetry={handleRefresh} />
+      </SafeAreaView>
+    );
+  }
+
+  const isPrivate = !profile.esPropio && !profile.privacidad.perfilPublico;
+
+  // **RENDERIZAR CONTENIDO PRINCIPAL** 🏗️
+  return (
+    <SafeAreaView style={dynamicStyles.container} edges={['bottom']}>
+      <ScrollView
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            colors={[theme.customColors.primary]}
+            tintColor={theme.customColors.primary}
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      >
+        {renderHeader()}
+
+        {isPrivate ? (
+          <View style={dynamicStyles.section}>
+            {renderHidden('Este perfil es privado.')}
+          </View>
+        ) : (
+          <>
+            <View style={dynamicStyles.section}>
+              <Text style={dynamicStyles.sectionTitle}>Estanterías</Text>
+              {renderShelves()}
+            </View>
+
+            <Divider />
+
+            <View style={dynamicStyles.section}>
+              <Text style={dynamicStyles.sectionTitle}>Reseñas</Text>
+              {renderReviews()}
+            </View>
+
+            <Divider />
+
+            <View style={dynamicStyles.section}>
+              <Text style={dynamicStyles.sectionTitle}>Lectura</Text>
+              {profile.visible.estadisticas
+                ? <ReadingStatsPanel stats={readingStats} />
+                : renderHidden('Las estadísticas de este lector son privadas.')}
+            </View>
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+export default PublicProfileScreen;
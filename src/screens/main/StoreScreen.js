@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { View, StyleSheet } from 'react-native';
 import { useTheme } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
@@ -6,7 +6,9 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
 import { booksApiService } from '../../services/api/booksApiService';
+import { federatedSearchService } from '../../services/api/federatedSearchService';
 import { firestoreService } from '../../services/firebase/firestoreService';
+import { queryParser } from '../../services/search/queryParser';
 
 import BookList from '../../components/books/BookList';
 import { 
@@ -47,6 +49,7 @@ const StoreScreen = ({ navigation, route }) => {
   const [error, setStoreError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [hasSearched, setHasSearched] = useState(false);
+  const hasSearchedRef = useRef(false);
 
   // **PARÁMETROS DE NAVEGACIÓN** 🧭
   const initialSearch = route?.params?.searchQuery || '';
@@ -69,14 +72,22 @@ const StoreScreen = ({ navigation, route }) => {
   });
 
   // **CARGAR CATÁLOGO INICIAL** 📥
-  const loadInitialCatalog = useCallback(async () => {
+  const loadInitialCatalog = useCallback(async (forceRefresh = false) => {
     try {
       setLoading(true);
       setStoreError(null);
 
+      // Si el cache estaba viejo, el catálogo revalidado llega después
+      const handleCatalogUpdate = (result) => {
+        setBooks(result.data);
+        if (!hasSearchedRef.current) {
+          setFilteredBooks(result.data);
+        }
+      };
+
       // Cargar catálogo de libros y librería del usuario en paralelo
       const [booksResult, libraryResult] = await Promise.all([
-        booksApiService.getAllBooks(true), // Usar cache
+        booksApiService.getAllBooks(true, { forceRefresh, onUpdate: handleCatalogUpdate }),
         user ? firestoreService.getUserLibrary(user.uid) : Promise.resolve({ success: true, data: [] })
       ]);
 
@@ -111,51 +122,62 @@ const StoreScreen = ({ navigation, route }) => {
 
   // **MANEJAR BÚSQUEDA** 🔍
   const handleSearch = useCallback(async (query) => {
+    // Solo el texto libre viaja a las fuentes; los filtros de campo
+    // (autor:, año:>1950, -genero:poesia...) se aplican sobre los resultados
+    const { ast } = queryParser.parse(query);
+    const textQuery = queryParser.getTextQuery(ast);
+
     try {
       setSearchQuery(query);
       setHasSearched(true);
 
-      if (!query.trim()) {
+      if (ast.clauses.length === 0) {
         // Si no hay query, mostrar todos los libros
         setFilteredBooks(books);
         return;
       }
 
+      if (!textQuery) {
+        // Solo filtros: no hace falta consultar las fuentes
+        setFilteredBooks(queryParser.filterBooks(books, ast));
+        return;
+      }
+
       setSearchLoading(true);
       
-      // Intentar búsqueda en API primero
-      const searchResult = await booksApiService.searchBooks(query.trim());
+      // Buscar en todas las fuentes a la vez (APIs, catálogo en cache y librería)
+      const searchResult = await federatedSearchService.search(textQuery, {
+        userId: user?.uid
+      });
       
-      if (searchResult.success && searchResult.data.length > 0) {
-        setFilteredBooks(searchResult.data);
+      if (searchResult.success) {
+        setFilteredBooks(queryParser.filterBooks(searchResult.data, ast, { skipText: true }));
       } else {
-        // Si no hay resultados en API, buscar localmente
-        const localResults = books.filter(book => 
-          book.titulo?.toLowerCase().includes(query.toLowerCase()) ||
-          book.autor?.toLowerCase().includes(query.toLowerCase()) ||
-          book.sinopsis?.toLowerCase().includes(query.toLowerCase())
-        );
-        setFilteredBooks(localResults);
+        throw new Error(searchResult.error);
       }
 
     } catch (error) {
       console.error('Error en búsqueda:', error);
-      // En caso de error, buscar localmente como fallback
+      // Si ninguna fuente responde, filtrar lo que ya está en pantalla
       const localResults = books.filter(book => 
-        book.titulo?.toLowerCase().includes(query.toLowerCase()) ||
-        book.autor?.toLowerCase().includes(query.toLowerCase())
+        federatedSearchService.matchesQuery(book, textQuery) &&
+        queryParser.evaluate(ast, book, { skipText: true })
       );
       setFilteredBooks(localResults);
     } finally {
       setSearchLoading(false);
     }
-  }, [books]);
+  }, [books, user]);
 
   // **EFECTOS** ⚡
   useEffect(() => {
     loadInitialCatalog();
   }, [loadInitialCatalog]);
 
+  useEffect(() => {
+    hasSearchedRef.current = hasSearched;
+  }, [hasSearched]);
+
   // **NAVEGAR A DETALLE DE LIBRO** 📖
   const handleBookPress = useCallback((book) => {
     navigation.navigate('BookDetail', { 
@@ -192,9 +214,8 @@ const StoreScreen = ({ navigation, route }) => {
 
   // **ACTUALIZAR DATOS** 🔄
   const handleRefresh = useCallback(async () => {
-    // Limpiar cache para obtener datos frescos
-    booksApiService.clearAllCache();
-    await loadInitialCatalog();
+    // Ignorar el cache para obtener datos frescos (se conserva como respaldo offline)
+    await loadInitialCatalog(true);
   }, [loadInitialCatalog]);
 
   // **CONFIGURACIÓN DE EMPTY STATE** 📭
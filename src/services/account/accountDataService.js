@@ -0,0 +1,409 @@
+import * as FileSystem from 'expo-file-system';
+
+import { firestoreService } from '../firebase/firestoreService';
+import { localStorageService } from '../storage/localStorageService';
+import { APP_CONFIG } from '../../constants/firebase';
+
+/**
+ * **SERVICIO DE DATOS DE LA CUENTA EDUCATIVO** 📦👤
+ *
+ * Exporta todo lo que pertenece al usuario y lo vuelve a cargar en
+ * otra cuenta:
+ * - Archivo JSON versionado con perfil, configuración, librería,
+ *   estanterías, sesiones, metas, reseñas y seguidos
+ * - Archivos CSV por colección para abrir en una planilla
+ * - Restauración idempotente del archivo JSON
+ *
+ * Las fechas de Firestore se guardan como `{ "$fecha": ISO }` para
+ * distinguirlas de los textos y restaurarlas con el mismo tipo.
+ *
+ * Patrones educativos demostrados:
+ * - Formato de archivo versionado
+ * - Serialización sin pérdida de tipos
+ * - Restauración por pasos reanudable
+ */
+
+export const EXPORT_FORMAT = 'mylibrary-export';
+export const EXPORT_VERSION = 1;
+
+// Orden de la restauración: los libros antes que lo que los referencia
+export const RESTORE_STEPS = {
+  perfil: 'Perfil y privacidad',
+  configuracion: 'Configuración',
+  libros: 'Librería',
+  estanterias: 'Estanterías',
+  sesiones: 'Sesiones de lectura',
+  metas: 'Metas de lectura',
+  resenas: 'Reseñas',
+  siguiendo: 'Lectores seguidos'
+};
+
+// Archivo CSV → colección del archivo y columnas
+const CSV_FILES = {
+  libreria: {
+    coleccion: 'libros',
+    columnas: ['bookId', 'titulo', 'autor', 'isbn', 'editorial', 'anoPublicacion', 'numeroPaginas',
+      'generos', 'estadoLectura', 'calificacionUsuario', 'paginaActual', 'porcentajeLeido',
+      'fechaAgregado', 'fechaFinLectura']
+  },
+  resenas: {
+    coleccion: 'resenas',
+    columnas: ['id', 'bookId', 'bookTitle', 'bookAuthor', 'calificacion', 'texto', 'esPrivada',
+      'votosUtiles', 'totalComentarios', 'fechaCreacion', 'fechaActualizacion']
+  },
+  estanterias: {
+    coleccion: 'estanterias',
+    columnas: ['id', 'nombre', 'descripcion', 'orden', 'libros']
+  },
+  sesiones: {
+    coleccion: 'sesiones',
+    columnas: ['id', 'bookId', 'fecha', 'paginaInicio', 'paginaFin', 'paginasLeidas',
+      'porcentajeInicio', 'porcentajeFin', 'duracionMinutos']
+  }
+};
+
+export const CSV_EXPORTS = Object.keys(CSV_FILES);
+
+// La foto apunta al Storage de la cuenta original: no se restaura
+const RESTORABLE_PROFILE_FIELDS = APP_CONFIG.PROFILE_FIELDS.filter(field => field !== 'fotoPerfilUrl');
+
+class AccountDataService {
+  constructor() {
+    this.exportDirectory = `${FileSystem.cacheDirectory}exports/`;
+
+    console.log('📦 AccountDataService inicializado');
+  }
+
+  // ===================================
+  // 📤 EXPORTACIÓN
+  // ===================================
+
+  /**
+   * **ARMAR EXPORTACIÓN** 📤
+   *
+   * Retorna el archivo completo (sin serializar a texto todavía) para
+   * mostrar un resumen antes de compartirlo.
+   */
+  async buildExport(userId) {
+    try {
+      console.log('📤 AccountDataService: Exportando cuenta', userId);
+
+      const [accountResult, settingsResult] = await Promise.all([
+        firestoreService.getAccountData(userId),
+        localStorageService.getUserSettings(userId)
+      ]);
+
+      if (!accountResult.success) {
+        return accountResult;
+      }
+
+      const account = accountResult.data;
+      const archive = {
+        formato: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        fechaExportacion: new Date().toISOString(),
+        userId,
+        perfil: this.serialize(account.perfil),
+        configuracion: settingsResult.data,
+        libros: this.serialize(account.libros),
+        estanterias: this.serialize(account.estanterias),
+        sesiones: this.serialize(account.sesiones),
+        metas: this.serialize(account.metas),
+        resenas: this.serialize(account.resenas),
+        siguiendo: account.siguiendo
+      };
+
+      return { success: true, data: archive };
+
+    } catch (error) {
+      console.error('❌ Error exportando cuenta:', error);
+      return {
+        success: false,
+        error: 'Error preparando la exportación'
+      };
+    }
+  }
+
+  /**
+   * **RESUMEN DEL ARCHIVO** 📊
+   */
+  getSummary(archive) {
+    return {
+      libros: (archive.libros || []).length,
+      estanterias: (archive.estanterias || []).length,
+      sesiones: (archive.sesiones || []).length,
+      metas: (archive.metas || []).length,
+      resenas: (archive.resenas || []).length,
+      siguiendo: (archive.siguiendo || []).length,
+      fechaExportacion: archive.fechaExportacion
+    };
+  }
+
+  /**
+   * **SERIALIZAR VALOR** 🔤
+   *
+   * Timestamps y fechas pasan a `{ $fecha: ISO }`; el resto queda igual.
+   */
+  serialize(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return { $fecha: value.toISOString() };
+    if (typeof value.toDate === 'function') return { $fecha: value.toDate().toISOString() };
+    if (Array.isArray(value)) return value.map(item => this.serialize(item));
+    if (typeof value === 'object') {
+      const result = {};
+      Object.entries(value).forEach(([key, item]) => {
+        result[key] = this.serialize(item);
+      });
+      return result;
+    }
+    return value;
+  }
+
+  deserialize(value) {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value)) return value.map(item => this.deserialize(item));
+    if (typeof value === 'object') {
+      if (typeof value.$fecha === 'string') return new Date(value.$fecha);
+      const result = {};
+      Object.entries(value).forEach(([key, item]) => {
+        result[key] = this.deserialize(item);
+      });
+      return result;
+    }
+    return value;
+  }
+
+  toJson(archive) {
+    return JSON.stringify(archive, null, 2);
+  }
+
+  /**
+   * **ARCHIVO CSV** 📄
+   *
+   * Una fila por documento de la colección; las listas se separan con
+   * `;` y las fechas quedan en ISO.
+   */
+  toCsv(archive, csvName) {
+    const { coleccion, columnas } = CSV_FILES[csvName];
+
+    const formatCell = (value) => {
+      if (value === null || value === undefined) return '';
+      if (Array.isArray(value)) return value.map(formatCell).join('; ');
+      if (typeof value === 'object') return value.$fecha || JSON.stringify(value);
+      return String(value);
+    };
+    const escapeCell = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+    const lines = [columnas.join(',')];
+    (archive[coleccion] || []).forEach(item => {
+      lines.push(columnas.map(column => escapeCell(formatCell(item[column]))).join(','));
+    });
+
+    return lines.join('\r\n');
+  }
+
+  /**
+   * **GUARDAR ARCHIVO PARA COMPARTIR** 💾
+   *
+   * `format` es `json` o el nombre de un CSV de `CSV_EXPORTS`. Retorna
+   * la URI del archivo en el cache de la app.
+   */
+  async writeExportFile(archive, format) {
+    try {
+      const date = archive.fechaExportacion.slice(0, 10);
+      const isJson = format === 'json';
+      const fileName = isJson ? `mylibrary_${date}.json` : `mylibrary_${format}_${date}.csv`;
+      const content = isJson ? this.toJson(archive) : this.toCsv(archive, format);
+
+      await FileSystem.makeDirectoryAsync(this.exportDirectory, { intermediates: true });
+      const uri = `${this.exportDirectory}${fileName}`;
+      await FileSystem.writeAsStringAsync(uri, content);
+
+      return {
+        success: true,
+        data: { uri, fileName, mimeType: isJson ? 'application/json' : 'text/csv' }
+      };
+
+    } catch (error) {
+      console.error('❌ Error guardando archivo de exportación:', error);
+      return {
+        success: false,
+        error: 'No se pudo guardar el archivo'
+      };
+    }
+  }
+
+  // ===================================
+  // ♻️ RESTAURACIÓN
+  // ===================================
+
+  /**
+   * **LEER ARCHIVO EXPORTADO** 📥
+   *
+   * Valida formato y versión antes de restaurar.
+   */
+  parseArchive(text) {
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch (error) {
+      return { success: false, error: 'El archivo no es un JSON válido' };
+    }
+
+    if (archive?.formato !== EXPORT_FORMAT) {
+      return { success: false, error: 'El archivo no es una exportación de MyLibrary' };
+    }
+    if (!Number.isInteger(archive.version) || archive.version > EXPORT_VERSION) {
+      return { success: false, error: 'El archivo es de una versión más nueva de la app. Actualiza MyLibrary e intenta de nuevo.' };
+    }
+
+    return { success: true, data: archive };
+  }
+
+  /**
+   * **RESTAURAR ARCHIVO** ♻️
+   *
+   * Carga el archivo en la cuenta `userId` paso a paso (ver
+   * `RESTORE_STEPS`). Cada paso es idempotente: los documentos
+   * conservan su id y las reseñas repetidas se saltean, así que un
+   * corte se arregla restaurando otra vez. Las reseñas se vuelven a
+   * publicar con fecha de hoy y sin votos ni comentarios, que son de
+   * otros lectores. `onProgress({ paso, completados, total })`.
+   */
+  async restoreArchive(userId, archive, { userName = 'Usuario', onProgress = null } = {}) {
+    const data = this.deserialize(archive);
+    const steps = Object.keys(RESTORE_STEPS);
+    const results = {};
+
+    try {
+      console.log('♻️ AccountDataService: Restaurando archivo en', userId);
+
+      for (const [index, paso] of steps.entries()) {
+        onProgress?.({ paso, completados: index, total: steps.length });
+        results[paso] = await this.restoreStep(userId, paso, data, userName);
+      }
+      onProgress?.({ paso: null, completados: steps.length, total: steps.length });
+
+      console.log('✅ Archivo restaurado:', results);
+      return { success: true, data: results };
+
+    } catch (error) {
+      console.error('❌ Error restaurando archivo:', error);
+      return {
+        success: false,
+        error: error.message || 'Error restaurando los datos',
+        data: results
+      };
+    }
+  }
+
+  async restoreStep(userId, paso, data, userName) {
+    switch (paso) {
+      case 'perfil':
+        return await this.restoreProfile(userId, data.perfil);
+      case 'configuracion':
+        return await this.restoreSettings(userId, data.configuracion);
+      case 'resenas':
+        return await this.restoreReviews(userId, data.resenas || [], userName);
+      case 'siguiendo':
+        return await this.restoreFollowing(userId, data.siguiendo || []);
+      default: {
+        const result = await firestoreService.restoreAccountDocs(userId, paso, data[paso] || []);
+        if (!result.success) throw new Error(result.error);
+        return result.data;
+      }
+    }
+  }
+
+  async restoreProfile(userId, perfil) {
+    if (!perfil) return { restaurados: 0, existentes: 0 };
+
+    const changes = {};
+    RESTORABLE_PROFILE_FIELDS.forEach(field => {
+      if (perfil[field] !== undefined && perfil[field] !== null) {
+        changes[field] = perfil[field];
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      const result = await firestoreService.updateUserProfile(userId, changes);
+      if (!result.success) throw new Error(result.error);
+    }
+    if (perfil.privacidad) {
+      const result = await firestoreService.updatePrivacySettings(userId, perfil.privacidad);
+      if (!result.success) throw new Error(result.error);
+    }
+
+    return { restaurados: 1, existentes: 0 };
+  }
+
+  async restoreSettings(userId, configuracion) {
+    if (!configuracion) return { restaurados: 0, existentes: 0 };
+
+    const current = await localStorageService.getUserSettings(userId);
+    await localStorageService.saveUserSettings(userId, { ...current.data, ...configuracion });
+    return { restaurados: 1, existentes: 0 };
+  }
+
+  /**
+   * **RESTAURAR RESEÑAS** ⭐♻️
+   *
+   * Con `createReview` para que los resúmenes de calificaciones de
+   * cada libro queden al día. Si ya hay reseña para ese libro se cuenta
+   * como existente; un corte de conexión detiene la restauración.
+   */
+  async restoreReviews(userId, reviews, userName) {
+    const existing = await firestoreService.getAccountData(userId);
+    if (!existing.success) throw new Error(existing.error);
+
+    const reviewedBookIds = new Set(existing.data.resenas.map(review => review.bookId));
+    let restaurados = 0;
+    let fallidos = 0;
+
+    for (const review of reviews) {
+      if (reviewedBookIds.has(review.bookId)) continue;
+
+      const result = await firestoreService.createReview({
+        userId,
+        bookId: review.bookId,
+        calificacion: review.calificacion,
+        texto: review.texto,
+        esPrivada: review.esPrivada,
+        bookTitle: review.bookTitle,
+        bookAuthor: review.bookAuthor,
+        bookCover: review.bookCover,
+        userName
+      });
+
+      if (result.success) {
+        restaurados += 1;
+      } else if (result.offline) {
+        throw new Error(result.error);
+      } else {
+        fallidos += 1;
+      }
+    }
+
+    return { restaurados, existentes: reviews.length - restaurados - fallidos, fallidos };
+  }
+
+  async restoreFollowing(userId, followedIds) {
+    let restaurados = 0;
+
+    for (const followedId of followedIds) {
+      if (followedId === userId) continue;
+
+      const result = await firestoreService.followUser(userId, followedId);
+      if (!result.success) throw new Error(result.error);
+      restaurados += 1;
+    }
+
+    return { restaurados, existentes: followedIds.length - restaurados };
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const accountDataService = new AccountDataService();
+
+// Exportar también la clase para testing
+export { AccountDataService };
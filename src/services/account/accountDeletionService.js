@@ -0,0 +1,133 @@
+import { authService } from '../firebase/authService';
+import { firestoreService } from '../firebase/firestoreService';
+import { storageService } from '../firebase/storageService';
+import { localStorageService } from '../storage/localStorageService';
+
+/**
+ * **SERVICIO DE ELIMINACIÓN DE CUENTA EDUCATIVO** 🗑️👤
+ *
+ * Elimina todo lo que pertenece al usuario y por último su cuenta de
+ * Firebase Auth:
+ * - Reseñas (eliminadas o anonimizadas, a elección del usuario)
+ * - Sus votos en reseñas de otros lectores
+ * - Seguidores, seguidos y actividad del feed
+ * - Librería, estanterías, sesiones y metas
+ * - Fotos de perfil en Storage
+ * - Perfil, copia pública y datos del dispositivo
+ *
+ * Cada paso tolera que lo suyo ya no exista: si algo se corta, volver
+ * a iniciar sesión y eliminar la cuenta otra vez termina el trabajo.
+ * Los comentarios en reseñas de otros lectores se conservan, firmados
+ * como "Usuario" al no haber perfil público.
+ *
+ * Patrones educativos demostrados:
+ * - Orquestación de varios servicios
+ * - Operación reanudable por pasos idempotentes
+ * - Reautenticación antes de operaciones sensibles
+ */
+
+// Pasos en orden; la cuenta de Auth va al final para no perder los permisos
+export const DELETION_STEPS = {
+  reautenticar: 'Verificando tu contraseña',
+  resenas: 'Reseñas',
+  votos: 'Votos en reseñas',
+  social: 'Seguidores y actividad',
+  libreria: 'Librería, estanterías, sesiones y metas',
+  fotos: 'Fotos de perfil',
+  perfil: 'Perfil',
+  local: 'Datos de este dispositivo',
+  cuenta: 'Cuenta'
+};
+
+export const REVIEW_DELETION_MODES = {
+  ELIMINAR: 'eliminar',
+  ANONIMIZAR: 'anonimizar'
+};
+
+class AccountDeletionService {
+  constructor() {
+    console.log('🗑️ AccountDeletionService inicializado');
+  }
+
+  /**
+   * **ELIMINAR CUENTA** 🗑️
+   *
+   * `reviewsMode` es uno de `REVIEW_DELETION_MODES`.
+   * `onProgress({ paso, completados, total })` se llama antes de cada
+   * paso y al terminar (con `paso: null`). Si falla, `data.paso` indica
+   * dónde se detuvo.
+   */
+  async deleteAccount(password, { reviewsMode = REVIEW_DELETION_MODES.ELIMINAR, onProgress = null } = {}) {
+    const user = authService.getCurrentUser();
+    const steps = Object.keys(DELETION_STEPS);
+    let paso = null;
+
+    try {
+      if (!user) {
+        throw new Error('No hay usuario autenticado');
+      }
+
+      console.log('🗑️ AccountDeletionService: Eliminando cuenta', user.uid);
+
+      for (const [index, step] of steps.entries()) {
+        paso = step;
+        onProgress?.({ paso, completados: index, total: steps.length });
+
+        const result = await this.runStep(step, user.uid, { password, reviewsMode });
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        // Sin cambios de librería pendientes que recreen lo eliminado
+        if (step === 'reautenticar') {
+          firestoreService.stopAutoSync();
+        }
+      }
+      onProgress?.({ paso: null, completados: steps.length, total: steps.length });
+
+      console.log('✅ Cuenta eliminada');
+      return { success: true };
+
+    } catch (error) {
+      console.error(`❌ Error eliminando cuenta (paso ${paso}):`, error);
+      return {
+        success: false,
+        error: error.message || 'Error eliminando la cuenta',
+        data: { paso }
+      };
+    }
+  }
+
+  async runStep(step, userId, { password, reviewsMode }) {
+    switch (step) {
+      case 'reautenticar':
+        return await authService.reauthenticate(password);
+      case 'resenas':
+        return await firestoreService.deleteUserReviews(userId, {
+          anonymize: reviewsMode === REVIEW_DELETION_MODES.ANONIMIZAR
+        });
+      case 'votos':
+        return await firestoreService.deleteUserReviewVotes(userId);
+      case 'social':
+        return await firestoreService.deleteUserSocialData(userId);
+      case 'libreria':
+        return await firestoreService.deleteAccountCollections(userId);
+      case 'fotos':
+        return await storageService.deleteAllProfileImages(userId);
+      case 'perfil':
+        return await firestoreService.deleteUserProfileDocs(userId);
+      case 'local':
+        return await localStorageService.clearUserData(userId);
+      case 'cuenta':
+        return await authService.deleteCurrentUser();
+      default:
+        throw new Error(`Paso desconocido: ${step}`);
+    }
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const accountDeletionService = new AccountDeletionService();
+
+// Exportar también la clase para testing
+export { AccountDeletionService };
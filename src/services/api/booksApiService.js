@@ -1,17 +1,22 @@
 import { BOOKS_API } from '../../constants/firebase';
+import { bookCacheService } from '../storage/bookCacheService';
+import { localStorageService } from '../storage/localStorageService';
+import { createDefaultProviders } from './providers';
 
 /**
  * **SERVICIO DE API DE LIBROS EDUCATIVO** 📚
  * 
  * Este servicio demuestra cómo integrar APIs externas en aplicaciones Firebase:
  * - Manejo de requests HTTP con fetch
- * - Cache local para optimización
+ * - Varias fuentes de catálogo intercambiables (proveedores)
+ * - Cache en memoria y disco con stale-while-revalidate
  * - Error handling robusto
  * - Transformación de datos
  * - Rate limiting y timeouts
  * 
  * Patrones educativos demostrados:
  * - API Service Layer
+ * - Provider registry (Strategy pattern)
  * - Response transformation
  * - Cache strategy
  * - Error recovery
@@ -25,12 +30,26 @@ class BooksApiService {
     this.timeout = BOOKS_API.TIMEOUT;
     this.maxResults = BOOKS_API.MAX_RESULTS;
     
-    // Cache simple en memoria (en producción usar AsyncStorage o Redux Persist)
-    this.cache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutos
+    // Cache de dos niveles (memoria + AsyncStorage)
+    this.cache = bookCacheService;
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutos: dato fresco
+    this.maxStaleAge = 7 * 24 * 60 * 60 * 1000; // 7 días: dato viejo pero usable
+    this.revalidations = new Map(); // revalidaciones en curso por clave
+    this.cacheMetrics = {
+      staleServed: 0,
+      offlineServed: 0,
+      revalidations: 0,
+      revalidationErrors: 0
+    };
     
     // Email del usuario para autorización
     this.userEmail = null;
+
+    // Proveedores de catálogo registrados por id
+    this.providers = new Map();
+    this.providerSettingsKey = `${localStorageService.prefixes.CONFIG}catalog_providers`;
+    this.providerSettingsLoaded = null;
+    createDefaultProviders().forEach(provider => this.registerProvider(provider));
     
     console.log('📚 BooksApiService inicializado');
   }
@@ -59,6 +78,162 @@ class BooksApiService {
     console.log('🧹 Autorización limpiada');
   }
 
+  // ===================================
+  // 🧩 PROVEEDORES DE CATÁLOGO
+  // ===================================
+
+  /**
+   * **REGISTRAR PROVEEDOR** 🧩
+   *
+   * Cualquier objeto que extienda CatalogProvider puede registrarse;
+   * si ya existe uno con el mismo id se reemplaza.
+   */
+  registerProvider(provider) {
+    provider.setRequestHandler(this.makeRequest.bind(this));
+    this.providers.set(provider.id, provider);
+    console.log(`🧩 Proveedor registrado: ${provider.name} (prioridad ${provider.priority})`);
+    return provider;
+  }
+
+  /**
+   * **ELIMINAR PROVEEDOR** 🧩➖
+   */
+  unregisterProvider(providerId) {
+    return this.providers.delete(providerId);
+  }
+
+  getProvider(providerId) {
+    return this.providers.get(providerId) || null;
+  }
+
+  /**
+   * **LISTAR PROVEEDORES** 📋
+   *
+   * Todos los proveedores con su configuración, ordenados por prioridad.
+   */
+  getProviders() {
+    return [...this.providers.values()]
+      .sort((a, b) => a.priority - b.priority)
+      .map(provider => provider.getSettings());
+  }
+
+  /**
+   * **PROVEEDORES ACTIVOS** ✅
+   *
+   * Habilitados y ordenados por prioridad (menor número primero).
+   */
+  async getActiveProviders() {
+    await this.loadProviderSettings();
+    return [...this.providers.values()]
+      .filter(provider => provider.enabled)
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * **PROVEEDOR DUEÑO DE UN bookId** 🏷️
+   *
+   * Los ids sin prefijo pertenecen al proveedor sin prefijo (Udacity),
+   * así los libros guardados antes de existir los proveedores siguen
+   * resolviéndose.
+   */
+  getProviderForBookId(bookId) {
+    const providers = [...this.providers.values()];
+    return providers.find(provider => provider.ownsBookId(bookId)) ||
+      providers.find(provider => !provider.idPrefix) ||
+      null;
+  }
+
+  /**
+   * **CONFIGURAR PROVEEDOR** ⚙️
+   *
+   * Cambia `enabled`, `priority` o `baseURL` (por ejemplo para apuntar
+   * a un servidor stub local) y lo guarda para próximas sesiones.
+   */
+  async setProviderSettings(providerId, settings) {
+    const provider = this.getProvider(providerId);
+    if (!provider) {
+      return { success: false, error: `Proveedor desconocido: ${providerId}` };
+    }
+
+    await this.loadProviderSettings();
+    provider.applySettings(settings);
+
+    const stored = await localStorageService.getItem(this.providerSettingsKey);
+    const allSettings = stored.success && stored.data ? stored.data : {};
+    allSettings[providerId] = { ...allSettings[providerId], ...settings };
+
+    const result = await localStorageService.setItem(this.providerSettingsKey, allSettings);
+    if (!result.success) {
+      return result;
+    }
+
+    console.log('⚙️ Proveedor actualizado:', provider.getSettings());
+    return { success: true, data: provider.getSettings() };
+  }
+
+  /**
+   * **CARGAR CONFIGURACIÓN DE PROVEEDORES** 📥
+   *
+   * Se aplica una sola vez por sesión sobre los valores por defecto.
+   */
+  loadProviderSettings() {
+    if (!this.providerSettingsLoaded) {
+      this.providerSettingsLoaded = localStorageService.getItem(this.providerSettingsKey).then(result => {
+        if (!result.success || !result.data) return;
+
+        Object.entries(result.data).forEach(([providerId, settings]) => {
+          this.getProvider(providerId)?.applySettings(settings);
+        });
+      });
+    }
+    return this.providerSettingsLoaded;
+  }
+
+  /**
+   * **CONSULTAR PROVEEDORES EN ORDEN** 🔁
+   *
+   * Ejecuta `operation(provider)` sobre cada proveedor activo hasta
+   * que uno responda con éxito. El resultado indica qué fuente respondió.
+   * `providerIds` limita la consulta a esos proveedores.
+   */
+  async requestFromProviders(operation, providerIds = null) {
+    const activeProviders = await this.getActiveProviders();
+    const providers = providerIds
+      ? activeProviders.filter(provider => providerIds.includes(provider.id))
+      : activeProviders;
+
+    if (providers.length === 0) {
+      return { success: false, error: 'No hay fuentes de catálogo habilitadas' };
+    }
+
+    let lastError = null;
+    for (const provider of providers) {
+      try {
+        const result = await operation(provider);
+        if (result.success) {
+          return { ...result, source: provider.id };
+        }
+        lastError = result.error;
+      } catch (error) {
+        lastError = error.message;
+      }
+      console.warn(`⚠️ ${provider.name} no respondió, probando siguiente fuente:`, lastError);
+    }
+
+    return { success: false, error: lastError || 'Ninguna fuente de catálogo respondió' };
+  }
+
+  /**
+   * **CLAVE DE CACHE SEGÚN FUENTES ACTIVAS** 🔑
+   *
+   * Cambiar qué proveedores están activos no debe devolver
+   * resultados cacheados con otra combinación.
+   */
+  async getProvidersCacheKey() {
+    const providers = await this.getActiveProviders();
+    return providers.map(provider => provider.id).join('+') || 'none';
+  }
+
   // ===================================
   // 🔍 BÚSQUEDA DE LIBROS
   // ===================================
@@ -67,6 +242,8 @@ class BooksApiService {
    * **BUSCAR LIBROS** 🔍
    * 
    * Busca libros usando la API externa con cache y validación.
+   * Acepta las mismas opciones de cache que `getAllBooks`; con
+   * `providerId` consulta solo esa fuente.
    */
   async searchBooks(query, options = {}) {
     try {
@@ -81,47 +258,35 @@ class BooksApiService {
       }
 
       const cleanQuery = query.trim();
-      const { maxResults = this.maxResults, useCache = true } = options;
-      
-      // Verificar cache
-      const cacheKey = `search_${cleanQuery}_${maxResults}`;
-      if (useCache && this.isValidCache(cacheKey)) {
-        console.log('📦 Usando resultado de cache');
-        return {
-          success: true,
-          data: this.cache.get(cacheKey).data,
-          fromCache: true
-        };
-      }
-
-      // Preparar request
-      const requestBody = {
-        query: cleanQuery,
-        maxResults
-      };
-
-      // Realizar búsqueda
-      const response = await this.makeRequest('POST', this.endpoints.SEARCH, requestBody);
+      const {
+        maxResults = this.maxResults,
+        useCache = true,
+        forceRefresh = false,
+        onUpdate = null,
+        providerId = null
+      } = options;
       
-      if (!response.success) {
-        return response;
+      const providersKey = providerId || await this.getProvidersCacheKey();
+      const cacheKey = `search_${providersKey}_${cleanQuery.toLowerCase()}_${maxResults}`;
+
+      // Cada proveedor busca y normaliza con su propio mapper
+      const result = await this.withCache(cacheKey, () =>
+        this.requestFromProviders(
+          provider => provider.search(cleanQuery, { maxResults }),
+          providerId ? [providerId] : null
+        ),
+        { useCache, forceRefresh, onUpdate }
+      );
+
+      if (!result.success) {
+        return result;
       }
 
-      // Transformar y validar datos
-      const transformedBooks = this.transformBooksData(response.data.books || []);
-      
-      // Guardar en cache
-      if (useCache) {
-        this.setCache(cacheKey, transformedBooks);
-      }
-
-      console.log(`✅ Encontrados ${transformedBooks.length} libros`);
+      console.log(`✅ Encontrados ${result.data.length} libros${result.fromCache ? ' (cache)' : ''}`);
       
       return {
-        success: true,
-        data: transformedBooks,
-        totalItems: response.data.totalItems || transformedBooks.length,
-        fromCache: false
+        ...result,
+        totalItems: result.totalItems || result.data.length
       };
 
     } catch (error) {
@@ -137,45 +302,27 @@ class BooksApiService {
    * **OBTENER TODOS LOS LIBROS** 📚
    * 
    * Obtiene el catálogo completo de libros disponibles.
+   * Opciones: `forceRefresh` para ignorar el cache y `onUpdate`
+   * para recibir el catálogo revalidado en segundo plano.
    */
-  async getAllBooks(useCache = true) {
+  async getAllBooks(useCache = true, options = {}) {
     try {
       console.log('📚 BooksApiService: Obteniendo todos los libros');
       
-      const cacheKey = 'all_books';
-      
-      // Verificar cache
-      if (useCache && this.isValidCache(cacheKey)) {
-        console.log('📦 Usando catálogo de cache');
-        return {
-          success: true,
-          data: this.cache.get(cacheKey).data,
-          fromCache: true
-        };
-      }
+      const { forceRefresh = false, onUpdate = null } = options;
 
-      // Obtener libros
-      const response = await this.makeRequest('GET', this.endpoints.GET_ALL);
-      
-      if (!response.success) {
-        return response;
-      }
+      const providersKey = await this.getProvidersCacheKey();
 
-      // Transformar datos
-      const transformedBooks = this.transformBooksData(response.data.books || []);
-      
-      // Guardar en cache
-      if (useCache) {
-        this.setCache(cacheKey, transformedBooks);
-      }
+      const result = await this.withCache(`all_books_${providersKey}`, () =>
+        this.requestFromProviders(provider => provider.getAll({ maxResults: this.maxResults })),
+        { useCache, forceRefresh, onUpdate }
+      );
 
-      console.log(`✅ Obtenidos ${transformedBooks.length} libros del catálogo`);
+      if (result.success) {
+        console.log(`✅ Obtenidos ${result.data.length} libros del catálogo${result.fromCache ? ' (cache)' : ''}`);
+      }
       
-      return {
-        success: true,
-        data: transformedBooks,
-        fromCache: false
-      };
+      return result;
 
     } catch (error) {
       console.error('❌ Error obteniendo catálogo:', error);
@@ -191,7 +338,7 @@ class BooksApiService {
    * 
    * Obtiene información detallada de un libro específico.
    */
-  async getBookDetails(bookId, useCache = true) {
+  async getBookDetails(bookId, useCache = true, options = {}) {
     try {
       console.log('📖 BooksApiService: Obteniendo detalles para libro:', bookId);
       
@@ -202,40 +349,28 @@ class BooksApiService {
         };
       }
 
-      const cacheKey = `book_${bookId}`;
-      
-      // Verificar cache
-      if (useCache && this.isValidCache(cacheKey)) {
-        console.log('📦 Usando detalles de cache');
+      const { forceRefresh = false, onUpdate = null } = options;
+
+      // El detalle se pide siempre a la fuente de la que salió el libro
+      await this.loadProviderSettings();
+      const provider = this.getProviderForBookId(bookId);
+      if (!provider) {
         return {
-          success: true,
-          data: this.cache.get(cacheKey).data,
-          fromCache: true
+          success: false,
+          error: 'No hay una fuente de catálogo para este libro'
         };
       }
 
-      // Obtener detalles
-      const response = await this.makeRequest('GET', `${this.endpoints.GET_BOOK}/${bookId}`);
-      
-      if (!response.success) {
-        return response;
-      }
+      const result = await this.withCache(`book_${bookId}`, async () => ({
+        ...(await provider.getBook(provider.getOriginalId(bookId))),
+        source: provider.id
+      }), { useCache, forceRefresh, onUpdate });
 
-      // Transformar datos del libro individual
-      const transformedBook = this.transformBookData(response.data);
-      
-      // Guardar en cache
-      if (useCache) {
-        this.setCache(cacheKey, transformedBook);
+      if (result.success) {
+        console.log('✅ Detalles de libro obtenidos');
       }
-
-      console.log('✅ Detalles de libro obtenidos');
       
-      return {
-        success: true,
-        data: transformedBook,
-        fromCache: false
-      };
+      return result;
 
     } catch (error) {
       console.error('❌ Error obteniendo detalles del libro:', error);
@@ -254,14 +389,17 @@ class BooksApiService {
    * **REALIZAR REQUEST HTTP** 🌐
    * 
    * Método centralizado para todas las peticiones HTTP.
-   * Incluye automáticamente el header Authorization con el email del usuario.
+   * Incluye el header Authorization con el email del usuario salvo
+   * que `options.authorize` sea false (APIs de terceros).
+   * `options.baseURL` permite que cada proveedor use su propia API.
    */
-  async makeRequest(method, endpoint, body = null) {
+  async makeRequest(method, endpoint, body = null, options = {}) {
+    const { baseURL = this.baseURL, authorize = true } = options;
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
     try {
-      const url = `${this.baseURL}${endpoint}`;
+      const url = `${baseURL}${endpoint}`;
       console.log(`🌐 ${method} ${url}`);
 
       // Configurar headers base
@@ -271,10 +409,10 @@ class BooksApiService {
       };
 
       // Agregar Authorization header si hay usuario autenticado
-      if (this.userEmail) {
+      if (authorize && this.userEmail) {
         headers['Authorization'] = this.userEmail;
         console.log('🔐 Authorization header incluido:', this.userEmail.substring(0, 3) + '***');
-      } else {
+      } else if (authorize) {
         console.warn('⚠️ No hay email de usuario para Authorization header');
       }
 
@@ -326,170 +464,103 @@ class BooksApiService {
     }
   }
 
-  /**
-   * **TRANSFORMAR DATOS DE LIBROS** 🔄
-   * 
-   * Normaliza los datos de la API a nuestro formato interno.
-   */
-  transformBooksData(books) {
-    if (!Array.isArray(books)) {
-      console.warn('⚠️ Datos de libros no es array:', books);
-      return [];
-    }
-
-    return books.map(book => this.transformBookData(book)).filter(Boolean);
-  }
+  // ===================================
+  // 📦 MANEJO DE CACHE
+  // ===================================
 
   /**
-   * **TRANSFORMAR DATOS DE LIBRO INDIVIDUAL** 🔄
+   * **CONSULTAR CON CACHE (STALE-WHILE-REVALIDATE)** 📦
+   *
+   * - Dato fresco (< cacheTimeout): se devuelve sin tocar la red
+   * - Dato viejo (< maxStaleAge): se devuelve al instante y se revalida
+   *   en segundo plano; `onUpdate` recibe el resultado nuevo
+   * - Sin dato o dato muy viejo: se consulta la red; si falla, se usa
+   *   cualquier copia disponible para que la app funcione offline
    */
-  transformBookData(book) {
-    if (!book || !book.id) {
-      console.warn('⚠️ Datos de libro inválidos:', book);
-      return null;
+  async withCache(cacheKey, fetcher, options = {}) {
+    const { useCache = true, forceRefresh = false, onUpdate = null } = options;
+
+    if (!useCache) {
+      return { ...(await fetcher()), fromCache: false };
     }
 
-    try {
-      // Extraer información de ImageLinks
-      const imageLinks = book.imageLinks || {};
-      const portadaUrl = imageLinks.thumbnail || 
-                        imageLinks.smallThumbnail || 
-                        imageLinks.medium || 
-                        imageLinks.large || 
-                        null;
-
-      // Extraer autores (puede ser array o string)
-      let autores = book.authors || [];
-      if (typeof autores === 'string') {
-        autores = [autores];
-      }
-      const autor = autores.join(', ') || 'Autor desconocido';
+    const cached = await this.cache.get(cacheKey);
+    const age = cached ? Date.now() - cached.storedAt : Infinity;
 
-      // Extraer categorías/géneros
-      let generos = book.categories || [];
-      if (typeof generos === 'string') {
-        generos = [generos];
-      }
+    if (cached && !forceRefresh && age < this.cacheTimeout) {
+      console.log('📦 Usando resultado de cache:', cacheKey);
+      return { success: true, data: cached.data, fromCache: true, stale: false };
+    }
 
-      // Extraer identificadores
-      const industryIdentifiers = book.industryIdentifiers || [];
-      const isbn = industryIdentifiers.find(id => 
-        id.type === 'ISBN_13' || id.type === 'ISBN_10'
-      )?.identifier || null;
+    if (cached && !forceRefresh && age < this.maxStaleAge) {
+      console.log('📦 Usando cache viejo mientras se revalida:', cacheKey);
+      this.cacheMetrics.staleServed++;
+      this.revalidate(cacheKey, fetcher, onUpdate);
+      return { success: true, data: cached.data, fromCache: true, stale: true };
+    }
 
-      // Crear objeto normalizado
-      return {
-        // Datos básicos
-        bookId: book.id,
-        titulo: book.title || 'Título no disponible',
-        autor,
-        
-        // Imágenes
-        portadaUrl,
-        imageLinks: {
-          thumbnail: imageLinks.thumbnail,
-          small: imageLinks.smallThumbnail,
-          medium: imageLinks.medium,
-          large: imageLinks.large
-        },
-        
-        // Detalles
-        sinopsis: book.description || null,
-        anoPublicacion: this.extractYear(book.publishedDate),
-        fechaPublicacion: book.publishedDate || null,
-        editorial: book.publisher || null,
-        idioma: book.language || 'es',
-        numeroPaginas: book.pageCount || null,
-        
-        // Clasificación
-        generos,
-        categorias: book.categories || [],
-        
-        // Identificadores
-        isbn,
-        industryIdentifiers,
-        
-        // Metadatos
-        previewLink: book.previewLink || null,
-        infoLink: book.infoLink || null,
-        rating: book.averageRating || null,
-        ratingsCount: book.ratingsCount || 0,
-        
-        // Timestamp de transformación para debugging
-        transformedAt: new Date().toISOString()
-      };
+    const result = await this.fetchAndStore(cacheKey, fetcher);
 
-    } catch (error) {
-      console.error('❌ Error transformando libro:', error, book);
-      return null;
+    if (!result.success && cached) {
+      console.log('📴 Sin conexión, usando copia en cache:', cacheKey);
+      this.cacheMetrics.offlineServed++;
+      return { success: true, data: cached.data, fromCache: true, stale: true, offline: true };
     }
-  }
 
-  /**
-   * **EXTRAER AÑO DE FECHA** 📅
-   */
-  extractYear(dateString) {
-    if (!dateString) return null;
-    
-    // Intentar extraer año de diferentes formatos
-    const yearMatch = dateString.match(/(\d{4})/);
-    return yearMatch ? parseInt(yearMatch[1], 10) : null;
+    return result;
   }
 
-  // ===================================
-  // 📦 MANEJO DE CACHE
-  // ===================================
-
   /**
-   * **VERIFICAR VALIDEZ DE CACHE** 📦
+   * **CONSULTAR RED Y GUARDAR EN CACHE** 🌐📦
    */
-  isValidCache(key) {
-    const cached = this.cache.get(key);
-    if (!cached) return false;
-    
-    const now = Date.now();
-    const isValid = (now - cached.timestamp) < this.cacheTimeout;
-    
-    if (!isValid) {
-      this.cache.delete(key);
+  async fetchAndStore(cacheKey, fetcher) {
+    const result = await fetcher();
+
+    if (result.success) {
+      await this.cache.set(cacheKey, result.data);
     }
-    
-    return isValid;
+
+    return { ...result, fromCache: false };
   }
 
   /**
-   * **GUARDAR EN CACHE** 📦
+   * **REVALIDAR EN SEGUNDO PLANO** 🔄
+   *
+   * Si ya hay una revalidación en curso para la misma clave
+   * se reutiliza en lugar de lanzar otra petición.
    */
-  setCache(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
-    
-    // Limpiar cache si tiene muchas entradas
-    if (this.cache.size > 100) {
-      this.clearOldCache();
+  revalidate(cacheKey, fetcher, onUpdate = null) {
+    let pending = this.revalidations.get(cacheKey);
+
+    if (!pending) {
+      this.cacheMetrics.revalidations++;
+      pending = this.fetchAndStore(cacheKey, fetcher)
+        .catch(error => ({ success: false, error: error.message }))
+        .then(result => {
+          this.revalidations.delete(cacheKey);
+          if (!result.success) {
+            this.cacheMetrics.revalidationErrors++;
+            console.warn('⚠️ No se pudo revalidar', cacheKey, result.error);
+          }
+          return result;
+        });
+      this.revalidations.set(cacheKey, pending);
     }
-  }
 
-  /**
-   * **LIMPIAR CACHE ANTIGUO** 🧹
-   */
-  clearOldCache() {
-    const now = Date.now();
-    for (const [key, value] of this.cache.entries()) {
-      if ((now - value.timestamp) > this.cacheTimeout) {
-        this.cache.delete(key);
-      }
+    if (onUpdate) {
+      pending.then(result => {
+        if (result.success) onUpdate(result);
+      });
     }
-    console.log(`🧹 Cache limpiado. Entradas restantes: ${this.cache.size}`);
+
+    return pending;
   }
 
   /**
    * **LIMPIAR TODO EL CACHE** 🗑️
    */
-  clearAllCache() {
-    this.cache.clear();
+  async clearAllCache() {
+    await this.cache.clear();
     console.log('🗑️ Todo el cache ha sido limpiado');
   }
 
@@ -498,9 +569,11 @@ class BooksApiService {
    */
   getCacheStats() {
     const stats = {
-      entries: this.cache.size,
-      maxSize: 100,
-      timeoutMinutes: this.cacheTimeout / (60 * 1000)
+      ...this.cache.getStats(),
+      ...this.cacheMetrics,
+      entries: this.cache.memory.size,
+      timeoutMinutes: this.cacheTimeout / (60 * 1000),
+      maxStaleHours: this.maxStaleAge / (60 * 60 * 1000)
     };
     
     console.log('📊 Cache stats:', stats);
@@ -521,7 +594,9 @@ class BooksApiService {
       timeout: this.timeout,
       maxResults: this.maxResults,
       cacheTimeout: this.cacheTimeout,
-      cacheSize: this.cache.size
+      maxStaleAge: this.maxStaleAge,
+      cacheSize: this.cache.memory.size,
+      providers: this.getProviders()
     };
   }
 
@@ -532,21 +607,39 @@ class BooksApiService {
     if (config.timeout) this.timeout = config.timeout;
     if (config.maxResults) this.maxResults = config.maxResults;
     if (config.cacheTimeout) this.cacheTimeout = config.cacheTimeout;
+    if (config.maxStaleAge) this.maxStaleAge = config.maxStaleAge;
+    if (config.maxMemoryBytes || config.maxDiskBytes) {
+      this.cache.updateLimits({
+        maxMemoryBytes: config.maxMemoryBytes,
+        maxDiskBytes: config.maxDiskBytes
+      });
+    }
     
     console.log('⚙️ Configuración actualizada:', this.getConfiguration());
   }
 
   /**
    * **VALIDAR CONECTIVIDAD** 🌐
+   * 
+   * Prueba el proveedor indicado o, si no se indica, el activo
+   * de mayor prioridad.
    */
-  async testConnection() {
+  async testConnection(providerId = null) {
     try {
-      console.log('🌐 Probando conectividad con Books API...');
+      const provider = providerId
+        ? this.getProvider(providerId)
+        : (await this.getActiveProviders())[0];
+
+      if (!provider) {
+        return { success: false, error: 'No hay fuente de catálogo para probar' };
+      }
+
+      console.log(`🌐 Probando conectividad con ${provider.name}...`);
       
-      const response = await this.makeRequest('GET', this.endpoints.GET_ALL + '?maxResults=1');
+      const response = await provider.getAll({ maxResults: 1 });
       
       if (response.success) {
-        console.log('✅ API Books está disponible');
+        console.log(`✅ ${provider.name} está disponible`);
         return { success: true, message: 'Conexión exitosa' };
       } else {
         console.log('❌ API Books no responde correctamente');
@@ -0,0 +1,407 @@
+import { booksApiService } from './booksApiService';
+import { firestoreService } from '../firebase/firestoreService';
+import { textAnalyzer } from '../search/textAnalyzer';
+
+/**
+ * **SERVICIO DE BÚSQUEDA FEDERADA EDUCATIVO** 🔎🌐
+ *
+ * Busca un mismo término en varias fuentes a la vez y devuelve una
+ * sola lista ordenada:
+ * - Cada proveedor de catálogo activo (API remota)
+ * - El catálogo completo en cache (funciona offline)
+ * - La librería personal del usuario
+ *
+ * Las ediciones repetidas se agrupan por ISBN y por título + autor
+ * normalizados, y cada resultado indica de qué fuentes salió.
+ *
+ * Patrones educativos demostrados:
+ * - Scatter-gather (consultas en paralelo)
+ * - Deduplicación por claves múltiples
+ * - Ranking por relevancia
+ */
+
+// Nombres visibles de las fuentes que no son proveedores de catálogo
+const SOURCE_NAMES = {
+  catalog: 'Catálogo',
+  library: 'Mi librería'
+};
+
+class FederatedSearchService {
+  constructor() {
+    this.minQueryLength = 2;
+    this.maxResultsPerSource = 20;
+
+    // Pesos del cálculo de relevancia
+    this.weights = {
+      titleExact: 100,
+      titlePrefix: 70,
+      titleAllTokens: 50,
+      titleSomeTokens: 30,
+      authorExact: 60,
+      authorTokens: 40,
+      genre: 10,
+      synopsis: 5,
+      remoteMatch: 10, // la API coincidió por un campo que no vemos
+      librarySource: 15,
+      extraSource: 5,
+      rating: 2
+    };
+
+    console.log('🔎 FederatedSearchService inicializado');
+  }
+
+  // ===================================
+  // 🔎 BÚSQUEDA
+  // ===================================
+
+  /**
+   * **BUSCAR EN TODAS LAS FUENTES** 🔎
+   *
+   * Retorna `{ success, data, sources }`: `data` son los libros ya
+   * fusionados y ordenados (con `fuentes` y `relevancia`), y `sources`
+   * el resultado de cada fuente para mostrar avisos parciales.
+   */
+  async search(query, options = {}) {
+    const cleanQuery = (query || '').trim();
+
+    if (cleanQuery.length < this.minQueryLength) {
+      return {
+        success: false,
+        error: `La búsqueda debe tener al menos ${this.minQueryLength} caracteres`
+      };
+    }
+
+    const { userId = null, maxResults = this.maxResultsPerSource } = options;
+
+    console.log('🔎 FederatedSearchService: Buscando en todas las fuentes:', cleanQuery);
+
+    const providers = await booksApiService.getActiveProviders();
+
+    const sourceRequests = [
+      ...providers.map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        remote: true,
+        run: () => booksApiService.searchBooks(cleanQuery, { maxResults, providerId: provider.id })
+      })),
+      {
+        id: 'catalog',
+        name: SOURCE_NAMES.catalog,
+        remote: false,
+        run: () => this.searchCatalog(cleanQuery)
+      }
+    ];
+
+    if (userId) {
+      sourceRequests.push({
+        id: 'library',
+        name: SOURCE_NAMES.library,
+        remote: false,
+        run: () => this.searchLibrary(userId, cleanQuery)
+      });
+    }
+
+    // Una fuente que falla no debe tumbar a las demás
+    const settled = await Promise.allSettled(sourceRequests.map(source => source.run()));
+
+    const sources = {};
+    const hits = [];
+
+    settled.forEach((outcome, index) => {
+      const source = sourceRequests[index];
+      const result = outcome.status === 'fulfilled'
+        ? outcome.value
+        : { success: false, error: outcome.reason?.message };
+
+      sources[source.id] = {
+        name: source.name,
+        success: !!result.success,
+        count: result.success ? result.data.length : 0,
+        fromCache: !!result.fromCache,
+        error: result.success ? null : result.error
+      };
+
+      if (result.success) {
+        result.data.forEach(book => hits.push({ book, source, order: hits.length }));
+      }
+    });
+
+    const anySuccess = Object.values(sources).some(source => source.success);
+    if (!anySuccess) {
+      return {
+        success: false,
+        error: 'No se pudo buscar en ninguna fuente. Verifica tu conexión.',
+        sources
+      };
+    }
+
+    const ranked = this.rank(this.mergeHits(hits), cleanQuery);
+
+    console.log(`✅ Búsqueda federada: ${hits.length} coincidencias, ${ranked.length} libros únicos`);
+
+    return {
+      success: true,
+      data: ranked,
+      totalItems: ranked.length,
+      sources
+    };
+  }
+
+  /**
+   * **BUSCAR EN EL CATÁLOGO CACHEADO** 📦
+   */
+  async searchCatalog(query) {
+    const result = await booksApiService.getAllBooks(true);
+    if (!result.success) return result;
+
+    return {
+      success: true,
+      data: result.data.filter(book => this.matchesQuery(book, query)),
+      fromCache: result.fromCache
+    };
+  }
+
+  /**
+   * **BUSCAR EN LA LIBRERÍA DEL USUARIO** 📚
+   *
+   * En toda la librería, no solo en la primera página.
+   */
+  async searchLibrary(userId, query) {
+    const result = await firestoreService.getUserLibrary(userId, { limitCount: null });
+    if (!result.success) return result;
+
+    return {
+      success: true,
+      data: result.data.filter(book => this.matchesQuery(book, query)),
+      fromCache: result.fromCache
+    };
+  }
+
+  matchesQuery(book, query) {
+    return this.textScore(book, this.tokenize(query), this.normalizeText(query)) > 0;
+  }
+
+  // ===================================
+  // 🧬 DEDUPLICACIÓN
+  // ===================================
+
+  /**
+   * **FUSIONAR COINCIDENCIAS** 🧬
+   *
+   * Dos resultados son el mismo libro si comparten algún ISBN o el
+   * mismo título + primer autor normalizados. El libro de la librería
+   * del usuario tiene preferencia (conserva estado y calificación);
+   * después, el de la fuente consultada primero.
+   */
+  mergeHits(hits) {
+    const groups = [];
+    const groupByKey = new Map();
+
+    hits.forEach(hit => {
+      const keys = this.getDedupeKeys(hit.book);
+      let group = keys.map(key => groupByKey.get(key)).find(Boolean);
+
+      if (!group) {
+        group = { hits: [], keys: new Set() };
+        groups.push(group);
+      }
+
+      group.hits.push(hit);
+      keys.forEach(key => {
+        group.keys.add(key);
+        groupByKey.set(key, group);
+      });
+    });
+
+    return groups.map(group => this.mergeGroup(group.hits));
+  }
+
+  mergeGroup(hits) {
+    const sorted = [...hits].sort((a, b) => {
+      if (a.source.id === 'library') return -1;
+      if (b.source.id === 'library') return 1;
+      return a.order - b.order;
+    });
+
+    // Completar campos vacíos del principal con los de otras ediciones
+    const merged = sorted.reduce((result, { book }) => {
+      Object.entries(book).forEach(([field, value]) => {
+        const current = result[field];
+        const isEmpty = current === null || current === undefined || current === '' ||
+          (Array.isArray(current) && current.length === 0);
+        if (isEmpty && value !== null && value !== undefined) {
+          result[field] = value;
+        }
+      });
+      return result;
+    }, { ...sorted[0].book });
+
+    const fuentes = [];
+    sorted.forEach(({ source }) => {
+      if (!fuentes.some(fuente => fuente.id === source.id)) {
+        fuentes.push({ id: source.id, nombre: source.name });
+      }
+    });
+
+    return {
+      ...merged,
+      fuentes,
+      remoteHit: sorted.some(({ source }) => source.remote),
+      ediciones: sorted.length
+    };
+  }
+
+  /**
+   * **CLAVES DE DEDUPLICACIÓN** 🔑
+   */
+  getDedupeKeys(book) {
+    const keys = this.getIsbns(book).map(isbn => `isbn:${isbn}`);
+
+    const title = this.normalizeTitle(book.titulo);
+    const author = this.normalizeText((book.autor || '').split(',')[0]);
+    if (title && author && author !== 'autor desconocido') {
+      keys.push(`ta:${title}|${author}`);
+    }
+
+    // Sin ISBN ni autor, el id de la fuente es lo único fiable
+    if (keys.length === 0) {
+      keys.push(`id:${book.bookId}`);
+    }
+
+    return keys;
+  }
+
+  /**
+   * **ISBNs NORMALIZADOS** 📇
+   *
+   * Se comparan todos como ISBN-13 para que la edición con ISBN-10
+   * de una fuente coincida con la de ISBN-13 de otra.
+   */
+  getIsbns(book) {
+    const identifiers = [
+      ...(book.industryIdentifiers || []).map(identifier => identifier.identifier),
+      book.isbn
+    ];
+
+    const isbns = identifiers
+      .map(value => String(value || '').replace(/[^0-9X]/gi, '').toUpperCase())
+      .map(value => (value.length === 10 ? this.isbn10To13(value) : value))
+      .filter(value => value && value.length === 13);
+
+    return [...new Set(isbns)];
+  }
+
+  isbn10To13(isbn10) {
+    const core = `978${isbn10.slice(0, 9)}`;
+    const sum = core.split('').reduce(
+      (total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3),
+      0
+    );
+    return `${core}${(10 - (sum % 10)) % 10}`;
+  }
+
+  // ===================================
+  // 🏆 RELEVANCIA
+  // ===================================
+
+  /**
+   * **ORDENAR POR RELEVANCIA** 🏆
+   */
+  rank(books, query) {
+    const tokens = this.tokenize(query);
+    const normalizedQuery = this.normalizeText(query);
+
+    return books
+      .map(book => ({ ...book, relevancia: this.score(book, tokens, normalizedQuery) }))
+      .filter(book => book.relevancia > 0)
+      .sort((a, b) => b.relevancia - a.relevancia || a.titulo.localeCompare(b.titulo));
+  }
+
+  score(book, tokens, normalizedQuery) {
+    let score = this.textScore(book, tokens, normalizedQuery);
+
+    if (score === 0 && book.remoteHit) {
+      score = this.weights.remoteMatch;
+    }
+    if (score === 0) return 0;
+
+    const sourceIds = (book.fuentes || []).map(fuente => fuente.id);
+    if (sourceIds.includes('library')) score += this.weights.librarySource;
+    score += Math.max(0, sourceIds.length - 1) * this.weights.extraSource;
+    score += (book.rating || 0) * this.weights.rating;
+
+    return Math.round(score * 10) / 10;
+  }
+
+  /**
+   * **PUNTAJE DE COINCIDENCIA DE TEXTO** 📝
+   */
+  textScore(book, tokens, normalizedQuery) {
+    if (tokens.length === 0) return 0;
+
+    const { weights } = this;
+    const title = this.normalizeText(book.titulo);
+    const author = this.normalizeText(book.autor);
+    let score = 0;
+
+    // Título
+    if (title === normalizedQuery) {
+      score += weights.titleExact;
+    } else if (title.startsWith(normalizedQuery)) {
+      score += weights.titlePrefix;
+    } else {
+      const titleTokens = tokens.filter(token => title.includes(token)).length;
+      if (titleTokens === tokens.length) {
+        score += weights.titleAllTokens;
+      } else if (titleTokens > 0) {
+        score += weights.titleSomeTokens * (titleTokens / tokens.length);
+      }
+    }
+
+    // Autor
+    if (author === normalizedQuery) {
+      score += weights.authorExact;
+    } else {
+      const authorTokens = tokens.filter(token => author.includes(token)).length;
+      score += weights.authorTokens * (authorTokens / tokens.length);
+    }
+
+    // Géneros y sinopsis
+    const genres = this.normalizeText((book.generos || []).join(' '));
+    if (tokens.some(token => genres.includes(token))) {
+      score += weights.genre;
+    }
+    const synopsis = this.normalizeText(book.sinopsis);
+    if (tokens.every(token => synopsis.includes(token))) {
+      score += weights.synopsis;
+    }
+
+    return score;
+  }
+
+  // ===================================
+  // 🛠️ UTILIDADES DE TEXTO
+  // ===================================
+
+  /**
+   * **NORMALIZAR TEXTO** 🔤
+   */
+  normalizeText(text) {
+    return textAnalyzer.fold(text);
+  }
+
+  // El subtítulo ("Título: subtítulo") cambia entre ediciones
+  normalizeTitle(title) {
+    return this.normalizeText(String(title || '').split(':')[0]);
+  }
+
+  tokenize(text) {
+    return this.normalizeText(text).split(' ').filter(token => token.length > 1);
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const federatedSearchService = new FederatedSearchService();
+
+// Exportar también la clase para testing
+export { FederatedSearchService };
@@ -0,0 +1,242 @@
+/**
+ * **PROVEEDOR DE CATÁLOGO BASE EDUCATIVO** 🧩
+ *
+ * Clase base para las fuentes de libros que usa BooksApiService.
+ * Cada proveedor sabe:
+ * - Cómo pedir el catálogo, buscar y obtener un libro a su API
+ * - Cómo convertir su formato al formato normalizado de la app
+ *
+ * Las peticiones HTTP no se hacen aquí: BooksApiService inyecta su
+ * `makeRequest` para que timeouts, headers y logs sean los mismos
+ * para todas las fuentes.
+ *
+ * Patrones educativos demostrados:
+ * - Strategy / Adapter pattern
+ * - Inyección de dependencias
+ * - Normalización de datos
+ */
+
+class CatalogProvider {
+  constructor({ id, name, baseURL = null, enabled = true, priority = 10, idPrefix = '' }) {
+    this.id = id;
+    this.name = name;
+    this.baseURL = baseURL;
+    this.enabled = enabled;
+    this.priority = priority;
+
+    // Prefijo que se antepone al id original para que los `bookId`
+    // de distintas fuentes no choquen entre sí
+    this.idPrefix = idPrefix;
+
+    // Solo la API propia recibe el email del usuario como Authorization
+    this.requiresAuthorization = false;
+
+    this.request = null;
+  }
+
+  // ===================================
+  // ⚙️ CONFIGURACIÓN
+  // ===================================
+
+  /**
+   * **INYECTAR CLIENTE HTTP** 🌐
+   *
+   * `request(method, endpoint, body, options)` con la misma firma
+   * que `BooksApiService.makeRequest`.
+   */
+  setRequestHandler(request) {
+    this.request = request;
+  }
+
+  /**
+   * **APLICAR CONFIGURACIÓN** ⚙️
+   */
+  applySettings({ enabled, priority, baseURL } = {}) {
+    if (typeof enabled === 'boolean') this.enabled = enabled;
+    if (typeof priority === 'number') this.priority = priority;
+    if (baseURL) this.baseURL = baseURL.replace(/\/+$/, '');
+  }
+
+  getSettings() {
+    return {
+      id: this.id,
+      name: this.name,
+      enabled: this.enabled,
+      priority: this.priority,
+      baseURL: this.baseURL
+    };
+  }
+
+  // ===================================
+  // 📚 OPERACIONES (a implementar por cada proveedor)
+  // ===================================
+
+  async getAll({ maxResults } = {}) {
+    throw new Error(`${this.name}: getAll no implementado`);
+  }
+
+  async search(query, { maxResults } = {}) {
+    throw new Error(`${this.name}: search no implementado`);
+  }
+
+  async getBook(originalId) {
+    throw new Error(`${this.name}: getBook no implementado`);
+  }
+
+  /**
+   * Convierte un libro crudo de la API al formato intermedio
+   * que recibe `normalize`. Retorna `null` si el libro no es válido.
+   */
+  mapBook(rawBook) {
+    throw new Error(`${this.name}: mapBook no implementado`);
+  }
+
+  // ===================================
+  // 🛠️ UTILIDADES COMUNES
+  // ===================================
+
+  /**
+   * **HACER PETICIÓN A LA API DEL PROVEEDOR** 🌐
+   */
+  async fetch(method, endpoint, body = null) {
+    if (!this.request) {
+      return { success: false, error: `${this.name}: cliente HTTP no configurado` };
+    }
+
+    return await this.request(method, endpoint, body, {
+      baseURL: this.baseURL,
+      authorize: this.requiresAuthorization
+    });
+  }
+
+  /**
+   * **MAPEAR LISTA DE LIBROS** 🔄
+   */
+  mapBooks(rawBooks) {
+    if (!Array.isArray(rawBooks)) {
+      console.warn(`⚠️ ${this.name}: datos de libros no es array:`, rawBooks);
+      return [];
+    }
+
+    return rawBooks.map(rawBook => this.toBook(rawBook)).filter(Boolean);
+  }
+
+  /**
+   * **MAPEAR Y NORMALIZAR UN LIBRO** 🔄
+   */
+  toBook(rawBook) {
+    try {
+      const fields = this.mapBook(rawBook);
+      return fields ? this.normalize(fields) : null;
+    } catch (error) {
+      console.error(`❌ ${this.name}: error transformando libro:`, error, rawBook);
+      return null;
+    }
+  }
+
+  /**
+   * **NORMALIZAR AL FORMATO DE LA APP** 📐
+   *
+   * Recibe campos con los nombres de la API de Udacity/Google Books
+   * (title, authors, imageLinks...) y produce el objeto que usan
+   * pantallas, Firestore y el cache.
+   */
+  normalize(fields) {
+    if (!fields || !fields.id) {
+      console.warn(`⚠️ ${this.name}: libro sin id:`, fields);
+      return null;
+    }
+
+    const imageLinks = fields.imageLinks || {};
+    const portadaUrl = imageLinks.thumbnail ||
+                      imageLinks.smallThumbnail ||
+                      imageLinks.medium ||
+                      imageLinks.large ||
+                      null;
+
+    // Autores y categorías pueden venir como array o string
+    let autores = fields.authors || [];
+    if (typeof autores === 'string') {
+      autores = [autores];
+    }
+    const autor = autores.join(', ') || 'Autor desconocido';
+
+    let generos = fields.categories || [];
+    if (typeof generos === 'string') {
+      generos = [generos];
+    }
+
+    const industryIdentifiers = fields.industryIdentifiers || [];
+    const isbn = industryIdentifiers.find(identifier =>
+      identifier.type === 'ISBN_13' || identifier.type === 'ISBN_10'
+    )?.identifier || null;
+
+    return {
+      // Datos básicos
+      bookId: `${this.idPrefix}${fields.id}`,
+      titulo: fields.title || 'Título no disponible',
+      autor,
+
+      // Imágenes
+      portadaUrl,
+      imageLinks: {
+        thumbnail: imageLinks.thumbnail,
+        small: imageLinks.smallThumbnail,
+        medium: imageLinks.medium,
+        large: imageLinks.large
+      },
+
+      // Detalles
+      sinopsis: fields.description || null,
+      anoPublicacion: this.extractYear(fields.publishedDate),
+      fechaPublicacion: fields.publishedDate || null,
+      editorial: fields.publisher || null,
+      idioma: fields.language || 'es',
+      numeroPaginas: fields.pageCount || null,
+
+      // Clasificación
+      generos,
+      categorias: generos,
+
+      // Identificadores
+      isbn,
+      industryIdentifiers,
+
+      // Metadatos
+      previewLink: fields.previewLink || null,
+      infoLink: fields.infoLink || null,
+      rating: fields.averageRating || null,
+      ratingsCount: fields.ratingsCount || 0,
+
+      // Fuente del dato
+      fuente: this.id,
+      fuenteId: String(fields.id),
+
+      // Timestamp de transformación para debugging
+      transformedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * **EXTRAER AÑO DE FECHA** 📅
+   */
+  extractYear(dateString) {
+    if (!dateString) return null;
+
+    const yearMatch = String(dateString).match(/(\d{4})/);
+    return yearMatch ? parseInt(yearMatch[1], 10) : null;
+  }
+
+  /**
+   * **¿ES UN bookId DE ESTE PROVEEDOR?** 🏷️
+   */
+  ownsBookId(bookId) {
+    return !!this.idPrefix && String(bookId).startsWith(this.idPrefix);
+  }
+
+  getOriginalId(bookId) {
+    return this.ownsBookId(bookId) ? String(bookId).slice(this.idPrefix.length) : String(bookId);
+  }
+}
+
+export { CatalogProvider };
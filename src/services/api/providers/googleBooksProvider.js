@@ -0,0 +1,78 @@
+import { BOOKS_API, CATALOG_PROVIDERS } from '../../../constants/firebase';
+import { CatalogProvider } from './catalogProvider';
+
+/**
+ * **PROVEEDOR GOOGLE BOOKS** 🔎
+ *
+ * Consume el formato "volumes" de Google Books:
+ * `{ items: [{ id, volumeInfo: {...}, saleInfo, accessInfo }] }`.
+ * No hay endpoint de catálogo completo, así que `getAll` usa una
+ * búsqueda por defecto configurable.
+ */
+
+class GoogleBooksProvider extends CatalogProvider {
+  constructor(config = CATALOG_PROVIDERS.GOOGLE_BOOKS) {
+    super({
+      id: config.ID,
+      name: 'Google Books',
+      baseURL: config.BASE_URL,
+      enabled: config.ENABLED,
+      priority: config.PRIORITY,
+      idPrefix: 'gb_'
+    });
+
+    this.defaultQuery = config.DEFAULT_QUERY;
+  }
+
+  async getAll({ maxResults = BOOKS_API.MAX_RESULTS } = {}) {
+    return await this.search(this.defaultQuery, { maxResults });
+  }
+
+  async search(query, { maxResults = BOOKS_API.MAX_RESULTS } = {}) {
+    // Google Books acepta como máximo 40 resultados por página
+    const limit = Math.min(maxResults, 40);
+    const response = await this.fetch(
+      'GET',
+      `/volumes?q=${encodeURIComponent(query)}&maxResults=${limit}`
+    );
+    if (!response.success) return response;
+
+    return {
+      success: true,
+      data: this.mapBooks(response.data.items || []),
+      totalItems: response.data.totalItems
+    };
+  }
+
+  async getBook(originalId) {
+    const response = await this.fetch('GET', `/volumes/${encodeURIComponent(originalId)}`);
+    if (!response.success) return response;
+
+    const book = this.toBook(response.data);
+    return book
+      ? { success: true, data: book }
+      : { success: false, error: 'Libro no encontrado' };
+  }
+
+  mapBook(rawBook) {
+    if (!rawBook || !rawBook.id) return null;
+
+    const info = rawBook.volumeInfo || {};
+
+    // Google devuelve las portadas por http; forzar https para iOS/Android
+    const imageLinks = Object.fromEntries(
+      Object.entries(info.imageLinks || {}).map(([size, url]) => [
+        size,
+        typeof url === 'string' ? url.replace(/^http:\/\//, 'https://') : url
+      ])
+    );
+
+    return {
+      ...info,
+      id: rawBook.id,
+      imageLinks
+    };
+  }
+}
+
+export { GoogleBooksProvider };
@@ -0,0 +1,26 @@
+import { UdacityProvider } from './udacityProvider';
+import { GoogleBooksProvider } from './googleBooksProvider';
+import { OpenLibraryProvider } from './openLibraryProvider';
+import { LocalFixtureProvider } from './localFixtureProvider';
+
+/**
+ * **PROVEEDORES DE CATÁLOGO** 🧩
+ *
+ * Barrel de las fuentes de libros disponibles para BooksApiService.
+ */
+
+export { CatalogProvider } from './catalogProvider';
+export { UdacityProvider, GoogleBooksProvider, OpenLibraryProvider, LocalFixtureProvider };
+
+/**
+ * **CREAR PROVEEDORES POR DEFECTO** 🏭
+ *
+ * Usa la configuración de CATALOG_PROVIDERS; la configuración
+ * guardada por el usuario se aplica después en BooksApiService.
+ */
+export const createDefaultProviders = () => [
+  new UdacityProvider(),
+  new GoogleBooksProvider(),
+  new OpenLibraryProvider(),
+  new LocalFixtureProvider()
+];
@@ -0,0 +1,60 @@
+import { BOOKS_API, CATALOG_PROVIDERS } from '../../../constants/firebase';
+import { CatalogProvider } from './catalogProvider';
+import catalogFixture from './fixtures/catalog.json';
+
+/**
+ * **PROVEEDOR LOCAL (FIXTURE JSON)** 🗂️
+ *
+ * Catálogo empaquetado con la app. No hace peticiones de red:
+ * sirve para desarrollar sin conexión, para demos y como última
+ * fuente cuando las APIs externas fallan.
+ */
+
+class LocalFixtureProvider extends CatalogProvider {
+  constructor(config = CATALOG_PROVIDERS.LOCAL_FIXTURE, fixture = catalogFixture) {
+    super({
+      id: config.ID,
+      name: 'Catálogo local',
+      enabled: config.ENABLED,
+      priority: config.PRIORITY,
+      idPrefix: 'local_'
+    });
+
+    this.books = Array.isArray(fixture?.books) ? fixture.books : [];
+  }
+
+  async getAll({ maxResults = null } = {}) {
+    const books = maxResults ? this.books.slice(0, maxResults) : this.books;
+    return { success: true, data: this.mapBooks(books) };
+  }
+
+  async search(query, { maxResults = BOOKS_API.MAX_RESULTS } = {}) {
+    const term = query.toLowerCase();
+
+    const matches = this.books.filter(book =>
+      book.title?.toLowerCase().includes(term) ||
+      (book.authors || []).some(author => author.toLowerCase().includes(term)) ||
+      (book.categories || []).some(category => category.toLowerCase().includes(term))
+    );
+
+    return {
+      success: true,
+      data: this.mapBooks(matches.slice(0, maxResults)),
+      totalItems: matches.length
+    };
+  }
+
+  async getBook(originalId) {
+    const book = this.toBook(this.books.find(item => String(item.id) === String(originalId)));
+    return book
+      ? { success: true, data: book }
+      : { success: false, error: 'Libro no encontrado' };
+  }
+
+  // El fixture usa el mismo formato que la API de Udacity
+  mapBook(rawBook) {
+    return rawBook && rawBook.id ? rawBook : null;
+  }
+}
+
+export { LocalFixtureProvider };
@@ -0,0 +1,112 @@
+import { BOOKS_API, CATALOG_PROVIDERS } from '../../../constants/firebase';
+import { CatalogProvider } from './catalogProvider';
+
+/**
+ * **PROVEEDOR OPEN LIBRARY** 🏛️
+ *
+ * Open Library usa tres formatos distintos según el endpoint:
+ * - `/search.json` → `{ docs: [{ key, title, author_name, cover_i, ... }] }`
+ * - `/subjects/{tema}.json` → `{ works: [{ key, title, authors: [{ name }], cover_id, ... }] }`
+ * - `/works/{id}.json` → `{ key, title, description, covers, subjects, ... }`
+ *
+ * `mapBook` acepta los tres y el id es la clave de la obra (OL...W).
+ */
+
+class OpenLibraryProvider extends CatalogProvider {
+  constructor(config = CATALOG_PROVIDERS.OPEN_LIBRARY) {
+    super({
+      id: config.ID,
+      name: 'Open Library',
+      baseURL: config.BASE_URL,
+      enabled: config.ENABLED,
+      priority: config.PRIORITY,
+      idPrefix: 'ol_'
+    });
+
+    this.defaultSubject = config.DEFAULT_SUBJECT;
+    this.coversURL = config.COVERS_URL;
+  }
+
+  async getAll({ maxResults = BOOKS_API.MAX_RESULTS } = {}) {
+    const response = await this.fetch(
+      'GET',
+      `/subjects/${encodeURIComponent(this.defaultSubject)}.json?limit=${maxResults}`
+    );
+    if (!response.success) return response;
+
+    return { success: true, data: this.mapBooks(response.data.works || []) };
+  }
+
+  async search(query, { maxResults = BOOKS_API.MAX_RESULTS } = {}) {
+    const response = await this.fetch(
+      'GET',
+      `/search.json?q=${encodeURIComponent(query)}&limit=${maxResults}`
+    );
+    if (!response.success) return response;
+
+    return {
+      success: true,
+      data: this.mapBooks(response.data.docs || []),
+      totalItems: response.data.numFound
+    };
+  }
+
+  async getBook(originalId) {
+    const response = await this.fetch('GET', `/works/${encodeURIComponent(originalId)}.json`);
+    if (!response.success) return response;
+
+    const book = this.toBook(response.data);
+    return book
+      ? { success: true, data: book }
+      : { success: false, error: 'Libro no encontrado' };
+  }
+
+  mapBook(rawBook) {
+    if (!rawBook || !rawBook.key) return null;
+
+    // "/works/OL45804W" → "OL45804W"
+    const id = String(rawBook.key).split('/').pop();
+
+    const authors = rawBook.author_name ||
+      (rawBook.authors || []).map(author => author.name).filter(Boolean);
+
+    const coverId = rawBook.cover_i || rawBook.cover_id || (rawBook.covers || [])[0];
+    const imageLinks = coverId ? {
+      smallThumbnail: `${this.coversURL}/b/id/${coverId}-S.jpg`,
+      thumbnail: `${this.coversURL}/b/id/${coverId}-M.jpg`,
+      large: `${this.coversURL}/b/id/${coverId}-L.jpg`
+    } : {};
+
+    // La descripción puede ser texto o `{ type, value }`
+    const description = typeof rawBook.description === 'object'
+      ? rawBook.description?.value
+      : rawBook.description;
+
+    const isbns = rawBook.isbn || [];
+    const industryIdentifiers = isbns.map(isbn => ({
+      type: String(isbn).length === 13 ? 'ISBN_13' : 'ISBN_10',
+      identifier: String(isbn)
+    }));
+
+    return {
+      id,
+      title: rawBook.title,
+      authors,
+      imageLinks,
+      description,
+      publishedDate: rawBook.first_publish_year
+        ? String(rawBook.first_publish_year)
+        : rawBook.first_publish_date || null,
+      publisher: (rawBook.publisher || [])[0],
+      language: (rawBook.language || [])[0],
+      pageCount: rawBook.number_of_pages_median,
+      categories: (rawBook.subject || rawBook.subjects || []).slice(0, 5),
+      industryIdentifiers,
+      infoLink: `${this.baseURL}/works/${id}`,
+      averageRating: rawBook.ratings_average,
+      ratingsCount: rawBook.ratings_count
+    };
+  }
+}
+
+export { OpenLibraryProvider };
@@ -0,0 +1,63 @@
+import { BOOKS_API, CATALOG_PROVIDERS } from '../../../constants/firebase';
+import { CatalogProvider } from './catalogProvider';
+
+/**
+ * **PROVEEDOR UDACITY BOOKS API** 📚
+ *
+ * La API original del proyecto. Sus libros ya vienen con los nombres
+ * de campo de Google Books (title, authors, imageLinks...), así que
+ * el mapeo es directo. Sus `bookId` no llevan prefijo para que los
+ * libros guardados antes de existir los proveedores sigan funcionando.
+ */
+
+class UdacityProvider extends CatalogProvider {
+  constructor(config = CATALOG_PROVIDERS.UDACITY) {
+    super({
+      id: config.ID,
+      name: 'Udacity Books API',
+      baseURL: config.BASE_URL,
+      enabled: config.ENABLED,
+      priority: config.PRIORITY
+    });
+
+    this.endpoints = BOOKS_API.ENDPOINTS;
+    this.requiresAuthorization = true;
+  }
+
+  async getAll() {
+    const response = await this.fetch('GET', this.endpoints.GET_ALL);
+    if (!response.success) return response;
+
+    return { success: true, data: this.mapBooks(response.data.books || []) };
+  }
+
+  async search(query, { maxResults = BOOKS_API.MAX_RESULTS } = {}) {
+    const response = await this.fetch('POST', this.endpoints.SEARCH, { query, maxResults });
+    if (!response.success) return response;
+
+    // La API responde `{ books: { error: 'empty query' } }` cuando no hay resultados
+    const books = Array.isArray(response.data.books) ? response.data.books : [];
+    return {
+      success: true,
+      data: this.mapBooks(books),
+      totalItems: response.data.totalItems
+    };
+  }
+
+  async getBook(originalId) {
+    const response = await this.fetch('GET', `${this.endpoints.GET_BOOK}/${originalId}`);
+    if (!response.success) return response;
+
+    // El detalle puede venir envuelto en `{ book }`
+    const book = this.toBook(response.data.book || response.data);
+    return book
+      ? { success: true, data: book }
+      : { success: false, error: 'Libro no encontrado' };
+  }
+
+  mapBook(rawBook) {
+    return rawBook && rawBook.id ? rawBook : null;
+  }
+}
+
+export { UdacityProvider };
@@ -3,11 +3,18 @@ import {
   createUserWithEmailAndPassword,
   signOut,
   sendPasswordResetEmail,
-  updateProfile
+  updateProfile,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  deleteUser,
+  updatePassword,
+  verifyBeforeUpdateEmail,
+  sendEmailVerification
 } from 'firebase/auth';
 import { doc, setDoc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
 
 import { getFirebaseAuth, getFirebaseFirestore } from './firebaseConfig';
+import { APP_CONFIG } from '../../constants/firebase';
 //import { getFirebaseStorage } from './firebaseConfig';
 
 /**
@@ -111,18 +118,27 @@ class AuthService {
       }
 
       // Crear documento de usuario en Firestore
-      await this.createUserProfile(user.uid, {
+      const profile = await this.createUserProfile(user.uid, {
         email: user.email,
         ...profileData
       });
 
+      // Si falla, se puede reenviar desde la pantalla de verificación
+      try {
+        await sendEmailVerification(user);
+        console.log('📧 Email de verificación enviado');
+      } catch (verificationError) {
+        console.warn('⚠️ No se pudo enviar el email de verificación:', verificationError);
+      }
+
       return {
         success: true,
         user: {
           uid: user.uid,
           email: user.email,
           displayName: user.displayName
-        }
+        },
+        profile
       };
 
     } catch (error) {
@@ -184,6 +200,204 @@ class AuthService {
     }
   }
 
+  /**
+   * **REENVIAR EMAIL DE VERIFICACIÓN** 📧🔁
+   * 
+   * La pantalla de verificación espera
+   * `APP_CONFIG.VERIFICATION_RESEND_COOLDOWN` entre reenvíos; si aun así
+   * Firebase limita los envíos, se avisa con un mensaje propio.
+   */
+  async resendVerificationEmail() {
+    try {
+      const user = this.auth.currentUser;
+      if (!user) {
+        throw new Error('No hay usuario autenticado');
+      }
+
+      console.log('📧 AuthService: Reenviando email de verificación a', user.email);
+      await sendEmailVerification(user);
+
+      console.log('✅ Email de verificación enviado');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error en resendVerificationEmail:', error);
+      return {
+        success: false,
+        error: error.code === 'auth/too-many-requests'
+          ? 'Ya enviamos varios emails. Espera unos minutos antes de pedir otro'
+          : 'No se pudo enviar el email de verificación'
+      };
+    }
+  }
+
+  /**
+   * **COMPROBAR VERIFICACIÓN** ✅📧
+   * 
+   * El enlace se abre fuera de la app y Auth no avisa: hay que recargar
+   * el usuario para ver `emailVerified` actualizado.
+   */
+  async refreshEmailVerification() {
+    try {
+      const user = this.auth.currentUser;
+      if (!user) {
+        throw new Error('No hay usuario autenticado');
+      }
+
+      await user.reload();
+      const verified = this.auth.currentUser.emailVerified;
+
+      console.log(verified ? '✅ Email verificado' : '⏳ Email todavía sin verificar');
+      return { success: true, verified };
+
+    } catch (error) {
+      console.error('❌ Error en refreshEmailVerification:', error);
+      return {
+        success: false,
+        error: error.code === 'auth/network-request-failed'
+          ? 'Error de conexión. Verifica tu internet'
+          : 'No se pudo comprobar la verificación'
+      };
+    }
+  }
+
+  /**
+   * **REAUTENTICAR** 🔑🔁
+   * 
+   * Vuelve a pedir la contraseña antes de operaciones sensibles:
+   * Firebase las rechaza si el inicio de sesión no es reciente.
+   */
+  async reauthenticate(password) {
+    try {
+      console.log('🔑🔁 AuthService: Reautenticando usuario');
+
+      const user = this.auth.currentUser;
+      if (!user) {
+        throw new Error('No hay usuario autenticado');
+      }
+      if (!password) {
+        throw new Error('La contraseña es requerida');
+      }
+
+      const credential = EmailAuthProvider.credential(user.email, password);
+      await reauthenticateWithCredential(user, credential);
+
+      console.log('✅ Usuario reautenticado');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error en reauthenticate:', error);
+      return {
+        success: false,
+        error: this.handleAuthError(error)
+      };
+    }
+  }
+
+  /**
+   * **CAMBIAR CONTRASEÑA** 🔐✏️
+   * 
+   * Pide la contraseña actual (reautenticación) y aplica las mismas
+   * reglas que el registro a la nueva.
+   */
+  async changePassword(currentPassword, newPassword) {
+    try {
+      console.log('🔐✏️ AuthService: Cambiando contraseña');
+
+      this.validatePassword(newPassword);
+      if (newPassword === currentPassword) {
+        throw new Error('La nueva contraseña debe ser distinta de la actual');
+      }
+
+      const reauth = await this.reauthenticate(currentPassword);
+      if (!reauth.success) {
+        return reauth;
+      }
+
+      await updatePassword(this.auth.currentUser, newPassword);
+
+      console.log('✅ Contraseña actualizada');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error en changePassword:', error);
+      return {
+        success: false,
+        error: this.handleAuthError(error)
+      };
+    }
+  }
+
+  /**
+   * **CAMBIAR EMAIL** 📧✏️
+   * 
+   * Envía un enlace de verificación al email nuevo: el cambio se aplica
+   * recién cuando el usuario lo abre, y Firebase cierra entonces las
+   * sesiones abiertas. Al volver a entrar, `AuthContext` copia el email
+   * nuevo al perfil de Firestore.
+   */
+  async changeEmail(currentPassword, newEmail) {
+    try {
+      const email = (newEmail || '').trim().toLowerCase();
+      console.log('📧✏️ AuthService: Solicitando cambio de email a', email);
+
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        throw new Error('Email inválido');
+      }
+      if (email === this.auth.currentUser?.email?.toLowerCase()) {
+        throw new Error('Ese ya es tu email actual');
+      }
+
+      const reauth = await this.reauthenticate(currentPassword);
+      if (!reauth.success) {
+        return reauth;
+      }
+
+      await verifyBeforeUpdateEmail(this.auth.currentUser, email);
+
+      console.log('✅ Enlace de verificación enviado');
+      return { success: true, data: { email } };
+
+    } catch (error) {
+      console.error('❌ Error en changeEmail:', error);
+      return {
+        success: false,
+        error: this.handleAuthError(error)
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR USUARIO DE AUTH** 🗑️
+   * 
+   * Último paso de la eliminación de cuenta (ver
+   * `accountDeletionService`): los datos se borran antes, mientras el
+   * usuario todavía tiene permisos sobre ellos.
+   */
+  async deleteCurrentUser() {
+    try {
+      console.log('🗑️ AuthService: Eliminando usuario de Auth');
+
+      const user = this.auth.currentUser;
+      if (!user) {
+        throw new Error('No hay usuario autenticado');
+      }
+
+      await deleteUser(user);
+
+      console.log('✅ Usuario eliminado');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error en deleteCurrentUser:', error);
+      return {
+        success: false,
+        error: this.handleAuthError(error)
+      };
+    }
+  }
+
   /**
    * **CREAR PERFIL DE USUARIO** 👤
    * 
@@ -199,6 +413,7 @@ class AuthService {
         nombre: userData.nombre || '',
         apellido: userData.apellido || '',
         fotoPerfilUrl: null,
+        privacidad: { ...APP_CONFIG.DEFAULT_PRIVACY },
         fechaCreacion: serverTimestamp(),
         fechaUltimaActividad: serverTimestamp(),
         // Campos adicionales opcionales
@@ -262,8 +477,8 @@ class AuthService {
     try {
       console.log('✏️ AuthService: Actualizando perfil para', userId);
 
-      // Validar updates
-      const allowedFields = ['nombre', 'apellido', 'telefono', 'fechaNacimiento', 'genero'];
+      // Validar updates (los mismos campos que acepta firestore.rules)
+      const allowedFields = APP_CONFIG.PROFILE_FIELDS;
       const cleanUpdates = {};
       
       for (const [key, value] of Object.entries(updates)) {
@@ -319,9 +534,7 @@ class AuthService {
     }
 
     // Validar contraseña
-    if (!password || password.length < 8) {
-      throw new Error('La contraseña debe tener al menos 8 caracteres');
-    }
+    this.validatePassword(password);
 
     // Validar nombre y apellido si se proporcionan
     if (profileData.nombre && profileData.nombre.length < 2) {
@@ -333,6 +546,32 @@ class AuthService {
     }
   }
 
+  /**
+   * **REQUISITOS DE CONTRASEÑA** 💪
+   * 
+   * Retorna lo que le falta a la contraseña (vacío si cumple):
+   * `PASSWORD_MIN_LENGTH` caracteres, una minúscula, una mayúscula y
+   * un número, igual que `validators.password` del formulario.
+   */
+  getPasswordIssues(password = '') {
+    const issues = [];
+    const minLength = APP_CONFIG.VALIDATION.PASSWORD_MIN_LENGTH;
+
+    if (password.length < minLength) issues.push(`mínimo ${minLength} caracteres`);
+    if (!/[a-z]/.test(password)) issues.push('una minúscula');
+    if (!/[A-Z]/.test(password)) issues.push('una mayúscula');
+    if (!/\d/.test(password)) issues.push('un número');
+
+    return issues;
+  }
+
+  validatePassword(password) {
+    const issues = this.getPasswordIssues(password || '');
+    if (issues.length > 0) {
+      throw new Error(`La contraseña necesita ${issues.join(', ')}`);
+    }
+  }
+
   /**
    * **MANEJO DE ERRORES DE FIREBASE** 🚨
    * 
@@ -354,6 +593,12 @@ class AuthService {
       'auth/email-already-in-use': 'Ya existe una cuenta con este email',
       'auth/weak-password': 'La contraseña debe tener al menos 6 caracteres',
       'auth/operation-not-allowed': 'Operación no permitida',
+
+      // Errores de operaciones sensibles
+      'auth/requires-recent-login': 'Por seguridad, vuelve a ingresar tu contraseña',
+      'auth/user-mismatch': 'La contraseña no corresponde a esta cuenta',
+      'auth/missing-password': 'La contraseña es requerida',
+      'auth/invalid-new-email': 'El nuevo email no es válido',
       
       // Errores de red
       'auth/network-request-failed': 'Error de conexión. Verifica tu internet',
@@ -7,15 +7,29 @@ import {
   updateDoc, 
   deleteDoc, 
   collection, 
+  collectionGroup,
   query, 
   where, 
   orderBy, 
   limit,
   startAfter,
+  onSnapshot,
+  writeBatch,
+  runTransaction,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+  increment,
+  getCountFromServer,
   serverTimestamp 
 } from 'firebase/firestore';
+import { AppState } from 'react-native';
 
 import { getFirebaseFirestore } from './firebaseConfig';
+import { localStorageService } from '../storage/localStorageService';
+import { offlineQueueService } from '../storage/offlineQueueService';
+import { reviewMarkupParser } from '../reviews/reviewMarkupParser';
+import { APP_CONFIG } from '../../constants/firebase';
 
 /**
  * **SERVICIO DE FIRESTORE EDUCATIVO** 🗄️
@@ -35,9 +49,64 @@ import { getFirebaseFirestore } from './firebaseConfig';
  * - Logging para debugging
  */
 
+// Orden de las reseñas de un libro; el desempate es siempre por fecha.
+// Cada orden necesita su índice en firestore.indexes.json
+const REVIEW_SORT_ORDERS = {
+  helpful: [['votosUtiles', 'desc'], ['fechaCreacion', 'desc']],
+  newest: [['fechaCreacion', 'desc']],
+  highest: [['calificacion', 'desc'], ['fechaCreacion', 'desc']],
+  lowest: [['calificacion', 'asc'], ['fechaCreacion', 'desc']]
+};
+
+// Tipos de evento del feed de actividad
+export const ACTIVITY_TYPES = {
+  BOOK_ADDED: 'libro_agregado',
+  STATUS_CHANGED: 'estado_actualizado',
+  REVIEW_PUBLISHED: 'resena_publicada'
+};
+
+// Firma de las reseñas que quedan al eliminar una cuenta
+export const ANONYMOUS_REVIEWER_NAME = 'Lector anónimo';
+
+// Colecciones propias del usuario: se exportan y restauran con sus ids
+// y se vacían al eliminar la cuenta
+const ACCOUNT_COLLECTIONS = {
+  libros: ['libraries', 'books'],
+  estanterias: ['libraries', 'shelves'],
+  sesiones: ['libraries', 'readingSessions'],
+  metas: ['users', 'goals']
+};
+
 class FirestoreService {
   constructor() {
     this.db = getFirebaseFirestore();
+
+    // Configuración del modo offline
+    this.networkTimeout = 10000; // 10 segundos antes de considerar que no hay conexión
+    this.autoSyncInterval = 60 * 1000; // Reintentar sincronización cada minuto
+    this.syncInProgress = false;
+    this.autoSyncUserId = null;
+    this.autoSyncTimer = null;
+    this.appStateSubscription = null;
+
+    // Estanterías
+    this.maxShelfNameLength = 40;
+
+    // Firestore admite hasta 500 escrituras por lote
+    this.batchLimit = 450;
+
+    // Reseñas
+    this.reviewSchemaVersion = 4;
+    this.minReviewLength = APP_CONFIG.VALIDATION.REVIEW_MIN_LENGTH;
+    this.maxReviewLength = APP_CONFIG.VALIDATION.REVIEW_MAX_LENGTH;
+    this.maxReviewMarkupLength = APP_CONFIG.VALIDATION.REVIEW_MAX_MARKUP_LENGTH;
+    this.reviewReactions = Object.keys(APP_CONFIG.REVIEW_REACTIONS);
+
+    // Comentarios y actividad
+    this.maxCommentLength = APP_CONFIG.VALIDATION.COMMENT_MAX_LENGTH;
+    this.userSummaryCache = new Map();
+    this.feedQueryChunkSize = 10;
+
     console.log('🗄️ FirestoreService inicializado');
   }
 
@@ -99,6 +168,332 @@ class FirestoreService {
     }
   }
 
+  // ===================================
+  // 🔒 PERFILES PÚBLICOS Y PRIVACIDAD
+  // ===================================
+
+  /**
+   * **SINCRONIZAR PERFIL PÚBLICO** 🪞
+   *
+   * `users/{userId}` tiene email y teléfono, así que solo lo lee su
+   * dueño. Lo que ven los demás es una copia en `publicProfiles/{userId}`
+   * con nombre, foto, bio y la configuración de privacidad; las reglas de
+   * Firestore consultan esa copia para decidir quién lee la librería.
+   */
+  async syncPublicProfile(userId, profile = null) {
+    try {
+      let source = profile;
+      if (!source) {
+        const result = await this.getUser(userId);
+        if (!result.success) throw new Error(result.error);
+        source = result.data;
+      }
+
+      await this.withNetworkTimeout(setDoc(this.getPublicProfileRef(userId), this.buildPublicProfile(source)));
+      this.userSummaryCache.delete(userId);
+
+      return { success: true };
+
+    } catch (error) {
+      console.warn('⚠️ No se pudo sincronizar el perfil público:', error);
+      return {
+        success: false,
+        error: 'Error sincronizando perfil público'
+      };
+    }
+  }
+
+  /**
+   * **ACTUALIZAR PRIVACIDAD** 🔒
+   *
+   * Guarda `privacidad` en el perfil y actualiza la copia pública en la
+   * misma transacción, para que las reglas nunca vean una mezcla.
+   * Después copia la visibilidad a las reseñas y la actividad.
+   */
+  async updatePrivacySettings(userId, changes) {
+    try {
+      console.log('🔒 FirestoreService: Actualizando privacidad de', userId);
+
+      const privacidad = await runTransaction(this.db, async (transaction) => {
+        const userRef = doc(this.db, 'users', userId);
+        const userSnapshot = await transaction.get(userRef);
+        if (!userSnapshot.exists()) {
+          throw new Error('Usuario no encontrado');
+        }
+
+        const profile = userSnapshot.data();
+        const updated = { ...this.resolvePrivacy(profile.privacidad) };
+        Object.keys(APP_CONFIG.DEFAULT_PRIVACY).forEach(key => {
+          if (typeof changes[key] === 'boolean') updated[key] = changes[key];
+        });
+
+        transaction.update(userRef, {
+          privacidad: updated,
+          fechaUltimaModificacion: serverTimestamp()
+        });
+        transaction.set(this.getPublicProfileRef(userId), this.buildPublicProfile({ ...profile, privacidad: updated }));
+
+        return updated;
+      });
+
+      this.userSummaryCache.delete(userId);
+      await this.syncContentVisibility(userId, privacidad);
+
+      console.log('✅ Privacidad actualizada');
+      return { success: true, data: privacidad };
+
+    } catch (error) {
+      console.error('❌ Error actualizando privacidad:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para cambiar la privacidad'
+          : error.message || 'Error actualizando privacidad'
+      };
+    }
+  }
+
+  /**
+   * **COPIAR LA VISIBILIDAD A RESEÑAS Y ACTIVIDAD** 🔒🔄
+   *
+   * Las consultas de otros lectores no pueden revisar el perfil de cada
+   * autor, así que las reseñas guardan `autorVisible` y la actividad
+   * `esPrivada` según `privacidad` (las reglas exigen que coincidan al
+   * escribirlas). Cambia solo los documentos desactualizados; cada
+   * reseña va en su transacción para corregir el resumen del libro. Si
+   * falla no se interrumpe el cambio de privacidad: leer un documento
+   * suelto vuelve a comprobar el perfil.
+   */
+  async syncContentVisibility(userId, privacidad) {
+    try {
+      const visibility = this.getContentVisibility(privacidad);
+
+      const [reviewsSnapshot, activitySnapshot] = await this.withNetworkTimeout(Promise.all([
+        getDocs(query(collection(this.db, 'reviews'), where('userId', '==', userId))),
+        getDocs(query(collection(this.db, 'activity'), where('userId', '==', userId)))
+      ]));
+
+      const outdatedReviews = reviewsSnapshot.docs.filter(reviewDoc =>
+        reviewDoc.data().autorVisible !== visibility.resenas
+      );
+      for (const reviewDoc of outdatedReviews) {
+        await this.setReviewVisibility(reviewDoc.id, visibility.resenas);
+      }
+
+      const outdatedActivity = activitySnapshot.docs.filter(activityDoc =>
+        activityDoc.data().esPrivada !== this.isActivityHidden(activityDoc.data().tipo, visibility)
+      );
+      for (let i = 0; i < outdatedActivity.length; i += this.batchLimit) {
+        const batch = writeBatch(this.db);
+        outdatedActivity.slice(i, i + this.batchLimit).forEach(activityDoc => {
+          batch.update(activityDoc.ref, { esPrivada: this.isActivityHidden(activityDoc.data().tipo, visibility) });
+        });
+        await this.withNetworkTimeout(batch.commit());
+      }
+
+      return { success: true, data: { resenas: outdatedReviews.length, actividad: outdatedActivity.length } };
+
+    } catch (error) {
+      console.warn('⚠️ No se pudo aplicar la privacidad a reseñas y actividad:', error);
+      return {
+        success: false,
+        error: 'Error aplicando la privacidad',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **CAMBIAR LA VISIBILIDAD DE UNA RESEÑA** 🔒⭐
+   *
+   * Solo cuentan en el resumen del libro las reseñas que otros lectores
+   * pueden leer, así que sale o entra del resumen en la misma
+   * transacción.
+   */
+  async setReviewVisibility(reviewId, autorVisible) {
+    const reviewRef = doc(this.db, 'reviews', reviewId);
+    const existing = await getDoc(reviewRef);
+    if (!existing.exists()) return;
+
+    const { bookId, userId } = existing.data();
+    await this.ensureRatingAggregates(bookId, userId);
+
+    await runTransaction(this.db, async (transaction) => {
+      const current = await transaction.get(reviewRef);
+      if (!current.exists()) return;
+
+      await this.updateRatingAggregates(transaction, {
+        reviewId,
+        bookId,
+        userId,
+        before: current.data(),
+        after: { ...current.data(), autorVisible }
+      });
+      transaction.update(reviewRef, { autorVisible });
+    });
+  }
+
+  /**
+   * **OBTENER PERFIL PÚBLICO** 👤🌐
+   *
+   * Retorna el perfil que ve `viewerId` y, en `visible`, qué secciones
+   * puede mostrar. El dueño siempre ve todo.
+   */
+  async getPublicProfile(viewerId, userId) {
+    try {
+      console.log('👤🌐 FirestoreService: Obteniendo perfil público de', userId);
+
+      const snapshot = await this.withNetworkTimeout(getDoc(this.getPublicProfileRef(userId)));
+      if (!snapshot.exists()) {
+        return {
+          success: false,
+          error: 'Este lector no tiene un perfil público'
+        };
+      }
+
+      const profile = snapshot.data();
+      const privacidad = this.resolvePrivacy(profile.privacidad);
+
+      return {
+        success: true,
+        data: {
+          id: userId,
+          ...profile,
+          privacidad,
+          esPropio: viewerId === userId,
+          visible: this.getVisibleSections(viewerId, userId, privacidad)
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo perfil público:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para ver perfiles de otros lectores'
+          : 'Error obteniendo perfil'
+      };
+    }
+  }
+
+  /**
+   * **LIBRERÍA PÚBLICA** 📚🌐
+   *
+   * Los libros de otro lector, solo si muestra sus estanterías o sus
+   * estadísticas (que se calculan con ellos). No toca la copia local
+   * de la librería: esa es solo del usuario conectado.
+   */
+  async getPublicLibrary(viewerId, userId) {
+    try {
+      const access = await this.getProfileAccess(viewerId, userId);
+      if (!access.estanterias && !access.estadisticas) {
+        return { success: true, data: [], hidden: true };
+      }
+
+      const snapshot = await this.withNetworkTimeout(getDocs(collection(this.db, 'libraries', userId, 'books')));
+
+      return {
+        success: true,
+        data: snapshot.docs.map(bookDoc => ({ id: bookDoc.id, ...bookDoc.data() })),
+        hidden: false
+      };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo librería pública:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo la librería del lector'
+      };
+    }
+  }
+
+  /**
+   * **ESTANTERÍAS PÚBLICAS** 🗂️🌐
+   */
+  async getPublicShelves(viewerId, userId) {
+    try {
+      const access = await this.getProfileAccess(viewerId, userId);
+      if (!access.estanterias) {
+        return { success: true, data: [], hidden: true };
+      }
+
+      const result = await this.getUserShelves(userId);
+      if (!result.success) throw new Error(result.error);
+
+      return { success: true, data: result.data, hidden: false };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo estanterías públicas:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo las estanterías del lector'
+      };
+    }
+  }
+
+  /**
+   * **RESEÑAS PÚBLICAS DE UN LECTOR** ⭐🌐
+   *
+   * Nunca incluye reseñas privadas. Con `resenas` desactivado no se
+   * listan en el perfil ni se ven en la página de cada libro.
+   */
+  async getPublicReviews(viewerId, userId, options = {}) {
+    try {
+      const access = await this.getProfileAccess(viewerId, userId);
+      if (!access.resenas) {
+        return { success: true, data: [], hidden: true, lastDocument: null, hasMore: false };
+      }
+
+      const { limitCount = 10, lastDocument = null } = options;
+
+      let q = query(
+        collection(this.db, 'reviews'),
+        where('userId', '==', userId),
+        where('esPrivada', '==', false),
+        where('autorVisible', '==', true),
+        orderBy('fechaCreacion', 'desc'),
+        limit(limitCount)
+      );
+
+      if (lastDocument) {
+        q = query(q, startAfter(lastDocument));
+      }
+
+      const querySnapshot = await this.withNetworkTimeout(getDocs(q));
+
+      return {
+        success: true,
+        data: querySnapshot.docs.map(reviewDoc => this.normalizeReview(reviewDoc)),
+        hidden: false,
+        lastDocument: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
+        hasMore: querySnapshot.docs.length === limitCount
+      };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo reseñas públicas:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo las reseñas del lector'
+      };
+    }
+  }
+
+  /**
+   * **SECCIONES VISIBLES PARA UN LECTOR** 🔍
+   */
+  async getProfileAccess(viewerId, userId) {
+    if (viewerId === userId) {
+      return this.getVisibleSections(viewerId, userId, APP_CONFIG.DEFAULT_PRIVACY);
+    }
+
+    const snapshot = await this.withNetworkTimeout(getDoc(this.getPublicProfileRef(userId)));
+    const privacidad = snapshot.exists()
+      ? this.resolvePrivacy(snapshot.data().privacidad)
+      : { ...APP_CONFIG.DEFAULT_PRIVACY, perfilPublico: false };
+
+    return this.getVisibleSections(viewerId, userId, privacidad);
+  }
+
   // ===================================
   // 📚 OPERACIONES DE LIBRERÍAS
   // ===================================
@@ -106,7 +501,8 @@ class FirestoreService {
   /**
    * **OBTENER LIBRERÍA DEL USUARIO** 📚
    * 
-   * Demuestra consultas en subcollections con paginación.
+   * Demuestra consultas en subcollections con paginación. Con
+   * `limitCount: null` trae la librería completa.
    */
   async getUserLibrary(userId, options = {}) {
     try {
@@ -129,14 +525,16 @@ class FirestoreService {
       queryRef = query(queryRef, orderBy(orderByField, orderDirection));
       
       // Agregar límite
-      queryRef = query(queryRef, limit(limitCount));
+      if (limitCount) {
+        queryRef = query(queryRef, limit(limitCount));
+      }
       
       // Agregar paginación si hay último documento
       if (lastDocument) {
         queryRef = query(queryRef, startAfter(lastDocument));
       }
 
-      const querySnapshot = await getDocs(queryRef);
+      const querySnapshot = await this.withNetworkTimeout(getDocs(queryRef));
       
       
       const books = [];
@@ -148,16 +546,44 @@ class FirestoreService {
       });
 
       console.log(`✅ Obtenidos ${books.length} libros de la librería`);
+
+      const hasMore = !!limitCount && querySnapshot.docs.length === limitCount;
+
+      // Mantener la copia local al día para poder trabajar sin conexión
+      await this.updateLocalLibrary(userId, books, !lastDocument && !hasMore);
+
+      // Los cambios pendientes de sincronizar se muestran por encima del servidor
+      const pendingOperations = await offlineQueueService.getQueue(userId);
       
       return {
         success: true,
-        data: books,
+        data: offlineQueueService.applyOperations(books, pendingOperations),
         lastDocument: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
-        hasMore: querySnapshot.docs.length === limitCount
+        hasMore,
+        pendingCount: pendingOperations.length,
+        fromCache: false
       };
 
     } catch (error) {
       console.error('❌ Error obteniendo librería:', error);
+
+      // Sin conexión: servir la copia local con los cambios pendientes aplicados
+      if (this.isOfflineError(error) && !options.lastDocument) {
+        const local = await offlineQueueService.getOptimisticLibrary(userId);
+        if (local.success) {
+          console.log('📴 Usando copia local de la librería');
+          return {
+            success: true,
+            data: local.data,
+            lastDocument: null,
+            hasMore: false,
+            pendingCount: local.pendingCount,
+            fromCache: true,
+            cachedAt: local.timestamp
+          };
+        }
+      }
+
       return {
         success: false,
         error: 'Error obteniendo librería'
@@ -171,23 +597,16 @@ class FirestoreService {
    * Demuestra escritura en subcollections con validación.
    */
   async addBookToLibrary(userId, bookData) {
+    let bookDoc = null;
+
     try {
       console.log('📖➕ FirestoreService: Agregando libro a librería', bookData.titulo);
       
       // Validar datos del libro
       this.validateBookData(bookData);
 
-      // Verificar si el libro ya existe en la librería
-      const existingBook = await this.getBookFromLibrary(userId, bookData.bookId);
-      if (existingBook.success) {
-        return {
-          success: false,
-          error: 'El libro ya está en tu librería'
-        };
-      }
-
       // Preparar datos del libro para Firestore
-      const bookDoc = {
+      bookDoc = {
         bookId: bookData.bookId,
         titulo: bookData.titulo,
         autor: bookData.autor,
@@ -197,21 +616,48 @@ class FirestoreService {
         generos: bookData.generos || [],
         isbn: bookData.isbn || null,
         editorial: bookData.editorial || null,
-        fechaAgregado: serverTimestamp(),
+        numeroPaginas: bookData.numeroPaginas || null,
+        estadoLectura: bookData.estadoLectura || 'want-to-read',
+        paginaActual: 0,
+        porcentajeLeido: 0,
         tieneReseña: false
       };
+      bookDoc = this.withCompletionDate(bookDoc);
+
+      // Con modo offline o cambios pendientes, la escritura va a la cola
+      if (await this.shouldQueueWrites(userId)) {
+        return await this.queueLibraryOperation(userId, 'add', bookData.bookId, bookDoc);
+      }
+
+      // Verificar si el libro ya existe en la librería
+      const existingBook = await this.getBookFromLibrary(userId, bookData.bookId);
+      if (existingBook.offline) {
+        return await this.queueLibraryOperation(userId, 'add', bookData.bookId, bookDoc);
+      }
+      if (existingBook.success) {
+        return {
+          success: false,
+          error: 'El libro ya está en tu librería'
+        };
+      }
 
       // Usar ID del libro como ID del documento para facilitar consultas
-      await setDoc(
+      await this.withNetworkTimeout(setDoc(
         doc(this.db, 'libraries', userId, 'books', bookData.bookId),
-        bookDoc
-      );
+        { ...bookDoc, fechaAgregado: serverTimestamp() }
+      ));
+      await this.recordLibraryActivity(userId, 'add', bookDoc);
 
       console.log('✅ Libro agregado a la librería');
       return { success: true, data: bookDoc };
 
     } catch (error) {
       console.error('❌ Error agregando libro:', error);
+
+      if (bookDoc && this.isOfflineError(error)) {
+        return await this.queueLibraryOperation(userId, 'add', bookData.bookId, bookDoc);
+      }
+
       return {
         success: false,
         error: error.message || 'Error agregando libro'
@@ -219,14 +665,85 @@ class FirestoreService {
     }
   }
 
+  /**
+   * **IMPORTAR LIBROS EN LOTE** 📥📚
+   *
+   * Escribe los libros con `writeBatch` en grupos de `batchLimit`. Los
+   * que ya están en la librería no se tocan y vuelven en `existing`;
+   * como el id del documento es el `bookId`, repetir una importación
+   * cortada no duplica nada. `onBatch(bookIds)` se llama después de
+   * cada lote confirmado para guardar el avance.
+   *
+   * No registra actividad: cientos de eventos de golpe llenarían el
+   * feed de los seguidores.
+   */
+  async importLibraryBooks(userId, books, { onBatch = null } = {}) {
+    const imported = [];
+
+    try {
+      console.log(`📥 FirestoreService: Importando ${books.length} libro(s) a la librería`);
+
+      if (await this.shouldQueueWrites(userId)) {
+        return {
+          success: false,
+          error: 'Sincroniza tus cambios pendientes antes de importar'
+        };
+      }
+
+      books.forEach(book => this.validateBookData(book));
+
+      const librarySnapshot = await this.withNetworkTimeout(
+        getDocs(collection(this.db, 'libraries', userId, 'books'))
+      );
+      const existingIds = new Set(librarySnapshot.docs.map(bookDoc => bookDoc.id));
+      const existing = books.filter(book => existingIds.has(book.bookId)).map(book => book.bookId);
+      const pending = books.filter(book => !existingIds.has(book.bookId));
+
+      for (let i = 0; i < pending.length; i += this.batchLimit) {
+        const chunk = pending.slice(i, i + this.batchLimit);
+        const batch = writeBatch(this.db);
+
+        chunk.forEach(book => {
+          const { fechaAgregado, ...bookDoc } = book;
+          batch.set(doc(this.db, 'libraries', userId, 'books', book.bookId), {
+            ...bookDoc,
+            fechaAgregado: fechaAgregado ? new Date(fechaAgregado) : serverTimestamp()
+          });
+        });
+
+        await this.withNetworkTimeout(batch.commit());
+
+        const chunkIds = chunk.map(book => book.bookId);
+        imported.push(...chunkIds);
+        if (onBatch) {
+          await onBatch(chunkIds);
+        }
+      }
+
+      console.log(`✅ Libros importados: ${imported.length}, ya estaban: ${existing.length}`);
+      return { success: true, data: { imported, existing } };
+
+    } catch (error) {
+      console.error('❌ Error importando libros:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para importar libros'
+          : error.message || 'Error importando libros',
+        offline: this.isOfflineError(error),
+        data: { imported, existing: [] }
+      };
+    }
+  }
+
   /**
    * **OBTENER LIBRO DE LIBRERÍA** 📖
    */
   async getBookFromLibrary(userId, bookId) {
     try {
-      const bookDoc = await getDoc(
+      const bookDoc = await this.withNetworkTimeout(getDoc(
         doc(this.db, 'libraries', userId, 'books', bookId)
-      );
+      ));
       
       if (bookDoc.exists()) {
         return {
@@ -243,7 +760,8 @@ class FirestoreService {
       console.error('❌ Error obteniendo libro:', error);
       return {
         success: false,
-        error: 'Error obteniendo libro'
+        error: 'Error obteniendo libro',
+        offline: this.isOfflineError(error)
       };
     }
   }
@@ -254,14 +772,27 @@ class FirestoreService {
   async removeBookFromLibrary(userId, bookId) {
     try {
       console.log('📖❌ FirestoreService: Eliminando libro', bookId);
+
+      if (await this.shouldQueueWrites(userId)) {
+        return await this.queueLibraryOperation(userId, 'remove', bookId);
+      }
       
-      await deleteDoc(doc(this.db, 'libraries', userId, 'books', bookId));
+      await this.withNetworkTimeout(
+        deleteDoc(doc(this.db, 'libraries', userId, 'books', bookId))
+      );
+      await this.removeBookFromAllShelves(userId, bookId);
+      await this.clearLibraryActivity(userId, bookId);
       
       console.log('✅ Libro eliminado de la librería');
       return { success: true };
 
     } catch (error) {
       console.error('❌ Error eliminando libro:', error);
+
+      if (this.isOfflineError(error)) {
+        return await this.queueLibraryOperation(userId, 'remove', bookId);
+      }
+
       return {
         success: false,
         error: 'Error eliminando libro'
@@ -270,451 +801,3601 @@ class FirestoreService {
   }
 
   // ===================================
-  // ⭐ OPERACIONES DE RESEÑAS
+  // 🗂️ OPERACIONES DE ESTANTERÍAS
   // ===================================
 
   /**
-   * **CREAR/ACTUALIZAR RESEÑA** ⭐
-   * 
-   * Demuestra operaciones con referencias entre documentos.
+   * **OBTENER ESTANTERÍAS DEL USUARIO** 🗂️
+   *
+   * Las estanterías viven en `libraries/{userId}/shelves`. Cada una
+   * guarda la lista ordenada de `bookId` de sus libros (`libros`), así
+   * un libro puede estar en varias estanterías y cada estantería tiene
+   * su propio orden.
    */
-  async saveReview(userId, bookId, reviewData) {
+  async getUserShelves(userId) {
     try {
-      console.log('⭐ FirestoreService: Guardando reseña para libro', bookId);
-      
-      // Validar datos de la reseña
-      this.validateReviewData(reviewData);
+      console.log('🗂️ FirestoreService: Obteniendo estanterías de', userId);
 
-      // Verificar si ya existe una reseña
-      const existingReview = await this.getUserReviewForBook(userId, bookId);
-      
-      const reviewDoc = {
-        userId,
-        bookId,
-        calificacion: reviewData.calificacion,
-        textoReseña: reviewData.textoReseña,
-        fechaModificacion: serverTimestamp()
-      };
+      const querySnapshot = await this.withNetworkTimeout(getDocs(
+        query(collection(this.db, 'libraries', userId, 'shelves'), orderBy('orden', 'asc'))
+      ));
 
-      let reviewId;
-      
-      if (existingReview.success) {
-        // Actualizar reseña existente
-        reviewId = existingReview.data.id;
-        await updateDoc(doc(this.db, 'reviews', reviewId), reviewDoc);
-        console.log('✅ Reseña actualizada');
-      } else {
-        // Crear nueva reseña
-        reviewDoc.fechaCreacion = serverTimestamp();
-        const docRef = await addDoc(collection(this.db, 'reviews'), reviewDoc);
-        reviewId = docRef.id;
-        console.log('✅ Nueva reseña creada');
-      }
+      const shelves = querySnapshot.docs.map(shelfDoc => ({ id: shelfDoc.id, ...shelfDoc.data() }));
 
-      // Actualizar flag en el libro de la librería
-      await this.updateBookReviewStatus(userId, bookId, true);
-
-      return { 
-        success: true, 
-        data: { id: reviewId, ...reviewDoc } 
-      };
+      console.log(`✅ Obtenidas ${shelves.length} estanterías`);
+      return { success: true, data: shelves };
 
     } catch (error) {
-      console.error('❌ Error guardando reseña:', error);
+      console.error('❌ Error obteniendo estanterías:', error);
       return {
         success: false,
-        error: error.message || 'Error guardando reseña'
+        error: 'Error obteniendo estanterías',
+        offline: this.isOfflineError(error)
       };
     }
   }
 
   /**
-   * **OBTENER RESEÑA DEL USUARIO PARA UN LIBRO** ⭐
+   * **CREAR ESTANTERÍA** 🗂️➕
    */
-  async getUserReviewForBook(userId, bookId) {
+  async createShelf(userId, shelfData) {
     try {
-      const q = query(
-        collection(this.db, 'reviews'),
-        where('userId', '==', userId),
-        where('bookId', '==', bookId),
-        limit(1)
-      );
+      console.log('🗂️➕ FirestoreService: Creando estantería', shelfData.nombre);
 
-      const querySnapshot = await getDocs(q);
-      
-      if (!querySnapshot.empty) {
-        const doc = querySnapshot.docs[0];
-        return {
-          success: true,
-          data: { id: doc.id, ...doc.data() }
-        };
-      } else {
+      const nombre = this.validateShelfName(shelfData.nombre);
+
+      const existing = await this.getUserShelves(userId);
+      if (!existing.success) {
+        throw new Error(existing.error);
+      }
+      if (this.findShelfByName(existing.data, nombre)) {
         return {
           success: false,
-          error: 'Reseña no encontrada'
+          error: 'Ya tienes una estantería con ese nombre'
         };
       }
+
+      const shelfDoc = {
+        nombre,
+        descripcion: shelfData.descripcion?.trim() || null,
+        libros: [...new Set(shelfData.libros || [])],
+        // Las nuevas estanterías van al final
+        orden: existing.data.reduce((max, shelf) => Math.max(max, shelf.orden ?? 0), -1) + 1,
+        fechaCreacion: serverTimestamp(),
+        fechaActualizacion: serverTimestamp()
+      };
+
+      const shelfRef = await this.withNetworkTimeout(
+        addDoc(collection(this.db, 'libraries', userId, 'shelves'), shelfDoc)
+      );
+
+      console.log('✅ Estantería creada:', shelfRef.id);
+      return { success: true, data: { id: shelfRef.id, ...shelfDoc } };
+
     } catch (error) {
-      console.error('❌ Error obteniendo reseña:', error);
+      console.error('❌ Error creando estantería:', error);
       return {
         success: false,
-        error: 'Error obteniendo reseña'
+        error: error.message || 'Error creando estantería'
       };
     }
   }
 
   /**
-   * **OBTENER RESEÑAS DE UN LIBRO** ⭐
-   * 
-   * Demuestra consultas con ordenamiento y paginación.
+   * **ACTUALIZAR ESTANTERÍA** 🗂️✏️
+   *
+   * Solo nombre y descripción; los libros se manejan con los métodos
+   * de membresía para no pisar cambios concurrentes.
    */
-  async getBookReviews(bookId, options = {}) {
+  async updateShelf(userId, shelfId, updates) {
     try {
-      console.log('⭐ FirestoreService: Obteniendo reseñas para libro', bookId);
-      
-      const { limitCount = 10, lastDocument = null } = options;
+      console.log('🗂️✏️ FirestoreService: Actualizando estantería', shelfId);
 
-      let q = query(
-        collection(this.db, 'reviews'),
-        where('bookId', '==', bookId),
-        orderBy('fechaCreacion', 'desc'),
-        limit(limitCount)
-      );
+      const changes = {};
 
-      if (lastDocument) {
-        q = query(q, startAfter(lastDocument));
+      if (updates.nombre !== undefined) {
+        changes.nombre = this.validateShelfName(updates.nombre);
+
+        const existing = await this.getUserShelves(userId);
+        if (!existing.success) {
+          throw new Error(existing.error);
+        }
+        const duplicate = this.findShelfByName(existing.data, changes.nombre);
+        if (duplicate && duplicate.id !== shelfId) {
+          return {
+            success: false,
+            error: 'Ya tienes una estantería con ese nombre'
+          };
+        }
       }
 
-      const querySnapshot = await getDocs(q);
-      
-      const reviews = [];
-      querySnapshot.forEach((doc) => {
-        reviews.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
+      if (updates.descripcion !== undefined) {
+        changes.descripcion = updates.descripcion?.trim() || null;
+      }
 
-      console.log(`✅ Obtenidas ${reviews.length} reseñas`);
-      
-      return {
-        success: true,
-        data: reviews,
-        lastDocument: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
-        hasMore: querySnapshot.docs.length === limitCount
-      };
+      await this.withNetworkTimeout(updateDoc(
+        doc(this.db, 'libraries', userId, 'shelves', shelfId),
+        { ...changes, fechaActualizacion: serverTimestamp() }
+      ));
+
+      console.log('✅ Estantería actualizada');
+      return { success: true };
 
     } catch (error) {
-      console.error('❌ Error obteniendo reseñas:', error);
+      console.error('❌ Error actualizando estantería:', error);
       return {
         success: false,
-        error: 'Error obteniendo reseñas'
+        error: error.message || 'Error actualizando estantería'
       };
     }
   }
 
   /**
-   * **OBTENER RESEÑAS DEL USUARIO** ⭐
+   * **ELIMINAR ESTANTERÍA** 🗂️❌
+   *
+   * Los libros siguen en la librería; solo se pierde la agrupación.
    */
-  async getUserReviews(userId, options = {}) {
+  async deleteShelf(userId, shelfId) {
     try {
-      console.log('⭐ FirestoreService: Obteniendo reseñas del usuario', userId);
-      
-      const { limitCount = 10, lastDocument = null } = options;
+      console.log('🗂️❌ FirestoreService: Eliminando estantería', shelfId);
 
-      let q = query(
-        collection(this.db, 'reviews'),
-        where('userId', '==', userId),
-        orderBy('fechaCreacion', 'desc'),
-        limit(limitCount)
+      await this.withNetworkTimeout(
+        deleteDoc(doc(this.db, 'libraries', userId, 'shelves', shelfId))
       );
 
-      if (lastDocument) {
-        q = query(q, startAfter(lastDocument));
-      }
-
-      const querySnapshot = await getDocs(q);
-      
-      const reviews = [];
-      querySnapshot.forEach((doc) => {
-        reviews.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
-
-      console.log(`✅ Obtenidas ${reviews.length} reseñas del usuario`);
-      
-      return {
-        success: true,
-        data: reviews,
-        lastDocument: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
-        hasMore: querySnapshot.docs.length === limitCount
-      };
+      console.log('✅ Estantería eliminada');
+      return { success: true };
 
     } catch (error) {
-      console.error('❌ Error obteniendo reseñas del usuario:', error);
+      console.error('❌ Error eliminando estantería:', error);
       return {
         success: false,
-        error: 'Error obteniendo reseñas del usuario'
+        error: 'Error eliminando estantería'
       };
     }
   }
 
   /**
-   * **ELIMINAR RESEÑA** ⭐❌
+   * **AGREGAR LIBROS A ESTANTERÍA** 🗂️📖
+   *
+   * `arrayUnion` agrega al final y no duplica libros que ya estaban.
    */
-  async deleteReview(reviewId, userId, bookId) {
+  async addBooksToShelf(userId, shelfId, bookIds) {
     try {
-      console.log('⭐❌ FirestoreService: Eliminando reseña', reviewId);
-      
-      await deleteDoc(doc(this.db, 'reviews', reviewId));
-      
-      // Actualizar flag en el libro de la librería
-      await this.updateBookReviewStatus(userId, bookId, false);
-      
-      console.log('✅ Reseña eliminada');
+      console.log(`🗂️📖 FirestoreService: Agregando ${bookIds.length} libro(s) a estantería`, shelfId);
+
+      await this.withNetworkTimeout(updateDoc(
+        doc(this.db, 'libraries', userId, 'shelves', shelfId),
+        { libros: arrayUnion(...bookIds), fechaActualizacion: serverTimestamp() }
+      ));
+
       return { success: true };
 
     } catch (error) {
-      console.error('❌ Error eliminando reseña:', error);
+      console.error('❌ Error agregando libros a estantería:', error);
       return {
         success: false,
-        error: 'Error eliminando reseña'
+        error: 'Error agregando libros a la estantería'
       };
     }
   }
 
-  // ===================================
-  // 🛠️ FUNCIONES AUXILIARES
-  // ===================================
-
   /**
-   * **ACTUALIZAR ESTADO DE RESEÑA EN LIBRO** 🛠️
+   * **QUITAR LIBROS DE ESTANTERÍA** 🗂️➖
    */
-  async updateBookReviewStatus(userId, bookId, hasReview) {
+  async removeBooksFromShelf(userId, shelfId, bookIds) {
     try {
-      await updateDoc(
-        doc(this.db, 'libraries', userId, 'books', bookId),
-        { tieneReseña: hasReview }
-      );
-    } catch (error) {
-      console.warn('⚠️ No se pudo actualizar estado de reseña:', error);
-      // No lanzar error, es una operación secundaria
-    }
-  }
+      console.log(`🗂️➖ FirestoreService: Quitando ${bookIds.length} libro(s) de estantería`, shelfId);
 
-  /**
-   * **VALIDAR DATOS DE LIBRO** ✅
-   */
-  validateBookData(bookData) {
-    if (!bookData.bookId) {
-      throw new Error('ID del libro es requerido');
-    }
-    if (!bookData.titulo) {
-      throw new Error('Título del libro es requerido');
-    }
-    if (!bookData.autor) {
-      throw new Error('Autor del libro es requerido');
-    }
-  }
+      await this.withNetworkTimeout(updateDoc(
+        doc(this.db, 'libraries', userId, 'shelves', shelfId),
+        { libros: arrayRemove(...bookIds), fechaActualizacion: serverTimestamp() }
+      ));
 
-  /**
-   * **VALIDAR DATOS DE RESEÑA** ✅
-   */
-  validateReviewData(reviewData) {
-    if (!reviewData.calificacion || reviewData.calificacion < 1 || reviewData.calificacion > 5) {
-      throw new Error('Calificación debe ser entre 1 y 5 estrellas');
-    }
-    if (!reviewData.textoReseña || reviewData.textoReseña.trim().length < 10) {
-      throw new Error('El texto de la reseña debe tener al menos 10 caracteres');
-    }
-    if (reviewData.textoReseña.length > 1000) {
-      throw new Error('El texto de la reseña no puede exceder 1000 caracteres');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error quitando libros de estantería:', error);
+      return {
+        success: false,
+        error: 'Error quitando libros de la estantería'
+      };
     }
   }
 
   /**
-   * **OBTENER ESTADÍSTICAS DEL USUARIO** 📊
-   * 
-   * Demuestra agregaciones simples (en producción usar Cloud Functions).
+   * **MOVER LIBROS ENTRE ESTANTERÍAS** 🗂️🔀
+   *
+   * Demuestra escrituras en lote (`writeBatch`): quitar de la estantería
+   * de origen y agregar a la de destino se aplican juntas o no se aplica
+   * ninguna. Sin `fromShelfId` los libros solo se agregan al destino.
    */
-  async getUserStats(userId) {
+  async moveBooksBetweenShelves(userId, bookIds, fromShelfId, toShelfId) {
     try {
-      console.log('📊 FirestoreService: Obteniendo estadísticas para', userId);
-      
-      // Contar libros en la librería
-      const librarySnapshot = await getDocs(
-        collection(this.db, 'libraries', userId, 'books')
-      );
-      
-      // Contar reseñas del usuario
-      const reviewsSnapshot = await getDocs(
-        query(collection(this.db, 'reviews'), where('userId', '==', userId))
-      );
+      if (!bookIds?.length) {
+        return { success: false, error: 'Selecciona al menos un libro' };
+      }
+      if (fromShelfId && fromShelfId === toShelfId) {
+        return { success: false, error: 'Elige una estantería distinta' };
+      }
 
-      const stats = {
-        totalLibros: librarySnapshot.size,
-        totalReseñas: reviewsSnapshot.size,
-        promedioCalificacion: 0
-      };
+      console.log(`🗂️🔀 FirestoreService: Moviendo ${bookIds.length} libro(s) a estantería`, toShelfId);
 
-      // Calcular promedio de calificaciones
-      if (reviewsSnapshot.size > 0) {
-        let sumaCalificaciones = 0;
-        reviewsSnapshot.forEach((doc) => {
-          sumaCalificaciones += doc.data().calificacion;
+      const batch = writeBatch(this.db);
+
+      if (fromShelfId) {
+        batch.update(doc(this.db, 'libraries', userId, 'shelves', fromShelfId), {
+          libros: arrayRemove(...bookIds),
+          fechaActualizacion: serverTimestamp()
         });
-        stats.promedioCalificacion = sumaCalificaciones / reviewsSnapshot.size;
       }
 
-      console.log('✅ Estadísticas obtenidas:', stats);
-      return { success: true, data: stats };
-
-    } catch (error) {
-      console.error('❌ Error obteniendo estadísticas:', error);
-      return {
-        success: false,
-        error: 'Error obteniendo estadísticas'
-      };
-    }
-  }
+      batch.update(doc(this.db, 'libraries', userId, 'shelves', toShelfId), {
+        libros: arrayUnion(...bookIds),
+        fechaActualizacion: serverTimestamp()
+      });
 
-  // ===================================
-  // 🔧 MÉTODOS ADICIONALES REQUERIDOS
-  // ===================================
+      await this.withNetworkTimeout(batch.commit());
 
-  /**
-   * **ACTUALIZAR LIBRO EN LIBRERÍA** 📖✏️
-   */
-  async updateBookInLibrary(userId, bookId, updateData) {
-    try {
-      console.log('📖✏️ FirestoreService: Actualizando libro en librería', bookId);
-      
-      await updateDoc(
-        doc(this.db, 'libraries', userId, 'books', bookId),
-        {
-          ...updateData,
-          fechaActualizacion: serverTimestamp()
-        }
-      );
-      
-      console.log('✅ Libro actualizado en la librería');
+      console.log('✅ Libros movidos');
       return { success: true };
 
     } catch (error) {
-      console.error('❌ Error actualizando libro:', error);
+      console.error('❌ Error moviendo libros:', error);
       return {
         success: false,
-        error: 'Error actualizando libro en la librería'
+        error: 'Error moviendo libros entre estanterías'
       };
     }
   }
 
   /**
-   * **CREAR RESEÑA** ⭐➕
+   * **REORDENAR LIBROS DE UNA ESTANTERÍA** 🗂️↕️
+   *
+   * `bookIds` es el nuevo orden completo. Se valida contra el documento
+   * actual para no perder ni agregar libros por accidente.
    */
-  async createReview(reviewData) {
+  async reorderShelfBooks(userId, shelfId, bookIds) {
     try {
-      console.log('⭐➕ FirestoreService: Creando nueva reseña');
-      console.log('Datos de reseña:', reviewData);
-      
-      // Validar campos requeridos
-      if (!reviewData.userId) {
-        throw new Error('userId es requerido');
-      }
-      if (!reviewData.bookId) {
-        throw new Error('bookId es requerido');
-      }
-      if (!reviewData.calificacion || reviewData.calificacion < 1 || reviewData.calificacion > 5) {
-        throw new Error('calificacion debe estar entre 1 y 5');
+      const shelfRef = doc(this.db, 'libraries', userId, 'shelves', shelfId);
+      const shelfDoc = await this.withNetworkTimeout(getDoc(shelfRef));
+
+      if (!shelfDoc.exists()) {
+        return { success: false, error: 'Estantería no encontrada' };
       }
-      if (!reviewData.texto || reviewData.texto.trim().length < 10) {
-        throw new Error('texto debe tener al menos 10 caracteres');
+
+      const current = shelfDoc.data().libros || [];
+      const sameBooks = current.length === bookIds.length &&
+        current.every(bookId => bookIds.includes(bookId));
+      if (!sameBooks) {
+        return {
+          success: false,
+          error: 'La estantería cambió mientras la ordenabas. Inténtalo de nuevo'
+        };
       }
-      
-      const reviewDoc = {
-        ...reviewData,
-        fechaCreacion: serverTimestamp(),
+
+      await this.withNetworkTimeout(updateDoc(shelfRef, {
+        libros: bookIds,
         fechaActualizacion: serverTimestamp()
-      };
+      }));
 
-      const docRef = await addDoc(collection(this.db, 'reviews'), reviewDoc);
-      
-      console.log('✅ Reseña creada con ID:', docRef.id);
-      return { success: true, data: { id: docRef.id, ...reviewDoc } };
+      return { success: true };
 
     } catch (error) {
-      console.error('❌ Error creando reseña:', error);
+      console.error('❌ Error reordenando estantería:', error);
       return {
         success: false,
-        error: error.message || 'Error creando reseña'
+        error: 'Error reordenando la estantería'
       };
     }
   }
 
   /**
-   * **ACTUALIZAR RESEÑA** ⭐✏️
+   * **REORDENAR ESTANTERÍAS** 🗂️↕️
    */
-  async updateReview(reviewId, updateData) {
+  async reorderShelves(userId, shelfIds) {
     try {
-      console.log('⭐✏️ FirestoreService: Actualizando reseña', reviewId);
-      
-      await updateDoc(
-        doc(this.db, 'reviews', reviewId),
-        {
-          ...updateData,
-          fechaActualizacion: serverTimestamp()
-        }
-      );
-      
-      console.log('✅ Reseña actualizada');
+      const batch = writeBatch(this.db);
+
+      shelfIds.forEach((shelfId, index) => {
+        batch.update(doc(this.db, 'libraries', userId, 'shelves', shelfId), { orden: index });
+      });
+
+      await this.withNetworkTimeout(batch.commit());
       return { success: true };
 
     } catch (error) {
-      console.error('❌ Error actualizando reseña:', error);
+      console.error('❌ Error reordenando estanterías:', error);
       return {
         success: false,
-        error: 'Error actualizando reseña'
+        error: 'Error reordenando estanterías'
       };
     }
   }
 
   /**
-   * **ELIMINAR RESEÑA (SOBRESCRIBIR MÉTODO)** ⭐❌
+   * **QUITAR UN LIBRO DE TODAS LAS ESTANTERÍAS** 🧹
+   *
+   * Se llama al eliminar un libro de la librería. Es una operación
+   * secundaria: si falla, las pantallas ignoran los ids huérfanos.
    */
-  async deleteReview(reviewId) {
+  async removeBookFromAllShelves(userId, bookId) {
     try {
-      console.log('⭐❌ FirestoreService: Eliminando reseña', reviewId);
-      
-      await deleteDoc(doc(this.db, 'reviews', reviewId));
-      
-      console.log('✅ Reseña eliminada');
-      return { success: true };
+      const querySnapshot = await getDocs(query(
+        collection(this.db, 'libraries', userId, 'shelves'),
+        where('libros', 'array-contains', bookId)
+      ));
+
+      if (querySnapshot.empty) return;
+
+      const batch = writeBatch(this.db);
+      querySnapshot.docs.forEach(shelfDoc => {
+        batch.update(shelfDoc.ref, { libros: arrayRemove(bookId) });
+      });
+      await batch.commit();
 
     } catch (error) {
-      console.error('❌ Error eliminando reseña:', error);
-      return {
-        success: false,
-        error: 'Error eliminando reseña'
-      };
+      console.warn('⚠️ No se pudo quitar el libro de las estanterías:', error);
     }
   }
 
+  // ===================================
+  // 📖 PROGRESO DE LECTURA
+  // ===================================
+
   /**
-   * **ACTUALIZAR PERFIL DE USUARIO** 👤✏️
+   * **REGISTRAR SESIÓN DE LECTURA** 📖⏱️
+   *
+   * Una sesión va de una página (o porcentaje) a otra entre `inicio` y
+   * `fin`. Se guarda en `libraries/{userId}/readingSessions` para poder
+   * consultar el historial, y en el mismo lote se actualiza el progreso
+   * del libro. Al llegar al 100% el libro pasa a "read".
+   *
+   * `sessionData`: `{ inicio, fin, paginaInicial, paginaFinal }` o
+   * `{ inicio, fin, porcentajeInicial, porcentajeFinal }`. Con
+   * `numeroPaginas` se completa el dato en libros guardados sin él.
+   */
+  async logReadingSession(userId, bookId, sessionData) {
+    try {
+      console.log('📖⏱️ FirestoreService: Registrando sesión de lectura', bookId);
+
+      const bookRef = doc(this.db, 'libraries', userId, 'books', bookId);
+      const bookDoc = await this.withNetworkTimeout(getDoc(bookRef));
+      if (!bookDoc.exists()) {
+        return { success: false, error: 'El libro no está en tu librería' };
+      }
+
+      const book = this.withPageCount(bookDoc.data(), sessionData.numeroPaginas);
+      const session = this.buildReadingSession(book, sessionData);
+      const progress = {
+        ...this.buildProgressUpdate(book, session.porcentajeFinal, session.paginaFinal, session.fin.toISOString()),
+        numeroPaginas: book.numeroPaginas
+      };
+
+      const sessionRef = doc(collection(this.db, 'libraries', userId, 'readingSessions'));
+      const batch = writeBatch(this.db);
+      batch.set(sessionRef, { ...session, bookId, fechaCreacion: serverTimestamp() });
+      batch.update(bookRef, { ...progress, fechaActualizacion: serverTimestamp() });
+      await this.withNetworkTimeout(batch.commit());
+
+      const finished = progress.estadoLectura === 'read';
+      console.log(`✅ Sesión registrada: ${session.porcentajeInicial ?? '?'}% → ${session.porcentajeFinal}%`);
+
+      return {
+        success: true,
+        data: { id: sessionRef.id, bookId, ...session },
+        progress,
+        finished
+      };
+
+    } catch (error) {
+      console.error('❌ Error registrando sesión de lectura:', error);
+
+      if (this.isOfflineError(error)) {
+        return {
+          success: false,
+          error: 'Sin conexión: no se pudo registrar la sesión',
+          offline: true
+        };
+      }
+
+      return {
+        success: false,
+        error: error.message || 'Error registrando sesión de lectura'
+      };
+    }
+  }
+
+  /**
+   * **ACTUALIZAR PROGRESO SIN SESIÓN** 📖✏️
+   *
+   * Para corregir la página actual sin registrar tiempo de lectura.
+   * Usa `updateBookInLibrary`, así que también funciona sin conexión.
+   */
+  async updateReadingProgress(userId, bookId, { pagina = null, porcentaje = null, numeroPaginas = null }) {
+    try {
+      const bookResult = await this.getBookFromLibrary(userId, bookId);
+      const storedBook = bookResult.success
+        ? bookResult.data
+        : (await offlineQueueService.getOptimisticLibrary(userId)).data?.find(item => item.bookId === bookId);
+
+      if (!storedBook) {
+        return { success: false, error: 'El libro no está en tu librería' };
+      }
+
+      const book = this.withPageCount(storedBook, numeroPaginas);
+      const position = this.resolveReadingPosition(book, pagina, porcentaje);
+      const progress = {
+        ...this.buildProgressUpdate(book, position.porcentaje, position.pagina, new Date().toISOString()),
+        numeroPaginas: book.numeroPaginas
+      };
+
+      const result = await this.updateBookInLibrary(userId, bookId, progress);
+      if (!result.success) return result;
+
+      return {
+        ...result,
+        progress,
+        finished: progress.estadoLectura === 'read'
+      };
+
+    } catch (error) {
+      console.error('❌ Error actualizando progreso:', error);
+      return {
+        success: false,
+        error: error.message || 'Error actualizando progreso de lectura'
+      };
+    }
+  }
+
+  /**
+   * **HISTORIAL DE SESIONES** 📜
+   *
+   * Filtra por libro y por rango de fechas (`desde`/`hasta` sobre `fin`),
+   * de la más reciente a la más antigua. Pensado para estadísticas.
+   */
+  async getReadingSessions(userId, options = {}) {
+    try {
+      const {
+        bookId = null,
+        desde = null,
+        hasta = null,
+        limitCount = 50
+      } = options;
+
+      const constraints = [];
+      if (bookId) constraints.push(where('bookId', '==', bookId));
+      if (desde) constraints.push(where('fin', '>=', desde));
+      if (hasta) constraints.push(where('fin', '<=', hasta));
+      constraints.push(orderBy('fin', 'desc'));
+      if (limitCount) constraints.push(limit(limitCount));
+
+      const querySnapshot = await this.withNetworkTimeout(getDocs(query(
+        collection(this.db, 'libraries', userId, 'readingSessions'),
+        ...constraints
+      )));
+
+      const sessions = querySnapshot.docs.map(sessionDoc => ({ id: sessionDoc.id, ...sessionDoc.data() }));
+
+      console.log(`✅ Obtenidas ${sessions.length} sesiones de lectura`);
+      return { success: true, data: sessions };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo sesiones de lectura:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo historial de lectura',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR SESIÓN DE LECTURA** 🗑️
+   *
+   * Solo borra la entrada del historial; el progreso del libro no cambia.
+   */
+  async deleteReadingSession(userId, sessionId) {
+    try {
+      await this.withNetworkTimeout(
+        deleteDoc(doc(this.db, 'libraries', userId, 'readingSessions', sessionId))
+      );
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error eliminando sesión de lectura:', error);
+      return {
+        success: false,
+        error: 'Error eliminando sesión de lectura'
+      };
+    }
+  }
+
+  // ===================================
+  // 🎯 METAS DE LECTURA
+  // ===================================
+
+  /**
+   * **OBTENER META DE UN AÑO** 🎯
+   *
+   * Las metas viven en `users/{userId}/goals/{año}`: una por año.
+   * `data` es `null` si el usuario no definió meta para ese año.
+   */
+  async getReadingGoal(userId, year) {
+    try {
+      const goalDoc = await this.withNetworkTimeout(
+        getDoc(doc(this.db, 'users', userId, 'goals', String(year)))
+      );
+
+      return {
+        success: true,
+        data: goalDoc.exists() ? { id: goalDoc.id, ...goalDoc.data() } : null
+      };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo meta de lectura:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo meta de lectura',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **GUARDAR META DE UN AÑO** 🎯✏️
+   *
+   * Crea o reemplaza la meta (`tipo`: "libros" o "paginas").
+   */
+  async setReadingGoal(userId, year, { tipo, meta }) {
+    try {
+      console.log(`🎯 FirestoreService: Guardando meta ${year}:`, meta, tipo);
+
+      this.validateReadingGoal({ tipo, meta });
+
+      const goalRef = doc(this.db, 'users', userId, 'goals', String(year));
+      const existing = await this.withNetworkTimeout(getDoc(goalRef));
+
+      const goalDoc = {
+        anio: Number(year),
+        tipo,
+        meta: Number(meta),
+        fechaActualizacion: serverTimestamp(),
+        ...(existing.exists() ? {} : { fechaCreacion: serverTimestamp() })
+      };
+
+      await this.withNetworkTimeout(setDoc(goalRef, goalDoc, { merge: true }));
+
+      console.log('✅ Meta de lectura guardada');
+      return { success: true, data: { id: String(year), ...goalDoc } };
+
+    } catch (error) {
+      console.error('❌ Error guardando meta de lectura:', error);
+      return {
+        success: false,
+        error: error.message || 'Error guardando meta de lectura'
+      };
+    }
+  }
+
+  /**
+   * **TODAS LAS METAS DEL USUARIO** 🗄️
+   *
+   * De la más reciente a la más antigua, para el archivo de años anteriores.
+   */
+  async getReadingGoals(userId) {
+    try {
+      const querySnapshot = await this.withNetworkTimeout(getDocs(
+        query(collection(this.db, 'users', userId, 'goals'), orderBy('anio', 'desc'))
+      ));
+
+      return {
+        success: true,
+        data: querySnapshot.docs.map(goalDoc => ({ id: goalDoc.id, ...goalDoc.data() }))
+      };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo metas de lectura:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo metas de lectura',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **CERRAR META DE UN AÑO** 🏁
+   *
+   * Guarda el resultado final para que el archivo no cambie si después
+   * se eliminan o editan libros de ese año.
+   */
+  async closeReadingGoal(userId, year, resultado) {
+    try {
+      await this.withNetworkTimeout(updateDoc(
+        doc(this.db, 'users', userId, 'goals', String(year)),
+        { resultado, fechaCierre: serverTimestamp() }
+      ));
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error cerrando meta de lectura:', error);
+      return {
+        success: false,
+        error: 'Error cerrando meta de lectura'
+      };
+    }
+  }
+
+  // ===================================
+  // ⭐ OPERACIONES DE RESEÑAS
+  // ===================================
+
+  /**
+   * **CREAR RESEÑA** ⭐➕
+   *
+   * Modelo único de reseña (`schemaVersion` igual a
+   * `this.reviewSchemaVersion`):
+   * `{ userId, bookId, calificacion, texto, esPrivada, bookTitle,
+   * bookAuthor, bookCover, userName, votosUtiles, reacciones,
+   * totalComentarios, autorVisible, fechaCreacion, fechaActualizacion }`.
+   *
+   * Un usuario tiene como máximo una reseña por libro. La reseña y los
+   * resúmenes de calificaciones se escriben en la misma transacción;
+   * después se marca `tieneReseña` en el libro de la librería.
+   */
+  async createReview(reviewData) {
+    try {
+      console.log('⭐➕ FirestoreService: Creando nueva reseña para', reviewData.bookId);
+
+      if (!reviewData.userId) {
+        throw new Error('userId es requerido');
+      }
+      if (!reviewData.bookId) {
+        throw new Error('bookId es requerido');
+      }
+      this.validateReviewData(reviewData);
+
+      const existing = await this.getUserReviewForBook(reviewData.userId, reviewData.bookId);
+      if (existing.success) {
+        throw new Error('Ya escribiste una reseña para este libro');
+      }
+
+      const reviewDoc = {
+        ...this.buildReviewDoc(reviewData),
+        userId: reviewData.userId,
+        bookId: reviewData.bookId,
+        votosUtiles: 0,
+        reacciones: {},
+        totalComentarios: 0,
+        fechaCreacion: serverTimestamp(),
+        fechaActualizacion: serverTimestamp()
+      };
+
+      const reviewRef = doc(collection(this.db, 'reviews'));
+      await this.ensureRatingAggregates(reviewData.bookId, reviewData.userId);
+
+      await runTransaction(this.db, async (transaction) => {
+        const profileSnapshot = await transaction.get(this.getPublicProfileRef(reviewData.userId));
+        reviewDoc.autorVisible = this.getContentVisibility(profileSnapshot.data()?.privacidad).resenas;
+
+        await this.updateRatingAggregates(transaction, {
+          reviewId: reviewRef.id,
+          bookId: reviewData.bookId,
+          userId: reviewData.userId,
+          after: reviewDoc
+        });
+        transaction.set(reviewRef, reviewDoc);
+        if (!reviewDoc.esPrivada) {
+          transaction.set(
+            this.getActivityRef(reviewData.userId, ACTIVITY_TYPES.REVIEW_PUBLISHED, reviewData.bookId),
+            this.buildReviewActivity(reviewRef.id, reviewDoc)
+          );
+        }
+      });
+
+      await this.updateBookReviewStatus(reviewData.userId, reviewData.bookId, true);
+
+      console.log('✅ Reseña creada con ID:', reviewRef.id);
+      return { success: true, data: { id: reviewRef.id, ...reviewDoc } };
+
+    } catch (error) {
+      console.error('❌ Error creando reseña:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para publicar reseñas'
+          : error.message || 'Error creando reseña',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **ACTUALIZAR RESEÑA** ⭐✏️
+   *
+   * Solo cambia los campos editables que se reciban. Si cambia la
+   * calificación o la privacidad, los resúmenes se corrigen en la misma
+   * transacción (se quita la anterior y se suma la nueva). Una reseña antigua
+   * queda migrada al modelo actual al editarla.
+   */
+  async updateReview(reviewId, updateData) {
+    try {
+      console.log('⭐✏️ FirestoreService: Actualizando reseña', reviewId);
+
+      this.validateReviewData(updateData, { partial: true });
+
+      const reviewRef = doc(this.db, 'reviews', reviewId);
+      const existing = await getDoc(reviewRef);
+      if (!existing.exists()) {
+        throw new Error('La reseña no existe');
+      }
+
+      const { bookId, userId } = existing.data();
+      await this.ensureRatingAggregates(bookId, userId);
+
+      const changes = {
+        ...this.getLegacyReviewFixes(existing.data()),
+        ...this.buildReviewDoc(updateData, { partial: true }),
+        fechaActualizacion: serverTimestamp()
+      };
+
+      await runTransaction(this.db, async (transaction) => {
+        const current = await transaction.get(reviewRef);
+        if (!current.exists()) {
+          throw new Error('La reseña no existe');
+        }
+
+        // Cada edición deja la marca de visibilidad al día
+        const profileSnapshot = await transaction.get(this.getPublicProfileRef(userId));
+        changes.autorVisible = this.getContentVisibility(profileSnapshot.data()?.privacidad).resenas;
+
+        const previous = current.data();
+        const updated = { ...previous, ...changes };
+        if (updated.calificacion !== previous.calificacion ||
+          !!updated.esPrivada !== !!previous.esPrivada ||
+          updated.autorVisible !== previous.autorVisible) {
+          await this.updateRatingAggregates(transaction, {
+            reviewId,
+            bookId,
+            userId,
+            before: previous,
+            after: updated
+          });
+        }
+
+        transaction.update(reviewRef, changes);
+
+        // La actividad sigue la privacidad de la reseña; una reseña que
+        // pasa a ser pública aparece como recién publicada
+        const activityRef = this.getActivityRef(userId, ACTIVITY_TYPES.REVIEW_PUBLISHED, bookId);
+        if (updated.esPrivada) {
+          transaction.delete(activityRef);
+        } else {
+          const { fecha, ...activity } = this.buildReviewActivity(reviewId, updated);
+          transaction.set(
+            activityRef,
+            current.data().esPrivada ? { ...activity, fecha } : activity,
+            { merge: true }
+          );
+        }
+      });
+
+      await this.updateBookReviewStatus(userId, bookId, true);
+
+      console.log('✅ Reseña actualizada');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error actualizando reseña:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para editar reseñas'
+          : error.message || 'Error actualizando reseña'
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR RESEÑA** ⭐❌
+   *
+   * Descuenta la calificación de los resúmenes en la misma transacción
+   * y desmarca `tieneReseña` en la librería. Después borra sus votos y
+   * comentarios, que las reglas dejan borrar una vez que la reseña ya no
+   * existe. Eliminar una reseña que ya no existe no es un error: termina
+   * de borrar lo que haya quedado de ella.
+   */
+  async deleteReview(reviewId) {
+    try {
+      console.log('⭐❌ FirestoreService: Eliminando reseña', reviewId);
+
+      const reviewRef = doc(this.db, 'reviews', reviewId);
+      const existing = await getDoc(reviewRef);
+      if (!existing.exists()) {
+        await this.deleteReviewSubcollections(reviewId);
+        return { success: true };
+      }
+
+      const { bookId, userId } = existing.data();
+      await this.ensureRatingAggregates(bookId, userId);
+
+      await runTransaction(this.db, async (transaction) => {
+        const current = await transaction.get(reviewRef);
+        if (!current.exists()) return;
+
+        await this.updateRatingAggregates(transaction, {
+          reviewId,
+          bookId,
+          userId,
+          before: current.data()
+        });
+        transaction.delete(reviewRef);
+        transaction.delete(this.getActivityRef(userId, ACTIVITY_TYPES.REVIEW_PUBLISHED, bookId));
+      });
+
+      await this.deleteReviewSubcollections(reviewId);
+      await this.updateBookReviewStatus(userId, bookId, false);
+
+      console.log('✅ Reseña eliminada');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error eliminando reseña:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para eliminar reseñas'
+          : 'Error eliminando reseña'
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR VOTOS Y COMENTARIOS DE UNA RESEÑA** 🗑️
+   */
+  async deleteReviewSubcollections(reviewId) {
+    const snapshots = await this.withNetworkTimeout(Promise.all([
+      getDocs(collection(this.db, 'reviews', reviewId, 'votes')),
+      getDocs(collection(this.db, 'reviews', reviewId, 'comments'))
+    ]));
+
+    return await this.deleteDocsInBatches(snapshots.flatMap(snapshot => snapshot.docs.map(item => item.ref)));
+  }
+
+  /**
+   * **OBTENER RESEÑA DEL USUARIO PARA UN LIBRO** ⭐
+   */
+  async getUserReviewForBook(userId, bookId) {
+    try {
+      const q = query(
+        collection(this.db, 'reviews'),
+        where('userId', '==', userId),
+        where('bookId', '==', bookId),
+        limit(1)
+      );
+
+      const querySnapshot = await getDocs(q);
+      
+      if (!querySnapshot.empty) {
+        return {
+          success: true,
+          data: this.normalizeReview(querySnapshot.docs[0])
+        };
+      } else {
+        return {
+          success: false,
+          error: 'Reseña no encontrada'
+        };
+      }
+    } catch (error) {
+      console.error('❌ Error obteniendo reseña:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo reseña'
+      };
+    }
+  }
+
+  /**
+   * **OBTENER RESEÑAS DE UN LIBRO** ⭐
+   * 
+   * Demuestra consultas con ordenamiento y paginación.
+   *
+   * `sortBy`: "helpful" (más útiles), "newest", "highest" o "lowest".
+   * Solo trae reseñas públicas de autores que las muestran: las reglas
+   * no dejan leer las demás, así que la consulta tiene que excluirlas
+   * (ver `syncContentVisibility`). Se pagina
+   * pasando el `lastDocument` de la página anterior con el mismo `sortBy`.
+   */
+  async getBookReviews(bookId, options = {}) {
+    try {
+      console.log('⭐ FirestoreService: Obteniendo reseñas para libro', bookId);
+      
+      const {
+        limitCount = 10,
+        lastDocument = null,
+        sortBy = 'newest'
+      } = options;
+
+      const constraints = [
+        where('bookId', '==', bookId),
+        where('esPrivada', '==', false),
+        where('autorVisible', '==', true)
+      ];
+      (REVIEW_SORT_ORDERS[sortBy] || REVIEW_SORT_ORDERS.newest).forEach(([field, direction]) => {
+        constraints.push(orderBy(field, direction));
+      });
+
+      let q = query(collection(this.db, 'reviews'), ...constraints, limit(limitCount));
+
+      if (lastDocument) {
+        q = query(q, startAfter(lastDocument));
+      }
+
+      const querySnapshot = await getDocs(q);
+      
+      const reviews = querySnapshot.docs.map(reviewDoc => this.normalizeReview(reviewDoc));
+
+      console.log(`✅ Obtenidas ${reviews.length} reseñas`);
+      
+      return {
+        success: true,
+        data: reviews,
+        lastDocument: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
+        hasMore: querySnapshot.docs.length === limitCount
+      };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo reseñas:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo reseñas'
+      };
+    }
+  }
+
+  /**
+   * **OBTENER RESEÑAS DEL USUARIO** ⭐
+   */
+  async getUserReviews(userId, options = {}) {
+    try {
+      console.log('⭐ FirestoreService: Obteniendo reseñas del usuario', userId);
+      
+      const { limitCount = 10, lastDocument = null } = options;
+
+      let q = query(
+        collection(this.db, 'reviews'),
+        where('userId', '==', userId),
+        orderBy('fechaCreacion', 'desc'),
+        limit(limitCount)
+      );
+
+      if (lastDocument) {
+        q = query(q, startAfter(lastDocument));
+      }
+
+      const querySnapshot = await getDocs(q);
+      
+      const reviews = querySnapshot.docs.map(reviewDoc => this.normalizeReview(reviewDoc));
+
+      console.log(`✅ Obtenidas ${reviews.length} reseñas del usuario`);
+      
+      return {
+        success: true,
+        data: reviews,
+        lastDocument: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
+        hasMore: querySnapshot.docs.length === limitCount
+      };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo reseñas del usuario:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo reseñas del usuario'
+      };
+    }
+  }
+
+  /**
+   * **VOTAR UNA RESEÑA** 👍
+   *
+   * Cada usuario tiene un solo voto por reseña, guardado en
+   * `reviews/{reviewId}/votes/{userId}`: si le resultó útil y una
+   * reacción opcional. El voto y los contadores de la reseña
+   * (`votosUtiles`, `reacciones`) cambian en la misma transacción, así
+   * que votar dos veces no cuenta doble. Sin `util` ni `reaccion` el
+   * voto se elimina.
+   */
+  async setReviewVote(reviewId, userId, { util = false, reaccion = null } = {}) {
+    try {
+      if (reaccion && !this.reviewReactions.includes(reaccion)) {
+        throw new Error('Reacción no válida');
+      }
+
+      const reviewRef = doc(this.db, 'reviews', reviewId);
+      const voteRef = doc(this.db, 'reviews', reviewId, 'votes', userId);
+
+      const vote = await runTransaction(this.db, async (transaction) => {
+        const [reviewSnapshot, voteSnapshot] = await Promise.all([
+          transaction.get(reviewRef),
+          transaction.get(voteRef)
+        ]);
+
+        if (!reviewSnapshot.exists()) {
+          throw new Error('La reseña no existe');
+        }
+        if (reviewSnapshot.data().userId === userId) {
+          throw new Error('No puedes votar tu propia reseña');
+        }
+
+        const previous = voteSnapshot.exists() ? voteSnapshot.data() : { util: false, reaccion: null };
+        const counters = {};
+
+        const helpfulDelta = (util ? 1 : 0) - (previous.util ? 1 : 0);
+        if (helpfulDelta !== 0) {
+          counters.votosUtiles = increment(helpfulDelta);
+        }
+        if (previous.reaccion !== reaccion) {
+          if (previous.reaccion) counters[`reacciones.${previous.reaccion}`] = increment(-1);
+          if (reaccion) counters[`reacciones.${reaccion}`] = increment(1);
+        }
+
+        if (Object.keys(counters).length > 0) {
+          transaction.update(reviewRef, counters);
+        }
+
+        if (!util && !reaccion) {
+          transaction.delete(voteRef);
+          return null;
+        }
+
+        const voteDoc = { userId, util, reaccion, fecha: serverTimestamp() };
+        transaction.set(voteRef, voteDoc);
+        return voteDoc;
+      });
+
+      return { success: true, data: vote };
+
+    } catch (error) {
+      console.error('❌ Error votando reseña:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para votar reseñas'
+          : error.message || 'Error votando reseña'
+      };
+    }
+  }
+
+  /**
+   * **VOTOS DEL USUARIO EN VARIAS RESEÑAS** 👍📋
+   *
+   * Retorna `{ [reviewId]: { util, reaccion } }` solo con las reseñas que
+   * el usuario ya votó.
+   */
+  async getUserReviewVotes(userId, reviewIds) {
+    try {
+      const snapshots = await Promise.all(
+        reviewIds.map(reviewId => getDoc(doc(this.db, 'reviews', reviewId, 'votes', userId)))
+      );
+
+      const votes = {};
+      snapshots.forEach((voteSnapshot, index) => {
+        if (voteSnapshot.exists()) {
+          const { util, reaccion } = voteSnapshot.data();
+          votes[reviewIds[index]] = { util: !!util, reaccion: reaccion || null };
+        }
+      });
+
+      return { success: true, data: votes };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo votos:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo votos',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **MIGRAR RESEÑAS ANTIGUAS** 🔧
+   *
+   * Reescribe al modelo actual las reseñas del usuario guardadas con el
+   * anterior (`textoReseña`, `fechaModificacion`, sin `schemaVersion`),
+   * sincroniza `tieneReseña` en su librería y la visibilidad de reseñas
+   * y actividad (`syncContentVisibility`). Es idempotente y se
+   * ejecuta una vez por versión del modelo en cada dispositivo.
+   */
+  async migrateLegacyReviews(userId, { force = false } = {}) {
+    try {
+      if (!force) {
+        const migrated = await localStorageService.getReviewsSchemaVersion(userId);
+        if (migrated.success && migrated.data >= this.reviewSchemaVersion) {
+          return { success: true, migrated: 0 };
+        }
+      }
+
+      console.log('🔧 FirestoreService: Migrando reseñas de', userId);
+
+      const [reviewsSnapshot, librarySnapshot] = await this.withNetworkTimeout(Promise.all([
+        getDocs(query(collection(this.db, 'reviews'), where('userId', '==', userId))),
+        getDocs(collection(this.db, 'libraries', userId, 'books'))
+      ]));
+
+      // Reseñas con el modelo anterior
+      const legacyReviews = reviewsSnapshot.docs.filter(reviewDoc =>
+        Object.keys(this.getLegacyReviewFixes(reviewDoc.data())).length > 0
+      );
+
+      for (let i = 0; i < legacyReviews.length; i += this.batchLimit) {
+        const batch = writeBatch(this.db);
+        legacyReviews.slice(i, i + this.batchLimit).forEach(reviewDoc => {
+          batch.update(reviewDoc.ref, this.getLegacyReviewFixes(reviewDoc.data()));
+        });
+        await this.withNetworkTimeout(batch.commit());
+      }
+
+      // `tieneReseña` según las reseñas que existen de verdad
+      const reviewedBookIds = new Set(reviewsSnapshot.docs.map(reviewDoc => reviewDoc.data().bookId));
+      const outOfSync = librarySnapshot.docs.filter(bookDoc =>
+        !!bookDoc.data().tieneReseña !== reviewedBookIds.has(bookDoc.id)
+      );
+      await Promise.all(outOfSync.map(bookDoc =>
+        this.updateBookReviewStatus(userId, bookDoc.id, reviewedBookIds.has(bookDoc.id))
+      ));
+
+      const visibility = await this.getOwnContentVisibility(userId);
+      const synced = await this.syncContentVisibility(userId, visibility.privacidad);
+      if (!synced.success) throw new Error(synced.error);
+
+      await localStorageService.saveReviewsSchemaVersion(userId, this.reviewSchemaVersion);
+
+      console.log(`✅ Reseñas migradas: ${legacyReviews.length}, libros corregidos: ${outOfSync.length}`);
+      return { success: true, migrated: legacyReviews.length, synced: outOfSync.length };
+
+    } catch (error) {
+      console.error('❌ Error migrando reseñas:', error);
+      return {
+        success: false,
+        error: 'Error migrando reseñas',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  // ===================================
+  // 💬 COMENTARIOS DE RESEÑAS
+  // ===================================
+
+  /**
+   * **COMENTAR UNA RESEÑA** 💬➕
+   *
+   * Los comentarios viven en `reviews/{reviewId}/comments`. Se permite un
+   * solo nivel de respuestas: responder a una respuesta la cuelga del
+   * mismo comentario principal. El contador `totalComentarios` de la
+   * reseña se actualiza en el mismo lote.
+   */
+  async addReviewComment(reviewId, userId, { texto, parentId = null }) {
+    try {
+      console.log('💬 FirestoreService: Comentando reseña', reviewId);
+
+      const cleanText = this.validateCommentText(texto);
+      const commentsRef = collection(this.db, 'reviews', reviewId, 'comments');
+
+      // Aplanar respuestas a respuestas
+      let threadId = null;
+      if (parentId) {
+        const parent = await getDoc(doc(commentsRef, parentId));
+        if (!parent.exists() || parent.data().eliminado) {
+          throw new Error('El comentario que respondes ya no existe');
+        }
+        threadId = parent.data().parentId || parentId;
+      }
+
+      const commentRef = doc(commentsRef);
+      const commentDoc = {
+        userId,
+        texto: cleanText,
+        parentId: threadId,
+        editado: false,
+        eliminado: false,
+        historial: [],
+        fechaCreacion: serverTimestamp(),
+        fechaActualizacion: serverTimestamp()
+      };
+
+      const batch = writeBatch(this.db);
+      batch.set(commentRef, commentDoc);
+      batch.update(doc(this.db, 'reviews', reviewId), { totalComentarios: increment(1) });
+      await this.withNetworkTimeout(batch.commit());
+
+      console.log('✅ Comentario creado');
+      return { success: true, data: { id: commentRef.id, ...commentDoc } };
+
+    } catch (error) {
+      console.error('❌ Error comentando reseña:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para comentar'
+          : error.message || 'Error publicando comentario'
+      };
+    }
+  }
+
+  /**
+   * **EDITAR COMENTARIO** 💬✏️
+   *
+   * Solo el autor puede editarlo. El texto anterior se agrega a
+   * `historial` con la fecha en que se reemplazó.
+   */
+  async updateReviewComment(reviewId, commentId, userId, texto) {
+    try {
+      console.log('💬✏️ FirestoreService: Editando comentario', commentId);
+
+      const cleanText = this.validateCommentText(texto);
+      const commentRef = doc(this.db, 'reviews', reviewId, 'comments', commentId);
+
+      await runTransaction(this.db, async (transaction) => {
+        const current = await transaction.get(commentRef);
+        if (!current.exists() || current.data().eliminado) {
+          throw new Error('El comentario ya no existe');
+        }
+        if (current.data().userId !== userId) {
+          throw new Error('Solo puedes editar tus comentarios');
+        }
+        if (current.data().texto === cleanText) return;
+
+        transaction.update(commentRef, {
+          texto: cleanText,
+          editado: true,
+          historial: arrayUnion({ texto: current.data().texto, fecha: new Date() }),
+          fechaActualizacion: serverTimestamp()
+        });
+      });
+
+      console.log('✅ Comentario editado');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error editando comentario:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para editar comentarios'
+          : error.message || 'Error editando comentario'
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR COMENTARIO** 💬❌
+   *
+   * Un comentario principal con respuestas se vacía en lugar de borrarse
+   * ("Comentario eliminado") para no dejar las respuestas sueltas.
+   * Cuando se borra la última respuesta de un comentario vaciado, el
+   * comentario principal también se borra.
+   */
+  async deleteReviewComment(reviewId, commentId, userId) {
+    try {
+      console.log('💬❌ FirestoreService: Eliminando comentario', commentId);
+
+      const commentsRef = collection(this.db, 'reviews', reviewId, 'comments');
+      const commentRef = doc(commentsRef, commentId);
+      const commentSnapshot = await getDoc(commentRef);
+
+      if (!commentSnapshot.exists()) {
+        return { success: true };
+      }
+
+      const comment = commentSnapshot.data();
+      if (comment.userId !== userId) {
+        throw new Error('Solo puedes eliminar tus comentarios');
+      }
+
+      const batch = writeBatch(this.db);
+      const reviewRef = doc(this.db, 'reviews', reviewId);
+
+      if (!comment.parentId) {
+        const replies = await getDocs(query(commentsRef, where('parentId', '==', commentId), limit(1)));
+        if (!replies.empty) {
+          batch.update(commentRef, {
+            texto: '',
+            eliminado: true,
+            historial: [],
+            fechaActualizacion: serverTimestamp()
+          });
+          await this.withNetworkTimeout(batch.commit());
+          return { success: true, softDeleted: true };
+        }
+      }
+
+      batch.delete(commentRef);
+      let removed = 1;
+
+      // Respuesta que deja sin hijos a un comentario ya eliminado
+      if (comment.parentId) {
+        const parentRef = doc(commentsRef, comment.parentId);
+        const [parent, siblings] = await Promise.all([
+          getDoc(parentRef),
+          getDocs(query(commentsRef, where('parentId', '==', comment.parentId), limit(2)))
+        ]);
+        if (parent.exists() && parent.data().eliminado && siblings.size <= 1) {
+          batch.delete(parentRef);
+          removed += 1;
+        }
+      }
+
+      batch.update(reviewRef, { totalComentarios: increment(-removed) });
+      await this.withNetworkTimeout(batch.commit());
+
+      console.log('✅ Comentario eliminado');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error eliminando comentario:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para eliminar comentarios'
+          : error.message || 'Error eliminando comentario'
+      };
+    }
+  }
+
+  /**
+   * **RESUMEN PÚBLICO DE USUARIOS** 👤💬
+   *
+   * Nombre y foto desde `publicProfiles`, con caché en memoria para
+   * no leer el mismo perfil en cada comentario o evento de actividad.
+   * Solo se exponen los datos que se muestran junto al contenido.
+   */
+  async getUserSummaries(userIds) {
+    const missing = [...new Set(userIds)].filter(userId => !this.userSummaryCache.has(userId));
+
+    await Promise.all(missing.map(async (userId) => {
+      let profile = {};
+      try {
+        const snapshot = await getDoc(this.getPublicProfileRef(userId));
+        profile = snapshot.exists() ? snapshot.data() : {};
+      } catch (error) {
+        console.warn('⚠️ No se pudo leer el perfil público de', userId, error);
+      }
+      this.userSummaryCache.set(userId, {
+        id: userId,
+        nombre: [profile.nombre, profile.apellido].filter(Boolean).join(' ') || 'Usuario',
+        fotoPerfilUrl: profile.fotoPerfilUrl || null,
+        perfilPublico: this.resolvePrivacy(profile.privacidad).perfilPublico
+      });
+    }));
+
+    const summaries = {};
+    userIds.forEach(userId => {
+      summaries[userId] = this.userSummaryCache.get(userId);
+    });
+    return { success: true, data: summaries };
+  }
+
+  // ===================================
+  // 👥 SEGUIDORES
+  // ===================================
+
+  /**
+   * **SEGUIR A UN LECTOR** 👥➕
+   *
+   * Cada relación es un documento `follows/{seguidor}_{seguido}`: se
+   * puede consultar en ambas direcciones y seguir dos veces no duplica.
+   */
+  async followUser(followerId, followedId) {
+    try {
+      console.log('👥➕ FirestoreService: Siguiendo a', followedId);
+
+      if (followerId === followedId) {
+        throw new Error('No puedes seguirte a ti mismo');
+      }
+
+      await this.withNetworkTimeout(setDoc(this.getFollowRef(followerId, followedId), {
+        followerId,
+        followedId,
+        fechaCreacion: serverTimestamp()
+      }));
+
+      console.log('✅ Ahora sigues a este lector');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error siguiendo lector:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para seguir lectores'
+          : error.message || 'Error siguiendo lector'
+      };
+    }
+  }
+
+  /**
+   * **DEJAR DE SEGUIR** 👥➖
+   */
+  async unfollowUser(followerId, followedId) {
+    try {
+      console.log('👥➖ FirestoreService: Dejando de seguir a', followedId);
+
+      await this.withNetworkTimeout(deleteDoc(this.getFollowRef(followerId, followedId)));
+
+      console.log('✅ Ya no sigues a este lector');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error dejando de seguir:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para dejar de seguir lectores'
+          : 'Error dejando de seguir'
+      };
+    }
+  }
+
+  /**
+   * **LECTORES SEGUIDOS** 👥📋
+   *
+   * Retorna los `userId` que sigue el usuario.
+   */
+  async getFollowingIds(userId) {
+    try {
+      const snapshot = await this.withNetworkTimeout(getDocs(query(
+        collection(this.db, 'follows'),
+        where('followerId', '==', userId)
+      )));
+
+      return {
+        success: true,
+        data: snapshot.docs.map(followDoc => followDoc.data().followedId)
+      };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo seguidos:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo lectores seguidos'
+      };
+    }
+  }
+
+  /**
+   * **CANTIDAD DE SEGUIDORES Y SEGUIDOS** 🔢
+   *
+   * Usa agregaciones de conteo: no descarga los documentos.
+   */
+  async getFollowCounts(userId) {
+    try {
+      const followsRef = collection(this.db, 'follows');
+      const [followers, following] = await this.withNetworkTimeout(Promise.all([
+        getCountFromServer(query(followsRef, where('followedId', '==', userId))),
+        getCountFromServer(query(followsRef, where('followerId', '==', userId)))
+      ]));
+
+      return {
+        success: true,
+        data: {
+          seguidores: followers.data().count,
+          siguiendo: following.data().count
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error contando seguidores:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo seguidores'
+      };
+    }
+  }
+
+  // ===================================
+  // 📰 ACTIVIDAD DE LECTURA
+  // ===================================
+
+  /**
+   * **REGISTRAR ACTIVIDAD DE LA LIBRERÍA** 📰📖
+   *
+   * Un evento por libro y tipo (`activity/{userId}_{tipo}_{bookId}`):
+   * volver a cambiar el estado reemplaza el evento anterior en lugar de
+   * llenar el feed. Si falla no se interrumpe el cambio en la librería.
+   */
+  async recordLibraryActivity(userId, operationType, book) {
+    const tipo = operationType === 'add' ? ACTIVITY_TYPES.BOOK_ADDED : ACTIVITY_TYPES.STATUS_CHANGED;
+
+    try {
+      const visibility = await this.getOwnContentVisibility(userId);
+      await this.withNetworkTimeout(setDoc(this.getActivityRef(userId, tipo, book.bookId), {
+        userId,
+        tipo,
+        bookId: book.bookId,
+        bookTitle: book.titulo || null,
+        bookAuthor: book.autor || null,
+        bookCover: book.portadaUrl || null,
+        estadoLectura: book.estadoLectura || null,
+        esPrivada: this.isActivityHidden(tipo, visibility),
+        fecha: serverTimestamp()
+      }));
+    } catch (error) {
+      console.warn('⚠️ No se pudo registrar la actividad:', error.message);
+    }
+  }
+
+  /**
+   * **QUITAR ACTIVIDAD DE UN LIBRO** 📰🧹
+   *
+   * Al sacar un libro de la librería sus eventos dejan de mostrarse.
+   */
+  async clearLibraryActivity(userId, bookId) {
+    try {
+      const batch = writeBatch(this.db);
+      batch.delete(this.getActivityRef(userId, ACTIVITY_TYPES.BOOK_ADDED, bookId));
+      batch.delete(this.getActivityRef(userId, ACTIVITY_TYPES.STATUS_CHANGED, bookId));
+      await this.withNetworkTimeout(batch.commit());
+    } catch (error) {
+      console.warn('⚠️ No se pudo quitar la actividad:', error.message);
+    }
+  }
+
+  /**
+   * **FEED DE ACTIVIDAD** 📰
+   *
+   * Eventos de los lectores que sigue `userId`, del más reciente al más
+   * antiguo. Firestore limita los valores de un `in`, así que los
+   * seguidos se consultan en grupos y los resultados se mezclan;
+   * `cursor` guarda dónde quedó cada grupo para pedir la página
+   * siguiente. Solo se leen eventos con `esPrivada == false`.
+   */
+  async getActivityFeed(userId, { pageSize = 10, cursor = null } = {}) {
+    try {
+      console.log('📰 FirestoreService: Cargando actividad para', userId);
+
+      let groups = cursor?.groups;
+      if (!groups) {
+        const following = await this.getFollowingIds(userId);
+        if (!following.success) {
+          throw new Error(following.error);
+        }
+
+        // Los lectores con el perfil oculto no aparecen en el feed
+        const summaries = await this.getUserSummaries(following.data);
+        const visibleIds = following.data.filter(followedId => summaries.data[followedId]?.perfilPublico);
+
+        groups = [];
+        for (let i = 0; i < visibleIds.length; i += this.feedQueryChunkSize) {
+          groups.push({
+            userIds: visibleIds.slice(i, i + this.feedQueryChunkSize),
+            lastDocument: null,
+            exhausted: false
+          });
+        }
+      }
+
+      const pages = await Promise.all(groups.filter(group => !group.exhausted).map(async (group) => {
+        const constraints = [
+          where('userId', 'in', group.userIds),
+          where('esPrivada', '==', false),
+          orderBy('fecha', 'desc')
+        ];
+        if (group.lastDocument) {
+          constraints.push(startAfter(group.lastDocument));
+        }
+        constraints.push(limit(pageSize));
+
+        const snapshot = await this.withNetworkTimeout(getDocs(query(collection(this.db, 'activity'), ...constraints)));
+        return { group, docs: snapshot.docs };
+      }));
+
+      // Mezclar los grupos y quedarse con los más recientes
+      const getMillis = (value) => (value?.toMillis ? value.toMillis() : 0);
+      const pageItems = pages
+        .flatMap(({ group, docs }) => docs.map(snapshot => ({ group, snapshot })))
+        .sort((a, b) => getMillis(b.snapshot.data().fecha) - getMillis(a.snapshot.data().fecha))
+        .slice(0, pageSize);
+
+      // Cada grupo continúa después del último evento que se mostró
+      const nextGroups = groups.map(group => {
+        const page = pages.find(item => item.group === group);
+        if (!page) return group;
+
+        const consumed = pageItems.filter(item => item.group === group);
+        return {
+          ...group,
+          lastDocument: consumed.length > 0 ? consumed[consumed.length - 1].snapshot : group.lastDocument,
+          exhausted: page.docs.length < pageSize && consumed.length === page.docs.length
+        };
+      });
+
+      return {
+        success: true,
+        data: pageItems.map(({ snapshot }) => ({ id: snapshot.id, ...snapshot.data() })),
+        cursor: { groups: nextGroups },
+        hasMore: nextGroups.some(group => !group.exhausted)
+      };
+
+    } catch (error) {
+      console.error('❌ Error cargando actividad:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para ver la actividad'
+          : 'Error cargando la actividad'
+      };
+    }
+  }
+
+  // ===================================
+  // 📊 RESÚMENES DE CALIFICACIONES
+  // ===================================
+
+  /**
+   * **RESUMEN DE CALIFICACIONES DE UN LIBRO** 📊⭐
+   *
+   * `bookRatings/{bookId}` guarda cantidad, suma, promedio e histograma
+   * de 1 a 5 estrellas de las reseñas que otros pueden leer (públicas y
+   * con `autorVisible`). Se actualiza dentro de
+   * la misma transacción que crea, edita o elimina la reseña, así que
+   * leerlo cuesta un documento en lugar de todas las reseñas del libro.
+   *
+   * Si el libro tiene reseñas anteriores a los resúmenes, se reconstruye
+   * la primera vez que se consulta.
+   */
+  async getBookRatingSummary(bookId) {
+    try {
+      const summaryDoc = await this.withNetworkTimeout(getDoc(this.getBookRatingRef(bookId)));
+
+      if (summaryDoc.exists()) {
+        return { success: true, data: summaryDoc.data() };
+      }
+
+      return await this.rebuildBookRatingSummary(bookId);
+
+    } catch (error) {
+      console.error('❌ Error obteniendo resumen de calificaciones:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo calificaciones del libro',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **RECONSTRUIR RESUMEN DE UN LIBRO** 🔧
+   *
+   * Recorre las reseñas visibles del libro una sola vez y guarda el
+   * resultado. Sirve para los libros con reseñas anteriores a los
+   * resúmenes: las reglas dejan crear el resumen, no reemplazarlo.
+   */
+  async rebuildBookRatingSummary(bookId) {
+    try {
+      console.log('🔧 FirestoreService: Reconstruyendo calificaciones de', bookId);
+
+      const reviewsSnapshot = await this.withNetworkTimeout(getDocs(query(
+        collection(this.db, 'reviews'),
+        where('bookId', '==', bookId),
+        where('esPrivada', '==', false),
+        where('autorVisible', '==', true)
+      )));
+
+      const summary = reviewsSnapshot.docs.reduce(
+        (current, reviewDoc) => this.applyRatingChange(current, { add: reviewDoc.data().calificacion }),
+        this.emptyRatingSummary()
+      );
+
+      const bookSummary = { ...summary, bookId };
+      await this.withNetworkTimeout(setDoc(this.getBookRatingRef(bookId), {
+        ...bookSummary,
+        fechaActualizacion: serverTimestamp()
+      }));
+
+      return { success: true, data: bookSummary };
+
+    } catch (error) {
+      console.error('❌ Error reconstruyendo calificaciones:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo calificaciones del libro',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **RECONSTRUIR TOTALES DE RESEÑAS DE UN USUARIO** 🔧
+   *
+   * Igual que el de libros, para `userStats/{userId}` (mismos campos).
+   */
+  async rebuildUserReviewStats(userId) {
+    try {
+      console.log('🔧 FirestoreService: Reconstruyendo totales de reseñas de', userId);
+
+      const reviewsSnapshot = await this.withNetworkTimeout(getDocs(
+        query(collection(this.db, 'reviews'), where('userId', '==', userId))
+      ));
+
+      const summary = reviewsSnapshot.docs.reduce(
+        (current, reviewDoc) => this.applyRatingChange(current, { add: reviewDoc.data().calificacion }),
+        this.emptyRatingSummary()
+      );
+
+      await this.withNetworkTimeout(setDoc(this.getUserReviewStatsRef(userId), {
+        ...summary,
+        fechaActualizacion: serverTimestamp()
+      }));
+
+      return { success: true, data: summary };
+
+    } catch (error) {
+      console.error('❌ Error reconstruyendo totales de reseñas:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo estadísticas de reseñas',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **ASEGURAR QUE EXISTAN LOS RESÚMENES** ✅
+   *
+   * Las transacciones no pueden consultar colecciones, así que los
+   * resúmenes que falten (datos anteriores a esta función) se
+   * reconstruyen antes de abrirlas.
+   */
+  async ensureRatingAggregates(bookId, userId) {
+    const [bookSnapshot, userSnapshot] = await Promise.all([
+      getDoc(this.getBookRatingRef(bookId)),
+      getDoc(this.getUserReviewStatsRef(userId))
+    ]);
+
+    if (!bookSnapshot.exists()) {
+      const rebuilt = await this.rebuildBookRatingSummary(bookId);
+      if (!rebuilt.success) throw new Error(rebuilt.error);
+    }
+    if (!userSnapshot.exists()) {
+      const rebuilt = await this.rebuildUserReviewStats(userId);
+      if (!rebuilt.success) throw new Error(rebuilt.error);
+    }
+  }
+
+  /**
+   * **ACTUALIZAR RESÚMENES EN UNA TRANSACCIÓN** 🔄
+   *
+   * Recibe la transacción abierta y la reseña antes y después del
+   * cambio (`null` si no existe). Los totales del usuario cuentan todas
+   * sus reseñas; el resumen del libro, solo las visibles. El resumen
+   * guarda en `ultimaReseña` la reseña que lo movió: las reglas
+   * comprueban que cambie en la misma transacción. Todas las lecturas
+   * se hacen antes de escribir, como exige Firestore.
+   */
+  async updateRatingAggregates(transaction, { reviewId, bookId, userId, before = null, after = null }) {
+    const bookRef = this.getBookRatingRef(bookId);
+    const userRef = this.getUserReviewStatsRef(userId);
+
+    const [bookSnapshot, userSnapshot] = await Promise.all([
+      transaction.get(bookRef),
+      transaction.get(userRef)
+    ]);
+
+    // Sin `autorVisible` (antes de la migración) la reseña ya contaba
+    const visibleRating = review => (
+      review && !review.esPrivada && review.autorVisible !== false ? review.calificacion : null
+    );
+    const bookSummary = this.applyRatingChange(
+      bookSnapshot.exists() ? bookSnapshot.data() : this.emptyRatingSummary(),
+      { add: visibleRating(after), remove: visibleRating(before) }
+    );
+    const userSummary = this.applyRatingChange(
+      userSnapshot.exists() ? userSnapshot.data() : this.emptyRatingSummary(),
+      { add: after?.calificacion ?? null, remove: before?.calificacion ?? null }
+    );
+
+    transaction.set(bookRef, {
+      ...bookSummary,
+      bookId,
+      ultimaReseña: reviewId,
+      fechaActualizacion: serverTimestamp()
+    });
+    transaction.set(userRef, {
+      ...userSummary,
+      fechaActualizacion: serverTimestamp()
+    });
+  }
+
+  // ===================================
+  // 📦 EXPORTACIÓN, RESTAURACIÓN Y ELIMINACIÓN DE CUENTA
+  // ===================================
+
+  /**
+   * **DATOS DE LA CUENTA** 📦
+   *
+   * Todo lo que pertenece al usuario, cada documento con su `id`:
+   * perfil, librería, estanterías, sesiones, metas, reseñas y los ids
+   * de quienes sigue. Sin paginar: es para exportar.
+   */
+  async getAccountData(userId) {
+    try {
+      console.log('📦 FirestoreService: Leyendo datos de la cuenta', userId);
+
+      const collectionNames = Object.keys(ACCOUNT_COLLECTIONS);
+      const [profileSnapshot, reviewsSnapshot, followsSnapshot, ...snapshots] = await this.withNetworkTimeout(Promise.all([
+        getDoc(doc(this.db, 'users', userId)),
+        getDocs(query(collection(this.db, 'reviews'), where('userId', '==', userId))),
+        getDocs(query(collection(this.db, 'follows'), where('followerId', '==', userId))),
+        ...collectionNames.map(name => getDocs(this.getAccountCollectionRef(userId, name)))
+      ]));
+
+      const data = {
+        perfil: profileSnapshot.exists() ? profileSnapshot.data() : null,
+        resenas: reviewsSnapshot.docs.map(reviewDoc => this.normalizeReview(reviewDoc)),
+        siguiendo: followsSnapshot.docs.map(followDoc => followDoc.data().followedId)
+      };
+      collectionNames.forEach((name, index) => {
+        data[name] = snapshots[index].docs.map(accountDoc => ({ id: accountDoc.id, ...accountDoc.data() }));
+      });
+
+      console.log(`✅ Datos leídos: ${data.libros.length} libros, ${data.resenas.length} reseñas`);
+      return { success: true, data };
+
+    } catch (error) {
+      console.error('❌ Error leyendo datos de la cuenta:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para exportar tus datos'
+          : 'Error leyendo los datos de la cuenta'
+      };
+    }
+  }
+
+  /**
+   * **RESTAURAR DOCUMENTOS DE LA CUENTA** 📦♻️
+   *
+   * Copia documentos exportados (`{ id, ...datos }`) a una colección de
+   * `ACCOUNT_COLLECTIONS` conservando sus ids, en lotes de `batchLimit`.
+   * Los que ya existen no se tocan: restaurar dos veces no duplica.
+   */
+  async restoreAccountDocs(userId, collectionName, docs) {
+    try {
+      if (!ACCOUNT_COLLECTIONS[collectionName]) {
+        throw new Error(`Colección desconocida: ${collectionName}`);
+      }
+
+      console.log(`📦♻️ FirestoreService: Restaurando ${docs.length} documento(s) de ${collectionName}`);
+
+      const collectionRef = this.getAccountCollectionRef(userId, collectionName);
+      const snapshot = await this.withNetworkTimeout(getDocs(collectionRef));
+      const existingIds = new Set(snapshot.docs.map(existingDoc => existingDoc.id));
+      const pending = docs.filter(accountDoc => !existingIds.has(String(accountDoc.id)));
+
+      for (let i = 0; i < pending.length; i += this.batchLimit) {
+        const batch = writeBatch(this.db);
+        pending.slice(i, i + this.batchLimit).forEach(({ id, ...data }) => {
+          batch.set(doc(collectionRef, String(id)), data);
+        });
+        await this.withNetworkTimeout(batch.commit());
+      }
+
+      return {
+        success: true,
+        data: { restaurados: pending.length, existentes: docs.length - pending.length }
+      };
+
+    } catch (error) {
+      console.error('❌ Error restaurando documentos:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para restaurar tus datos'
+          : error.message || 'Error restaurando datos',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR O ANONIMIZAR RESEÑAS** ⭐🗑️
+   *
+   * Con `anonymize` las reseñas que otros pueden leer quedan en la página
+   * del libro firmadas como `ANONYMOUS_REVIEWER_NAME` y sin `userId`,
+   * con sus votos y comentarios: ya no hay forma de llegar a la cuenta.
+   * Las demás (privadas u ocultas por el perfil) se eliminan igual,
+   * pasando por `deleteReview` para descontarlas de los resúmenes de
+   * calificaciones y borrar sus votos y comentarios. Repetirlo no cambia
+   * nada: las anonimizadas ya no aparecen en la consulta.
+   */
+  async deleteUserReviews(userId, { anonymize = false } = {}) {
+    try {
+      console.log(`⭐🗑️ FirestoreService: ${anonymize ? 'Anonimizando' : 'Eliminando'} reseñas de`, userId);
+
+      const snapshot = await this.withNetworkTimeout(getDocs(
+        query(collection(this.db, 'reviews'), where('userId', '==', userId))
+      ));
+
+      let eliminadas = 0;
+      let anonimizadas = 0;
+      for (const reviewDoc of snapshot.docs) {
+        const review = reviewDoc.data();
+
+        // Las reseñas sin `autorVisible` (anteriores a él) ya eran visibles
+        if (anonymize && !review.esPrivada && review.autorVisible !== false) {
+          await this.withNetworkTimeout(updateDoc(reviewDoc.ref, {
+            userId: null,
+            userName: ANONYMOUS_REVIEWER_NAME,
+            autorVisible: true,
+            fechaActualizacion: serverTimestamp()
+          }));
+          anonimizadas += 1;
+          continue;
+        }
+
+        const result = await this.deleteReview(reviewDoc.id);
+        if (!result.success) throw new Error(result.error);
+        eliminadas += 1;
+      }
+
+      return { success: true, data: { eliminadas, anonimizadas } };
+
+    } catch (error) {
+      console.error('❌ Error eliminando reseñas de la cuenta:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para eliminar tu cuenta'
+          : 'Error eliminando tus reseñas',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR VOTOS DEL USUARIO** 👍🗑️
+   *
+   * Los votos que dejó en reseñas de otros lectores, descontados de los
+   * contadores de cada reseña en el mismo lote. A diferencia de
+   * `setReviewVote` no lee la reseña (puede haberse vuelto privada): el
+   * voto ya dice qué descontar. Si la reseña ya no existe solo se borra
+   * el voto.
+   */
+  async deleteUserReviewVotes(userId) {
+    try {
+      console.log('👍🗑️ FirestoreService: Eliminando votos de', userId);
+
+      const snapshot = await this.withNetworkTimeout(getDocs(
+        query(collectionGroup(this.db, 'votes'), where('userId', '==', userId))
+      ));
+
+      for (const voteDoc of snapshot.docs) {
+        const { util, reaccion } = voteDoc.data();
+        const counters = {};
+        if (util) counters.votosUtiles = increment(-1);
+        if (reaccion) counters[`reacciones.${reaccion}`] = increment(-1);
+
+        const batch = writeBatch(this.db);
+        batch.delete(voteDoc.ref);
+        if (Object.keys(counters).length > 0) {
+          batch.update(voteDoc.ref.parent.parent, counters);
+        }
+
+        try {
+          await this.withNetworkTimeout(batch.commit());
+        } catch (error) {
+          if (error.code !== 'not-found') throw error;
+          await this.withNetworkTimeout(deleteDoc(voteDoc.ref));
+        }
+      }
+
+      return { success: true, data: { eliminados: snapshot.size } };
+
+    } catch (error) {
+      console.error('❌ Error eliminando votos de la cuenta:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para eliminar tu cuenta'
+          : 'Error eliminando tus votos',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR DATOS SOCIALES** 👥🗑️
+   *
+   * A quién sigue, quién lo sigue y su actividad en el feed.
+   */
+  async deleteUserSocialData(userId) {
+    try {
+      console.log('👥🗑️ FirestoreService: Eliminando seguidores y actividad de', userId);
+
+      const snapshots = await this.withNetworkTimeout(Promise.all([
+        getDocs(query(collection(this.db, 'follows'), where('followerId', '==', userId))),
+        getDocs(query(collection(this.db, 'follows'), where('followedId', '==', userId))),
+        getDocs(query(collection(this.db, 'activity'), where('userId', '==', userId)))
+      ]));
+
+      const eliminados = await this.deleteDocsInBatches(snapshots.flatMap(snapshot => snapshot.docs.map(item => item.ref)));
+      return { success: true, data: { eliminados } };
+
+    } catch (error) {
+      console.error('❌ Error eliminando datos sociales:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para eliminar tu cuenta'
+          : 'Error eliminando seguidores y actividad',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR COLECCIONES DE LA CUENTA** 📚🗑️
+   *
+   * Vacía todas las de `ACCOUNT_COLLECTIONS`.
+   */
+  async deleteAccountCollections(userId) {
+    try {
+      console.log('📚🗑️ FirestoreService: Eliminando librería, estanterías, sesiones y metas de', userId);
+
+      const collectionNames = Object.keys(ACCOUNT_COLLECTIONS);
+      const snapshots = await this.withNetworkTimeout(Promise.all(
+        collectionNames.map(name => getDocs(this.getAccountCollectionRef(userId, name)))
+      ));
+
+      const eliminados = await this.deleteDocsInBatches(snapshots.flatMap(snapshot => snapshot.docs.map(item => item.ref)));
+      return { success: true, data: { eliminados } };
+
+    } catch (error) {
+      console.error('❌ Error eliminando colecciones de la cuenta:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para eliminar tu cuenta'
+          : 'Error eliminando tu librería',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR PERFIL** 👤🗑️
+   *
+   * `users/{userId}`, su copia pública y los totales de reseñas. Es el
+   * último paso en Firestore (después solo quedan los datos del
+   * dispositivo y la cuenta de Auth): mientras exista el perfil, volver
+   * a entrar muestra la cuenta como siempre y se puede reintentar.
+   */
+  async deleteUserProfileDocs(userId) {
+    try {
+      console.log('👤🗑️ FirestoreService: Eliminando perfil de', userId);
+
+      const eliminados = await this.deleteDocsInBatches([
+        this.getUserReviewStatsRef(userId),
+        this.getPublicProfileRef(userId),
+        doc(this.db, 'users', userId)
+      ]);
+      this.userSummaryCache.delete(userId);
+
+      return { success: true, data: { eliminados } };
+
+    } catch (error) {
+      console.error('❌ Error eliminando perfil:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Necesitas conexión para eliminar tu cuenta'
+          : 'Error eliminando tu perfil',
+        offline: this.isOfflineError(error)
+      };
+    }
+  }
+
+  /**
+   * **ELIMINAR DOCUMENTOS EN LOTES** 🗑️
+   *
+   * Borrar un documento que no existe no falla. Retorna cuántos se
+   * enviaron.
+   */
+  async deleteDocsInBatches(refs) {
+    for (let i = 0; i < refs.length; i += this.batchLimit) {
+      const batch = writeBatch(this.db);
+      refs.slice(i, i + this.batchLimit).forEach(ref => batch.delete(ref));
+      await this.withNetworkTimeout(batch.commit());
+    }
+    return refs.length;
+  }
+
+  // ===================================
+  // 📡 SUSCRIPCIONES EN TIEMPO REAL
+  // ===================================
+
+  /**
+   * **SUSCRIBIRSE A LA LIBRERÍA DEL USUARIO** 📡📚
+   *
+   * Demuestra listeners de Firestore con `onSnapshot`: cada cambio hecho
+   * en otro dispositivo llega sin recargar. Los cambios pendientes de la
+   * cola offline se aplican por encima de los datos del servidor.
+   *
+   * Retorna una función para cancelar la suscripción.
+   */
+  subscribeToUserLibrary(userId, onData, onError = null, options = {}) {
+    if (!userId) return () => {};
+
+    const {
+      limitCount = null,
+      orderByField = 'fechaAgregado',
+      orderDirection = 'desc'
+    } = options;
+
+    console.log('📡 FirestoreService: Suscribiendo a librería de', userId);
+
+    let queryRef = query(
+      collection(this.db, 'libraries', userId, 'books'),
+      orderBy(orderByField, orderDirection)
+    );
+    if (limitCount) {
+      queryRef = query(queryRef, limit(limitCount));
+    }
+
+    // Libros del último snapshot procesado. Cada snapshot y cada emisión
+    // llevan su número: si llega otro mientras se espera al almacenamiento
+    // local, el resultado viejo se descarta
+    let latest = null;
+    let snapshotSequence = 0;
+    let emitSequence = 0;
+    let cancelled = false;
+
+    const emit = async () => {
+      if (cancelled || latest === null) return;
+      const current = ++emitSequence;
+      const { books, fromCache } = latest;
+
+      const pendingOperations = await offlineQueueService.getQueue(userId);
+      if (cancelled || current !== emitSequence) return;
+
+      onData({
+        success: true,
+        data: offlineQueueService.applyOperations(books, pendingOperations),
+        pendingCount: pendingOperations.length,
+        fromCache
+      });
+    };
+
+    const unsubscribeSnapshot = onSnapshot(
+      queryRef,
+      { includeMetadataChanges: true },
+      async (snapshot) => {
+        const current = ++snapshotSequence;
+        const isCurrent = () => !cancelled && current === snapshotSequence;
+        const fromCache = snapshot.metadata.fromCache;
+        let books = snapshot.docs.map(bookDoc => ({ id: bookDoc.id, ...bookDoc.data() }));
+
+        // Arranque sin conexión: el cache de Firestore está vacío, usar la copia offline
+        if (fromCache && snapshot.empty) {
+          const local = await offlineQueueService.getLocalLibrary(userId);
+          if (!isCurrent()) return;
+          books = limitCount ? local.data.slice(0, limitCount) : local.data;
+        }
+
+        // Solo los datos confirmados por el servidor actualizan la copia offline
+        if (!fromCache) {
+          await this.updateLocalLibrary(userId, books, !limitCount);
+          if (!isCurrent()) return;
+        }
+
+        latest = { books, fromCache };
+        await emit();
+      },
+      (error) => this.handleSubscriptionError('librería', error, onError)
+    );
+
+    // Reemitir cuando la cola offline cambia (encolado o sincronización)
+    const unsubscribeQueue = offlineQueueService.subscribe((change) => {
+      if (change.userId === userId) emit();
+    });
+
+    return () => {
+      console.log('🧹 Cancelando suscripción a librería');
+      cancelled = true;
+      unsubscribeSnapshot();
+      unsubscribeQueue();
+    };
+  }
+
+  /**
+   * **SUSCRIBIRSE A UN LIBRO DE LA LIBRERÍA** 📡📖
+   *
+   * `data` es `null` cuando el libro no está en la librería.
+   */
+  subscribeToLibraryBook(userId, bookId, onData, onError = null) {
+    if (!userId || !bookId) return () => {};
+
+    return onSnapshot(
+      doc(this.db, 'libraries', userId, 'books', bookId),
+      (snapshot) => {
+        onData({
+          success: true,
+          data: snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null
+        });
+      },
+      (error) => this.handleSubscriptionError('libro', error, onError)
+    );
+  }
+
+  /**
+   * **SUSCRIBIRSE A RESEÑAS DE UN LIBRO** 📡⭐
+   *
+   * Solo las públicas, como `getBookReviews`.
+   */
+  subscribeToBookReviews(bookId, onData, onError = null, options = {}) {
+    if (!bookId) return () => {};
+
+    const { limitCount = 10 } = options;
+
+    return onSnapshot(
+      query(
+        collection(this.db, 'reviews'),
+        where('bookId', '==', bookId),
+        where('esPrivada', '==', false),
+        where('autorVisible', '==', true),
+        orderBy('fechaCreacion', 'desc'),
+        limit(limitCount)
+      ),
+      (snapshot) => {
+        onData({
+          success: true,
+          data: snapshot.docs.map(reviewDoc => this.normalizeReview(reviewDoc)),
+          hasMore: snapshot.docs.length === limitCount
+        });
+      },
+      (error) => this.handleSubscriptionError('reseñas', error, onError)
+    );
+  }
+
+  /**
+   * **SUSCRIBIRSE AL RESUMEN DE CALIFICACIONES DE UN LIBRO** 📡📊
+   *
+   * `data` es `null` mientras se reconstruye un resumen que faltaba.
+   */
+  subscribeToBookRatingSummary(bookId, onData, onError = null) {
+    if (!bookId) return () => {};
+
+    let rebuilding = false;
+
+    return onSnapshot(
+      this.getBookRatingRef(bookId),
+      (snapshot) => {
+        if (snapshot.exists()) {
+          onData({ success: true, data: snapshot.data() });
+          return;
+        }
+
+        onData({ success: true, data: null });
+        if (!rebuilding) {
+          rebuilding = true;
+          this.rebuildBookRatingSummary(bookId);
+        }
+      },
+      (error) => this.handleSubscriptionError('calificaciones', error, onError)
+    );
+  }
+
+  /**
+   * **SUSCRIBIRSE A LECTORES SEGUIDOS** 📡👥
+   *
+   * Emite la lista de `userId` que sigue el usuario.
+   */
+  subscribeToFollowing(userId, onData, onError = null) {
+    if (!userId) return () => {};
+
+    return onSnapshot(
+      query(collection(this.db, 'follows'), where('followerId', '==', userId)),
+      (snapshot) => {
+        onData({
+          success: true,
+          data: snapshot.docs.map(followDoc => followDoc.data().followedId),
+          fromCache: snapshot.metadata.fromCache
+        });
+      },
+      (error) => this.handleSubscriptionError('seguidos', error, onError)
+    );
+  }
+
+  /**
+   * **SUSCRIBIRSE A COMENTARIOS DE UNA RESEÑA** 📡💬
+   *
+   * Emite los hilos ya armados: comentarios principales en orden de
+   * publicación, cada uno con sus `respuestas`.
+   */
+  subscribeToReviewComments(reviewId, onData, onError = null, options = {}) {
+    if (!reviewId) return () => {};
+
+    const { limitCount = 200 } = options;
+
+    return onSnapshot(
+      query(
+        collection(this.db, 'reviews', reviewId, 'comments'),
+        orderBy('fechaCreacion', 'asc'),
+        limit(limitCount)
+      ),
+      (snapshot) => {
+        const comments = snapshot.docs.map(commentDoc => ({ id: commentDoc.id, ...commentDoc.data() }));
+        onData({ success: true, data: this.buildCommentThreads(comments) });
+      },
+      (error) => this.handleSubscriptionError('comentarios', error, onError)
+    );
+  }
+
+  /**
+   * **SUSCRIBIRSE A RESEÑAS DEL USUARIO** 📡⭐
+   */
+  subscribeToUserReviews(userId, onData, onError = null, options = {}) {
+    if (!userId) return () => {};
+
+    const { limitCount = 10 } = options;
+
+    return onSnapshot(
+      query(
+        collection(this.db, 'reviews'),
+        where('userId', '==', userId),
+        orderBy('fechaCreacion', 'desc'),
+        limit(limitCount)
+      ),
+      (snapshot) => {
+        onData({
+          success: true,
+          data: snapshot.docs.map(reviewDoc => this.normalizeReview(reviewDoc)),
+          hasMore: snapshot.docs.length === limitCount
+        });
+      },
+      (error) => this.handleSubscriptionError('reseñas', error, onError)
+    );
+  }
+
+  /**
+   * **SUSCRIBIRSE A ESTADÍSTICAS DEL USUARIO** 📡📊
+   *
+   * Combina dos listeners (librería y resumen de reseñas) y emite las
+   * estadísticas cada vez que cualquiera de los dos cambia.
+   */
+  subscribeToUserStats(userId, onData, onError = null) {
+    if (!userId) return () => {};
+
+    let librarySize = null;
+    let reviewStats = null;
+    let rebuilding = false;
+
+    const emit = () => {
+      if (librarySize === null || reviewStats === null) return;
+
+      onData({
+        success: true,
+        data: {
+          totalLibros: librarySize,
+          totalReseñas: reviewStats.totalReseñas || 0,
+          promedioCalificacion: reviewStats.promedioCalificacion || 0
+        }
+      });
+    };
+
+    const unsubscribeLibrary = onSnapshot(
+      collection(this.db, 'libraries', userId, 'books'),
+      (snapshot) => {
+        librarySize = snapshot.size;
+        emit();
+      },
+      (error) => this.handleSubscriptionError('estadísticas', error, onError)
+    );
+
+    const unsubscribeReviews = onSnapshot(
+      this.getUserReviewStatsRef(userId),
+      (snapshot) => {
+        if (!snapshot.exists()) {
+          // Usuario con reseñas anteriores a los resúmenes: el documento
+          // reconstruido llega por este mismo listener
+          reviewStats = this.emptyRatingSummary();
+          if (!rebuilding) {
+            rebuilding = true;
+            this.rebuildUserReviewStats(userId);
+          }
+        } else {
+          reviewStats = snapshot.data();
+        }
+        emit();
+      },
+      (error) => this.handleSubscriptionError('estadísticas', error, onError)
+    );
+
+    return () => {
+      unsubscribeLibrary();
+      unsubscribeReviews();
+    };
+  }
+
+  /**
+   * **SUSCRIBIRSE A LAS ESTANTERÍAS DEL USUARIO** 📡🗂️
+   */
+  subscribeToUserShelves(userId, onData, onError = null) {
+    if (!userId) return () => {};
+
+    return onSnapshot(
+      query(collection(this.db, 'libraries', userId, 'shelves'), orderBy('orden', 'asc')),
+      { includeMetadataChanges: true },
+      (snapshot) => {
+        onData({
+          success: true,
+          data: snapshot.docs.map(shelfDoc => ({ id: shelfDoc.id, ...shelfDoc.data() })),
+          fromCache: snapshot.metadata.fromCache
+        });
+      },
+      (error) => this.handleSubscriptionError('estanterías', error, onError)
+    );
+  }
+
+  /**
+   * **SUSCRIBIRSE A SESIONES DE LECTURA** 📡⏱️
+   */
+  subscribeToReadingSessions(userId, onData, onError = null, options = {}) {
+    if (!userId) return () => {};
+
+    const { bookId = null, limitCount = 10 } = options;
+
+    const constraints = [];
+    if (bookId) constraints.push(where('bookId', '==', bookId));
+    constraints.push(orderBy('fin', 'desc'), limit(limitCount));
+
+    return onSnapshot(
+      query(collection(this.db, 'libraries', userId, 'readingSessions'), ...constraints),
+      (snapshot) => {
+        onData({
+          success: true,
+          data: snapshot.docs.map(sessionDoc => ({ id: sessionDoc.id, ...sessionDoc.data() }))
+        });
+      },
+      (error) => this.handleSubscriptionError('sesiones de lectura', error, onError)
+    );
+  }
+
+  /**
+   * **SUSCRIBIRSE A LA META DE UN AÑO** 📡🎯
+   */
+  subscribeToReadingGoal(userId, year, onData, onError = null) {
+    if (!userId || !year) return () => {};
+
+    return onSnapshot(
+      doc(this.db, 'users', userId, 'goals', String(year)),
+      (snapshot) => {
+        onData({
+          success: true,
+          data: snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null
+        });
+      },
+      (error) => this.handleSubscriptionError('meta de lectura', error, onError)
+    );
+  }
+
+  /**
+   * **MANEJAR ERROR DE SUSCRIPCIÓN** 🚨
+   */
+  handleSubscriptionError(resource, error, onError) {
+    console.error(`❌ Error en suscripción de ${resource}:`, error);
+    if (onError) {
+      onError({
+        success: false,
+        error: `Error escuchando cambios de ${resource}`,
+        offline: this.isOfflineError(error)
+      });
+    }
+  }
+
+  // ===================================
+  // 📴 MODO OFFLINE Y SINCRONIZACIÓN
+  // ===================================
+
+  /**
+   * **DETECTAR ERRORES DE CONEXIÓN** 📡
+   */
+  isOfflineError(error) {
+    if (!error) return false;
+
+    const offlineCodes = [
+      'unavailable',
+      'deadline-exceeded',
+      'offline-timeout',
+      'auth/network-request-failed'
+    ];
+
+    return offlineCodes.includes(error.code) ||
+      /offline|network/i.test(error.message || '');
+  }
+
+  /**
+   * **LIMITAR TIEMPO DE ESPERA DE RED** ⏱️
+   *
+   * Sin conexión, Firestore deja las escrituras pendientes indefinidamente.
+   * Pasado `networkTimeout` asumimos que el dispositivo está offline.
+   */
+  withNetworkTimeout(promise) {
+    let timeoutId;
+
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        const error = new Error('Sin conexión con Firestore (offline)');
+        error.code = 'offline-timeout';
+        reject(error);
+      }, this.networkTimeout);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+  }
+
+  /**
+   * **¿ENCOLAR ESCRITURAS?** 📋
+   *
+   * Se encola si el usuario activó `offlineMode` o si ya hay operaciones
+   * pendientes: así se respeta el orden en que el usuario hizo los cambios.
+   */
+  async shouldQueueWrites(userId) {
+    const settings = await localStorageService.getUserSettings(userId);
+    if (settings.data?.offlineMode) {
+      return true;
+    }
+
+    const queue = await offlineQueueService.getQueue(userId);
+    return queue.length > 0;
+  }
+
+  /**
+   * **ENCOLAR OPERACIÓN DE LIBRERÍA** 📴➕
+   *
+   * Registra el cambio en la cola persistente y lo refleja en la copia local.
+   */
+  async queueLibraryOperation(userId, type, bookId, payload = null) {
+    try {
+      const local = await offlineQueueService.getLocalLibrary(userId);
+      const currentBook = local.data.find(book => book.bookId === bookId);
+
+      const operation = await offlineQueueService.enqueue(userId, {
+        type,
+        bookId,
+        payload: type === 'add'
+          ? { ...payload, fechaAgregado: new Date().toISOString() }
+          : payload,
+        baseVersion: offlineQueueService.getBookVersion(currentBook)
+      });
+
+      // Intentar sincronizar enseguida por si la conexión ya volvió
+      this.triggerAutoSync(userId);
+
+      return {
+        success: true,
+        queued: true,
+        operationId: operation.id,
+        data: payload
+      };
+
+    } catch (error) {
+      console.error('❌ Error encolando operación offline:', error);
+      return {
+        success: false,
+        error: 'Error guardando el cambio sin conexión'
+      };
+    }
+  }
+
+  /**
+   * **ACTUALIZAR COPIA LOCAL DE LA LIBRERÍA** 💾
+   *
+   * Si tenemos la librería completa se reemplaza la copia; con una página
+   * parcial solo se actualizan los libros recibidos.
+   */
+  async updateLocalLibrary(userId, books, isComplete) {
+    if (isComplete) {
+      await offlineQueueService.saveLocalLibrary(userId, books);
+      return;
+    }
+
+    const local = await offlineQueueService.getLocalLibrary(userId);
+    const receivedIds = new Set(books.map(book => book.bookId));
+    const merged = [
+      ...books,
+      ...local.data.filter(book => !receivedIds.has(book.bookId))
+    ];
+    await offlineQueueService.saveLocalLibrary(userId, merged);
+  }
+
+  /**
+   * **SINCRONIZAR OPERACIONES PENDIENTES** 🔄
+   *
+   * Reproduce la cola en orden contra Firestore. Se detiene en cuanto
+   * detecta que sigue sin conexión; los conflictos se apartan para que
+   * el usuario decida y no bloquean al resto de la cola.
+   */
+  async syncPendingLibraryOperations(userId) {
+    if (this.syncInProgress) {
+      return { success: false, error: 'Ya hay una sincronización en curso' };
+    }
+
+    const settings = await localStorageService.getUserSettings(userId);
+    if (settings.data?.offlineMode) {
+      return { success: false, error: 'El modo sin conexión está activado' };
+    }
+
+    this.syncInProgress = true;
+    let synced = 0;
+    let conflicts = 0;
+
+    try {
+      const queue = await offlineQueueService.getQueue(userId);
+      console.log(`🔄 FirestoreService: Sincronizando ${queue.length} operaciones pendientes`);
+
+      for (const queued of queue) {
+        // Releer la operación por si fue rebasada durante esta misma pasada
+        const current = await offlineQueueService.getQueue(userId);
+        const operation = current.find(op => op.id === queued.id);
+        if (!operation) continue;
+
+        const outcome = await this.replayLibraryOperation(userId, operation);
+
+        if (outcome.status === 'offline') {
+          console.log('📴 Sin conexión, se reintentará más tarde');
+          break;
+        }
+
+        if (outcome.status === 'conflict') {
+          console.warn(`⚔️ Conflicto en ${operation.bookId}:`, outcome.reason);
+          await offlineQueueService.addConflict(userId, operation, outcome.serverData, outcome.reason);
+          conflicts++;
+        } else {
+          synced++;
+        }
+
+        await offlineQueueService.removeOperation(userId, operation.id);
+      }
+
+      const remaining = (await offlineQueueService.getQueue(userId)).length;
+      console.log(`✅ Sincronización: ${synced} aplicadas, ${conflicts} conflictos, ${remaining} pendientes`);
+
+      return { success: true, synced, conflicts, remaining };
+
+    } catch (error) {
+      console.error('❌ Error sincronizando librería:', error);
+      return {
+        success: false,
+        error: 'Error sincronizando cambios pendientes'
+      };
+    } finally {
+      this.syncInProgress = false;
+    }
+  }
+
+  /**
+   * **REPRODUCIR UNA OPERACIÓN** ▶️
+   *
+   * Retorna `{ status: 'applied' | 'conflict' | 'offline' }`.
+   * Con `force` se omite la detección de conflictos (el usuario eligió
+   * quedarse con su versión).
+   */
+  async replayLibraryOperation(userId, operation, { force = false } = {}) {
+    const bookRef = doc(this.db, 'libraries', userId, 'books', operation.bookId);
+
+    try {
+      const snapshot = await this.withNetworkTimeout(getDoc(bookRef));
+      const serverData = snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+
+      if (!force) {
+        const conflict = this.detectLibraryConflict(operation, serverData);
+        if (conflict === 'already-applied') {
+          await offlineQueueService.commitServerState(userId, operation.bookId, serverData);
+          return { status: 'applied' };
+        }
+        if (conflict) {
+          return { status: 'conflict', reason: conflict, serverData };
+        }
+      }
+
+      switch (operation.type) {
+        case 'add':
+          await this.withNetworkTimeout(setDoc(bookRef, {
+            ...operation.payload,
+            fechaAgregado: serverTimestamp(),
+            fechaActualizacion: serverTimestamp()
+          }));
+          break;
+        case 'update':
+          if (!serverData) {
+            return { status: 'conflict', reason: 'deleted-on-server', serverData: null };
+          }
+          await this.withNetworkTimeout(updateDoc(bookRef, {
+            ...operation.payload,
+            fechaActualizacion: serverTimestamp()
+          }));
+          break;
+        case 'remove':
+          if (serverData) {
+            await this.withNetworkTimeout(deleteDoc(bookRef));
+          }
+          await this.removeBookFromAllShelves(userId, operation.bookId);
+          await this.clearLibraryActivity(userId, operation.bookId);
+          break;
+        default:
+          return { status: 'conflict', reason: 'unknown-operation', serverData };
+      }
+
+      // Adoptar el estado final del servidor y rebasar operaciones siguientes
+      const fresh = await this.withNetworkTimeout(getDoc(bookRef));
+      const freshData = fresh.exists() ? { id: fresh.id, ...fresh.data() } : null;
+      await offlineQueueService.commitServerState(userId, operation.bookId, freshData);
+      await offlineQueueService.rebaseOperations(
+        userId,
+        operation.bookId,
+        offlineQueueService.getBookVersion(freshData)
+      );
+
+      if (freshData && (operation.type === 'add' || operation.payload?.estadoLectura)) {
+        await this.recordLibraryActivity(userId, operation.type, freshData);
+      }
+
+      return { status: 'applied' };
+
+    } catch (error) {
+      if (this.isOfflineError(error)) {
+        return { status: 'offline' };
+      }
+
+      console.error('❌ Error reproduciendo operación:', error);
+      return { status: 'conflict', reason: 'error', serverData: null };
+    }
+  }
+
+  /**
+   * **DETECTAR CONFLICTO** ⚔️
+   *
+   * Compara la versión sobre la que el usuario hizo el cambio con la
+   * versión actual del servidor. Retorna `null` si no hay conflicto.
+   */
+  detectLibraryConflict(operation, serverData) {
+    if (serverData && this.isOperationReflected(operation, serverData)) {
+      return 'already-applied';
+    }
+
+    const serverVersion = offlineQueueService.getBookVersion(serverData);
+    const changedOnServer = operation.baseVersion !== null &&
+      serverVersion !== null &&
+      serverVersion > operation.baseVersion;
+
+    switch (operation.type) {
+      case 'add':
+        return serverData ? 'exists-on-server' : null;
+      case 'update':
+        if (!serverData) return 'deleted-on-server';
+        return changedOnServer ? 'modified-on-server' : null;
+      case 'remove':
+        if (!serverData) return 'already-applied';
+        return changedOnServer ? 'modified-on-server' : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * **¿EL SERVIDOR YA TIENE ESTE CAMBIO?** 🔍
+   *
+   * Ignora los campos de fecha, que siempre difieren entre cliente y servidor.
+   */
+  isOperationReflected(operation, serverData) {
+    if (operation.type === 'remove' || !operation.payload) {
+      return false;
+    }
+
+    return Object.entries(operation.payload)
+      .filter(([key]) => !key.startsWith('fecha'))
+      .every(([key, value]) =>
+        JSON.stringify(serverData[key] ?? null) === JSON.stringify(value ?? null)
+      );
+  }
+
+  /**
+   * **OBTENER ESTADO DE SINCRONIZACIÓN** 📊
+   */
+  async getSyncStatus(userId) {
+    const [queue, conflicts] = await Promise.all([
+      offlineQueueService.getQueue(userId),
+      offlineQueueService.getConflicts(userId)
+    ]);
+
+    return {
+      success: true,
+      data: {
+        pendingCount: queue.length,
+        conflicts,
+        syncing: this.syncInProgress
+      }
+    };
+  }
+
+  /**
+   * **RESOLVER CONFLICTO** ⚔️✅
+   *
+   * - `local`: se fuerza el cambio del usuario sobre el servidor
+   * - `server`: se descarta el cambio y se adopta la versión del servidor
+   */
+  async resolveSyncConflict(userId, conflictId, strategy) {
+    try {
+      const conflicts = await offlineQueueService.getConflicts(userId);
+      const conflict = conflicts.find(item => item.id === conflictId);
+
+      if (!conflict) {
+        return { success: false, error: 'Conflicto no encontrado' };
+      }
+
+      if (strategy === 'local') {
+        const outcome = await this.replayLibraryOperation(userId, conflict.operation, { force: true });
+        if (outcome.status !== 'applied') {
+          return {
+            success: false,
+            error: outcome.status === 'offline'
+              ? 'Sin conexión. Intenta de nuevo más tarde'
+              : 'No se pudo aplicar tu versión'
+          };
+        }
+      } else {
+        const snapshot = await this.withNetworkTimeout(getDoc(
+          doc(this.db, 'libraries', userId, 'books', conflict.operation.bookId)
+        ));
+        await offlineQueueService.commitServerState(
+          userId,
+          conflict.operation.bookId,
+          snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null
+        );
+      }
+
+      await offlineQueueService.removeConflict(userId, conflictId);
+      console.log(`✅ Conflicto ${conflictId} resuelto con estrategia ${strategy}`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error resolviendo conflicto:', error);
+      return {
+        success: false,
+        error: this.isOfflineError(error)
+          ? 'Sin conexión. Intenta de nuevo más tarde'
+          : 'Error resolviendo conflicto'
+      };
+    }
+  }
+
+  /**
+   * **INICIAR SINCRONIZACIÓN AUTOMÁTICA** ⚡
+   *
+   * Reintenta la cola al volver la app a primer plano y periódicamente,
+   * siempre que el usuario tenga `autoSync` activado.
+   */
+  startAutoSync(userId) {
+    this.stopAutoSync();
+    this.autoSyncUserId = userId;
+
+    this.appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        this.triggerAutoSync(userId);
+      }
+    });
+
+    this.autoSyncTimer = setInterval(() => {
+      this.triggerAutoSync(userId);
+    }, this.autoSyncInterval);
+
+    console.log('⚡ Sincronización automática iniciada');
+    this.triggerAutoSync(userId);
+  }
+
+  /**
+   * **DETENER SINCRONIZACIÓN AUTOMÁTICA** 🛑
+   */
+  stopAutoSync() {
+    if (this.appStateSubscription) {
+      this.appStateSubscription.remove();
+      this.appStateSubscription = null;
+    }
+    if (this.autoSyncTimer) {
+      clearInterval(this.autoSyncTimer);
+      this.autoSyncTimer = null;
+    }
+    this.autoSyncUserId = null;
+  }
+
+  /**
+   * **DISPARAR SINCRONIZACIÓN AUTOMÁTICA** 🔔
+   */
+  async triggerAutoSync(userId) {
+    try {
+      if (!userId || this.syncInProgress) return;
+
+      const settings = await localStorageService.getUserSettings(userId);
+      if (!settings.data?.autoSync || settings.data?.offlineMode) return;
+
+      const queue = await offlineQueueService.getQueue(userId);
+      if (queue.length === 0) return;
+
+      await this.syncPendingLibraryOperations(userId);
+    } catch (error) {
+      console.warn('⚠️ Error en sincronización automática:', error);
+    }
+  }
+
+  // ===================================
+  // 🛠️ FUNCIONES AUXILIARES
+  // ===================================
+
+  /**
+   * **ACTUALIZAR ESTADO DE RESEÑA EN LIBRO** 🛠️
+   */
+  async updateBookReviewStatus(userId, bookId, hasReview) {
+    try {
+      await updateDoc(
+        doc(this.db, 'libraries', userId, 'books', bookId),
+        { tieneReseña: hasReview }
+      );
+    } catch (error) {
+      console.warn('⚠️ No se pudo actualizar estado de reseña:', error);
+      // No lanzar error, es una operación secundaria
+    }
+  }
+
+  /**
+   * **VALIDAR DATOS DE LIBRO** ✅
    */
-  async updateUserProfile(userId, updateData) {
+  validateBookData(bookData) {
+    if (!bookData.bookId) {
+      throw new Error('ID del libro es requerido');
+    }
+    if (!bookData.titulo) {
+      throw new Error('Título del libro es requerido');
+    }
+    if (!bookData.autor) {
+      throw new Error('Autor del libro es requerido');
+    }
+  }
+
+  /**
+   * **VALIDAR NOMBRE DE ESTANTERÍA** ✅
+   *
+   * Retorna el nombre sin espacios sobrantes.
+   */
+  validateShelfName(nombre) {
+    const trimmed = (nombre || '').trim();
+    if (!trimmed) {
+      throw new Error('El nombre de la estantería es requerido');
+    }
+    if (trimmed.length > this.maxShelfNameLength) {
+      throw new Error(`El nombre no puede exceder ${this.maxShelfNameLength} caracteres`);
+    }
+    return trimmed;
+  }
+
+  findShelfByName(shelves, nombre) {
+    const normalized = nombre.toLowerCase();
+    return shelves.find(shelf => shelf.nombre.toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * **FECHA DE FIN DE LECTURA** 🏁
+   */
+  withCompletionDate(bookData) {
+    if (bookData.estadoLectura !== 'read' || bookData.fechaFinLectura) {
+      return bookData;
+    }
+    return { ...bookData, fechaFinLectura: new Date().toISOString() };
+  }
+
+  /**
+   * **VALIDAR META DE LECTURA** ✅
+   */
+  validateReadingGoal({ tipo, meta }) {
+    if (!['libros', 'paginas'].includes(tipo)) {
+      throw new Error('La meta debe ser de libros o de páginas');
+    }
+    const value = Number(meta);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error('La meta debe ser un número entero mayor que cero');
+    }
+    if (value > (tipo === 'libros' ? 1000 : 500000)) {
+      throw new Error('Esa meta parece demasiado alta');
+    }
+  }
+
+  /**
+   * **VALIDAR DATOS DE RESEÑA** ✅
+   *
+   * Con `partial` solo se validan los campos presentes (edición).
+   * Acepta `textoReseña` del modelo anterior como alias de `texto`.
+   * Los largos se miden sobre el texto visible (sin marcas de formato);
+   * el texto con marcas tiene su propio tope.
+   */
+  validateReviewData(reviewData, { partial = false } = {}) {
+    const texto = reviewData.texto ?? reviewData.textoReseña;
+
+    if (!partial || reviewData.calificacion !== undefined) {
+      const rating = Number(reviewData.calificacion);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        throw new Error('Calificación debe ser entre 1 y 5 estrellas');
+      }
+    }
+    if (!partial || texto !== undefined) {
+      const visibleLength = texto ? reviewMarkupParser.getVisibleLength(texto) : 0;
+      if (visibleLength < this.minReviewLength) {
+        throw new Error(`El texto de la reseña debe tener al menos ${this.minReviewLength} caracteres`);
+      }
+      if (visibleLength > this.maxReviewLength) {
+        throw new Error(`El texto de la reseña no puede exceder ${this.maxReviewLength} caracteres`);
+      }
+      if (texto.length > this.maxReviewMarkupLength) {
+        throw new Error('La reseña tiene demasiado formato; simplifica las marcas');
+      }
+    }
+  }
+
+  /**
+   * **CONSTRUIR DOCUMENTO DE RESEÑA** 🏗️
+   *
+   * Copia solo los campos editables del modelo. `userId`, `bookId` y las
+   * fechas los pone quien escribe; con `partial` se omiten los campos
+   * que no vinieron.
+   */
+  buildReviewDoc(reviewData, { partial = false } = {}) {
+    const texto = reviewData.texto ?? reviewData.textoReseña;
+    const fields = {
+      calificacion: reviewData.calificacion !== undefined ? Number(reviewData.calificacion) : undefined,
+      texto: texto !== undefined ? texto.trim() : undefined,
+      esPrivada: reviewData.esPrivada,
+      bookTitle: reviewData.bookTitle,
+      bookAuthor: reviewData.bookAuthor,
+      bookCover: reviewData.bookCover,
+      userName: reviewData.userName
+    };
+
+    const reviewDoc = { schemaVersion: this.reviewSchemaVersion };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) {
+        reviewDoc[key] = value;
+      } else if (!partial) {
+        reviewDoc[key] = key === 'esPrivada' ? false : null;
+      }
+    });
+
+    return reviewDoc;
+  }
+
+  /**
+   * **CAMBIOS PARA MIGRAR UNA RESEÑA ANTIGUA** 🔧
+   *
+   * Devuelve los campos a escribir para llevar la reseña al modelo
+   * actual, o un objeto vacío si ya está al día.
+   */
+  getLegacyReviewFixes(reviewData) {
+    if ((reviewData.schemaVersion || 1) >= this.reviewSchemaVersion) {
+      return {};
+    }
+
+    const fixes = { schemaVersion: this.reviewSchemaVersion };
+    if (reviewData.textoReseña !== undefined) {
+      if (reviewData.texto === undefined) fixes.texto = reviewData.textoReseña;
+      fixes.textoReseña = deleteField();
+    }
+    if (reviewData.fechaModificacion !== undefined) {
+      if (reviewData.fechaActualizacion === undefined) fixes.fechaActualizacion = reviewData.fechaModificacion;
+      fixes.fechaModificacion = deleteField();
+    }
+    if (reviewData.esPrivada === undefined) {
+      fixes.esPrivada = false;
+    }
+    // Sin estos campos la reseña no aparece al ordenar por "más útiles"
+    if (reviewData.votosUtiles === undefined) {
+      fixes.votosUtiles = 0;
+    }
+    if (reviewData.reacciones === undefined) {
+      fixes.reacciones = {};
+    }
+    return fixes;
+  }
+
+  /**
+   * **NORMALIZAR RESEÑA LEÍDA** 📄
+   *
+   * Las reseñas que todavía no se migraron se presentan con los nombres
+   * de campo actuales, para que las pantallas solo conozcan un modelo.
+   */
+  normalizeReview(reviewDoc) {
+    const data = reviewDoc.data();
+    return {
+      id: reviewDoc.id,
+      ...data,
+      texto: data.texto ?? data.textoReseña ?? '',
+      fechaActualizacion: data.fechaActualizacion ?? data.fechaModificacion ?? null,
+      esPrivada: !!data.esPrivada,
+      votosUtiles: data.votosUtiles || 0,
+      reacciones: data.reacciones || {},
+      totalComentarios: data.totalComentarios || 0
+    };
+  }
+
+  /**
+   * **PRIVACIDAD Y PERFIL PÚBLICO** 🔒
+   *
+   * Los perfiles anteriores a esta opción no tienen `privacidad`: se
+   * completan con los valores por defecto.
+   */
+  getPublicProfileRef(userId) {
+    return doc(this.db, 'publicProfiles', userId);
+  }
+
+  resolvePrivacy(privacidad) {
+    const resolved = { ...APP_CONFIG.DEFAULT_PRIVACY };
+    Object.keys(resolved).forEach(key => {
+      if (typeof privacidad?.[key] === 'boolean') resolved[key] = privacidad[key];
+    });
+    return resolved;
+  }
+
+  // Con el perfil oculto solo quedan el nombre y la foto, que acompañan
+  // a las reseñas y comentarios
+  buildPublicProfile(profile) {
+    const privacidad = this.resolvePrivacy(profile.privacidad);
+    return {
+      nombre: profile.nombre || '',
+      apellido: profile.apellido || '',
+      fotoPerfilUrl: profile.fotoPerfilUrl || null,
+      bio: privacidad.perfilPublico ? (profile.bio || '') : '',
+      privacidad,
+      fechaActualizacion: serverTimestamp()
+    };
+  }
+
+  getVisibleSections(viewerId, userId, privacidad) {
+    const isOwner = viewerId === userId;
+    const isPublic = isOwner || privacidad.perfilPublico;
+    return {
+      estanterias: isPublic && (isOwner || privacidad.estanterias),
+      resenas: isPublic && (isOwner || privacidad.resenas),
+      estadisticas: isPublic && (isOwner || privacidad.estadisticas)
+    };
+  }
+
+  /**
+   * **VISIBILIDAD DEL CONTENIDO PROPIO** 🔒
+   *
+   * Lo que copian reseñas (`resenas`) y actividad (`actividad`) para que
+   * las consultas de otros lectores puedan filtrar por privacidad. Sin
+   * copia pública del perfil no se muestra nada, como en las reglas.
+   */
+  getContentVisibility(privacidad) {
+    const perfilPublico = privacidad?.perfilPublico === true;
+    return {
+      actividad: perfilPublico,
+      resenas: perfilPublico && privacidad.resenas === true
+    };
+  }
+
+  async getOwnContentVisibility(userId) {
+    const snapshot = await getDoc(this.getPublicProfileRef(userId));
+    const privacidad = snapshot.exists() ? snapshot.data().privacidad : null;
+    return { ...this.getContentVisibility(privacidad), privacidad };
+  }
+
+  // Los eventos de reseñas siguen la sección de reseñas; el resto, el perfil
+  isActivityHidden(tipo, visibility) {
+    return tipo === ACTIVITY_TYPES.REVIEW_PUBLISHED ? !visibility.resenas : !visibility.actividad;
+  }
+
+  /**
+   * **REFERENCIAS DE SEGUIDORES Y ACTIVIDAD** 🔗
+   */
+  getAccountCollectionRef(userId, collectionName) {
+    const [root, subcollection] = ACCOUNT_COLLECTIONS[collectionName];
+    return collection(this.db, root, userId, subcollection);
+  }
+
+  getFollowRef(followerId, followedId) {
+    return doc(this.db, 'follows', `${followerId}_${followedId}`);
+  }
+
+  getActivityRef(userId, tipo, bookId) {
+    return doc(this.db, 'activity', `${userId}_${tipo}_${bookId}`);
+  }
+
+  /**
+   * **EVENTO DE RESEÑA PUBLICADA** 📰⭐
+   *
+   * Solo se escribe para reseñas públicas (lo decide quien llama); se
+   * oculta si el autor no muestra sus reseñas.
+   */
+  buildReviewActivity(reviewId, review) {
+    return {
+      userId: review.userId,
+      tipo: ACTIVITY_TYPES.REVIEW_PUBLISHED,
+      bookId: review.bookId,
+      bookTitle: review.bookTitle || null,
+      bookAuthor: review.bookAuthor || null,
+      bookCover: review.bookCover || null,
+      reviewId,
+      calificacion: review.calificacion,
+      esPrivada: !review.autorVisible,
+      fecha: serverTimestamp()
+    };
+  }
+
+  /**
+   * **VALIDAR CAMBIOS DE PERFIL** ✅
+   *
+   * Retorna solo los campos editables; los largos coinciden con
+   * `firestore.rules`.
+   */
+  validateProfileData(updateData) {
+    const changes = {};
+    APP_CONFIG.PROFILE_FIELDS.forEach(field => {
+      if (updateData[field] !== undefined) changes[field] = updateData[field];
+    });
+
+    ['nombre', 'apellido'].forEach(field => {
+      if (typeof changes[field] === 'string' && changes[field].length > APP_CONFIG.VALIDATION.NAME_MAX_LENGTH) {
+        throw new Error(`El ${field} no puede exceder ${APP_CONFIG.VALIDATION.NAME_MAX_LENGTH} caracteres`);
+      }
+    });
+    if (typeof changes.bio === 'string' && changes.bio.length > APP_CONFIG.VALIDATION.BIO_MAX_LENGTH) {
+      throw new Error(`La bio no puede exceder ${APP_CONFIG.VALIDATION.BIO_MAX_LENGTH} caracteres`);
+    }
+
+    return changes;
+  }
+
+  /**
+   * **VALIDAR TEXTO DE COMENTARIO** ✅
+   *
+   * Retorna el texto sin espacios sobrantes.
+   */
+  validateCommentText(texto) {
+    const cleanText = String(texto || '').trim();
+    if (!cleanText) {
+      throw new Error('El comentario no puede estar vacío');
+    }
+    if (cleanText.length > this.maxCommentLength) {
+      throw new Error(`El comentario no puede exceder ${this.maxCommentLength} caracteres`);
+    }
+    return cleanText;
+  }
+
+  /**
+   * **ARMAR HILOS DE COMENTARIOS** 🧵
+   *
+   * Agrupa las respuestas bajo su comentario principal. Las respuestas
+   * cuyo principal no llegó (por el límite) se muestran como principales.
+   */
+  buildCommentThreads(comments) {
+    const threads = [];
+    const byId = new Map();
+
+    comments.filter(comment => !comment.parentId).forEach(comment => {
+      const thread = { ...comment, respuestas: [] };
+      byId.set(comment.id, thread);
+      threads.push(thread);
+    });
+
+    comments.filter(comment => comment.parentId).forEach(reply => {
+      const parent = byId.get(reply.parentId);
+      if (parent) {
+        parent.respuestas.push(reply);
+      } else {
+        threads.push({ ...reply, respuestas: [] });
+      }
+    });
+
+    return threads;
+  }
+
+  /**
+   * **REFERENCIAS DE RESÚMENES DE CALIFICACIONES** 📊
+   */
+  getBookRatingRef(bookId) {
+    return doc(this.db, 'bookRatings', bookId);
+  }
+
+  getUserReviewStatsRef(userId) {
+    return doc(this.db, 'userStats', userId);
+  }
+
+  emptyRatingSummary() {
+    return {
+      totalReseñas: 0,
+      sumaCalificaciones: 0,
+      promedioCalificacion: 0,
+      histograma: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+    };
+  }
+
+  /**
+   * **APLICAR CAMBIO DE CALIFICACIÓN** ➕➖
+   *
+   * `add` suma una calificación y `remove` quita otra; editar una reseña
+   * usa ambas. Devuelve un resumen nuevo sin modificar el recibido.
+   */
+  applyRatingChange(summary, { add = null, remove = null }) {
+    const histograma = { ...this.emptyRatingSummary().histograma, ...(summary.histograma || {}) };
+    let totalReseñas = summary.totalReseñas || 0;
+    let sumaCalificaciones = summary.sumaCalificaciones || 0;
+
+    const toStars = value => {
+      const stars = Math.round(Number(value));
+      return stars >= 1 && stars <= 5 ? stars : null;
+    };
+
+    const removed = toStars(remove);
+    if (removed && totalReseñas > 0) {
+      totalReseñas -= 1;
+      sumaCalificaciones -= removed;
+      histograma[removed] = Math.max((histograma[removed] || 0) - 1, 0);
+    }
+
+    const added = toStars(add);
+    if (added) {
+      totalReseñas += 1;
+      sumaCalificaciones += added;
+      histograma[added] = (histograma[added] || 0) + 1;
+    }
+
+    return {
+      totalReseñas,
+      sumaCalificaciones,
+      promedioCalificacion: totalReseñas > 0
+        ? Math.round((sumaCalificaciones / totalReseñas) * 100) / 100
+        : 0,
+      histograma
+    };
+  }
+
+  /**
+   * **RESOLVER POSICIÓN DE LECTURA** 📍
+   *
+   * Convierte una página o un porcentaje en `{ pagina, porcentaje }`
+   * usando `numeroPaginas`. Sin número de páginas solo se acepta
+   * porcentaje.
+   */
+  resolveReadingPosition(book, pagina, porcentaje) {
+    const totalPages = Number(book.numeroPaginas) || 0;
+    const hasValue = value => value !== null && value !== undefined && value !== '';
+
+    if (hasValue(pagina)) {
+      const page = Number(pagina);
+      if (!Number.isInteger(page) || page < 0) {
+        throw new Error('La página debe ser un número entero positivo');
+      }
+      if (!totalPages) {
+        throw new Error('Este libro no tiene número de páginas: registra el progreso en porcentaje');
+      }
+      if (page > totalPages) {
+        throw new Error(`El libro tiene ${totalPages} páginas`);
+      }
+      return { pagina: page, porcentaje: Math.round((page / totalPages) * 1000) / 10 };
+    }
+
+    if (hasValue(porcentaje)) {
+      const percent = Number(porcentaje);
+      if (Number.isNaN(percent) || percent < 0 || percent > 100) {
+        throw new Error('El porcentaje debe estar entre 0 y 100');
+      }
+      return {
+        pagina: totalPages ? Math.round((percent / 100) * totalPages) : null,
+        porcentaje: percent
+      };
+    }
+
+    throw new Error('Indica la página o el porcentaje');
+  }
+
+  // Los libros guardados antes de registrar páginas pueden no tener `numeroPaginas`
+  withPageCount(book, numeroPaginas) {
+    return {
+      ...book,
+      numeroPaginas: Number(book.numeroPaginas) || Number(numeroPaginas) || null
+    };
+  }
+
+  /**
+   * **CONSTRUIR SESIÓN DE LECTURA** ⏱️
+   *
+   * Si falta el punto de partida se usa el progreso actual del libro.
+   */
+  buildReadingSession(book, sessionData) {
+    const fin = new Date(sessionData.fin || Date.now());
+    const inicio = new Date(sessionData.inicio || fin);
+
+    if (Number.isNaN(inicio.getTime()) || Number.isNaN(fin.getTime())) {
+      throw new Error('Fechas de sesión no válidas');
+    }
+    if (fin < inicio) {
+      throw new Error('La sesión no puede terminar antes de empezar');
+    }
+
+    const byPages = sessionData.paginaFinal !== null && sessionData.paginaFinal !== undefined;
+    const from = byPages
+      ? this.resolveReadingPosition(book, sessionData.paginaInicial ?? book.paginaActual ?? 0, null)
+      : this.resolveReadingPosition(book, null, sessionData.porcentajeInicial ?? book.porcentajeLeido ?? 0);
+    const to = byPages
+      ? this.resolveReadingPosition(book, sessionData.paginaFinal, null)
+      : this.resolveReadingPosition(book, null, sessionData.porcentajeFinal);
+
+    if (to.porcentaje < from.porcentaje) {
+      throw new Error('El final de la sesión no puede ser anterior al inicio');
+    }
+
+    return {
+      inicio,
+      fin,
+      duracionMinutos: Math.round((fin - inicio) / 60000),
+      unidad: byPages ? 'paginas' : 'porcentaje',
+      paginaInicial: from.pagina,
+      paginaFinal: to.pagina,
+      paginasLeidas: from.pagina !== null && to.pagina !== null ? to.pagina - from.pagina : null,
+      porcentajeInicial: from.porcentaje,
+      porcentajeFinal: to.porcentaje
+    };
+  }
+
+  /**
+   * **CAMPOS DE PROGRESO DEL LIBRO** 📊
+   *
+   * Al llegar al 100% el libro pasa a "read"; con cualquier avance
+   * menor queda (o vuelve a quedar) en "reading". Las fechas van como
+   * texto ISO, igual que el resto de fechas escritas desde la app, para
+   * que sobrevivan a la cola offline.
+   */
+  buildProgressUpdate(book, porcentaje, pagina, fecha) {
+    const update = {
+      porcentajeLeido: porcentaje,
+      paginaActual: pagina,
+      fechaUltimaLectura: fecha
+    };
+
+    if (porcentaje >= 100) {
+      // Si ya estaba leído se conserva la fecha de fin original
+      if (book.estadoLectura !== 'read') {
+        update.estadoLectura = 'read';
+        update.fechaFinLectura = fecha;
+      }
+    } else if (porcentaje > 0) {
+      update.estadoLectura = 'reading';
+    }
+
+    if (!book.fechaInicioLectura && porcentaje > 0) {
+      update.fechaInicioLectura = fecha;
+    }
+
+    return update;
+  }
+
+  /**
+   * **OBTENER ESTADÍSTICAS DEL USUARIO** 📊
+   * 
+   * Demuestra agregaciones simples (en producción usar Cloud Functions).
+   */
+  async getUserStats(userId) {
     try {
-      console.log('👤✏️ FirestoreService: Actualizando perfil de usuario', userId);
+      console.log('📊 FirestoreService: Obteniendo estadísticas para', userId);
       
-      await updateDoc(
-        doc(this.db, 'users', userId),
+      // Contar libros en la librería
+      const librarySnapshot = await getDocs(
+        collection(this.db, 'libraries', userId, 'books')
+      );
+      
+      // Totales de reseñas desde el resumen (se reconstruye si falta)
+      const reviewStatsDoc = await getDoc(this.getUserReviewStatsRef(userId));
+      const reviewStats = reviewStatsDoc.exists()
+        ? { success: true, data: reviewStatsDoc.data() }
+        : await this.rebuildUserReviewStats(userId);
+
+      if (!reviewStats.success) {
+        throw new Error(reviewStats.error);
+      }
+
+      const stats = {
+        totalLibros: librarySnapshot.size,
+        totalReseñas: reviewStats.data.totalReseñas,
+        promedioCalificacion: reviewStats.data.promedioCalificacion
+      };
+
+      console.log('✅ Estadísticas obtenidas:', stats);
+      return { success: true, data: stats };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo estadísticas:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo estadísticas'
+      };
+    }
+  }
+
+  // ===================================
+  // 🔧 MÉTODOS ADICIONALES REQUERIDOS
+  // ===================================
+
+  /**
+   * **ACTUALIZAR LIBRO EN LIBRERÍA** 📖✏️
+   */
+  async updateBookInLibrary(userId, bookId, updateData) {
+    // Marcar como leído registra la fecha de fin (la usan las metas anuales)
+    const changes = this.withCompletionDate(updateData);
+
+    try {
+      console.log('📖✏️ FirestoreService: Actualizando libro en librería', bookId);
+
+      if (await this.shouldQueueWrites(userId)) {
+        return await this.queueLibraryOperation(userId, 'update', bookId, changes);
+      }
+      
+      await this.withNetworkTimeout(updateDoc(
+        doc(this.db, 'libraries', userId, 'books', bookId),
         {
-          ...updateData,
+          ...changes,
           fechaActualizacion: serverTimestamp()
         }
-      );
+      ));
+      if (changes.estadoLectura) {
+        const updated = await this.getBookFromLibrary(userId, bookId);
+        if (updated.success) {
+          await this.recordLibraryActivity(userId, 'update', updated.data);
+        }
+      }
+      
+      console.log('✅ Libro actualizado en la librería');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error actualizando libro:', error);
+
+      if (this.isOfflineError(error)) {
+        return await this.queueLibraryOperation(userId, 'update', bookId, changes);
+      }
+
+      return {
+        success: false,
+        error: 'Error actualizando libro en la librería'
+      };
+    }
+  }
+
+  /**
+   * **ACTUALIZAR PERFIL DE USUARIO** 👤✏️
+   *
+   * Solo se guardan los campos de `APP_CONFIG.PROFILE_FIELDS`; las
+   * reglas de Firestore rechazan cualquier otro.
+   */
+  async updateUserProfile(userId, updateData) {
+    try {
+      console.log('👤✏️ FirestoreService: Actualizando perfil de usuario', userId);
+
+      const changes = this.validateProfileData(updateData);
+
+      const userRef = doc(this.db, 'users', userId);
+      const current = await getDoc(userRef);
+
+      // El perfil y su copia pública cambian juntos
+      const batch = writeBatch(this.db);
+      batch.update(userRef, {
+        ...changes,
+        fechaActualizacion: serverTimestamp()
+      });
+      batch.set(this.getPublicProfileRef(userId), this.buildPublicProfile({ ...current.data(), ...changes }));
+      await batch.commit();
+      this.userSummaryCache.delete(userId);
       
       console.log('✅ Perfil de usuario actualizado');
       return { success: true };
@@ -723,7 +4404,7 @@ class FirestoreService {
       console.error('❌ Error actualizando perfil:', error);
       return {
         success: false,
-        error: 'Error actualizando perfil de usuario'
+        error: error.message || 'Error actualizando perfil de usuario'
       };
     }
   }
@@ -4,7 +4,8 @@ import {
   uploadBytesResumable,
   getDownloadURL, 
   deleteObject,
-  getMetadata 
+  getMetadata,
+  listAll
 } from 'firebase/storage';
 
 import { getFirebaseStorage } from './firebaseConfig';
@@ -227,6 +228,39 @@ class StorageService {
     }
   }
 
+  /**
+   * **ELIMINAR TODAS LAS FOTOS DE PERFIL** 🖼️🧹
+   *
+   * Para eliminar la cuenta: todo `profile-images/{userId}/` y la foto
+   * de la ruta anterior. Lo que ya no existe no es un error, así que se
+   * puede repetir.
+   */
+  async deleteAllProfileImages(userId) {
+    try {
+      console.log('🖼️🧹 StorageService: Eliminando fotos de perfil de', userId);
+
+      const folder = await listAll(ref(this.storage, `${this.profileImagePath}/${userId}`));
+      const refs = [...folder.items, ref(this.storage, `profile_images/${userId}.jpg`)];
+
+      const results = await Promise.allSettled(refs.map(item => deleteObject(item)));
+      const failed = results.find(result =>
+        result.status === 'rejected' && result.reason?.code !== 'storage/object-not-found'
+      );
+      if (failed) throw failed.reason;
+
+      const eliminadas = results.filter(result => result.status === 'fulfilled').length;
+      console.log(`✅ ${eliminadas} foto(s) eliminada(s)`);
+      return { success: true, data: { eliminadas } };
+
+    } catch (error) {
+      console.error('❌ Error eliminando fotos de perfil:', error);
+      return {
+        success: false,
+        error: this.handleStorageError(error)
+      };
+    }
+  }
+
   // ===================================
   // 📄 GESTIÓN DE ARCHIVOS TEMPORALES
   // ===================================
@@ -0,0 +1,187 @@
+import { firestoreService } from '../firebase/firestoreService';
+import { readingStatsService } from '../stats/readingStatsService';
+
+/**
+ * **SERVICIO DE METAS DE LECTURA EDUCATIVO** 🎯📚
+ *
+ * Reto anual de lectura: el usuario define cuántos libros (o páginas)
+ * quiere leer en el año y el progreso se calcula con los libros de su
+ * librería que pasaron a "read" dentro de ese año.
+ *
+ * También compara el avance con el ritmo esperado a la fecha (si va
+ * adelantado o atrasado) y mantiene el archivo de años anteriores.
+ *
+ * Patrones educativos demostrados:
+ * - Datos derivados (el progreso no se guarda, se calcula)
+ * - Cierre de períodos con una foto del resultado
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const GOAL_TYPES = {
+  libros: { label: 'libros', singular: 'libro' },
+  paginas: { label: 'páginas', singular: 'página' }
+};
+
+class ReadingGoalsService {
+  constructor() {
+    console.log('🎯 ReadingGoalsService inicializado');
+  }
+
+  // ===================================
+  // 📅 FECHAS
+  // ===================================
+
+  getCurrentYear(now = new Date()) {
+    return now.getFullYear();
+  }
+
+  /**
+   * **FECHA EN QUE SE TERMINÓ UN LIBRO** 🏁
+   *
+   * Misma regla que las estadísticas del perfil.
+   */
+  getCompletionDate(book) {
+    return readingStatsService.getCompletionDate(book);
+  }
+
+  /**
+   * **LIBROS TERMINADOS EN UN AÑO** 📚
+   */
+  getCompletedBooks(books, year) {
+    return books.filter(book => this.getCompletionDate(book)?.getFullYear() === year);
+  }
+
+  // ===================================
+  // 📊 PROGRESO
+  // ===================================
+
+  /**
+   * **CALCULAR PROGRESO DE UNA META** 📊
+   *
+   * `estado` es uno de:
+   * - `completed`: meta cumplida
+   * - `ahead` / `on-track` / `behind`: comparado con el ritmo esperado hoy
+   * - `failed`: el año terminó sin cumplirla
+   */
+  computeProgress(goal, books, now = new Date()) {
+    const { anio, tipo, meta } = goal;
+    const completed = this.getCompletedBooks(books, anio);
+
+    const logrado = tipo === 'paginas'
+      ? completed.reduce((total, book) => total + (Number(book.numeroPaginas) || 0), 0)
+      : completed.length;
+
+    // Fracción del año transcurrida
+    const start = new Date(anio, 0, 1);
+    const end = new Date(anio + 1, 0, 1);
+    const elapsed = Math.min(Math.max((now - start) / (end - start), 0), 1);
+
+    const esperado = meta * elapsed;
+    const diferencia = logrado - esperado;
+    const restante = Math.max(meta - logrado, 0);
+    const diasRestantes = Math.max(Math.ceil((end - now) / DAY_MS), 0);
+
+    // Margen para no declarar "atrasado" por una fracción de libro
+    const tolerance = tipo === 'paginas' ? meta * 0.01 : 0.5;
+
+    let estado;
+    if (logrado >= meta) estado = 'completed';
+    else if (elapsed >= 1) estado = 'failed';
+    else if (Math.abs(diferencia) <= tolerance) estado = 'on-track';
+    else estado = diferencia > 0 ? 'ahead' : 'behind';
+
+    return {
+      anio,
+      tipo,
+      meta,
+      logrado,
+      restante,
+      porcentaje: Math.min(Math.round((logrado / meta) * 100), 100),
+      esperado: Math.round(esperado * 10) / 10,
+      diferencia: Math.round(diferencia * 10) / 10,
+      estado,
+      diasRestantes,
+      // Cuánto hay que leer por semana para llegar a tiempo
+      ritmoSemanal: diasRestantes > 0 && restante > 0
+        ? Math.round((restante / (diasRestantes / 7)) * 10) / 10
+        : 0,
+      librosTerminados: completed.map(book => book.bookId)
+    };
+  }
+
+  /**
+   * **DESCRIPCIÓN DEL PROGRESO** 📝
+   *
+   * Texto corto para mostrar en pantalla.
+   */
+  describeProgress(progress) {
+    const unit = GOAL_TYPES[progress.tipo] || GOAL_TYPES.libros;
+    const amount = Math.abs(Math.round(progress.diferencia));
+    const label = amount === 1 ? unit.singular : unit.label;
+
+    switch (progress.estado) {
+      case 'completed':
+        return '¡Meta cumplida! 🎉';
+      case 'failed':
+        return `Te faltaron ${progress.restante} ${unit.label}`;
+      case 'ahead':
+        return `Vas ${amount} ${label} por delante`;
+      case 'behind':
+        return `Vas ${amount} ${label} por detrás · necesitas ${progress.ritmoSemanal} por semana para alcanzarla`;
+      default:
+        return 'Vas al día con tu meta';
+    }
+  }
+
+  // ===================================
+  // 🗄️ METAS Y ARCHIVO
+  // ===================================
+
+  /**
+   * **DEFINIR META DEL AÑO** 🎯
+   */
+  async saveGoal(userId, { tipo, meta, anio = this.getCurrentYear() }) {
+    if (anio < this.getCurrentYear()) {
+      return { success: false, error: 'No se pueden cambiar metas de años anteriores' };
+    }
+    return await firestoreService.setReadingGoal(userId, anio, { tipo, meta });
+  }
+
+  /**
+   * **ARCHIVO DE AÑOS ANTERIORES** 🗄️
+   *
+   * Las metas de años ya terminados se cierran la primera vez que se
+   * consultan: el resultado se calcula con la librería actual y queda
+   * guardado en la meta.
+   */
+  async getArchive(userId, books, now = new Date()) {
+    const result = await firestoreService.getReadingGoals(userId);
+    if (!result.success) return result;
+
+    const currentYear = this.getCurrentYear(now);
+    const pastGoals = result.data.filter(goal => goal.anio < currentYear);
+
+    const archive = await Promise.all(pastGoals.map(async (goal) => {
+      if (goal.resultado) {
+        return { ...goal, progress: goal.resultado };
+      }
+
+      const resultado = this.computeProgress(goal, books, now);
+      const closed = await firestoreService.closeReadingGoal(userId, goal.anio, resultado);
+      if (!closed.success) {
+        console.warn('⚠️ No se pudo cerrar la meta de', goal.anio);
+      }
+
+      return { ...goal, progress: resultado };
+    }));
+
+    return { success: true, data: archive };
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const readingGoalsService = new ReadingGoalsService();
+
+// Exportar también la clase para testing
+export { ReadingGoalsService };
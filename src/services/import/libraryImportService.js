@@ -0,0 +1,693 @@
+import { booksApiService } from '../api/booksApiService';
+import { federatedSearchService } from '../api/federatedSearchService';
+import { firestoreService } from '../firebase/firestoreService';
+import { localStorageService } from '../storage/localStorageService';
+import { reviewMarkupParser } from '../reviews/reviewMarkupParser';
+
+/**
+ * **SERVICIO DE IMPORTACIÓN DE LIBRERÍA EDUCATIVO** 📥📚
+ *
+ * Trae la librería desde una exportación CSV con el formato de
+ * Goodreads en tres pasos:
+ * 1. Buscar cada fila en el catálogo (por ISBN y por título + autor)
+ * 2. Escribir los libros encontrados en lotes de Firestore
+ * 3. Publicar como privadas las reseñas que traía el archivo
+ *
+ * El estado de cada fila se guarda en el dispositivo después de cada
+ * paso, así una importación cortada se retoma donde quedó. Las filas
+ * sin coincidencia quedan para que el usuario elija el libro a mano.
+ *
+ * Patrones educativos demostrados:
+ * - Parser de CSV (RFC 4180) sin dependencias
+ * - Trabajo largo reanudable con estado persistido
+ * - Escrituras en lote con avance
+ */
+
+// Estado de cada fila; `estadoResena` usa PENDING, IMPORTED y SKIPPED
+export const IMPORT_ROW_STATUS = {
+  PENDING: 'pendiente', // falta buscarla en el catálogo
+  MATCHED: 'encontrada', // tiene libro, falta escribirla
+  UNMATCHED: 'sin_coincidencia',
+  IMPORTED: 'importada',
+  EXISTING: 'ya_estaba',
+  SKIPPED: 'omitida'
+};
+
+export const IMPORT_PHASES = {
+  MATCHING: 'buscando',
+  WRITING: 'guardando',
+  REVIEWS: 'resenas'
+};
+
+// Campo de la fila → encabezado de Goodreads (en minúsculas)
+const GOODREADS_COLUMNS = {
+  titulo: 'title',
+  autor: 'author',
+  isbn: 'isbn',
+  isbn13: 'isbn13',
+  calificacion: 'my rating',
+  estante: 'exclusive shelf',
+  fechaLectura: 'date read',
+  fechaAgregado: 'date added',
+  resena: 'my review',
+  spoiler: 'spoiler',
+  numeroPaginas: 'number of pages'
+};
+
+const REQUIRED_COLUMNS = ['titulo', 'autor'];
+
+// Estante exclusivo de Goodreads → `estadoLectura`
+const SHELF_STATUS = {
+  read: 'read',
+  'currently-reading': 'reading',
+  'to-read': 'want-to-read'
+};
+
+// Estantes propios que en la práctica significan "abandonado"
+const ABANDONED_SHELF_PATTERN = /dnf|did-not-finish|abandon/i;
+
+// Campos del libro del catálogo que se guardan con la fila
+const BOOK_FIELDS = ['bookId', 'titulo', 'autor', 'portadaUrl', 'sinopsis', 'anoPublicacion',
+  'generos', 'isbn', 'editorial', 'numeroPaginas'];
+const CANDIDATE_FIELDS = ['bookId', 'titulo', 'autor', 'portadaUrl', 'anoPublicacion', 'isbn'];
+
+const pick = (source, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    picked[field] = source[field] ?? null;
+  });
+  return picked;
+};
+
+class LibraryImportService {
+  constructor() {
+    this.maxCandidates = 3;
+    this.searchResults = 10;
+    // Cada cuántas filas buscadas se guarda el avance
+    this.saveEvery = 10;
+
+    console.log('📥 LibraryImportService inicializado');
+  }
+
+  // ===================================
+  // 📄 LECTURA DEL CSV
+  // ===================================
+
+  /**
+   * **PARSEAR CSV** 📄
+   *
+   * Retorna un array de registros (arrays de strings). Admite comillas,
+   * comillas dobles escapadas (`""`), saltos de línea dentro de un
+   * campo y finales de línea `\n` o `\r\n`.
+   */
+  parseCsv(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let index = 0; index < input.length; index += 1) {
+      const char = input[index];
+
+      if (inQuotes) {
+        if (char === '"' && input[index + 1] === '"') {
+          field += '"';
+          index += 1;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[index + 1] === '\n') index += 1;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return records.filter(values => values.some(value => value.trim()));
+  }
+
+  /**
+   * **LEER EXPORTACIÓN DE GOODREADS** 📚📄
+   *
+   * Retorna `{ success, data }` con una fila por libro, o el error si
+   * al archivo le faltan columnas obligatorias.
+   */
+  parseGoodreadsExport(text) {
+    const records = this.parseCsv(text);
+    if (records.length < 2) {
+      return { success: false, error: 'El archivo no tiene libros para importar' };
+    }
+
+    const header = records[0].map(name => name.trim().toLowerCase());
+    const columns = {};
+    Object.entries(GOODREADS_COLUMNS).forEach(([field, name]) => {
+      columns[field] = header.indexOf(name);
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(field => columns[field] === -1);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `El archivo no parece una exportación de Goodreads: falta la columna "${GOODREADS_COLUMNS[missing[0]]}"`
+      };
+    }
+
+    const rows = records.slice(1)
+      .map((values, index) => this.parseRow(values, columns, index + 1))
+      .filter(row => row.titulo);
+
+    if (rows.length === 0) {
+      return { success: false, error: 'El archivo no tiene libros para importar' };
+    }
+
+    return { success: true, data: rows };
+  }
+
+  parseRow(values, columns, fila) {
+    const get = (field) => (columns[field] >= 0 ? (values[columns[field]] || '').trim() : '');
+
+    // 0 es "sin calificar" en Goodreads y en la librería
+    const rating = parseInt(get('calificacion'), 10);
+    const calificacion = rating >= 1 && rating <= 5 ? rating : 0;
+    const resena = this.buildReviewText(get('resena'), get('spoiler') === 'true');
+
+    const row = {
+      fila,
+      titulo: get('titulo'),
+      autor: get('autor'),
+      isbns: [get('isbn13'), get('isbn')].map(value => this.cleanIsbn(value)).filter(Boolean),
+      calificacion,
+      estadoLectura: this.mapShelf(get('estante')),
+      fechaLectura: this.parseDate(get('fechaLectura')),
+      fechaAgregado: this.parseDate(get('fechaAgregado')),
+      numeroPaginas: parseInt(get('numeroPaginas'), 10) || null,
+      resena,
+      estado: IMPORT_ROW_STATUS.PENDING,
+      book: null,
+      candidatos: [],
+      motivo: null,
+      estadoResena: resena ? IMPORT_ROW_STATUS.PENDING : null,
+      motivoResena: null
+    };
+
+    // Una reseña que no se podría publicar se descarta desde el inicio
+    if (resena) {
+      try {
+        firestoreService.validateReviewData({ calificacion: calificacion || null, texto: resena });
+      } catch (error) {
+        row.estadoResena = IMPORT_ROW_STATUS.SKIPPED;
+        row.motivoResena = calificacion ? error.message : 'La reseña no tiene calificación';
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * **ESTANTE → ESTADO DE LECTURA** 🗂️
+   *
+   * Los estantes propios se importan como "quiero leer", salvo los que
+   * indican que el libro se abandonó.
+   */
+  mapShelf(shelf) {
+    const normalized = (shelf || '').trim().toLowerCase();
+    if (SHELF_STATUS[normalized]) return SHELF_STATUS[normalized];
+    if (ABANDONED_SHELF_PATTERN.test(normalized)) return 'abandoned';
+    return 'want-to-read';
+  }
+
+  // Goodreads usa 2019/05/12; se guarda al mediodía para no cambiar de día por la zona horaria
+  parseDate(value) {
+    const match = String(value || '').match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+    if (!match) return null;
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  // Goodreads exporta los ISBN como ="0451526538"
+  cleanIsbn(value) {
+    const clean = String(value || '').replace(/[^0-9X]/gi, '').toUpperCase();
+    return clean.length === 10 || clean.length === 13 ? clean : null;
+  }
+
+  // "El Hobbit (La Tierra Media, #0)": la serie no forma parte del título
+  cleanTitle(title) {
+    return String(title || '').replace(/\s*\([^()]*#[^()]*\)\s*$/, '').trim();
+  }
+
+  /**
+   * **TEXTO DE LA RESEÑA** ✍️
+   *
+   * Goodreads guarda las reseñas en HTML. Se pasan a texto plano, se
+   * escapan los marcadores del formato de reseñas y, si estaban
+   * marcadas como spoiler, quedan enteras dentro de un spoiler.
+   */
+  buildReviewText(html, isSpoiler = false) {
+    const text = String(html || '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/p>\s*/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, '\'')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    if (!text) return null;
+
+    const escaped = reviewMarkupParser.escape(text);
+    return isSpoiler ? `||\n${escaped}\n||` : escaped;
+  }
+
+  // ===================================
+  // 💾 IMPORTACIÓN GUARDADA
+  // ===================================
+
+  /**
+   * **CREAR IMPORTACIÓN** 📥➕
+   *
+   * Lee el archivo y guarda la importación en el dispositivo; todavía
+   * no busca ni escribe nada. Reemplaza a una importación anterior.
+   */
+  async createImport(userId, text, nombreArchivo = null) {
+    const parsed = this.parseGoodreadsExport(text);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `goodreads_${Date.now()}`,
+      fuente: 'goodreads',
+      nombreArchivo,
+      fechaInicio: now,
+      fechaActualizacion: now,
+      rows: parsed.data
+    };
+
+    const saved = await localStorageService.saveLibraryImport(userId, job);
+    if (!saved.success) {
+      return { success: false, error: 'No se pudo guardar la importación en el dispositivo' };
+    }
+
+    console.log(`📥 Importación creada con ${job.rows.length} filas`);
+    return { success: true, data: job };
+  }
+
+  /**
+   * **IMPORTACIÓN GUARDADA** 📋
+   *
+   * `data` es `null` si no hay ninguna.
+   */
+  async getSavedImport(userId) {
+    const result = await localStorageService.getLibraryImport(userId);
+    return { success: true, data: result.success ? result.data : null };
+  }
+
+  async discardImport(userId) {
+    return await localStorageService.clearLibraryImport(userId);
+  }
+
+  async saveJob(userId, job) {
+    job.fechaActualizacion = new Date().toISOString();
+    return await localStorageService.saveLibraryImport(userId, job);
+  }
+
+  // ===================================
+  // ▶️ EJECUCIÓN
+  // ===================================
+
+  /**
+   * **EJECUTAR O RETOMAR IMPORTACIÓN** ▶️
+   *
+   * Procesa solo lo que falta: filas sin buscar, filas encontradas sin
+   * escribir y reseñas sin publicar. `onProgress({ fase, procesadas,
+   * total, job })` informa el avance; si `isCancelled()` devuelve true
+   * se pausa entre filas. Retorna el job actualizado en `data` (también
+   * si falla, para mostrar hasta dónde llegó).
+   */
+  async runImport(userId, job, options = {}) {
+    const { userName = 'Usuario', onProgress = null, isCancelled = () => false } = options;
+
+    const current = { ...job, rows: job.rows.map(row => ({ ...row })) };
+    const report = (fase, procesadas, total) => {
+      onProgress?.({ fase, procesadas, total, job: { ...current, rows: [...current.rows] } });
+    };
+
+    try {
+      console.log('▶️ LibraryImportService: Ejecutando importación', current.id);
+
+      const matched = await this.matchRows(userId, current, { report, isCancelled });
+      if (!matched) {
+        return { success: true, paused: true, data: current };
+      }
+
+      await this.writeRows(userId, current, { report });
+
+      const reviewed = await this.importReviews(userId, current, { userName, report, isCancelled });
+      await this.saveJob(userId, current);
+
+      console.log('✅ Importación procesada:', this.getSummary(current));
+      return { success: true, paused: !reviewed, data: current };
+
+    } catch (error) {
+      console.error('❌ Error en la importación:', error);
+      await this.saveJob(userId, current);
+      return {
+        success: false,
+        error: error.message || 'Error importando la librería',
+        data: current
+      };
+    }
+  }
+
+  /**
+   * **BUSCAR FILAS EN EL CATÁLOGO** 🔎
+   *
+   * Primero en el catálogo cacheado (sin red) y después en los
+   * proveedores. Retorna false si se pausó.
+   */
+  async matchRows(userId, job, { report, isCancelled }) {
+    const pending = job.rows.filter(row => row.estado === IMPORT_ROW_STATUS.PENDING);
+    if (pending.length === 0) return true;
+
+    const catalog = await booksApiService.getAllBooks(true);
+    const catalogIndex = this.buildCatalogIndex(catalog.success ? catalog.data : []);
+
+    const total = job.rows.length;
+    let processed = total - pending.length;
+    report(IMPORT_PHASES.MATCHING, processed, total);
+
+    for (const row of pending) {
+      if (isCancelled()) {
+        await this.saveJob(userId, job);
+        return false;
+      }
+
+      const { book, candidatos } = await this.findMatch(row, catalogIndex);
+      row.book = book ? pick(book, BOOK_FIELDS) : null;
+      row.candidatos = candidatos.map(candidate => pick(candidate, CANDIDATE_FIELDS));
+      row.estado = book ? IMPORT_ROW_STATUS.MATCHED : IMPORT_ROW_STATUS.UNMATCHED;
+
+      processed += 1;
+      report(IMPORT_PHASES.MATCHING, processed, total);
+      if (processed % this.saveEvery === 0) {
+        await this.saveJob(userId, job);
+      }
+    }
+
+    await this.saveJob(userId, job);
+    return true;
+  }
+
+  buildCatalogIndex(books) {
+    const index = new Map();
+    books.forEach(book => {
+      federatedSearchService.getDedupeKeys(book).forEach(key => {
+        if (!index.has(key)) index.set(key, book);
+      });
+    });
+    return index;
+  }
+
+  // Mismas claves que la búsqueda federada, sin la de id de la fuente
+  getRowKeys(row) {
+    return federatedSearchService.getDedupeKeys({
+      titulo: this.cleanTitle(row.titulo),
+      autor: row.autor,
+      industryIdentifiers: row.isbns.map(identifier => ({ identifier }))
+    }).filter(key => !key.startsWith('id:'));
+  }
+
+  /**
+   * **BUSCAR COINCIDENCIA** 🎯
+   *
+   * Un libro coincide si comparte un ISBN o el título + autor. Sin
+   * coincidencia se devuelven los primeros resultados de la búsqueda
+   * por título como sugerencias. Si el catálogo no responde se lanza
+   * el error para pausar la importación.
+   */
+  async findMatch(row, catalogIndex) {
+    const keys = this.getRowKeys(row);
+    const cached = keys.map(key => catalogIndex.get(key)).find(Boolean);
+    if (cached) {
+      return { book: cached, candidatos: [] };
+    }
+
+    const sharesKey = (book) => federatedSearchService.getDedupeKeys(book).some(key => keys.includes(key));
+
+    // Por ISBN; si la búsqueda falla se sigue con el título
+    if (row.isbns.length > 0) {
+      const byIsbn = await booksApiService.searchBooks(row.isbns[0], { maxResults: this.searchResults });
+      const found = byIsbn.success && byIsbn.data.find(sharesKey);
+      if (found) {
+        return { book: found, candidatos: [] };
+      }
+    }
+
+    const byTitle = await booksApiService.searchBooks(
+      `${this.cleanTitle(row.titulo)} ${row.autor}`,
+      { maxResults: this.searchResults }
+    );
+    if (!byTitle.success) {
+      throw new Error(`No se pudo consultar el catálogo: ${byTitle.error}`);
+    }
+
+    const found = byTitle.data.find(sharesKey);
+    return found
+      ? { book: found, candidatos: [] }
+      : { book: null, candidatos: byTitle.data.slice(0, this.maxCandidates) };
+  }
+
+  /**
+   * **ESCRIBIR LIBROS ENCONTRADOS** 💾
+   *
+   * Cada lote confirmado marca sus filas como importadas y guarda el
+   * avance. Si dos filas apuntan al mismo libro solo se escribe una.
+   */
+  async writeRows(userId, job, { report }) {
+    const seen = new Set(job.rows
+      .filter(row => row.estado === IMPORT_ROW_STATUS.IMPORTED || row.estado === IMPORT_ROW_STATUS.EXISTING)
+      .map(row => row.book.bookId));
+
+    const toWrite = [];
+    job.rows.filter(row => row.estado === IMPORT_ROW_STATUS.MATCHED).forEach(row => {
+      if (seen.has(row.book.bookId)) {
+        row.estado = IMPORT_ROW_STATUS.EXISTING;
+      } else {
+        seen.add(row.book.bookId);
+        toWrite.push(row);
+      }
+    });
+
+    if (toWrite.length === 0) return;
+
+    const rowsByBookId = new Map(toWrite.map(row => [row.book.bookId, row]));
+    let written = 0;
+    report(IMPORT_PHASES.WRITING, written, toWrite.length);
+
+    const result = await firestoreService.importLibraryBooks(
+      userId,
+      toWrite.map(row => this.buildLibraryBook(row, job.fuente)),
+      {
+        onBatch: async (bookIds) => {
+          bookIds.forEach(bookId => {
+            rowsByBookId.get(bookId).estado = IMPORT_ROW_STATUS.IMPORTED;
+          });
+          written += bookIds.length;
+          await this.saveJob(userId, job);
+          report(IMPORT_PHASES.WRITING, written, toWrite.length);
+        }
+      }
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    result.data.existing.forEach(bookId => {
+      rowsByBookId.get(bookId).estado = IMPORT_ROW_STATUS.EXISTING;
+    });
+    await this.saveJob(userId, job);
+  }
+
+  /**
+   * **LIBRO PARA LA LIBRERÍA** 📖
+   *
+   * Datos del catálogo con el estado, la calificación y las fechas del
+   * archivo. Un libro leído sin fecha de lectura usa la fecha en que se
+   * agregó, para no sumarlo a la meta del año de la importación.
+   */
+  buildLibraryBook(row, fuente) {
+    const { book } = row;
+    const isRead = row.estadoLectura === 'read';
+    const numeroPaginas = book.numeroPaginas || row.numeroPaginas || null;
+
+    return {
+      ...book,
+      generos: book.generos || [],
+      isbn: book.isbn || row.isbns[0] || null,
+      numeroPaginas,
+      estadoLectura: row.estadoLectura,
+      calificacionUsuario: row.calificacion,
+      paginaActual: isRead ? numeroPaginas || 0 : 0,
+      porcentajeLeido: isRead ? 100 : 0,
+      tieneReseña: false,
+      fechaFinLectura: isRead ? row.fechaLectura || row.fechaAgregado : null,
+      fechaAgregado: row.fechaAgregado,
+      importadoDe: fuente
+    };
+  }
+
+  /**
+   * **PUBLICAR RESEÑAS IMPORTADAS** ⭐📥
+   *
+   * Se publican como privadas: el usuario decide después cuáles
+   * mostrar. Una reseña rechazada (por ejemplo, porque ya había una
+   * para ese libro) queda omitida con el motivo. Retorna false si se
+   * pausó.
+   */
+  async importReviews(userId, job, { userName, report, isCancelled }) {
+    const pending = job.rows.filter(row =>
+      row.estadoResena === IMPORT_ROW_STATUS.PENDING &&
+      (row.estado === IMPORT_ROW_STATUS.IMPORTED || row.estado === IMPORT_ROW_STATUS.EXISTING)
+    );
+    if (pending.length === 0) return true;
+
+    let processed = 0;
+    report(IMPORT_PHASES.REVIEWS, processed, pending.length);
+
+    for (const row of pending) {
+      if (isCancelled()) {
+        await this.saveJob(userId, job);
+        return false;
+      }
+
+      const result = await firestoreService.createReview({
+        userId,
+        bookId: row.book.bookId,
+        calificacion: row.calificacion,
+        texto: row.resena,
+        esPrivada: true,
+        bookTitle: row.book.titulo,
+        bookAuthor: row.book.autor,
+        bookCover: row.book.portadaUrl,
+        userName
+      });
+
+      if (!result.success && result.offline) {
+        throw new Error(result.error);
+      }
+
+      row.estadoResena = result.success ? IMPORT_ROW_STATUS.IMPORTED : IMPORT_ROW_STATUS.SKIPPED;
+      row.motivoResena = result.success ? null : result.error;
+
+      processed += 1;
+      report(IMPORT_PHASES.REVIEWS, processed, pending.length);
+      await this.saveJob(userId, job);
+    }
+
+    return true;
+  }
+
+  // ===================================
+  // 🧩 RESOLUCIÓN MANUAL
+  // ===================================
+
+  /**
+   * **ELEGIR LIBRO PARA UNA FILA** 🧩
+   *
+   * La fila queda lista para escribirse en la próxima ejecución.
+   */
+  async resolveRow(userId, job, fila, book) {
+    return await this.updateRow(userId, job, fila, {
+      estado: IMPORT_ROW_STATUS.MATCHED,
+      book: pick(book, BOOK_FIELDS),
+      candidatos: [],
+      motivo: null
+    });
+  }
+
+  async skipRow(userId, job, fila) {
+    return await this.updateRow(userId, job, fila, {
+      estado: IMPORT_ROW_STATUS.SKIPPED,
+      candidatos: [],
+      motivo: 'Omitida por el usuario'
+    });
+  }
+
+  async updateRow(userId, job, fila, changes) {
+    const updated = {
+      ...job,
+      rows: job.rows.map(row => (row.fila === fila ? { ...row, ...changes } : row))
+    };
+
+    const saved = await this.saveJob(userId, updated);
+    if (!saved.success) {
+      return { success: false, error: 'No se pudo guardar el cambio' };
+    }
+    return { success: true, data: updated };
+  }
+
+  // ===================================
+  // 📊 RESUMEN
+  // ===================================
+
+  /**
+   * **RESUMEN DE LA IMPORTACIÓN** 📊
+   *
+   * `terminada` indica que no queda nada por procesar; las filas sin
+   * coincidencia todavía se pueden resolver.
+   */
+  getSummary(job) {
+    const count = (predicate) => job.rows.filter(predicate).length;
+    const withStatus = (estado) => count(row => row.estado === estado);
+    const inLibrary = (row) => row.estado === IMPORT_ROW_STATUS.IMPORTED || row.estado === IMPORT_ROW_STATUS.EXISTING;
+
+    const summary = {
+      total: job.rows.length,
+      pendientes: withStatus(IMPORT_ROW_STATUS.PENDING),
+      encontradas: withStatus(IMPORT_ROW_STATUS.MATCHED),
+      sinCoincidencia: withStatus(IMPORT_ROW_STATUS.UNMATCHED),
+      importadas: withStatus(IMPORT_ROW_STATUS.IMPORTED),
+      yaEstaban: withStatus(IMPORT_ROW_STATUS.EXISTING),
+      omitidas: withStatus(IMPORT_ROW_STATUS.SKIPPED),
+      resenasImportadas: count(row => row.estadoResena === IMPORT_ROW_STATUS.IMPORTED),
+      resenasPendientes: count(row => row.estadoResena === IMPORT_ROW_STATUS.PENDING && inLibrary(row)),
+      resenasOmitidas: count(row => row.estadoResena === IMPORT_ROW_STATUS.SKIPPED && inLibrary(row))
+    };
+
+    summary.terminada = summary.pendientes === 0 && summary.encontradas === 0 && summary.resenasPendientes === 0;
+    return summary;
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const libraryImportService = new LibraryImportService();
+
+// Exportar también la clase para testing
+export { LibraryImportService };
@@ -33,7 +33,9 @@ export {
 // Servicio de Firestore
 export { 
   firestoreService, 
-  FirestoreService 
+  FirestoreService,
+  ACTIVITY_TYPES,
+  ANONYMOUS_REVIEWER_NAME
 } from './firebase/firestoreService';
 
 // Servicio de Storage
@@ -52,6 +54,12 @@ export {
   BooksApiService 
 } from './api/booksApiService';
 
+// Búsqueda federada en varias fuentes
+export { 
+  federatedSearchService, 
+  FederatedSearchService 
+} from './api/federatedSearchService';
+
 // ===================================
 // 💾 SERVICIOS DE ALMACENAMIENTO LOCAL
 // ===================================
@@ -62,6 +70,98 @@ export {
   LocalStorageService 
 } from './storage/localStorageService';
 
+// Cola de operaciones offline
+export { 
+  offlineQueueService, 
+  OfflineQueueService 
+} from './storage/offlineQueueService';
+
+// Cache de dos niveles para la API de libros
+export { 
+  bookCacheService, 
+  BookCacheService 
+} from './storage/bookCacheService';
+
+// ===================================
+// 🔎 BÚSQUEDA LOCAL
+// ===================================
+
+// Análisis de texto e índice invertido
+export { 
+  textAnalyzer, 
+  TextAnalyzer 
+} from './search/textAnalyzer';
+
+export { 
+  SearchIndex, 
+  BOOK_INDEX_FIELDS 
+} from './search/searchIndex';
+
+// Lenguaje de consultas (autor:"Borges" año:>1950 -genero:poesia)
+export { 
+  queryParser, 
+  QueryParser 
+} from './search/queryParser';
+
+// ===================================
+// 🎯 SERVICIOS DE METAS Y ESTADÍSTICAS
+// ===================================
+
+// Reto anual de lectura
+export { 
+  readingGoalsService, 
+  ReadingGoalsService, 
+  GOAL_TYPES 
+} from './goals/readingGoalsService';
+
+// Estadísticas de lectura (funciones puras, sin red)
+export { 
+  readingStatsService, 
+  ReadingStatsService 
+} from './stats/readingStatsService';
+
+// ===================================
+// ✍️ SERVICIOS DE RESEÑAS
+// ===================================
+
+// Formato liviano y spoilers en el texto de las reseñas
+export { 
+  reviewMarkupParser, 
+  ReviewMarkupParser 
+} from './reviews/reviewMarkupParser';
+
+// ===================================
+// 📥 IMPORTACIÓN DE LIBRERÍA
+// ===================================
+
+// Exportaciones CSV de Goodreads, reanudables
+export {
+  libraryImportService,
+  LibraryImportService,
+  IMPORT_ROW_STATUS,
+  IMPORT_PHASES
+} from './import/libraryImportService';
+
+// ===================================
+// 📦 DATOS DE LA CUENTA
+// ===================================
+
+// Exportación completa (JSON y CSV) y restauración
+export {
+  accountDataService,
+  AccountDataService,
+  EXPORT_FORMAT,
+  EXPORT_VERSION
+} from './account/accountDataService';
+
+// Eliminación de la cuenta por pasos reanudables
+export {
+  accountDeletionService,
+  AccountDeletionService,
+  DELETION_STEPS,
+  REVIEW_DELETION_MODES
+} from './account/accountDeletionService';
+
 // ===================================
 // 🛠️ SERVICIOS COMPUESTOS Y UTILIDADES
 // ===================================
@@ -151,7 +251,7 @@ export class MyLibraryServices {
       await this.auth.signOut();
       
       // Limpiar cache de API
-      this.booksApi.clearAllCache();
+      await this.booksApi.clearAllCache();
       
       // Limpiar storage local
       if (userId) {
@@ -247,7 +347,9 @@ export const createMockServices = () => ({
     updateUser: jest.fn(),
     getUserLibrary: jest.fn(),
     addBookToLibrary: jest.fn(),
-    saveReview: jest.fn()
+    createReview: jest.fn(),
+    updateReview: jest.fn(),
+    deleteReview: jest.fn()
   },
   storage: {
     uploadProfileImage: jest.fn(),
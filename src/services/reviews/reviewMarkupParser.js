@@ -0,0 +1,289 @@
+/**
+ * **PARSER DE FORMATO DE RESEÑAS EDUCATIVO** ✍️🧾
+ *
+ * Las reseñas admiten un formato liviano:
+ *
+ *   **negrita**   *cursiva* (o _cursiva_)   ||spoiler||
+ *   > cita
+ *   - elemento de lista (también `* ` o `1. `)
+ *   ||            ← spoiler de varios párrafos, abre y cierra con
+ *   ...              `||` en una línea propia
+ *   ||
+ *
+ * El texto se convierte en un árbol de nodos planos (`type` + texto o
+ * hijos) que los componentes dibujan con <Text>. Nunca se interpreta
+ * HTML ni se generan enlaces, así que el árbol es seguro por
+ * construcción. `\` delante de un marcador lo deja como texto.
+ *
+ * Patrones educativos demostrados:
+ * - Parser en dos pasadas (bloques por línea, luego formato en línea)
+ * - Límite de profundidad para entradas maliciosas
+ * - Texto visible separado del texto con marcas
+ */
+
+// Marcadores en línea, del más largo al más corto
+const INLINE_MARKERS = [
+  { marker: '**', type: 'bold' },
+  { marker: '||', type: 'spoiler' },
+  { marker: '*', type: 'italic' },
+  { marker: '_', type: 'italic' }
+];
+
+const ESCAPABLE = new Set(['*', '_', '|', '>', '-', '\\']);
+
+// Más allá de este anidamiento el resto se trata como texto
+const MAX_DEPTH = 4;
+
+// Caracteres de control salvo tab y salto de línea. Se arma desde texto
+// para que el código no lleve caracteres de control en una regex literal
+const CONTROL_CHARACTERS_PATTERN = '[\\u0000-\\u0008\\u000B-\\u001F\\u007F]';
+const CONTROL_CHARACTERS = new RegExp(CONTROL_CHARACTERS_PATTERN, 'g');
+
+const BLOCK_SPOILER = '||';
+const QUOTE_PATTERN = /^>\s?(.*)$/;
+const BULLET_PATTERN = /^[-*]\s+(.*)$/;
+const ORDERED_PATTERN = /^\d{1,3}[.)]\s+(.*)$/;
+
+class ReviewMarkupParser {
+
+  // ===================================
+  // 🧱 BLOQUES
+  // ===================================
+
+  /**
+   * **PARSEAR TEXTO** 🧾
+   *
+   * Retorna `{ type: 'document', children }` con bloques `paragraph`,
+   * `quote`, `list` y `spoiler`.
+   */
+  parse(text) {
+    const clean = String(text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(CONTROL_CHARACTERS, '');
+
+    return { type: 'document', children: this.parseBlocks(clean.split('\n'), 0) };
+  }
+
+  parseBlocks(lines, depth) {
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+      const line = lines[index];
+      const trimmed = line.trim();
+
+      if (!trimmed) {
+        index += 1;
+        continue;
+      }
+
+      // Spoiler de bloque: `||` solo en la línea hasta el próximo `||`
+      if (trimmed === BLOCK_SPOILER && depth < MAX_DEPTH) {
+        const closing = lines.findIndex((candidate, position) => position > index && candidate.trim() === BLOCK_SPOILER);
+        if (closing !== -1) {
+          const children = this.parseBlocks(lines.slice(index + 1, closing), depth + 1);
+          if (children.length > 0) {
+            blocks.push({ type: 'spoiler', children });
+          }
+          index = closing + 1;
+          continue;
+        }
+      }
+
+      if (QUOTE_PATTERN.test(trimmed)) {
+        const quoted = [];
+        while (index < lines.length && QUOTE_PATTERN.test(lines[index].trim())) {
+          quoted.push(lines[index].trim().match(QUOTE_PATTERN)[1]);
+          index += 1;
+        }
+        blocks.push({ type: 'quote', children: this.parseInline(quoted.join('\n'), depth + 1) });
+        continue;
+      }
+
+      const listPattern = ORDERED_PATTERN.test(trimmed) ? ORDERED_PATTERN : BULLET_PATTERN.test(trimmed) ? BULLET_PATTERN : null;
+      if (listPattern) {
+        const items = [];
+        while (index < lines.length && listPattern.test(lines[index].trim())) {
+          items.push(this.parseInline(lines[index].trim().match(listPattern)[1], depth + 1));
+          index += 1;
+        }
+        blocks.push({ type: 'list', ordered: listPattern === ORDERED_PATTERN, items });
+        continue;
+      }
+
+      // Párrafo: líneas seguidas que no empiezan otro bloque
+      const paragraph = [];
+      while (index < lines.length && lines[index].trim() && !this.startsBlock(lines[index].trim())) {
+        paragraph.push(lines[index].trim());
+        index += 1;
+      }
+      if (paragraph.length === 0) {
+        // `||` sin cierre: queda como texto
+        paragraph.push(trimmed);
+        index += 1;
+      }
+      blocks.push({ type: 'paragraph', children: this.parseInline(paragraph.join('\n'), depth + 1) });
+    }
+
+    return blocks;
+  }
+
+  startsBlock(trimmed) {
+    return trimmed === BLOCK_SPOILER ||
+      QUOTE_PATTERN.test(trimmed) ||
+      BULLET_PATTERN.test(trimmed) ||
+      ORDERED_PATTERN.test(trimmed);
+  }
+
+  // ===================================
+  // 🔤 FORMATO EN LÍNEA
+  // ===================================
+
+  /**
+   * **PARSEAR FORMATO EN LÍNEA** 🔤
+   *
+   * Un marcador solo abre si tiene cierre con contenido; si no, se
+   * muestra tal cual. Como en CommonMark, `*` y `_` necesitan un
+   * carácter que no sea espacio justo después de abrir y justo antes de
+   * cerrar: en "2 * 3 * 4" no hay cursiva.
+   */
+  parseInline(text, depth) {
+    const nodes = [];
+    let buffer = '';
+    let index = 0;
+
+    const flush = () => {
+      if (buffer) nodes.push({ type: 'text', text: buffer });
+      buffer = '';
+    };
+
+    while (index < text.length) {
+      const char = text[index];
+
+      if (char === '\\' && ESCAPABLE.has(text[index + 1])) {
+        buffer += text[index + 1];
+        index += 2;
+        continue;
+      }
+
+      const match = depth < MAX_DEPTH && this.findInlineSpan(text, index);
+      if (match) {
+        flush();
+        nodes.push({ type: match.type, children: this.parseInline(match.content, depth + 1) });
+        index = match.end;
+        continue;
+      }
+
+      buffer += char;
+      index += 1;
+    }
+
+    flush();
+    return nodes;
+  }
+
+  findInlineSpan(text, start) {
+    for (const { marker, type } of INLINE_MARKERS) {
+      if (!text.startsWith(marker, start)) continue;
+      // `_` dentro de una palabra (nombre_de_algo) no es cursiva
+      if (marker === '_' && /[\p{L}\p{N}]/u.test(text[start - 1] || '')) return null;
+
+      const contentStart = start + marker.length;
+      const flanking = type !== 'spoiler';
+      if (flanking && !/\S/.test(text[contentStart] || '')) return null;
+
+      let close = text.indexOf(marker, contentStart);
+      while (close !== -1) {
+        if (marker === '*' && text[close + 1] === '*') {
+          // `*` no debe confundirse con el cierre de `**`
+          close = text.indexOf(marker, close + 2);
+        } else if (marker === '**' && text[close + 2] === '*') {
+          // En `***` el cierre de `**` son los dos últimos (`**a *b***`)
+          close += 1;
+        } else if (text[close - 1] === '\\' || (flanking && /\s/.test(text[close - 1]))) {
+          // Escapado o después de un espacio: no cierra
+          close = text.indexOf(marker, close + 1);
+        } else {
+          break;
+        }
+      }
+
+      const content = close === -1 ? '' : text.slice(contentStart, close);
+      if (content.trim()) {
+        return { type, content, end: close + marker.length };
+      }
+      return null;
+    }
+    return null;
+  }
+
+  // ===================================
+  // 📏 TEXTO VISIBLE
+  // ===================================
+
+  /**
+   * **TEXTO VISIBLE** 👁️
+   *
+   * El texto que lee el usuario, sin marcadores. Los spoilers cuentan
+   * porque se pueden revelar; cada bloque se separa con un salto.
+   */
+  getVisibleText(textOrTree) {
+    const tree = typeof textOrTree === 'string' ? this.parse(textOrTree) : textOrTree;
+    return this.blocksToText(tree.children);
+  }
+
+  blocksToText(blocks) {
+    return blocks.map(block => {
+      if (block.type === 'list') {
+        return block.items.map(item => this.inlineToText(item)).join('\n');
+      }
+      if (block.type === 'spoiler') {
+        return this.blocksToText(block.children);
+      }
+      return this.inlineToText(block.children);
+    }).join('\n');
+  }
+
+  inlineToText(nodes) {
+    return nodes.map(node => (node.type === 'text' ? node.text : this.inlineToText(node.children))).join('');
+  }
+
+  /**
+   * **LARGO VISIBLE** 📏
+   *
+   * Es el largo que se compara con `REVIEW_MAX_LENGTH`.
+   */
+  getVisibleLength(text) {
+    return this.getVisibleText(text).length;
+  }
+
+  /**
+   * **¿TIENE SPOILERS?** 🙈
+   */
+  hasSpoilers(textOrTree) {
+    const tree = typeof textOrTree === 'string' ? this.parse(textOrTree) : textOrTree;
+    const visit = (node) => node.type === 'spoiler' ||
+      (node.children || []).some(visit) ||
+      (node.items || []).some(item => item.some(visit));
+    return visit(tree);
+  }
+
+  /**
+   * **ESCAPAR TEXTO PLANO** 🛡️
+   *
+   * Antepone `\` a los marcadores para que un texto escrito sin este
+   * formato (por ejemplo, una reseña importada) se muestre tal cual.
+   * El largo visible no cambia.
+   */
+  escape(text) {
+    return String(text || '')
+      .replace(/[\\*_|]/g, '\\$&')
+      .replace(/^(\s*)([>-])/gm, '$1\\$2');
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const reviewMarkupParser = new ReviewMarkupParser();
+
+// Exportar también la clase para testing
+export { ReviewMarkupParser };
@@ -0,0 +1,395 @@
+import { textAnalyzer } from './textAnalyzer';
+
+/**
+ * **PARSER DE CONSULTAS AVANZADAS EDUCATIVO** 🧾🔎
+ *
+ * Entiende un pequeño lenguaje de búsqueda para las cajas de búsqueda:
+ *
+ *   autor:"Borges" genero:ficcion año:>1950 estado:reading rating:>=4 -genero:poesia
+ *
+ * - `campo:valor` filtra por un campo (el valor puede ir entre comillas)
+ * - `>`, `>=`, `<`, `<=`, `=` y rangos `1950..1970` en campos numéricos
+ * - `-` delante de cualquier término lo niega
+ * - Las palabras sueltas son texto libre, también las que terminan en
+ *   `:` sin ser un campo ("Star Wars: Episodio", `http://…`)
+ *
+ * El texto se convierte en un AST, se valida (con mensajes pensados
+ * para el usuario) y se evalúa contra los libros normalizados de los
+ * proveedores de catálogo y los documentos de la librería en Firestore.
+ *
+ * Patrones educativos demostrados:
+ * - Tokenizer + parser descendente
+ * - Árbol de sintaxis abstracta (AST)
+ * - Validación separada de la evaluación
+ */
+
+// Campos de consulta: tipo, alias y cómo leer el valor de un libro
+const FIELDS = {
+  autor: { type: 'text', aliases: ['author', 'autores'], get: book => book.autor },
+  titulo: { type: 'text', aliases: ['title'], get: book => book.titulo },
+  genero: {
+    type: 'list',
+    aliases: ['generos', 'genre', 'categoria', 'categorias'],
+    get: book => [...(book.generos || []), ...(book.categorias || [])]
+  },
+  editorial: { type: 'text', aliases: ['publisher'], get: book => book.editorial },
+  idioma: { type: 'text', aliases: ['lang', 'language'], get: book => book.idioma },
+  isbn: { type: 'text', aliases: [], get: book => book.isbn },
+  fuente: {
+    type: 'list',
+    aliases: ['source'],
+    get: book => [book.fuente, ...(book.fuentes || []).map(fuente => fuente.id)].filter(Boolean)
+  },
+  ano: {
+    type: 'number',
+    aliases: ['anio', 'year'],
+    label: 'año',
+    example: 'año:>1950 o año:1950..1970',
+    get: book => book.anoPublicacion
+  },
+  paginas: { type: 'number', aliases: ['pages'], example: 'paginas:<300', get: book => book.numeroPaginas },
+  rating: {
+    type: 'number',
+    aliases: ['calificacion', 'estrellas'],
+    example: 'rating:>=4',
+    // En la librería manda la calificación del usuario; en el catálogo, la promedio
+    get: book => book.calificacionUsuario || book.rating
+  },
+  estado: {
+    type: 'enum',
+    aliases: ['status'],
+    values: {
+      'want-to-read': ['por-leer', 'porleer', 'quiero-leer', 'pendiente'],
+      reading: ['leyendo'],
+      read: ['leido', 'terminado']
+    },
+    get: book => book.estadoLectura
+  },
+  resena: {
+    type: 'boolean',
+    aliases: ['review'],
+    label: 'reseña',
+    get: book => !!book['tieneReseña']
+  }
+};
+
+const COMPARATORS = [
+  { symbol: '>=', operator: 'gte' },
+  { symbol: '<=', operator: 'lte' },
+  { symbol: '>', operator: 'gt' },
+  { symbol: '<', operator: 'lt' },
+  { symbol: '=', operator: 'eq' }
+];
+
+const BOOLEAN_VALUES = {
+  true: ['si', 'true', '1', 'yes'],
+  false: ['no', 'false', '0']
+};
+
+class QueryParser {
+  constructor() {
+    // Alias plegado → nombre canónico del campo
+    this.fieldLookup = new Map();
+    Object.entries(FIELDS).forEach(([name, definition]) => {
+      [name, ...definition.aliases].forEach(alias => {
+        this.fieldLookup.set(textAnalyzer.fold(alias), name);
+      });
+    });
+  }
+
+  // ===================================
+  // 🧾 PARSEO
+  // ===================================
+
+  /**
+   * **PARSEAR CONSULTA** 🧾
+   *
+   * Retorna `{ success, ast, errors, error }`. Aunque haya errores
+   * el AST contiene las cláusulas válidas.
+   */
+  parse(input) {
+    const errors = [];
+    const clauses = [];
+
+    this.tokenize(String(input || ''), errors).forEach(token => {
+      const clause = token.key === null
+        ? { type: 'text', value: token.value, negated: token.negated, position: token.position }
+        : this.parseFieldClause(token, errors);
+
+      if (clause) clauses.push(clause);
+    });
+
+    return {
+      success: errors.length === 0,
+      ast: { type: 'query', clauses },
+      errors,
+      error: errors[0]?.message || null
+    };
+  }
+
+  /**
+   * **TOKENIZAR** ✂️
+   *
+   * Produce `{ key, value, negated, quoted, position }` por término.
+   */
+  tokenize(input, errors) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      if (/\s/.test(input[i])) {
+        i++;
+        continue;
+      }
+
+      const position = i;
+      let negated = false;
+      if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+        negated = true;
+        i++;
+      }
+
+      // ¿Empieza con "campo:"? Si no es un campo conocido, todo es texto
+      let key = null;
+      const keyMatch = /^([^\s:"]+):/.exec(input.slice(i));
+      if (keyMatch && this.fieldLookup.has(textAnalyzer.fold(keyMatch[1]))) {
+        key = keyMatch[1];
+        i += keyMatch[0].length;
+      }
+
+      let value = '';
+      let quoted = false;
+      if (input[i] === '"') {
+        const closing = input.indexOf('"', i + 1);
+        if (closing === -1) {
+          errors.push({ message: 'Falta cerrar las comillas', position: i });
+          value = input.slice(i + 1);
+          i = input.length;
+        } else {
+          value = input.slice(i + 1, closing);
+          i = closing + 1;
+        }
+        quoted = true;
+      } else {
+        const start = i;
+        while (i < input.length && !/\s/.test(input[i])) i++;
+        value = input.slice(start, i);
+      }
+
+      if (key !== null && !value.trim()) {
+        errors.push({ message: `Falta el valor después de "${key}:"`, position });
+        continue;
+      }
+
+      if (value.trim() || quoted) {
+        tokens.push({ key, value: value.trim(), negated, quoted, position });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * **PARSEAR CLÁUSULA DE CAMPO** 🏷️
+   */
+  parseFieldClause(token, errors) {
+    const field = this.fieldLookup.get(textAnalyzer.fold(token.key));
+    const definition = FIELDS[field];
+    const label = definition.label || field;
+    const base = { type: 'field', field, negated: token.negated, position: token.position };
+
+    // Comparadores (no aplican a valores entre comillas)
+    const comparator = token.quoted
+      ? null
+      : COMPARATORS.find(candidate => token.value.startsWith(candidate.symbol));
+    const rawValue = comparator ? token.value.slice(comparator.symbol.length).trim() : token.value;
+
+    switch (definition.type) {
+      case 'number': {
+        const range = /^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/.exec(rawValue);
+        if (!comparator && range) {
+          const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+          return { ...base, operator: 'between', value: [min, max] };
+        }
+
+        const number = Number(rawValue);
+        if (rawValue === '' || Number.isNaN(number)) {
+          errors.push({
+            message: `"${label}" necesita un número, por ejemplo ${definition.example}`,
+            position: token.position
+          });
+          return null;
+        }
+        return { ...base, operator: comparator ? comparator.operator : 'eq', value: number };
+      }
+
+      case 'enum': {
+        if (comparator && comparator.operator !== 'eq') {
+          errors.push({ message: `"${label}" no admite comparaciones`, position: token.position });
+          return null;
+        }
+
+        const value = this.resolveEnumValue(definition, rawValue);
+        if (!value) {
+          errors.push({
+            message: `Valor no válido para "${label}": "${rawValue}". Usa: ${this.getEnumValues(definition).join(', ')}`,
+            position: token.position
+          });
+          return null;
+        }
+        return { ...base, operator: 'eq', value };
+      }
+
+      case 'boolean': {
+        const folded = textAnalyzer.fold(rawValue);
+        const value = BOOLEAN_VALUES.true.includes(folded)
+          ? true
+          : BOOLEAN_VALUES.false.includes(folded) ? false : null;
+
+        if (value === null) {
+          errors.push({ message: `"${label}" acepta "si" o "no"`, position: token.position });
+          return null;
+        }
+        return { ...base, operator: 'eq', value };
+      }
+
+      default: {
+        if (comparator && comparator.operator !== 'eq') {
+          errors.push({
+            message: `"${label}" es un campo de texto y no admite ${comparator.symbol}`,
+            position: token.position
+          });
+          return null;
+        }
+        return { ...base, operator: comparator ? 'eq' : 'contains', value: rawValue };
+      }
+    }
+  }
+
+  // ===================================
+  // ⚖️ EVALUACIÓN
+  // ===================================
+
+  /**
+   * **EVALUAR CONSULTA SOBRE UN LIBRO** ⚖️
+   *
+   * Todas las cláusulas deben cumplirse. Con `skipText` se ignoran
+   * las cláusulas de texto libre positivas (cuando ya las resolvió
+   * el índice de búsqueda o la API).
+   */
+  evaluate(ast, book, { skipText = false } = {}) {
+    return ast.clauses.every(clause => {
+      if (clause.type === 'text' && skipText && !clause.negated) {
+        return true;
+      }
+
+      const matches = clause.type === 'text'
+        ? this.matchText(book, clause.value)
+        : this.matchField(book, clause);
+
+      return clause.negated ? !matches : matches;
+    });
+  }
+
+  matchText(book, value) {
+    const haystack = textAnalyzer.fold([
+      book.titulo,
+      book.autor,
+      book.sinopsis,
+      ...(book.generos || [])
+    ].filter(Boolean).join(' '));
+
+    return haystack.includes(textAnalyzer.fold(value));
+  }
+
+  matchField(book, clause) {
+    const definition = FIELDS[clause.field];
+    const actual = definition.get(book);
+
+    switch (definition.type) {
+      case 'number': {
+        if (actual === null || actual === undefined || actual === '') return false;
+        const number = Number(actual);
+        switch (clause.operator) {
+          case 'gt': return number > clause.value;
+          case 'gte': return number >= clause.value;
+          case 'lt': return number < clause.value;
+          case 'lte': return number <= clause.value;
+          case 'between': return number >= clause.value[0] && number <= clause.value[1];
+          default: return number === clause.value;
+        }
+      }
+
+      case 'enum':
+      case 'boolean':
+        return actual === clause.value;
+
+      case 'list': {
+        const needle = textAnalyzer.fold(clause.value);
+        return (actual || []).some(item => this.matchTextValue(item, needle, clause.operator));
+      }
+
+      default:
+        return this.matchTextValue(actual, textAnalyzer.fold(clause.value), clause.operator);
+    }
+  }
+
+  matchTextValue(actual, needle, operator) {
+    const folded = textAnalyzer.fold(actual);
+    return operator === 'eq' ? folded === needle : folded.includes(needle);
+  }
+
+  /**
+   * **FILTRAR LIBROS CON UNA CONSULTA** 🔍
+   *
+   * Si se pasa un SearchIndex, el texto libre se resuelve con él
+   * (acentos, raíces y errores de tipeo) y el resultado conserva su
+   * orden por relevancia; los filtros de campo se aplican después.
+   */
+  filterBooks(books, ast, { index = null, skipText = false } = {}) {
+    const text = this.getTextQuery(ast);
+    const useIndex = !!index && !!text && !skipText;
+    const candidates = useIndex ? index.filter(text) : books;
+
+    return candidates.filter(book => this.evaluate(ast, book, { skipText: skipText || useIndex }));
+  }
+
+  // ===================================
+  // 🛠️ UTILIDADES
+  // ===================================
+
+  /**
+   * **TEXTO LIBRE POSITIVO** 📝
+   *
+   * Lo que se puede enviar a un buscador de texto (índice o API).
+   */
+  getTextQuery(ast) {
+    return ast.clauses
+      .filter(clause => clause.type === 'text' && !clause.negated)
+      .map(clause => clause.value)
+      .join(' ');
+  }
+
+  hasFieldClauses(ast) {
+    return ast.clauses.some(clause => clause.type === 'field' || clause.negated);
+  }
+
+  resolveEnumValue(definition, rawValue) {
+    const folded = textAnalyzer.fold(rawValue).replace(/\s+/g, '-');
+    return Object.entries(definition.values).find(([canonical, aliases]) =>
+      canonical === folded || aliases.includes(folded)
+    )?.[0] || null;
+  }
+
+  getEnumValues(definition) {
+    return Object.entries(definition.values).map(([canonical, aliases]) =>
+      aliases.length ? `${canonical} (${aliases[0]})` : canonical
+    );
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const queryParser = new QueryParser();
+
+// Exportar también la clase para testing
+export { QueryParser };
@@ -0,0 +1,315 @@
+import { textAnalyzer } from './textAnalyzer';
+
+/**
+ * **ÍNDICE INVERTIDO EDUCATIVO** 🗂️🔎
+ *
+ * Índice de texto completo en memoria para listas de libros:
+ * - Cada término apunta a los documentos que lo contienen (posting list)
+ * - Los campos tienen peso (un término del título vale más que uno de la sinopsis)
+ * - Se actualiza de forma incremental: solo se reindexan los libros
+ *   agregados, modificados o eliminados
+ *
+ * Cada palabra de la consulta puede coincidir de tres formas, de más
+ * a menos puntaje: término exacto, prefijo ("garc" → "garcia") o con
+ * errores de tipeo ("borjes" → "borges"). Un libro aparece solo si
+ * todas las palabras de la consulta coinciden en algún campo.
+ *
+ * A diferencia de los servicios, no es un singleton: cada lista crea
+ * su propio índice.
+ */
+
+// Campos indexados de un libro y su peso
+export const BOOK_INDEX_FIELDS = [
+  { name: 'titulo', weight: 3 },
+  { name: 'autor', weight: 3 },
+  { name: 'generos', weight: 2 },
+  { name: 'sinopsis', weight: 1 }
+];
+
+// Multiplicador según el tipo de coincidencia
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.7,
+  typo: 0.4
+};
+
+class SearchIndex {
+  constructor({ fields = BOOK_INDEX_FIELDS, idField = 'bookId', languageField = 'idioma' } = {}) {
+    this.fields = fields;
+    this.idField = idField;
+    this.languageField = languageField;
+
+    this.postings = new Map(); // término → Map(docId → puntaje)
+    this.documents = new Map(); // docId → { doc, terms, signature }
+
+    // Lista ordenada de términos para búsquedas por prefijo (se recalcula al cambiar)
+    this.sortedTerms = null;
+  }
+
+  // ===================================
+  // 📥 MANTENIMIENTO DEL ÍNDICE
+  // ===================================
+
+  /**
+   * **AGREGAR O ACTUALIZAR DOCUMENTO** ➕
+   */
+  add(doc) {
+    const id = doc?.[this.idField];
+    if (!id) return false;
+
+    if (this.documents.has(id)) {
+      this.remove(id);
+    }
+
+    const termScores = this.analyzeDocument(doc);
+
+    termScores.forEach((score, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).set(id, score);
+    });
+
+    this.documents.set(id, {
+      doc,
+      terms: [...termScores.keys()],
+      signature: this.getSignature(doc)
+    });
+
+    return true;
+  }
+
+  /**
+   * **ELIMINAR DOCUMENTO** ➖
+   */
+  remove(id) {
+    const entry = this.documents.get(id);
+    if (!entry) return false;
+
+    entry.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    });
+
+    this.documents.delete(id);
+    return true;
+  }
+
+  /**
+   * **SINCRONIZAR CON UNA LISTA** 🔄
+   *
+   * Compara la lista actual con lo indexado y solo toca lo que
+   * cambió. Retorna cuántos documentos se agregaron, actualizaron
+   * y eliminaron.
+   */
+  sync(docs) {
+    const changes = { added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+
+    docs.forEach(doc => {
+      const id = doc?.[this.idField];
+      if (!id) return;
+      seen.add(id);
+
+      const entry = this.documents.get(id);
+      if (!entry) {
+        this.add(doc);
+        changes.added++;
+      } else if (entry.signature !== this.getSignature(doc)) {
+        this.add(doc);
+        changes.updated++;
+      } else {
+        // Mismo contenido indexado: conservar la versión más reciente del objeto
+        entry.doc = doc;
+      }
+    });
+
+    [...this.documents.keys()].forEach(id => {
+      if (!seen.has(id)) {
+        this.remove(id);
+        changes.removed++;
+      }
+    });
+
+    return changes;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    this.sortedTerms = null;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // ===================================
+  // 🔎 BÚSQUEDA
+  // ===================================
+
+  /**
+   * **BUSCAR** 🔎
+   *
+   * Retorna `[{ id, doc, score }]` ordenado por puntaje.
+   * Una consulta vacía no devuelve resultados.
+   */
+  search(query, { limit = null } = {}) {
+    const queryTerms = textAnalyzer.analyzeQuery(query);
+    if (queryTerms.length === 0) return [];
+
+    let scores = null;
+
+    for (const queryTerm of queryTerms) {
+      const termScores = this.scoreQueryTerm(queryTerm);
+
+      // Intersección: el documento debe coincidir con todas las palabras
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        const intersected = new Map();
+        scores.forEach((score, id) => {
+          if (termScores.has(id)) {
+            intersected.set(id, score + termScores.get(id));
+          }
+        });
+        scores = intersected;
+      }
+
+      if (scores.size === 0) return [];
+    }
+
+    const results = [...scores.entries()]
+      .map(([id, score]) => ({ id, doc: this.documents.get(id).doc, score }))
+      .sort((a, b) => b.score - a.score);
+
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * **FILTRAR UNA LISTA** 🔍
+   *
+   * Atajo para pantallas: devuelve los documentos que coinciden,
+   * ordenados por relevancia.
+   */
+  filter(query) {
+    return this.search(query).map(result => result.doc);
+  }
+
+  /**
+   * **PUNTAJE DE UNA PALABRA DE LA CONSULTA** 🧮
+   *
+   * Para cada documento se queda con la mejor coincidencia.
+   */
+  scoreQueryTerm({ token, stems }) {
+    const scores = new Map();
+
+    const addMatches = (term, matchWeight) => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      posting.forEach((score, id) => {
+        const weighted = score * matchWeight;
+        if (weighted > (scores.get(id) || 0)) {
+          scores.set(id, weighted);
+        }
+      });
+    };
+
+    // 1. Término exacto (por raíz)
+    stems.forEach(stem => addMatches(stem, MATCH_WEIGHTS.exact));
+
+    // 2. Prefijo: la palabra se está terminando de escribir
+    const prefixes = [...new Set([token, ...stems])];
+    this.getTermsWithPrefix(prefixes).forEach(term => addMatches(term, MATCH_WEIGHTS.prefix));
+
+    // 3. Errores de tipeo, solo si no hubo ninguna coincidencia mejor
+    if (scores.size === 0) {
+      const maxTypos = textAnalyzer.getMaxTypos(token);
+      if (maxTypos > 0) {
+        this.getTerms().forEach(term => {
+          const distance = Math.min(...stems.map(stem =>
+            textAnalyzer.editDistance(stem, term, maxTypos)
+          ));
+          if (distance <= maxTypos) {
+            addMatches(term, MATCH_WEIGHTS.typo / distance);
+          }
+        });
+      }
+    }
+
+    return scores;
+  }
+
+  // ===================================
+  // 🛠️ UTILIDADES
+  // ===================================
+
+  /**
+   * **ANALIZAR DOCUMENTO** 📝
+   *
+   * Suma el peso del campo por cada aparición del término.
+   */
+  analyzeDocument(doc) {
+    const language = doc[this.languageField];
+    const termScores = new Map();
+
+    this.fields.forEach(({ name, weight }) => {
+      const value = doc[name];
+      const text = Array.isArray(value) ? value.join(' ') : value;
+
+      textAnalyzer.analyze(text, language).forEach(term => {
+        termScores.set(term, (termScores.get(term) || 0) + weight);
+      });
+    });
+
+    return termScores;
+  }
+
+  // Solo los campos indexados: otros cambios no requieren reindexar
+  getSignature(doc) {
+    return JSON.stringify(this.fields.map(({ name }) => doc[name] ?? null).concat(doc[this.languageField] ?? null));
+  }
+
+  getTerms() {
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].sort();
+    }
+    return this.sortedTerms;
+  }
+
+  /**
+   * **TÉRMINOS CON PREFIJO** 🔡
+   *
+   * Búsqueda binaria sobre la lista ordenada de términos.
+   */
+  getTermsWithPrefix(prefixes) {
+    const terms = this.getTerms();
+    const matches = new Set();
+
+    prefixes.filter(prefix => prefix.length >= 2).forEach(prefix => {
+      let low = 0;
+      let high = terms.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (terms[middle] < prefix) low = middle + 1;
+        else high = middle;
+      }
+
+      for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+        if (terms[i] !== prefix) matches.add(terms[i]);
+      }
+    });
+
+    return [...matches];
+  }
+}
+
+export { SearchIndex };
@@ -0,0 +1,192 @@
+/**
+ * **ANALIZADOR DE TEXTO EDUCATIVO** 🔤
+ *
+ * Convierte texto libre en términos comparables para los buscadores:
+ * - Plegado de acentos y mayúsculas ("García" → "garcia")
+ * - Tokenización por palabras
+ * - Eliminación de palabras vacías (stopwords) en español e inglés
+ * - Stemming ligero en español e inglés ("novelas" → "novel")
+ * - Distancia de edición para tolerar errores de tipeo
+ *
+ * Patrones educativos demostrados:
+ * - Pipeline de análisis de texto
+ * - Stemming por sufijos
+ * - Distancia de Damerau-Levenshtein
+ */
+
+const STOPWORDS = {
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'al', 'y', 'o', 'en',
+    'por', 'para', 'con', 'sin', 'que', 'se', 'su', 'sus', 'lo', 'le', 'es', 'a'],
+  en: ['the', 'a', 'an', 'of', 'and', 'or', 'in', 'on', 'to', 'for', 'with', 'by', 'is', 'at']
+};
+
+// Sufijos ordenados de más largo a más corto
+const SUFFIXES = {
+  es: ['amientos', 'imientos', 'amiento', 'imiento', 'aciones', 'uciones', 'adoras', 'adores',
+    'ancias', 'mente', 'acion', 'ucion', 'adora', 'ador', 'ancia', 'idades', 'idad', 'ismos',
+    'ismo', 'istas', 'ista', 'ables', 'able', 'ibles', 'ible', 'osos', 'osas', 'oso', 'osa',
+    'ivos', 'ivas', 'ivo', 'iva', 'es', 'os', 'as', 's', 'o', 'a', 'e'],
+  en: ['ational', 'fulness', 'ousness', 'ization', 'ations', 'ation', 'ness', 'ment', 'ing',
+    'ies', 'ied', 'ers', 'ed', 'er', 'ly', 'es', 's', 'y']
+};
+
+const MIN_STEM_LENGTH = 3;
+
+class TextAnalyzer {
+  constructor() {
+    this.stopwords = {
+      es: new Set(STOPWORDS.es),
+      en: new Set(STOPWORDS.en)
+    };
+  }
+
+  // ===================================
+  // 🔤 NORMALIZACIÓN
+  // ===================================
+
+  /**
+   * **PLEGAR TEXTO** 🔤
+   *
+   * Minúsculas, sin acentos ni signos de puntuación.
+   */
+  fold(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * **TOKENIZAR** ✂️
+   */
+  tokenize(text) {
+    const folded = this.fold(text);
+    return folded ? folded.split(' ') : [];
+  }
+
+  isStopword(token) {
+    return this.stopwords.es.has(token) || this.stopwords.en.has(token);
+  }
+
+  // ===================================
+  // 🌱 STEMMING
+  // ===================================
+
+  /**
+   * **OBTENER RAÍZ** 🌱
+   *
+   * Quita el primer sufijo que deje una raíz de al menos
+   * MIN_STEM_LENGTH letras. Los números no se modifican.
+   */
+  stem(token, language = 'es') {
+    if (/^\d+$/.test(token)) return token;
+
+    const suffixes = SUFFIXES[language] || SUFFIXES.es;
+    const suffix = suffixes.find(candidate =>
+      token.endsWith(candidate) && token.length - candidate.length >= MIN_STEM_LENGTH
+    );
+
+    // "stories" y "story" quedan ambas en "stor" (sufijos "ies" e "y")
+    return suffix ? token.slice(0, -suffix.length) : token;
+  }
+
+  /**
+   * **ANALIZAR TEXTO PARA INDEXAR** 📥
+   *
+   * Retorna las raíces de las palabras con contenido.
+   */
+  analyze(text, language = 'es') {
+    return this.tokenize(text)
+      .filter(token => !this.isStopword(token))
+      .map(token => this.stem(token, this.getLanguage(language)));
+  }
+
+  /**
+   * **ANALIZAR CONSULTA** 🔎
+   *
+   * Cada palabra de la consulta produce la palabra plegada (para
+   * coincidencias por prefijo) y sus raíces en ambos idiomas, porque
+   * no sabemos en qué idioma está el libro que busca el usuario.
+   */
+  analyzeQuery(query) {
+    const tokens = this.tokenize(query);
+    const meaningful = tokens.filter(token => !this.isStopword(token));
+
+    // Si la consulta son solo palabras vacías ("el"), buscarlas igual
+    return (meaningful.length > 0 ? meaningful : tokens).map(token => ({
+      token,
+      stems: [...new Set([this.stem(token, 'es'), this.stem(token, 'en')])]
+    }));
+  }
+
+  getLanguage(language) {
+    const code = String(language || 'es').slice(0, 2).toLowerCase();
+    return SUFFIXES[code] ? code : 'es';
+  }
+
+  // ===================================
+  // ✏️ TOLERANCIA A ERRORES
+  // ===================================
+
+  /**
+   * **ERRORES PERMITIDOS SEGÚN LARGO** ✏️
+   *
+   * Palabras cortas deben escribirse bien; en las largas se permiten
+   * hasta dos errores.
+   */
+  getMaxTypos(token) {
+    if (token.length < 4) return 0;
+    if (token.length < 8) return 1;
+    return 2;
+  }
+
+  /**
+   * **DISTANCIA DE EDICIÓN (DAMERAU-LEVENSHTEIN)** 📏
+   *
+   * Cuenta inserciones, borrados, sustituciones y transposiciones de
+   * letras vecinas. Corta en cuanto la distancia supera `maxDistance`.
+   */
+  editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = current[0];
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+
+        if (previousPrevious && i > 1 && j > 1 &&
+            a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+        }
+
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > maxDistance) return maxDistance + 1;
+
+      previousPrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const textAnalyzer = new TextAnalyzer();
+
+// Exportar también la clase para testing
+export { TextAnalyzer };
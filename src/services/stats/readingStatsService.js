@@ -0,0 +1,295 @@
+/**
+ * **ESTADÍSTICAS DE LECTURA EDUCATIVAS** 📊📚
+ *
+ * Calcula las estadísticas del perfil a partir de los datos que el
+ * usuario ya tiene en el dispositivo: libros de la librería, sesiones
+ * de lectura y reseñas. No consulta Firestore ni la red.
+ *
+ * Todas las funciones son puras (mismos datos → mismo resultado, la
+ * fecha actual se recibe como parámetro), así que se pueden probar sin
+ * Firebase.
+ *
+ * Patrones educativos demostrados:
+ * - Datos derivados en lugar de contadores guardados
+ * - Agrupación por períodos (meses y días)
+ * - Funciones puras con el "ahora" inyectado
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+// Géneros más allá de este número se agrupan en "Otros"
+const MAX_GENRES = 5;
+
+class ReadingStatsService {
+
+  // ===================================
+  // 📅 FECHAS
+  // ===================================
+
+  /**
+   * **CONVERTIR FECHA** 📅
+   *
+   * Acepta Timestamp de Firestore, Date o texto ISO.
+   */
+  toDate(value) {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  // Claves locales: 2024-03 y 2024-03-15
+  getMonthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  getDayKey(date) {
+    return `${this.getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * **FECHA EN QUE SE TERMINÓ UN LIBRO** 🏁
+   *
+   * Los libros marcados como leídos antes de existir `fechaFinLectura`
+   * usan su última actualización como mejor aproximación.
+   */
+  getCompletionDate(book) {
+    if (book.estadoLectura !== 'read') return null;
+    return this.toDate(book.fechaFinLectura) ||
+      this.toDate(book.fechaActualizacion) ||
+      this.toDate(book.fechaAgregado);
+  }
+
+  // ===================================
+  // 📈 LECTURA POR MES
+  // ===================================
+
+  /**
+   * **LIBROS Y PÁGINAS POR MES** 📈
+   *
+   * Últimos `months` meses (incluido el actual), del más antiguo al más
+   * reciente. Un libro cuenta en el mes en que se terminó, con todas
+   * sus páginas, igual que en las metas anuales.
+   */
+  getMonthlyReading(books, now = new Date(), months = 12) {
+    const buckets = [];
+    const byKey = new Map();
+
+    for (let offset = months - 1; offset >= 0; offset--) {
+      const date = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+      const bucket = {
+        key: this.getMonthKey(date),
+        label: MONTH_LABELS[date.getMonth()],
+        libros: 0,
+        paginas: 0
+      };
+      buckets.push(bucket);
+      byKey.set(bucket.key, bucket);
+    }
+
+    books.forEach(book => {
+      const finishedAt = this.getCompletionDate(book);
+      const bucket = finishedAt && byKey.get(this.getMonthKey(finishedAt));
+      if (!bucket) return;
+
+      bucket.libros += 1;
+      bucket.paginas += Number(book.numeroPaginas) || 0;
+    });
+
+    return buckets;
+  }
+
+  // ===================================
+  // 🏷️ GÉNEROS Y AUTORES
+  // ===================================
+
+  /**
+   * **DISTRIBUCIÓN DE GÉNEROS** 🏷️
+   *
+   * Cuenta cada género de `generos` una vez por libro. Los menos
+   * frecuentes se agrupan en "Otros" para que el gráfico sea legible.
+   */
+  getGenreDistribution(books, maxGenres = MAX_GENRES) {
+    const counts = new Map();
+
+    books.forEach(book => {
+      const genres = new Set((book.generos || []).map(genre => String(genre).trim()).filter(Boolean));
+      genres.forEach(genre => counts.set(genre, (counts.get(genre) || 0) + 1));
+    });
+
+    const sorted = [...counts.entries()]
+      .map(([genero, cantidad]) => ({ genero, cantidad }))
+      .sort((a, b) => b.cantidad - a.cantidad || a.genero.localeCompare(b.genero));
+
+    const top = sorted.slice(0, maxGenres);
+    const rest = sorted.slice(maxGenres).reduce((total, item) => total + item.cantidad, 0);
+    if (rest > 0) {
+      top.push({ genero: 'Otros', cantidad: rest });
+    }
+
+    const total = top.reduce((sum, item) => sum + item.cantidad, 0);
+    return top.map(item => ({
+      ...item,
+      porcentaje: total > 0 ? Math.round((item.cantidad / total) * 100) : 0
+    }));
+  }
+
+  /**
+   * **AUTORES MÁS LEÍDOS** ✍️
+   *
+   * Ordena por libros leídos y, a igualdad, por libros en la librería.
+   */
+  getTopAuthors(books, limitCount = 5) {
+    const authors = new Map();
+
+    books.forEach(book => {
+      const name = String(book.autor || '').trim();
+      if (!name) return;
+
+      const entry = authors.get(name) || { autor: name, libros: 0, leidos: 0 };
+      entry.libros += 1;
+      if (book.estadoLectura === 'read') entry.leidos += 1;
+      authors.set(name, entry);
+    });
+
+    return [...authors.values()]
+      .sort((a, b) => b.leidos - a.leidos || b.libros - a.libros || a.autor.localeCompare(b.autor))
+      .slice(0, limitCount);
+  }
+
+  // ===================================
+  // ⭐ CALIFICACIONES
+  // ===================================
+
+  /**
+   * **DISTRIBUCIÓN DE CALIFICACIONES** ⭐
+   *
+   * Cuántas reseñas hay de 1 a 5 estrellas, y el promedio.
+   */
+  getRatingDistribution(reviews) {
+    const distribution = [1, 2, 3, 4, 5].map(estrellas => ({ estrellas, cantidad: 0 }));
+    let sum = 0;
+    let count = 0;
+
+    reviews.forEach(review => {
+      const rating = Math.round(Number(review.calificacion));
+      if (rating < 1 || rating > 5) return;
+
+      distribution[rating - 1].cantidad += 1;
+      sum += rating;
+      count += 1;
+    });
+
+    return {
+      distribucion: distribution,
+      promedio: count > 0 ? Math.round((sum / count) * 10) / 10 : 0,
+      total: count
+    };
+  }
+
+  // ===================================
+  // ⏱️ TIEMPOS Y RACHAS
+  // ===================================
+
+  /**
+   * **TIEMPO PROMEDIO PARA TERMINAR UN LIBRO** ⏱️
+   *
+   * Días entre `fechaInicioLectura` y `fechaFinLectura`. Solo cuentan
+   * los libros que tienen ambas fechas.
+   */
+  getAverageDaysToFinish(books) {
+    const durations = books
+      .filter(book => book.estadoLectura === 'read')
+      .map(book => {
+        const start = this.toDate(book.fechaInicioLectura);
+        const end = this.toDate(book.fechaFinLectura);
+        return start && end && end >= start ? (end - start) / DAY_MS : null;
+      })
+      .filter(days => days !== null);
+
+    if (durations.length === 0) {
+      return { promedioDias: null, libros: 0 };
+    }
+
+    const total = durations.reduce((sum, days) => sum + days, 0);
+    return {
+      // Un libro terminado el mismo día cuenta como 1 día
+      promedioDias: Math.max(Math.round(total / durations.length), 1),
+      libros: durations.length
+    };
+  }
+
+  /**
+   * **RACHA DE LECTURA** 🔥
+   *
+   * Días consecutivos con al menos una sesión de lectura. La racha
+   * actual sigue viva si se leyó hoy o ayer.
+   */
+  getReadingStreaks(sessions, now = new Date()) {
+    const days = new Set();
+    sessions.forEach(session => {
+      const date = this.toDate(session.inicio) || this.toDate(session.fin);
+      if (date) days.add(this.getDayKey(date));
+    });
+
+    if (days.size === 0) {
+      return { rachaMasLarga: 0, rachaActual: 0, diasConLectura: 0 };
+    }
+
+    // Recorrer los días en orden comparando con el anterior
+    const sortedDays = [...days].sort();
+    let longest = 1;
+    let run = 1;
+    for (let i = 1; i < sortedDays.length; i++) {
+      const previous = new Date(`${sortedDays[i - 1]}T12:00:00`);
+      const current = new Date(`${sortedDays[i]}T12:00:00`);
+      run = Math.round((current - previous) / DAY_MS) === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    }
+
+    // Racha actual: contar hacia atrás desde hoy (o ayer)
+    const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (!days.has(this.getDayKey(cursor))) {
+      cursor.setDate(cursor.getDate() - 1);
+    }
+    let current = 0;
+    while (days.has(this.getDayKey(cursor))) {
+      current += 1;
+      cursor.setDate(cursor.getDate() - 1);
+    }
+
+    return { rachaMasLarga: longest, rachaActual: current, diasConLectura: days.size };
+  }
+
+  // ===================================
+  // 📊 RESUMEN COMPLETO
+  // ===================================
+
+  /**
+   * **CALCULAR TODAS LAS ESTADÍSTICAS** 📊
+   */
+  computeStats({ books = [], sessions = [], reviews = [] }, now = new Date()) {
+    const porMes = this.getMonthlyReading(books, now);
+
+    return {
+      totalLibros: books.length,
+      librosLeidos: books.filter(book => book.estadoLectura === 'read').length,
+      leyendo: books.filter(book => book.estadoLectura === 'reading').length,
+      porMes,
+      librosUltimoAnio: porMes.reduce((sum, month) => sum + month.libros, 0),
+      paginasUltimoAnio: porMes.reduce((sum, month) => sum + month.paginas, 0),
+      generos: this.getGenreDistribution(books),
+      calificaciones: this.getRatingDistribution(reviews),
+      tiempoParaTerminar: this.getAverageDaysToFinish(books),
+      rachas: this.getReadingStreaks(sessions, now),
+      autores: this.getTopAuthors(books)
+    };
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const readingStatsService = new ReadingStatsService();
+
+// Exportar también la clase para testing
+export { ReadingStatsService };
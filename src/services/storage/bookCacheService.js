@@ -0,0 +1,350 @@
+import { localStorageService } from './localStorageService';
+
+/**
+ * **SERVICIO DE CACHE DE LIBROS EDUCATIVO** 📦
+ *
+ * Cache de dos niveles para las respuestas de la API de libros:
+ * - Nivel 1: memoria (Map), rápido pero se pierde al cerrar la app
+ * - Nivel 2: disco (AsyncStorage), sobrevive a reinicios y permite offline
+ *
+ * Ambos niveles tienen un límite en bytes y expulsan primero la entrada
+ * usada hace más tiempo (LRU). La decisión de si una entrada está
+ * "fresca" o "vieja" la toma quien consulta, usando `storedAt`.
+ *
+ * Patrones educativos demostrados:
+ * - Two-tier cache
+ * - LRU eviction por tamaño
+ * - Índice persistente de metadatos
+ * - Métricas de cache
+ */
+
+class BookCacheService {
+  constructor() {
+    this.prefix = `${localStorageService.prefixes.CACHE}books_`;
+    this.indexKey = `${this.prefix}index`;
+
+    // Límites de tamaño (aproximados, en bytes de JSON)
+    this.maxMemoryBytes = 512 * 1024; // 512 KB
+    this.maxDiskBytes = 4 * 1024 * 1024; // 4 MB
+
+    // Nivel 1: el orden de inserción del Map es el orden LRU
+    this.memory = new Map();
+    this.memoryBytes = 0;
+
+    // Nivel 2: índice de entradas en disco { key: { bytes, storedAt, lastAccess } }
+    this.index = {};
+    this.diskBytes = 0;
+    this.indexLoaded = null;
+    this.indexSaveTimer = null;
+
+    this.stats = {
+      memoryHits: 0,
+      diskHits: 0,
+      misses: 0,
+      writes: 0,
+      evictions: 0
+    };
+
+    console.log('📦 BookCacheService inicializado');
+  }
+
+  // ===================================
+  // 📥 LECTURA Y ESCRITURA
+  // ===================================
+
+  /**
+   * **OBTENER ENTRADA** 📥
+   *
+   * Busca primero en memoria y luego en disco. Una entrada encontrada
+   * en disco se promueve a memoria. Retorna `{ data, storedAt, tier }`
+   * o `null` si no existe.
+   */
+  async get(key) {
+    const memoryEntry = this.memory.get(key);
+    if (memoryEntry) {
+      this.touchMemory(key, memoryEntry);
+      this.touchDisk(key);
+      this.stats.memoryHits++;
+      return { data: memoryEntry.data, storedAt: memoryEntry.storedAt, tier: 'memory' };
+    }
+
+    await this.loadIndex();
+
+    if (!this.index[key]) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const result = await localStorageService.getItem(this.getEntryKey(key));
+    if (!result.success || !result.data) {
+      // El storage pudo limpiarse desde fuera (clearAll): sincronizar índice
+      this.dropFromIndex(key);
+      this.scheduleIndexSave();
+      this.stats.misses++;
+      return null;
+    }
+
+    const { data, storedAt } = result.data;
+    this.setMemory(key, data, storedAt, this.index[key].bytes);
+    this.touchDisk(key);
+    this.stats.diskHits++;
+
+    return { data, storedAt, tier: 'disk' };
+  }
+
+  /**
+   * **GUARDAR ENTRADA** 💾
+   *
+   * Escribe en ambos niveles y expulsa entradas antiguas si se
+   * supera el límite de bytes.
+   */
+  async set(key, data) {
+    const storedAt = Date.now();
+    const bytes = this.estimateBytes(data);
+
+    this.setMemory(key, data, storedAt, bytes);
+    this.stats.writes++;
+
+    await this.loadIndex();
+
+    // Una entrada que no cabe en disco solo vive en memoria, y la versión
+    // anterior en disco se borra para que no vuelva al salir de memoria
+    if (bytes > this.maxDiskBytes) {
+      console.warn('⚠️ Entrada demasiado grande para cache en disco:', key);
+      if (this.index[key]) {
+        this.dropFromIndex(key);
+        await localStorageService.removeItem(this.getEntryKey(key));
+        await this.saveIndex();
+      }
+      return { success: true, tier: 'memory' };
+    }
+
+    const result = await localStorageService.setItem(this.getEntryKey(key), { data, storedAt });
+    if (!result.success) {
+      return result;
+    }
+
+    this.dropFromIndex(key);
+    this.index[key] = { bytes, storedAt, lastAccess: storedAt };
+    this.diskBytes += bytes;
+
+    await this.evictDisk();
+    await this.saveIndex();
+
+    return { success: true, tier: 'disk' };
+  }
+
+  /**
+   * **ELIMINAR ENTRADA** 🗑️
+   */
+  async remove(key) {
+    this.removeMemory(key);
+    await this.loadIndex();
+
+    if (this.index[key]) {
+      this.dropFromIndex(key);
+      await localStorageService.removeItem(this.getEntryKey(key));
+      await this.saveIndex();
+    }
+  }
+
+  /**
+   * **LIMPIAR AMBOS NIVELES** 🧹
+   */
+  async clear() {
+    await this.loadIndex();
+
+    const keys = Object.keys(this.index);
+    await Promise.all(keys.map(key => localStorageService.removeItem(this.getEntryKey(key))));
+
+    this.memory.clear();
+    this.memoryBytes = 0;
+    this.index = {};
+    this.diskBytes = 0;
+    await this.saveIndex();
+
+    console.log(`🧹 Cache de libros limpiado (${keys.length} entradas en disco)`);
+    return { success: true, removedItems: keys.length };
+  }
+
+  // ===================================
+  // 🧠 NIVEL 1: MEMORIA
+  // ===================================
+
+  setMemory(key, data, storedAt, bytes) {
+    this.removeMemory(key);
+
+    // Una entrada mayor que toda la memoria no se guarda en este nivel
+    if (bytes > this.maxMemoryBytes) return;
+
+    this.memory.set(key, { data, storedAt, bytes });
+    this.memoryBytes += bytes;
+
+    while (this.memoryBytes > this.maxMemoryBytes && this.memory.size > 0) {
+      const oldestKey = this.memory.keys().next().value;
+      this.removeMemory(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  // Reinsertar mueve la entrada al final (la más reciente)
+  touchMemory(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+  }
+
+  removeMemory(key) {
+    const entry = this.memory.get(key);
+    if (entry) {
+      this.memoryBytes -= entry.bytes;
+      this.memory.delete(key);
+    }
+  }
+
+  // ===================================
+  // 💽 NIVEL 2: DISCO
+  // ===================================
+
+  getEntryKey(key) {
+    return `${this.prefix}entry_${key}`;
+  }
+
+  /**
+   * **CARGAR ÍNDICE** 📇
+   *
+   * Se carga una sola vez por sesión; las llamadas concurrentes
+   * comparten la misma promesa.
+   */
+  loadIndex() {
+    if (!this.indexLoaded) {
+      this.indexLoaded = localStorageService.getItem(this.indexKey).then(result => {
+        if (result.success && result.data && typeof result.data === 'object') {
+          this.index = result.data;
+          this.diskBytes = Object.values(this.index).reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+        }
+      });
+    }
+    return this.indexLoaded;
+  }
+
+  async saveIndex() {
+    if (this.indexSaveTimer) {
+      clearTimeout(this.indexSaveTimer);
+      this.indexSaveTimer = null;
+    }
+    return await localStorageService.setItem(this.indexKey, this.index);
+  }
+
+  // Los accesos solo cambian `lastAccess`: se agrupan en una escritura diferida
+  scheduleIndexSave() {
+    if (this.indexSaveTimer) return;
+    this.indexSaveTimer = setTimeout(() => {
+      this.indexSaveTimer = null;
+      this.saveIndex();
+    }, 1000);
+  }
+
+  touchDisk(key) {
+    if (this.index[key]) {
+      this.index[key].lastAccess = Date.now();
+      this.scheduleIndexSave();
+    }
+  }
+
+  dropFromIndex(key) {
+    if (this.index[key]) {
+      this.diskBytes -= this.index[key].bytes;
+      delete this.index[key];
+    }
+  }
+
+  /**
+   * **EXPULSAR ENTRADAS DE DISCO (LRU)** 🧹
+   */
+  async evictDisk() {
+    if (this.diskBytes <= this.maxDiskBytes) return;
+
+    const byAccess = Object.entries(this.index)
+      .sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+
+    for (const [key] of byAccess) {
+      if (this.diskBytes <= this.maxDiskBytes) break;
+
+      this.dropFromIndex(key);
+      await localStorageService.removeItem(this.getEntryKey(key));
+      this.stats.evictions++;
+      console.log('🧹 Entrada expulsada del cache en disco:', key);
+    }
+  }
+
+  // ===================================
+  // 📊 ESTADÍSTICAS
+  // ===================================
+
+  /**
+   * **OBTENER ESTADÍSTICAS** 📊
+   */
+  getStats() {
+    const hits = this.stats.memoryHits + this.stats.diskHits;
+    const lookups = hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? hits / lookups : 0,
+      memory: {
+        entries: this.memory.size,
+        bytes: this.memoryBytes,
+        maxBytes: this.maxMemoryBytes
+      },
+      disk: {
+        entries: Object.keys(this.index).length,
+        bytes: this.diskBytes,
+        maxBytes: this.maxDiskBytes
+      }
+    };
+  }
+
+  /**
+   * **ACTUALIZAR LÍMITES** ⚙️
+   */
+  async updateLimits({ maxMemoryBytes, maxDiskBytes } = {}) {
+    if (maxMemoryBytes) {
+      this.maxMemoryBytes = maxMemoryBytes;
+      // Reaplicar el límite expulsando desde la entrada más antigua
+      while (this.memoryBytes > this.maxMemoryBytes && this.memory.size > 0) {
+        this.removeMemory(this.memory.keys().next().value);
+        this.stats.evictions++;
+      }
+    }
+    if (maxDiskBytes) {
+      this.maxDiskBytes = maxDiskBytes;
+      await this.loadIndex();
+      await this.evictDisk();
+      await this.saveIndex();
+    }
+  }
+
+  // ===================================
+  // 🛠️ UTILIDADES
+  // ===================================
+
+  /**
+   * **ESTIMAR TAMAÑO** 📏
+   *
+   * Longitud del JSON serializado; suficiente para comparar
+   * entradas entre sí y respetar un presupuesto aproximado.
+   */
+  estimateBytes(data) {
+    try {
+      return JSON.stringify(data)?.length || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const bookCacheService = new BookCacheService();
+
+// Exportar también la clase para testing
+export { BookCacheService };
@@ -182,7 +182,129 @@ class LocalStorageService {
       };
     }
     
-    return result;
+    // Completar con valores por defecto las claves agregadas en versiones nuevas
+    return {
+      ...result,
+      data: { ...this.getDefaultUserSettings(), ...result.data }
+    };
+  }
+
+  /**
+   * **SESIÓN DE LECTURA EN CURSO** ⏱️
+   *
+   * Guarda cuándo empezó una sesión y desde qué punto, para poder
+   * cerrar la pantalla del libro sin perder el cronómetro.
+   */
+  async saveActiveReadingSession(userId, bookId, session) {
+    const key = `${this.prefixes.USER}reading_${userId}_${bookId}`;
+    return await this.setItem(key, session);
+  }
+
+  async getActiveReadingSession(userId, bookId) {
+    const key = `${this.prefixes.USER}reading_${userId}_${bookId}`;
+    return await this.getItem(key);
+  }
+
+  async clearActiveReadingSession(userId, bookId) {
+    const key = `${this.prefixes.USER}reading_${userId}_${bookId}`;
+    return await this.removeItem(key);
+  }
+
+  /**
+   * **VERSIÓN DE RESEÑAS MIGRADA** 🔧
+   *
+   * Recuerda hasta qué versión del modelo de reseñas se migraron las
+   * reseñas del usuario, para no repetir la migración en cada inicio.
+   */
+  async saveReviewsSchemaVersion(userId, version) {
+    const key = `${this.prefixes.USER}reviews_schema_${userId}`;
+    return await this.setItem(key, version);
+  }
+
+  async getReviewsSchemaVersion(userId) {
+    const key = `${this.prefixes.USER}reviews_schema_${userId}`;
+    return await this.getItem(key);
+  }
+
+  /**
+   * **BORRADORES DE RESEÑAS** 📝
+   *
+   * Un borrador por usuario y libro:
+   * `{ bookId, calificacion, texto, esPrivada, book, fechaGuardado }`,
+   * donde `book` guarda lo necesario para volver a abrir ReviewScreen.
+   */
+  async saveReviewDraft(userId, bookId, draft) {
+    const key = `${this.prefixes.USER}review_draft_${userId}_${bookId}`;
+    return await this.setItem(key, { ...draft, bookId, fechaGuardado: new Date().toISOString() });
+  }
+
+  async getReviewDraft(userId, bookId) {
+    const key = `${this.prefixes.USER}review_draft_${userId}_${bookId}`;
+    return await this.getItem(key);
+  }
+
+  async clearReviewDraft(userId, bookId) {
+    const key = `${this.prefixes.USER}review_draft_${userId}_${bookId}`;
+    return await this.removeItem(key);
+  }
+
+  /**
+   * **TODOS LOS BORRADORES DEL USUARIO** 📝📋
+   *
+   * Del más reciente al más antiguo.
+   */
+  async getReviewDrafts(userId) {
+    try {
+      const prefix = `${this.prefixes.USER}review_draft_${userId}_`;
+      const allKeys = await AsyncStorage.getAllKeys();
+      const draftKeys = allKeys.filter(key => key.startsWith(prefix));
+
+      if (draftKeys.length === 0) {
+        return { success: true, data: [] };
+      }
+
+      const entries = await AsyncStorage.multiGet(draftKeys);
+      const drafts = entries
+        .map(([, value]) => {
+          try {
+            return JSON.parse(value).data;
+          } catch (parseError) {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .sort((a, b) => (b.fechaGuardado || '').localeCompare(a.fechaGuardado || ''));
+
+      return { success: true, data: drafts };
+
+    } catch (error) {
+      console.error('❌ Error obteniendo borradores:', error);
+      return {
+        success: false,
+        error: 'Error obteniendo borradores de reseñas'
+      };
+    }
+  }
+
+  /**
+   * **IMPORTACIÓN DE LIBRERÍA EN CURSO** 📥
+   *
+   * Una importación por usuario con el estado de cada fila, para
+   * retomarla si se cierra la app o se corta la conexión.
+   */
+  async saveLibraryImport(userId, job) {
+    const key = `${this.prefixes.USER}library_import_${userId}`;
+    return await this.setItem(key, job);
+  }
+
+  async getLibraryImport(userId) {
+    const key = `${this.prefixes.USER}library_import_${userId}`;
+    return await this.getItem(key);
+  }
+
+  async clearLibraryImport(userId) {
+    const key = `${this.prefixes.USER}library_import_${userId}`;
+    return await this.removeItem(key);
   }
 
   /**
@@ -486,6 +608,10 @@ class LocalStorageService {
 
   /**
    * **EXPORTAR TODOS LOS DATOS** 📤
+   *
+   * Solo las claves de AsyncStorage de este dispositivo, para
+   * depuración. La exportación de la cuenta del usuario está en
+   * `accountDataService`.
    */
   async exportAllData() {
     try {
@@ -0,0 +1,317 @@
+import { localStorageService } from './localStorageService';
+
+/**
+ * **SERVICIO DE COLA OFFLINE EDUCATIVO** 📴
+ *
+ * Este servicio demuestra el patrón "offline-first" para la librería:
+ * - Cola persistente de operaciones pendientes (AsyncStorage)
+ * - Copia local de la librería para trabajar sin conexión
+ * - Aplicación optimista de cambios sobre la copia local
+ * - Registro de conflictos detectados durante la sincronización
+ *
+ * Patrones educativos demostrados:
+ * - Write-ahead queue
+ * - Optimistic UI
+ * - Observer pattern (suscripción a cambios de la cola)
+ * - Serialización segura de timestamps
+ */
+
+class OfflineQueueService {
+  constructor() {
+    this.prefix = localStorageService.prefixes.USER;
+    this.listeners = new Set();
+
+    console.log('📴 OfflineQueueService inicializado');
+  }
+
+  // ===================================
+  // 🔑 CLAVES DE ALMACENAMIENTO
+  // ===================================
+
+  // Las claves terminan en `_${userId}` para que clearUserData las elimine
+  getQueueKey(userId) {
+    return `${this.prefix}offline_queue_${userId}`;
+  }
+
+  getLibraryKey(userId) {
+    return `${this.prefix}offline_library_${userId}`;
+  }
+
+  getConflictsKey(userId) {
+    return `${this.prefix}offline_conflicts_${userId}`;
+  }
+
+  // ===================================
+  // 📋 COLA DE OPERACIONES
+  // ===================================
+
+  /**
+   * **OBTENER COLA PENDIENTE** 📋
+   */
+  async getQueue(userId) {
+    const result = await localStorageService.getItem(this.getQueueKey(userId));
+    return result.success && Array.isArray(result.data) ? result.data : [];
+  }
+
+  /**
+   * **AGREGAR OPERACIÓN A LA COLA** ➕
+   *
+   * Cada operación guarda el tipo (add/update/remove), el libro afectado,
+   * los datos a escribir y la versión local sobre la que se hizo el cambio
+   * (`baseVersion`) para detectar conflictos al sincronizar.
+   */
+  async enqueue(userId, operation) {
+    const queue = await this.getQueue(userId);
+
+    const queuedOperation = {
+      id: `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      type: operation.type,
+      bookId: operation.bookId,
+      payload: operation.payload || null,
+      baseVersion: operation.baseVersion ?? null,
+      createdAt: Date.now()
+    };
+
+    queue.push(queuedOperation);
+    await localStorageService.setItem(this.getQueueKey(userId), queue);
+
+    console.log(`📴 Operación ${queuedOperation.type} encolada para`, queuedOperation.bookId);
+    this.notify(userId, queue);
+    return queuedOperation;
+  }
+
+  /**
+   * **ELIMINAR OPERACIÓN DE LA COLA** ➖
+   */
+  async removeOperation(userId, operationId) {
+    const queue = await this.getQueue(userId);
+    const remaining = queue.filter(op => op.id !== operationId);
+
+    await localStorageService.setItem(this.getQueueKey(userId), remaining);
+    this.notify(userId, remaining);
+    return remaining;
+  }
+
+  /**
+   * **VACIAR COLA** 🧹
+   */
+  async clearQueue(userId) {
+    await localStorageService.removeItem(this.getQueueKey(userId));
+    this.notify(userId, []);
+  }
+
+  // ===================================
+  // 📚 COPIA LOCAL DE LA LIBRERÍA
+  // ===================================
+
+  /**
+   * **GUARDAR COPIA LOCAL** 💾
+   *
+   * Los Timestamp de Firestore se convierten a milisegundos
+   * para que sobrevivan a la serialización JSON.
+   */
+  async saveLocalLibrary(userId, books) {
+    const serializable = books.map(book => this.serializeBook(book));
+    return await localStorageService.setItem(this.getLibraryKey(userId), serializable);
+  }
+
+  /**
+   * **OBTENER COPIA LOCAL** 📥
+   */
+  async getLocalLibrary(userId) {
+    const result = await localStorageService.getItem(this.getLibraryKey(userId));
+    return {
+      success: result.success,
+      data: result.success && Array.isArray(result.data) ? result.data : [],
+      timestamp: result.timestamp || null
+    };
+  }
+
+  /**
+   * **OBTENER LIBRERÍA CON CAMBIOS PENDIENTES** 📚📴
+   *
+   * Devuelve la copia local con todas las operaciones de la cola
+   * aplicadas en orden, tal como las verá el usuario.
+   */
+  async getOptimisticLibrary(userId) {
+    const [local, queue] = await Promise.all([
+      this.getLocalLibrary(userId),
+      this.getQueue(userId)
+    ]);
+
+    return {
+      ...local,
+      data: this.applyOperations(local.data, queue),
+      pendingCount: queue.length
+    };
+  }
+
+  /**
+   * **CONFIRMAR ESTADO DEL SERVIDOR** ✅
+   *
+   * Tras sincronizar una operación, la copia local adopta el documento
+   * tal como quedó en Firestore (o lo elimina si ya no existe).
+   */
+  async commitServerState(userId, bookId, serverBook) {
+    const local = await this.getLocalLibrary(userId);
+    const others = local.data.filter(book => book.bookId !== bookId);
+    const updated = serverBook ? [serverBook, ...others] : others;
+    await this.saveLocalLibrary(userId, updated);
+    return updated;
+  }
+
+  /**
+   * **REBASAR OPERACIONES PENDIENTES** 🔁
+   *
+   * Cuando sincronizamos un cambio propio, las operaciones siguientes
+   * sobre el mismo libro pasan a tomar como base la nueva versión
+   * del servidor para no confundirlas con un conflicto.
+   */
+  async rebaseOperations(userId, bookId, version) {
+    const queue = await this.getQueue(userId);
+    const rebased = queue.map(op =>
+      op.bookId === bookId ? { ...op, baseVersion: version } : op
+    );
+    await localStorageService.setItem(this.getQueueKey(userId), rebased);
+    return rebased;
+  }
+
+  /**
+   * **APLICAR OPERACIONES SOBRE UNA LISTA** 🔄
+   *
+   * Función pura: no modifica la lista original.
+   */
+  applyOperations(books, operations) {
+    return operations.reduce((current, op) => {
+      switch (op.type) {
+        case 'add':
+          if (current.some(book => book.bookId === op.bookId)) {
+            return current;
+          }
+          return [{ id: op.bookId, ...op.payload, pendingSync: true }, ...current];
+        case 'update':
+          return current.map(book =>
+            book.bookId === op.bookId
+              ? { ...book, ...op.payload, pendingSync: true }
+              : book
+          );
+        case 'remove':
+          return current.filter(book => book.bookId !== op.bookId);
+        default:
+          console.warn('⚠️ Tipo de operación desconocido:', op.type);
+          return current;
+      }
+    }, [...books]);
+  }
+
+  // ===================================
+  // ⚔️ CONFLICTOS
+  // ===================================
+
+  /**
+   * **OBTENER CONFLICTOS** ⚔️
+   */
+  async getConflicts(userId) {
+    const result = await localStorageService.getItem(this.getConflictsKey(userId));
+    return result.success && Array.isArray(result.data) ? result.data : [];
+  }
+
+  /**
+   * **REGISTRAR CONFLICTO** ⚔️➕
+   */
+  async addConflict(userId, operation, serverData, reason) {
+    const conflicts = await this.getConflicts(userId);
+
+    conflicts.push({
+      id: operation.id,
+      operation,
+      serverData: serverData ? this.serializeBook(serverData) : null,
+      reason,
+      detectedAt: Date.now()
+    });
+
+    await localStorageService.setItem(this.getConflictsKey(userId), conflicts);
+    return conflicts;
+  }
+
+  /**
+   * **ELIMINAR CONFLICTO** ⚔️➖
+   */
+  async removeConflict(userId, conflictId) {
+    const conflicts = await this.getConflicts(userId);
+    const remaining = conflicts.filter(conflict => conflict.id !== conflictId);
+    await localStorageService.setItem(this.getConflictsKey(userId), remaining);
+    return remaining;
+  }
+
+  // ===================================
+  // 👂 SUSCRIPCIÓN A CAMBIOS
+  // ===================================
+
+  /**
+   * **SUSCRIBIRSE A CAMBIOS DE LA COLA** 👂
+   *
+   * Retorna una función para cancelar la suscripción.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(userId, queue) {
+    this.listeners.forEach(listener => {
+      try {
+        listener({ userId, pendingCount: queue.length, queue });
+      } catch (error) {
+        console.warn('⚠️ Error en listener de cola offline:', error);
+      }
+    });
+  }
+
+  // ===================================
+  // 🛠️ UTILIDADES
+  // ===================================
+
+  /**
+   * **CONVERTIR TIMESTAMP A MILISEGUNDOS** ⏱️
+   *
+   * Acepta Timestamp de Firestore, objetos {seconds, nanoseconds}
+   * ya serializados, fechas ISO o números.
+   */
+  toMillis(value) {
+    if (!value) return null;
+    if (typeof value === 'number') return value;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (typeof value.seconds === 'number') {
+      return value.seconds * 1000 + Math.floor((value.nanoseconds || 0) / 1e6);
+    }
+    const parsed = new Date(value).getTime();
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * **VERSIÓN DE UN LIBRO** 🏷️
+   *
+   * La última modificación conocida del documento.
+   */
+  getBookVersion(book) {
+    if (!book) return null;
+    return this.toMillis(book.fechaActualizacion) || this.toMillis(book.fechaAgregado);
+  }
+
+  serializeBook(book) {
+    const serialized = { ...book };
+    ['fechaAgregado', 'fechaActualizacion'].forEach(field => {
+      if (serialized[field] && typeof serialized[field] === 'object') {
+        serialized[field] = this.toMillis(serialized[field]);
+      }
+    });
+    return serialized;
+  }
+}
+
+// **EXPORTAR INSTANCIA SINGLETON** 🎯
+export const offlineQueueService = new OfflineQueueService();
+
+// Exportar también la clase para testing
+export { OfflineQueueService };
@@ -0,0 +1,124 @@
+const { deleteApp } = require('firebase/app');
+
+const { authService } = require('../../src/services/firebase/authService');
+const { getFirebaseApp } = require('../../src/services/firebase/firebaseConfig');
+const { clearAccounts, getOobCodes } = require('./authEmulator');
+
+/**
+ * **PRUEBAS DE OPERACIONES SENSIBLES** 🧪🔐
+ *
+ * Reautenticación, cambio de contraseña y cambio de email de
+ * `authService` contra los emuladores: los errores de Firebase tienen
+ * que llegar traducidos por `handleAuthError` y nada cambia si la
+ * contraseña actual no es la correcta.
+ */
+
+const EMAIL = 'lector@example.com';
+const PASSWORD = 'Lectura2024';
+const NEW_PASSWORD = 'Novela2025';
+const NEW_EMAIL = 'otro@example.com';
+
+// Cierra la sesión y prueba entrar de nuevo
+const canSignIn = async (email, password) => {
+  await authService.signOut();
+  return (await authService.signIn(email, password)).success;
+};
+
+afterAll(async () => {
+  await deleteApp(getFirebaseApp());
+});
+
+beforeEach(async () => {
+  await authService.signOut();
+  await clearAccounts();
+  expect((await authService.signUp(EMAIL, PASSWORD)).success).toBe(true);
+});
+
+describe('reauthenticate', () => {
+  test('con la contraseña correcta', async () => {
+    expect(await authService.reauthenticate(PASSWORD)).toEqual({ success: true });
+  });
+
+  test('una contraseña incorrecta llega traducida', async () => {
+    expect(await authService.reauthenticate('Incorrecta123')).toEqual({
+      success: false,
+      error: 'Contraseña incorrecta'
+    });
+  });
+
+  test('sin sesión no hay a quién reautenticar', async () => {
+    await authService.signOut();
+
+    expect(await authService.reauthenticate(PASSWORD)).toEqual({
+      success: false,
+      error: 'No hay usuario autenticado'
+    });
+  });
+});
+
+describe('changePassword', () => {
+  test('cambia la contraseña con la que se entra', async () => {
+    expect(await authService.changePassword(PASSWORD, NEW_PASSWORD)).toEqual({ success: true });
+
+    expect(await canSignIn(EMAIL, PASSWORD)).toBe(false);
+    expect(await canSignIn(EMAIL, NEW_PASSWORD)).toBe(true);
+  });
+
+  test('rechaza una contraseña nueva que no cumple los requisitos', async () => {
+    const result = await authService.changePassword(PASSWORD, 'solominusculas');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('La contraseña necesita una mayúscula, un número');
+    expect(await canSignIn(EMAIL, PASSWORD)).toBe(true);
+  });
+
+  test('rechaza repetir la contraseña actual', async () => {
+    expect(await authService.changePassword(PASSWORD, PASSWORD)).toEqual({
+      success: false,
+      error: 'La nueva contraseña debe ser distinta de la actual'
+    });
+  });
+
+  test('con la contraseña actual incorrecta no cambia nada', async () => {
+    expect(await authService.changePassword('Incorrecta123', NEW_PASSWORD)).toEqual({
+      success: false,
+      error: 'Contraseña incorrecta'
+    });
+
+    expect(await canSignIn(EMAIL, NEW_PASSWORD)).toBe(false);
+    expect(await canSignIn(EMAIL, PASSWORD)).toBe(true);
+  });
+});
+
+describe('changeEmail', () => {
+  test('envía el enlace de verificación al email nuevo sin cambiar el actual', async () => {
+    expect(await authService.changeEmail(PASSWORD, ' Otro@Example.com ')).toEqual({
+      success: true,
+      data: { email: NEW_EMAIL }
+    });
+
+    expect(await getOobCodes(NEW_EMAIL, 'VERIFY_AND_CHANGE_EMAIL')).toHaveLength(1);
+    await authService.getCurrentUser().reload();
+    expect(authService.getCurrentUser().email).toBe(EMAIL);
+  });
+
+  test('con la contraseña incorrecta no envía nada', async () => {
+    expect(await authService.changeEmail('Incorrecta123', NEW_EMAIL)).toEqual({
+      success: false,
+      error: 'Contraseña incorrecta'
+    });
+
+    expect(await getOobCodes(NEW_EMAIL, 'VERIFY_AND_CHANGE_EMAIL')).toHaveLength(0);
+  });
+
+  test('rechaza el email actual y los inválidos antes de reautenticar', async () => {
+    expect(await authService.changeEmail(PASSWORD, EMAIL.toUpperCase())).toEqual({
+      success: false,
+      error: 'Ese ya es tu email actual'
+    });
+    expect(await authService.changeEmail(PASSWORD, 'sin-arroba')).toEqual({
+      success: false,
+      error: 'Email inválido'
+    });
+  });
+});
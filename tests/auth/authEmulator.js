@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const { initializeApp, deleteApp } = require('firebase/app');
+const { getAuth, connectAuthEmulator } = require('firebase/auth');
+
+/**
+ * **ENTORNO DE PRUEBAS DE AUTH** 🧪📧
+ *
+ * App de Firebase conectada al emulador de Auth y acceso a sus
+ * endpoints de prueba: los códigos fuera de banda (enlaces de
+ * verificación) y el borrado de cuentas. `firebase emulators:exec`
+ * exporta las direcciones; si se corre Jest a mano se usa `emulator.txt`.
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Un proyecto `demo-*` nunca toca recursos reales
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-mylibrary';
+
+const HOST_VARIABLES = {
+  auth: 'FIREBASE_AUTH_EMULATOR_HOST',
+  firestore: 'FIRESTORE_EMULATOR_HOST'
+};
+
+const emulatorHost = (service = 'auth') => {
+  if (process.env[HOST_VARIABLES[service]]) return process.env[HOST_VARIABLES[service]];
+  const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'emulator.txt'), 'utf8'));
+  const { host, port } = config.emulators[service];
+  return `${host}:${port}`;
+};
+
+const emulatorUrl = (resource) =>
+  `http://${emulatorHost()}/emulator/v1/projects/${PROJECT_ID}/${resource}`;
+
+const createAuth = (name = 'auth-tests') => {
+  const app = initializeApp({ apiKey: 'demo-api-key', projectId: PROJECT_ID }, name);
+  const auth = getAuth(app);
+  connectAuthEmulator(auth, `http://${emulatorHost()}`, { disableWarnings: true });
+  return { app, auth, cleanup: () => deleteApp(app) };
+};
+
+const clearAccounts = async () => {
+  const response = await fetch(emulatorUrl('accounts'), { method: 'DELETE' });
+  if (!response.ok) throw new Error(`No se pudieron borrar las cuentas: ${response.status}`);
+};
+
+// Códigos enviados a `email`, del más viejo al más nuevo
+const getOobCodes = async (email, requestType) => {
+  const response = await fetch(emulatorUrl('oobCodes'));
+  if (!response.ok) throw new Error(`No se pudieron leer los códigos: ${response.status}`);
+
+  const { oobCodes = [] } = await response.json();
+  return oobCodes.filter(code => code.email === email && (!requestType || code.requestType === requestType));
+};
+
+module.exports = { emulatorHost, createAuth, clearAccounts, getOobCodes };
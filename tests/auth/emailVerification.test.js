@@ -0,0 +1,121 @@
+const { applyActionCode } = require('firebase/auth');
+const { deleteApp } = require('firebase/app');
+
+const { authService } = require('../../src/services/firebase/authService');
+const { getFirebaseApp, getFirebaseAuth } = require('../../src/services/firebase/firebaseConfig');
+const { clearAccounts, getOobCodes } = require('./authEmulator');
+
+/**
+ * **PRUEBAS DE VERIFICACIÓN DE EMAIL** 🧪📧
+ *
+ * Los flujos de `authService` que usan `AuthContext` y las pantallas
+ * (registro, reenvío, comprobación y cambio de email) contra los
+ * emuladores. En lugar de abrir el enlace del email se lee su código en
+ * el endpoint `oobCodes` y se aplica con `applyActionCode`, que es lo
+ * que hace el enlace.
+ */
+
+const EMAIL = 'lectora@example.com';
+const PASSWORD = 'Lectura2024';
+
+const signUp = async () => {
+  const result = await authService.signUp(EMAIL, PASSWORD, { nombre: 'Lucía', apellido: 'Reyes' });
+  expect(result.success).toBe(true);
+  return result;
+};
+
+// Lo que pasa al abrir el último enlace enviado a `email`
+const openLastLink = async (email, requestType) => {
+  const codes = await getOobCodes(email, requestType);
+  expect(codes.length).toBeGreaterThan(0);
+  await applyActionCode(getFirebaseAuth(), codes[codes.length - 1].oobCode);
+};
+
+afterAll(async () => {
+  await deleteApp(getFirebaseApp());
+});
+
+beforeEach(async () => {
+  await authService.signOut();
+  await clearAccounts();
+});
+
+describe('verificación al registrarse', () => {
+  test('la cuenta nueva empieza sin verificar y recibe un enlace', async () => {
+    const { profile } = await signUp();
+
+    expect(authService.getCurrentUser().emailVerified).toBe(false);
+    expect(profile.privacidad).toBeDefined();
+    expect(await getOobCodes(EMAIL, 'VERIFY_EMAIL')).toHaveLength(1);
+  });
+
+  test('una contraseña débil no crea la cuenta ni envía el enlace', async () => {
+    const result = await authService.signUp(EMAIL, 'corta', {});
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/La contraseña necesita/);
+    expect(authService.getCurrentUser()).toBeNull();
+    expect(await getOobCodes(EMAIL)).toHaveLength(0);
+  });
+
+  test('sin abrir el enlace la comprobación sigue sin verificar', async () => {
+    await signUp();
+
+    expect(await authService.refreshEmailVerification()).toEqual({ success: true, verified: false });
+  });
+
+  test('abrir el enlace verifica el email al comprobar', async () => {
+    await signUp();
+    await openLastLink(EMAIL, 'VERIFY_EMAIL');
+
+    expect(await authService.refreshEmailVerification()).toEqual({ success: true, verified: true });
+    expect(authService.getCurrentUser().emailVerified).toBe(true);
+  });
+
+  test('comprobar sin sesión falla', async () => {
+    const result = await authService.refreshEmailVerification();
+
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('reenvío del email de verificación', () => {
+  test('reenviar genera otro enlace válido', async () => {
+    await signUp();
+
+    expect(await authService.resendVerificationEmail()).toEqual({ success: true });
+    expect(await getOobCodes(EMAIL, 'VERIFY_EMAIL')).toHaveLength(2);
+
+    await openLastLink(EMAIL, 'VERIFY_EMAIL');
+    expect((await authService.refreshEmailVerification()).verified).toBe(true);
+  });
+
+  test('sin sesión no se envía nada', async () => {
+    const result = await authService.resendVerificationEmail();
+
+    expect(result).toEqual({ success: false, error: 'No se pudo enviar el email de verificación' });
+  });
+});
+
+describe('cambio de email', () => {
+  const NEW_EMAIL = 'nueva@example.com';
+
+  test('el email cambia recién al abrir el enlace enviado a la dirección nueva', async () => {
+    await signUp();
+
+    const result = await authService.changeEmail(PASSWORD, NEW_EMAIL);
+    expect(result).toEqual({ success: true, data: { email: NEW_EMAIL } });
+
+    await authService.getCurrentUser().reload();
+    expect(authService.getCurrentUser().email).toBe(EMAIL);
+
+    await openLastLink(NEW_EMAIL, 'VERIFY_AND_CHANGE_EMAIL');
+
+    // Aplicar el cambio cierra las sesiones abiertas
+    await authService.signOut();
+    const signIn = await authService.signIn(NEW_EMAIL, PASSWORD);
+    expect(signIn.success).toBe(true);
+    expect(signIn.user.email).toBe(NEW_EMAIL);
+    expect(authService.getCurrentUser().emailVerified).toBe(true);
+  });
+});
@@ -0,0 +1,35 @@
+const { getFirestore, connectFirestoreEmulator } = require('firebase/firestore');
+
+const { emulatorHost, createAuth } = require('./authEmulator');
+
+/**
+ * **FIREBASE DE LA APP EN LAS PRUEBAS** 🧪🔥
+ *
+ * Reemplaza a `src/services/firebase/firebaseConfig` (ver
+ * `moduleNameMapper` en jest.auth.config.js): así `authService` corre
+ * tal cual, pero contra los emuladores de Auth y Firestore del
+ * proyecto de prueba en lugar de la dirección fija de la app.
+ */
+
+let env = null;
+
+const getEnv = () => {
+  if (!env) {
+    env = createAuth('app-tests');
+    env.db = getFirestore(env.app);
+
+    const [host, port] = emulatorHost('firestore').split(':');
+    connectFirestoreEmulator(env.db, host, Number(port));
+  }
+  return env;
+};
+
+const getFirebaseApp = () => getEnv().app;
+const getFirebaseAuth = () => getEnv().auth;
+const getFirebaseFirestore = () => getEnv().db;
+
+const getFirebaseStorage = () => {
+  throw new Error('Storage no está disponible en las pruebas de Auth');
+};
+
+module.exports = { getFirebaseApp, getFirebaseAuth, getFirebaseFirestore, getFirebaseStorage };
@@ -0,0 +1,11 @@
+/**
+ * **CONSTANTES DE EXPO EN NODE** 🧪📱
+ *
+ * `expo-constants` lee un módulo nativo que Node no tiene. La app solo
+ * lo usa para elegir el host de los emuladores, que en las pruebas
+ * reemplaza `emulatorFirebaseConfig.js`.
+ */
+module.exports = {
+  __esModule: true,
+  default: { isDevice: false }
+};
@@ -0,0 +1,722 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  increment,
+  writeBatch,
+  serverTimestamp
+} = require('firebase/firestore');
+
+const { createTestEnvironment } = require('./testEnvironment');
+
+/**
+ * **PRUEBAS DE firestore.rules** 🧪🔐
+ *
+ * Cada caso prepara los datos sin reglas y luego intenta la operación
+ * como otro lector: Alice es la dueña, Bob es otro usuario conectado.
+ */
+
+const ALICE = 'alice';
+const BOB = 'bob';
+
+const PUBLIC_PRIVACY = { perfilPublico: true, estanterias: true, resenas: true, estadisticas: true };
+
+// La copia pública que revisan las reglas
+const publicProfileWith = (privacidad) => ({ nombre: 'Alice', privacidad });
+
+const aliceProfile = {
+  email: 'alice@example.com',
+  nombre: 'Alice',
+  apellido: 'Lectora',
+  fotoPerfilUrl: null,
+  privacidad: PUBLIC_PRIVACY,
+  fechaCreacion: serverTimestamp(),
+  fechaUltimaActividad: serverTimestamp()
+};
+
+const aliceReview = {
+  userId: ALICE,
+  bookId: 'book-1',
+  calificacion: 4,
+  texto: 'Una historia que **no** se puede soltar.',
+  esPrivada: false,
+  bookTitle: 'Libro uno',
+  bookAuthor: 'Autora',
+  bookCover: null,
+  userName: 'Alice',
+  schemaVersion: 4,
+  votosUtiles: 0,
+  reacciones: {},
+  totalComentarios: 0,
+  autorVisible: true,
+  fechaCreacion: serverTimestamp(),
+  fechaActualizacion: serverTimestamp()
+};
+
+let testEnv;
+
+// Firestore de cada lector (o sin sesión)
+const dbAs = (userId) => (userId
+  ? testEnv.authenticatedContext(userId, { email: `${userId}@example.com` }).firestore()
+  : testEnv.unauthenticatedContext().firestore());
+
+// Voto y contadores en la misma escritura, como setReviewVote
+const voteAs = (userId, vote, counters) => {
+  const db = dbAs(userId);
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'reviews', 'review-1', 'votes', userId), vote);
+  batch.update(doc(db, 'reviews', 'review-1'), counters);
+  return batch.commit();
+};
+
+const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  for (const [path, data] of Object.entries(writes)) {
+    await setDoc(doc(db, path), data);
+  }
+});
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment({ firestore: true });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+// ===================================
+// 👤 USUARIOS
+// ===================================
+
+describe('users', () => {
+  test('el dueño crea su perfil con campos permitidos', async () => {
+    await assertSucceeds(setDoc(doc(dbAs(ALICE), 'users', ALICE), aliceProfile));
+  });
+
+  test('no se crea un perfil con otro email ni para otro usuario', async () => {
+    await assertFails(setDoc(doc(dbAs(ALICE), 'users', ALICE), { ...aliceProfile, email: 'otra@example.com' }));
+    await assertFails(setDoc(doc(dbAs(BOB), 'users', ALICE), aliceProfile));
+  });
+
+  test('no se aceptan campos fuera de la lista', async () => {
+    await assertFails(setDoc(doc(dbAs(ALICE), 'users', ALICE), { ...aliceProfile, rol: 'admin' }));
+  });
+
+  test('solo el dueño lee su perfil', async () => {
+    await seed({ 'users/alice': aliceProfile });
+
+    await assertSucceeds(getDoc(doc(dbAs(ALICE), 'users', ALICE)));
+    await assertFails(getDoc(doc(dbAs(BOB), 'users', ALICE)));
+    await assertFails(getDoc(doc(dbAs(null), 'users', ALICE)));
+  });
+
+  test('el dueño edita los campos de updateUserProfile', async () => {
+    await seed({ 'users/alice': aliceProfile });
+
+    await assertSucceeds(updateDoc(doc(dbAs(ALICE), 'users', ALICE), {
+      nombre: 'Alicia',
+      apellido: 'Lectora',
+      telefono: '555-0100',
+      fechaNacimiento: '1990-01-01',
+      genero: 'femenino',
+      bio: 'Leo de todo',
+      fechaActualizacion: serverTimestamp()
+    }));
+  });
+
+  test('no se puede cambiar el email ni agregar otros campos', async () => {
+    await seed({ 'users/alice': aliceProfile });
+
+    await assertFails(updateDoc(doc(dbAs(ALICE), 'users', ALICE), { email: 'otra@example.com' }));
+    await assertFails(updateDoc(doc(dbAs(ALICE), 'users', ALICE), { rol: 'admin' }));
+  });
+
+  test('el email se actualiza solo al de la sesión', async () => {
+    await seed({ 'users/alice': { ...aliceProfile, email: 'anterior@example.com' } });
+
+    await assertSucceeds(updateDoc(doc(dbAs(ALICE), 'users', ALICE), { email: 'alice@example.com' }));
+  });
+
+  test('nombre y bio tienen largo máximo', async () => {
+    await seed({ 'users/alice': aliceProfile });
+
+    await assertFails(updateDoc(doc(dbAs(ALICE), 'users', ALICE), { nombre: 'a'.repeat(51) }));
+    await assertFails(updateDoc(doc(dbAs(ALICE), 'users', ALICE), { bio: 'a'.repeat(301) }));
+  });
+
+  test('otro usuario no edita el perfil', async () => {
+    await seed({ 'users/alice': aliceProfile });
+
+    await assertFails(updateDoc(doc(dbAs(BOB), 'users', ALICE), { nombre: 'Bob' }));
+  });
+
+  test('la privacidad solo admite sus cuatro opciones', async () => {
+    await seed({ 'users/alice': aliceProfile });
+
+    await assertSucceeds(updateDoc(doc(dbAs(ALICE), 'users', ALICE), {
+      privacidad: { ...PUBLIC_PRIVACY, resenas: false }
+    }));
+    await assertFails(updateDoc(doc(dbAs(ALICE), 'users', ALICE), {
+      privacidad: { ...PUBLIC_PRIVACY, email: true }
+    }));
+  });
+});
+
+describe('publicProfiles', () => {
+  const publicProfile = { nombre: 'Alice', apellido: '', fotoPerfilUrl: null, bio: '', privacidad: PUBLIC_PRIVACY };
+
+  test('cualquier lector conectado lo lee', async () => {
+    await seed({ 'publicProfiles/alice': publicProfile });
+
+    await assertSucceeds(getDoc(doc(dbAs(BOB), 'publicProfiles', ALICE)));
+    await assertFails(getDoc(doc(dbAs(null), 'publicProfiles', ALICE)));
+  });
+
+  test('solo el dueño lo escribe y sin datos privados', async () => {
+    await assertSucceeds(setDoc(doc(dbAs(ALICE), 'publicProfiles', ALICE), publicProfile));
+    await assertFails(setDoc(doc(dbAs(BOB), 'publicProfiles', ALICE), publicProfile));
+    await assertFails(setDoc(doc(dbAs(ALICE), 'publicProfiles', ALICE), { ...publicProfile, email: 'alice@example.com' }));
+  });
+});
+
+// ===================================
+// 📚 LIBRERÍAS
+// ===================================
+
+describe('libraries', () => {
+  const book = { bookId: 'book-1', titulo: 'Libro uno', estadoLectura: 'reading', calificacionUsuario: 0 };
+
+  test('el dueño escribe su librería y otro usuario no', async () => {
+    await assertSucceeds(setDoc(doc(dbAs(ALICE), 'libraries', ALICE, 'books', 'book-1'), book));
+    await assertFails(setDoc(doc(dbAs(BOB), 'libraries', ALICE, 'books', 'book-2'), book));
+    await assertFails(deleteDoc(doc(dbAs(BOB), 'libraries', ALICE, 'books', 'book-1')));
+  });
+
+  test('la calificación personal va de 0 a 5 y el estado es conocido', async () => {
+    await seed({ 'libraries/alice/books/book-1': book });
+    const bookRef = doc(dbAs(ALICE), 'libraries', ALICE, 'books', 'book-1');
+
+    await assertSucceeds(updateDoc(bookRef, { calificacionUsuario: 5 }));
+    await assertFails(updateDoc(bookRef, { calificacionUsuario: 6 }));
+    await assertFails(updateDoc(bookRef, { estadoLectura: 'perdido' }));
+  });
+
+  test('otro lector ve los libros según la privacidad del dueño', async () => {
+    await seed({
+      'publicProfiles/alice': { nombre: 'Alice', privacidad: PUBLIC_PRIVACY },
+      'libraries/alice/books/book-1': book,
+      'libraries/alice/shelves/shelf-1': { nombre: 'Favoritos', libros: ['book-1'], orden: 0 }
+    });
+
+    await assertSucceeds(getDoc(doc(dbAs(BOB), 'libraries', ALICE, 'books', 'book-1')));
+    await assertSucceeds(getDoc(doc(dbAs(BOB), 'libraries', ALICE, 'shelves', 'shelf-1')));
+
+    await seed({
+      'publicProfiles/alice': {
+        nombre: 'Alice',
+        privacidad: { ...PUBLIC_PRIVACY, estanterias: false, estadisticas: false }
+      }
+    });
+
+    await assertFails(getDoc(doc(dbAs(BOB), 'libraries', ALICE, 'books', 'book-1')));
+    await assertFails(getDoc(doc(dbAs(BOB), 'libraries', ALICE, 'shelves', 'shelf-1')));
+    await assertSucceeds(getDoc(doc(dbAs(ALICE), 'libraries', ALICE, 'books', 'book-1')));
+  });
+
+  test('sin perfil público la librería es privada', async () => {
+    await seed({ 'libraries/alice/books/book-1': book });
+
+    await assertFails(getDoc(doc(dbAs(BOB), 'libraries', ALICE, 'books', 'book-1')));
+  });
+
+  test('las sesiones de lectura son solo del dueño', async () => {
+    await seed({
+      'publicProfiles/alice': { nombre: 'Alice', privacidad: PUBLIC_PRIVACY },
+      'libraries/alice/readingSessions/session-1': { bookId: 'book-1', paginas: 20 }
+    });
+
+    await assertFails(getDoc(doc(dbAs(BOB), 'libraries', ALICE, 'readingSessions', 'session-1')));
+  });
+});
+
+// ===================================
+// ⭐ RESEÑAS
+// ===================================
+
+describe('reviews', () => {
+  beforeEach(async () => {
+    await seed({ 'publicProfiles/alice': publicProfileWith(PUBLIC_PRIVACY) });
+  });
+
+  test('el autor publica una reseña válida', async () => {
+    await assertSucceeds(setDoc(doc(dbAs(ALICE), 'reviews', 'review-1'), aliceReview));
+  });
+
+  test('no se publica a nombre de otro usuario', async () => {
+    await assertFails(setDoc(doc(dbAs(BOB), 'reviews', 'review-1'), aliceReview));
+  });
+
+  test('la calificación es un entero de 1 a 5', async () => {
+    const reviewRef = doc(dbAs(ALICE), 'reviews', 'review-1');
+
+    await assertFails(setDoc(reviewRef, { ...aliceReview, calificacion: 0 }));
+    await assertFails(setDoc(reviewRef, { ...aliceReview, calificacion: 6 }));
+    await assertFails(setDoc(reviewRef, { ...aliceReview, calificacion: 3.5 }));
+  });
+
+  test('el texto respeta el largo mínimo y máximo', async () => {
+    const reviewRef = doc(dbAs(ALICE), 'reviews', 'review-1');
+
+    await assertFails(setDoc(reviewRef, { ...aliceReview, texto: 'Corta' }));
+    await assertFails(setDoc(reviewRef, { ...aliceReview, texto: 'a'.repeat(1501) }));
+  });
+
+  test('una reseña nueva no trae votos ni campos extra', async () => {
+    const reviewRef = doc(dbAs(ALICE), 'reviews', 'review-1');
+
+    await assertFails(setDoc(reviewRef, { ...aliceReview, votosUtiles: 10 }));
+    await assertFails(setDoc(reviewRef, { ...aliceReview, destacada: true }));
+  });
+
+  test('solo el autor edita el contenido', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+
+    await assertSucceeds(updateDoc(doc(dbAs(ALICE), 'reviews', 'review-1'), {
+      calificacion: 5,
+      texto: 'Mejor de lo que recordaba.',
+      fechaActualizacion: serverTimestamp()
+    }));
+    await assertFails(updateDoc(doc(dbAs(BOB), 'reviews', 'review-1'), { texto: 'Texto cambiado por otro' }));
+    await assertFails(updateDoc(doc(dbAs(BOB), 'reviews', 'review-1'), { calificacion: 1 }));
+  });
+
+  test('el autor no cambia de dueño ni supera los límites', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+    const reviewRef = doc(dbAs(ALICE), 'reviews', 'review-1');
+
+    await assertFails(updateDoc(reviewRef, { userId: BOB }));
+    await assertFails(updateDoc(reviewRef, { calificacion: 7 }));
+    await assertFails(updateDoc(reviewRef, { texto: 'a'.repeat(1501) }));
+  });
+
+  test('las reseñas privadas solo las lee su autor', async () => {
+    await seed({
+      'reviews/review-1': aliceReview,
+      'reviews/review-2': { ...aliceReview, esPrivada: true }
+    });
+
+    await assertSucceeds(getDoc(doc(dbAs(BOB), 'reviews', 'review-1')));
+    await assertFails(getDoc(doc(dbAs(BOB), 'reviews', 'review-2')));
+    await assertSucceeds(getDoc(doc(dbAs(ALICE), 'reviews', 'review-2')));
+  });
+
+  test('con el perfil o las reseñas ocultas nadie más las lee', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+
+    for (const privacidad of [{ ...PUBLIC_PRIVACY, perfilPublico: false }, { ...PUBLIC_PRIVACY, resenas: false }]) {
+      await seed({ 'publicProfiles/alice': publicProfileWith(privacidad) });
+
+      await assertFails(getDoc(doc(dbAs(BOB), 'reviews', 'review-1')));
+      await assertSucceeds(getDoc(doc(dbAs(ALICE), 'reviews', 'review-1')));
+    }
+  });
+
+  test('la marca de visibilidad coincide con la privacidad del autor', async () => {
+    await seed({ 'publicProfiles/alice': publicProfileWith({ ...PUBLIC_PRIVACY, resenas: false }) });
+    const reviewRef = doc(dbAs(ALICE), 'reviews', 'review-1');
+
+    await assertFails(setDoc(reviewRef, aliceReview));
+    await assertSucceeds(setDoc(reviewRef, { ...aliceReview, autorVisible: false }));
+    await assertFails(updateDoc(reviewRef, { autorVisible: true }));
+  });
+
+  test('las consultas de otros lectores filtran por visibilidad', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+    const reviews = collection(dbAs(BOB), 'reviews');
+
+    await assertFails(getDocs(query(reviews, where('bookId', '==', 'book-1'))));
+    await assertFails(getDocs(query(reviews, where('bookId', '==', 'book-1'), where('esPrivada', '==', false))));
+    await assertSucceeds(getDocs(query(
+      reviews,
+      where('bookId', '==', 'book-1'),
+      where('esPrivada', '==', false),
+      where('autorVisible', '==', true)
+    )));
+  });
+
+  test('otros lectores no mueven los votos sin su documento de voto', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+    const reviewRef = doc(dbAs(BOB), 'reviews', 'review-1');
+
+    await assertFails(updateDoc(reviewRef, { votosUtiles: increment(1) }));
+    await assertFails(updateDoc(reviewRef, { 'reacciones.love': increment(1) }));
+    await assertSucceeds(updateDoc(reviewRef, { totalComentarios: increment(1) }));
+  });
+
+  test('el voto y los contadores cambian juntos y de a uno', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+    const vote = { userId: BOB, util: true, reaccion: 'love', fecha: serverTimestamp() };
+
+    await assertFails(voteAs(BOB, vote, { votosUtiles: increment(2), 'reacciones.love': increment(1) }));
+    await assertFails(voteAs(BOB, vote, { votosUtiles: increment(1), 'reacciones.funny': increment(1) }));
+    await assertSucceeds(voteAs(BOB, vote, { votosUtiles: increment(1), 'reacciones.love': increment(1) }));
+
+    // Repetir el mismo voto no suma otra vez
+    await assertFails(voteAs(BOB, vote, { votosUtiles: increment(1) }));
+    await assertSucceeds(voteAs(BOB, { ...vote, reaccion: 'funny' }, {
+      'reacciones.love': increment(-1),
+      'reacciones.funny': increment(1)
+    }));
+  });
+
+  test('las reacciones son solo las de REVIEW_REACTIONS', async () => {
+    await seed({
+      'reviews/review-1': aliceReview,
+      'reviews/review-1/votes/bob': { userId: BOB, util: false, reaccion: null }
+    });
+
+    await assertFails(updateDoc(doc(dbAs(BOB), 'reviews', 'review-1'), { 'reacciones.angry': 0 }));
+  });
+
+  test('el autor no cambia sus propios votos', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+    const reviewRef = doc(dbAs(ALICE), 'reviews', 'review-1');
+
+    await assertFails(updateDoc(reviewRef, { votosUtiles: 10 }));
+    await assertFails(updateDoc(reviewRef, { 'reacciones.love': 3 }));
+  });
+
+  test('solo el autor borra la reseña', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+
+    await assertFails(deleteDoc(doc(dbAs(BOB), 'reviews', 'review-1')));
+    await assertSucceeds(deleteDoc(doc(dbAs(ALICE), 'reviews', 'review-1')));
+  });
+
+  test('el autor anonimiza solo reseñas que ya se ven', async () => {
+    await seed({
+      'reviews/review-1': aliceReview,
+      'reviews/review-2': { ...aliceReview, esPrivada: true },
+      'reviews/review-3': { ...aliceReview, autorVisible: false }
+    });
+    const anonymize = (db, reviewId, changes = {}) => updateDoc(doc(db, 'reviews', reviewId), {
+      userId: null,
+      userName: 'Lector anónimo',
+      autorVisible: true,
+      fechaActualizacion: serverTimestamp(),
+      ...changes
+    });
+
+    await assertFails(anonymize(dbAs(BOB), 'review-1'));
+    await assertFails(anonymize(dbAs(ALICE), 'review-1', { userId: BOB }));
+    await assertFails(anonymize(dbAs(ALICE), 'review-1', { userName: 'Otro nombre' }));
+    await assertFails(anonymize(dbAs(ALICE), 'review-1', { calificacion: 1 }));
+    await assertFails(anonymize(dbAs(ALICE), 'review-2'));
+    await assertFails(anonymize(dbAs(ALICE), 'review-3'));
+    await assertSucceeds(anonymize(dbAs(ALICE), 'review-1'));
+
+    // Ya no es de nadie: no se edita ni se borra
+    await assertFails(updateDoc(doc(dbAs(ALICE), 'reviews', 'review-1'), { texto: 'Texto cambiado después' }));
+    await assertFails(deleteDoc(doc(dbAs(ALICE), 'reviews', 'review-1')));
+  });
+
+  test('las reseñas anónimas se siguen leyendo y votando sin el perfil', async () => {
+    await seed({ 'reviews/review-1': { ...aliceReview, userId: null, userName: 'Lector anónimo' } });
+    await testEnv.withSecurityRulesDisabled((context) => deleteDoc(doc(context.firestore(), 'publicProfiles', ALICE)));
+    const db = dbAs(BOB);
+
+    await assertSucceeds(getDoc(doc(db, 'reviews', 'review-1')));
+    await assertSucceeds(getDocs(query(
+      collection(db, 'reviews'),
+      where('bookId', '==', 'book-1'),
+      where('esPrivada', '==', false),
+      where('autorVisible', '==', true)
+    )));
+    await assertSucceeds(voteAs(BOB, { userId: BOB, util: true, reaccion: null }, { votosUtiles: increment(1) }));
+  });
+
+  test('cada lector escribe solo su voto', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+    const vote = { userId: BOB, util: true, reaccion: null, fecha: serverTimestamp() };
+
+    await assertFails(setDoc(doc(dbAs(ALICE), 'reviews', 'review-1', 'votes', BOB), vote));
+    await assertFails(voteAs(BOB, { ...vote, reaccion: 'angry' }, { votosUtiles: increment(1) }));
+    await assertSucceeds(voteAs(BOB, vote, { votosUtiles: increment(1) }));
+  });
+
+  test('un voto no se guarda ni se borra sin mover los contadores', async () => {
+    await seed({ 'reviews/review-1': { ...aliceReview, votosUtiles: 1 } });
+    const voteRef = doc(dbAs(BOB), 'reviews', 'review-1', 'votes', BOB);
+
+    await assertFails(setDoc(voteRef, { userId: BOB, util: true, reaccion: null }));
+
+    await seed({ 'reviews/review-1/votes/bob': { userId: BOB, util: true, reaccion: null } });
+    await assertFails(deleteDoc(voteRef));
+
+    const batch = writeBatch(dbAs(BOB));
+    batch.delete(voteRef);
+    batch.update(doc(dbAs(BOB), 'reviews', 'review-1'), { votosUtiles: increment(-1) });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('el autor no vota su propia reseña', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+
+    await assertFails(voteAs(ALICE, { userId: ALICE, util: true, reaccion: null }, { votosUtiles: increment(1) }));
+  });
+
+  test('los votos de una reseña se borran junto con ella', async () => {
+    await seed({
+      'reviews/review-1': { ...aliceReview, votosUtiles: 1 },
+      'reviews/review-1/votes/bob': { userId: BOB, util: true, reaccion: null }
+    });
+    const voteRef = doc(dbAs(ALICE), 'reviews', 'review-1', 'votes', BOB);
+
+    await assertFails(deleteDoc(voteRef));
+    await assertSucceeds(deleteDoc(doc(dbAs(ALICE), 'reviews', 'review-1')));
+    await assertSucceeds(deleteDoc(voteRef));
+  });
+
+  test('un lector quita su voto de una reseña que ya no puede leer', async () => {
+    await seed({
+      'reviews/review-1': { ...aliceReview, esPrivada: true, votosUtiles: 1, reacciones: { love: 1 } },
+      'reviews/review-1/votes/bob': { userId: BOB, util: true, reaccion: 'love' }
+    });
+    const db = dbAs(BOB);
+
+    await assertFails(getDoc(doc(db, 'reviews', 'review-1')));
+
+    const batch = writeBatch(db);
+    batch.delete(doc(db, 'reviews', 'review-1', 'votes', BOB));
+    batch.update(doc(db, 'reviews', 'review-1'), { votosUtiles: increment(-1), 'reacciones.love': increment(-1) });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('cada lector busca solo sus propios votos en todas las reseñas', async () => {
+    await seed({
+      'reviews/review-1': aliceReview,
+      'reviews/review-1/votes/bob': { userId: BOB, util: true, reaccion: null }
+    });
+    const bobVotes = (db) => getDocs(query(collectionGroup(db, 'votes'), where('userId', '==', BOB)));
+
+    await assertSucceeds(bobVotes(dbAs(BOB)));
+    await assertFails(bobVotes(dbAs(ALICE)));
+  });
+});
+
+describe('bookRatings', () => {
+  const emptySummary = {
+    totalReseñas: 0,
+    sumaCalificaciones: 0,
+    promedioCalificacion: 0,
+    histograma: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+    bookId: 'book-1'
+  };
+
+  const oneReview = (stars) => ({
+    ...emptySummary,
+    totalReseñas: 1,
+    sumaCalificaciones: stars,
+    promedioCalificacion: stars,
+    histograma: { ...emptySummary.histograma, [stars]: 1 },
+    ultimaReseña: 'review-1'
+  });
+
+  beforeEach(async () => {
+    await seed({ 'publicProfiles/alice': publicProfileWith(PUBLIC_PRIVACY) });
+  });
+
+  // Reseña y resumen en la misma escritura, como createReview
+  const publishAs = (userId, review, summary) => {
+    const db = dbAs(userId);
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'reviews', 'review-1'), review);
+    batch.set(doc(db, 'bookRatings', 'book-1'), summary);
+    return batch.commit();
+  };
+
+  test('solo se crea con cantidades que coinciden con el histograma', async () => {
+    const summaryRef = doc(dbAs(BOB), 'bookRatings', 'book-1');
+
+    await assertFails(setDoc(summaryRef, { ...emptySummary, totalReseñas: 100 }));
+    await assertFails(setDoc(summaryRef, { ...emptySummary, histograma: { ...emptySummary.histograma, 5: -1 } }));
+    await assertFails(setDoc(summaryRef, { ...emptySummary, bookId: 'book-2' }));
+    await assertSucceeds(setDoc(summaryRef, emptySummary));
+  });
+
+  test('no se edita sin una reseña en la misma transacción', async () => {
+    await seed({ 'bookRatings/book-1': emptySummary, 'reviews/review-1': aliceReview });
+
+    await assertFails(setDoc(doc(dbAs(BOB), 'bookRatings', 'book-1'), oneReview(5)));
+    await assertFails(setDoc(doc(dbAs(ALICE), 'bookRatings', 'book-1'), oneReview(4)));
+  });
+
+  test('cambia exactamente lo que aporta la reseña publicada', async () => {
+    await seed({ 'bookRatings/book-1': emptySummary });
+
+    await assertFails(publishAs(ALICE, aliceReview, {
+      ...oneReview(4),
+      totalReseñas: 2,
+      histograma: { ...emptySummary.histograma, 4: 2 },
+      sumaCalificaciones: 8
+    }));
+    await assertFails(publishAs(ALICE, aliceReview, oneReview(5)));
+    await assertSucceeds(publishAs(ALICE, aliceReview, oneReview(4)));
+  });
+
+  test('las reseñas ocultas por el autor no cuentan en el resumen', async () => {
+    await seed({
+      'bookRatings/book-1': emptySummary,
+      'publicProfiles/alice': publicProfileWith({ ...PUBLIC_PRIVACY, resenas: false })
+    });
+    const hiddenReview = { ...aliceReview, autorVisible: false };
+
+    await assertFails(publishAs(ALICE, hiddenReview, oneReview(4)));
+    await assertSucceeds(publishAs(ALICE, hiddenReview, { ...emptySummary, ultimaReseña: 'review-1' }));
+  });
+
+  test('las reseñas privadas no cuentan en el resumen', async () => {
+    await seed({ 'bookRatings/book-1': emptySummary });
+    const privateReview = { ...aliceReview, esPrivada: true };
+
+    await assertFails(publishAs(ALICE, privateReview, oneReview(4)));
+    await assertSucceeds(publishAs(ALICE, privateReview, { ...emptySummary, ultimaReseña: 'review-1' }));
+  });
+});
+
+describe('comentarios', () => {
+  const comment = {
+    userId: BOB,
+    texto: '¡Totalmente de acuerdo!',
+    parentId: null,
+    editado: false,
+    eliminado: false,
+    historial: [],
+    fechaCreacion: serverTimestamp(),
+    fechaActualizacion: serverTimestamp()
+  };
+
+  beforeEach(async () => {
+    await seed({ 'publicProfiles/alice': publicProfileWith(PUBLIC_PRIVACY) });
+  });
+
+  test('se comenta con el propio usuario y sin pasar el límite', async () => {
+    await seed({ 'reviews/review-1': aliceReview });
+    const commentRef = doc(dbAs(BOB), 'reviews', 'review-1', 'comments', 'comment-1');
+
+    await assertFails(setDoc(commentRef, { ...comment, texto: 'a'.repeat(501) }));
+    await assertFails(setDoc(commentRef, { ...comment, userId: ALICE }));
+    await assertSucceeds(setDoc(commentRef, comment));
+  });
+
+  test('solo el autor edita su comentario', async () => {
+    await seed({ 'reviews/review-1': aliceReview, 'reviews/review-1/comments/comment-1': comment });
+
+    await assertFails(updateDoc(doc(dbAs(ALICE), 'reviews', 'review-1', 'comments', 'comment-1'), { texto: 'Cambiado' }));
+    await assertSucceeds(updateDoc(doc(dbAs(BOB), 'reviews', 'review-1', 'comments', 'comment-1'), {
+      texto: 'Cambiado',
+      editado: true
+    }));
+  });
+
+  test('un comentario eliminado lo borra quien responde', async () => {
+    await seed({
+      'reviews/review-1': aliceReview,
+      'reviews/review-1/comments/comment-1': { ...comment, userId: ALICE, texto: '', eliminado: true },
+      'reviews/review-1/comments/comment-2': comment
+    });
+
+    await assertFails(deleteDoc(doc(dbAs(ALICE), 'reviews', 'review-1', 'comments', 'comment-2')));
+    await assertSucceeds(deleteDoc(doc(dbAs(BOB), 'reviews', 'review-1', 'comments', 'comment-1')));
+  });
+
+  test('sin la reseña no se comenta y sus comentarios se borran', async () => {
+    await seed({ 'reviews/review-1/comments/comment-1': comment });
+
+    await assertFails(setDoc(doc(dbAs(BOB), 'reviews', 'review-1', 'comments', 'comment-2'), comment));
+    await assertSucceeds(deleteDoc(doc(dbAs(ALICE), 'reviews', 'review-1', 'comments', 'comment-1')));
+  });
+
+  test('mientras exista la reseña su autor no borra comentarios ajenos', async () => {
+    await seed({ 'reviews/review-1': aliceReview, 'reviews/review-1/comments/comment-1': comment });
+
+    await assertFails(deleteDoc(doc(dbAs(ALICE), 'reviews', 'review-1', 'comments', 'comment-1')));
+  });
+});
+
+// ===================================
+// 👥 SEGUIDORES Y ACTIVIDAD
+// ===================================
+
+describe('follows y activity', () => {
+  test('solo se sigue en nombre propio', async () => {
+    const follow = { followerId: BOB, followedId: ALICE, fechaCreacion: serverTimestamp() };
+
+    await assertSucceeds(setDoc(doc(dbAs(BOB), 'follows', 'bob_alice'), follow));
+    await assertFails(setDoc(doc(dbAs(ALICE), 'follows', 'bob_alice'), follow));
+    await assertFails(setDoc(doc(dbAs(BOB), 'follows', 'bob_bob'), { ...follow, followedId: BOB }));
+  });
+
+  test('la relación la borran solo sus dos lectores', async () => {
+    await seed({ 'follows/bob_alice': { followerId: BOB, followedId: ALICE } });
+
+    await assertFails(deleteDoc(doc(dbAs('carol'), 'follows', 'bob_alice')));
+    await assertSucceeds(deleteDoc(doc(dbAs(ALICE), 'follows', 'bob_alice')));
+    await assertSucceeds(deleteDoc(doc(dbAs(BOB), 'follows', 'bob_alice')));
+  });
+
+  const event = { userId: ALICE, tipo: 'libro_agregado', bookId: 'book-1', esPrivada: false, fecha: serverTimestamp() };
+
+  test('la actividad la escribe solo su dueño', async () => {
+    await seed({ 'publicProfiles/alice': publicProfileWith(PUBLIC_PRIVACY) });
+
+    await assertSucceeds(setDoc(doc(dbAs(ALICE), 'activity', 'alice_libro_agregado_book-1'), event));
+    await assertFails(setDoc(doc(dbAs(BOB), 'activity', 'alice_libro_agregado_book-1'), event));
+    await assertFails(deleteDoc(doc(dbAs(BOB), 'activity', 'alice_libro_agregado_book-1')));
+  });
+
+  test('con el perfil oculto nadie más lee su actividad', async () => {
+    await seed({
+      'publicProfiles/alice': publicProfileWith({ ...PUBLIC_PRIVACY, perfilPublico: false }),
+      'activity/alice_libro_agregado_book-1': event
+    });
+
+    await assertFails(getDoc(doc(dbAs(BOB), 'activity', 'alice_libro_agregado_book-1')));
+    await assertSucceeds(getDoc(doc(dbAs(ALICE), 'activity', 'alice_libro_agregado_book-1')));
+  });
+
+  test('esPrivada coincide con la privacidad del autor', async () => {
+    await seed({ 'publicProfiles/alice': publicProfileWith({ ...PUBLIC_PRIVACY, perfilPublico: false }) });
+    const eventRef = doc(dbAs(ALICE), 'activity', 'alice_libro_agregado_book-1');
+
+    await assertFails(setDoc(eventRef, event));
+    await assertSucceeds(setDoc(eventRef, { ...event, esPrivada: true }));
+    await assertFails(getDocs(query(collection(dbAs(BOB), 'activity'), where('userId', 'in', [ALICE]))));
+    await assertSucceeds(getDocs(query(
+      collection(dbAs(BOB), 'activity'),
+      where('userId', 'in', [ALICE]),
+      where('esPrivada', '==', false)
+    )));
+  });
+
+  test('los eventos de reseñas siguen la sección de reseñas', async () => {
+    await seed({ 'publicProfiles/alice': publicProfileWith({ ...PUBLIC_PRIVACY, resenas: false }) });
+    const reviewEvent = { ...event, tipo: 'resena_publicada', reviewId: 'review-1' };
+    const eventRef = doc(dbAs(ALICE), 'activity', 'alice_resena_publicada_book-1');
+
+    await assertFails(setDoc(eventRef, reviewEvent));
+    await assertSucceeds(setDoc(eventRef, { ...reviewEvent, esPrivada: true }));
+  });
+});
@@ -0,0 +1,90 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { ref, uploadBytes, getBytes, deleteObject, listAll } = require('firebase/storage');
+
+const { createTestEnvironment } = require('./testEnvironment');
+
+/**
+ * **PRUEBAS DE storages.rules** 🧪🖼️
+ *
+ * Fotos de perfil en `profile-images/{userId}/`: las sube y borra solo
+ * su dueño, con tipo y tamaño de imagen válidos.
+ */
+
+const ALICE = 'alice';
+const BOB = 'bob';
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const PHOTO_PATH = `profile-images/${ALICE}/profile_1.jpg`;
+
+let testEnv;
+
+const storageAs = (userId) => (userId
+  ? testEnv.authenticatedContext(userId).storage()
+  : testEnv.unauthenticatedContext().storage());
+
+const upload = (userId, path, { size = 1024, contentType = 'image/jpeg' } = {}) =>
+  uploadBytes(ref(storageAs(userId), path), new Uint8Array(size), { contentType });
+
+const seedPhoto = () => testEnv.withSecurityRulesDisabled((context) =>
+  uploadBytes(ref(context.storage(), PHOTO_PATH), new Uint8Array(1024), { contentType: 'image/jpeg' })
+);
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment({ storage: true });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearStorage();
+});
+
+describe('profile-images', () => {
+  test('el dueño sube su foto', async () => {
+    await assertSucceeds(upload(ALICE, PHOTO_PATH));
+    await assertSucceeds(upload(ALICE, `profile-images/${ALICE}/profile_2.png`, { contentType: 'image/png' }));
+  });
+
+  test('no se sube en la carpeta de otro usuario ni sin sesión', async () => {
+    await assertFails(upload(BOB, PHOTO_PATH));
+    await assertFails(upload(null, PHOTO_PATH));
+  });
+
+  test('solo se aceptan imágenes', async () => {
+    await assertFails(upload(ALICE, `profile-images/${ALICE}/notas.txt`, { contentType: 'text/plain' }));
+    await assertFails(upload(ALICE, `profile-images/${ALICE}/animada.gif`, { contentType: 'image/gif' }));
+  });
+
+  test('el tamaño máximo es de 5 MB', async () => {
+    await assertSucceeds(upload(ALICE, PHOTO_PATH, { size: MAX_IMAGE_SIZE }));
+    await assertFails(upload(ALICE, PHOTO_PATH, { size: MAX_IMAGE_SIZE + 1 }));
+  });
+
+  test('cualquier lector conectado ve la foto', async () => {
+    await seedPhoto();
+
+    await assertSucceeds(getBytes(ref(storageAs(BOB), PHOTO_PATH)));
+    await assertFails(getBytes(ref(storageAs(null), PHOTO_PATH)));
+  });
+
+  test('solo el dueño borra la foto', async () => {
+    await seedPhoto();
+
+    await assertFails(deleteObject(ref(storageAs(BOB), PHOTO_PATH)));
+    await assertSucceeds(deleteObject(ref(storageAs(ALICE), PHOTO_PATH)));
+  });
+
+  test('el dueño lista su carpeta para eliminar la cuenta', async () => {
+    await seedPhoto();
+
+    await assertSucceeds(listAll(ref(storageAs(ALICE), `profile-images/${ALICE}`)));
+  });
+});
+
+describe('rutas cerradas', () => {
+  test('fuera de las carpetas conocidas no se escribe', async () => {
+    await assertFails(upload(ALICE, `backups/${ALICE}/libreria.jpg`));
+  });
+});
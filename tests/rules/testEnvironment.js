@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+/**
+ * **ENTORNO DE PRUEBAS DE REGLAS** 🧪🔐
+ *
+ * Carga las reglas del repositorio en los emuladores. `firebase
+ * emulators:exec` exporta el proyecto y las direcciones; si se corre
+ * Jest a mano se usan las de `emulator.txt`.
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Un proyecto `demo-*` nunca toca recursos reales
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-mylibrary';
+
+const readFile = (fileName) => fs.readFileSync(path.join(ROOT, fileName), 'utf8');
+
+// `emulator.txt` tiene el formato de firebase.json
+const config = JSON.parse(readFile('emulator.txt'));
+
+const emulatorAddress = (name, envVariable) => {
+  if (process.env[envVariable]) return {};
+  const { host, port } = config.emulators[name];
+  return { host, port };
+};
+
+const createTestEnvironment = ({ firestore = false, storage = false }) => {
+  return initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    ...(firestore && {
+      firestore: {
+        rules: readFile(config.firestore.rules),
+        ...emulatorAddress('firestore', 'FIRESTORE_EMULATOR_HOST')
+      }
+    }),
+    ...(storage && {
+      storage: {
+        rules: readFile(config.storage.rules),
+        ...emulatorAddress('storage', 'FIREBASE_STORAGE_EMULATOR_HOST')
+      }
+    })
+  });
+};
+
+module.exports = { createTestEnvironment };
@@ -0,0 +1,101 @@
+import { QueryParser } from '../../src/services/search/queryParser';
+
+/**
+ * **PRUEBAS DEL PARSER DE CONSULTAS** 🧪🧾
+ *
+ * Del texto de la caja de búsqueda al AST, y del AST a los libros que
+ * cumplen la consulta.
+ */
+
+const parser = new QueryParser();
+
+// Cláusulas sin la posición, que solo importa para los mensajes
+const clausesOf = (input) => parser.parse(input).ast.clauses.map(({ position, ...clause }) => clause);
+
+const text = (value, negated = false) => ({ type: 'text', value, negated });
+
+describe('campos', () => {
+  test('reconoce campos, alias, comillas y negaciones', () => {
+    expect(clausesOf('autor:"Jorge Luis Borges" genre:ficcion -estado:leido')).toEqual([
+      { type: 'field', field: 'autor', operator: 'contains', value: 'Jorge Luis Borges', negated: false },
+      { type: 'field', field: 'genero', operator: 'contains', value: 'ficcion', negated: false },
+      { type: 'field', field: 'estado', operator: 'eq', value: 'read', negated: true }
+    ]);
+  });
+
+  test('los campos numéricos aceptan comparadores y rangos', () => {
+    expect(clausesOf('año:>=1950 paginas:300..100')).toEqual([
+      { type: 'field', field: 'ano', operator: 'gte', value: 1950, negated: false },
+      { type: 'field', field: 'paginas', operator: 'between', value: [100, 300], negated: false }
+    ]);
+  });
+
+  test('un valor inválido explica qué espera el campo', () => {
+    const result = parser.parse('rating:muchas');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('"rating" necesita un número, por ejemplo rating:>=4');
+  });
+
+  test('un campo sin valor es un error', () => {
+    expect(parser.parse('autor: Borges').error).toBe('Falta el valor después de "autor:"');
+  });
+
+  test('avisa si faltan las comillas de cierre', () => {
+    expect(parser.parse('titulo:"El Aleph').errors[0].message).toBe('Falta cerrar las comillas');
+  });
+});
+
+describe('texto libre', () => {
+  test('las palabras sueltas son texto libre', () => {
+    expect(clausesOf('Cien años -soledad')).toEqual([text('Cien'), text('años'), text('soledad', true)]);
+  });
+
+  test('una palabra con dos puntos que no es un campo sigue siendo texto', () => {
+    const result = parser.parse('Star Wars: Episodio');
+
+    expect(result.success).toBe(true);
+    expect(clausesOf('Star Wars: Episodio')).toEqual([text('Star'), text('Wars:'), text('Episodio')]);
+  });
+
+  test('las direcciones web son texto', () => {
+    const result = parser.parse('http://example.com/libro autor:borges');
+
+    expect(result.success).toBe(true);
+    expect(result.ast.clauses[0]).toMatchObject(text('http://example.com/libro'));
+    expect(result.ast.clauses[1]).toMatchObject({ type: 'field', field: 'autor' });
+  });
+
+  test('el texto con dos puntos encuentra el título', () => {
+    const { ast } = parser.parse('Star Wars: Episodio');
+    const books = [
+      { titulo: 'Star Wars: Episodio I', autor: 'Terry Brooks' },
+      { titulo: 'Dune', autor: 'Frank Herbert' }
+    ];
+
+    expect(parser.filterBooks(books, ast).map(book => book.titulo)).toEqual(['Star Wars: Episodio I']);
+    expect(parser.getTextQuery(ast)).toBe('Star Wars: Episodio');
+  });
+});
+
+describe('evaluate', () => {
+  const book = {
+    titulo: 'Ficciones',
+    autor: 'Jorge Luis Borges',
+    generos: ['Cuento', 'Ficción'],
+    anoPublicacion: 1944,
+    numeroPaginas: 224,
+    estadoLectura: 'read',
+    calificacionUsuario: 5,
+    tieneReseña: true
+  };
+
+  test('todas las cláusulas deben cumplirse', () => {
+    expect(parser.evaluate(parser.parse('borges año:<1950 rating:>=4 reseña:si').ast, book)).toBe(true);
+    expect(parser.evaluate(parser.parse('borges año:>1950').ast, book)).toBe(false);
+  });
+
+  test('una cláusula negada excluye el libro', () => {
+    expect(parser.evaluate(parser.parse('-genero:cuento').ast, book)).toBe(false);
+  });
+});
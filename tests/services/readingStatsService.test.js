@@ -0,0 +1,190 @@
+import { ReadingStatsService } from '../../src/services/stats/readingStatsService';
+
+/**
+ * **PRUEBAS DE ESTADÍSTICAS DE LECTURA** 🧪📊
+ *
+ * El servicio recibe "ahora" como parámetro, así que cada caso fija su
+ * fecha. Las fechas son locales, igual que las claves de mes y día.
+ */
+
+const stats = new ReadingStatsService();
+
+// Libro leído terminado en `fin`
+const readBook = (fin, extra = {}) => ({
+  estadoLectura: 'read',
+  fechaFinLectura: fin,
+  numeroPaginas: 100,
+  ...extra
+});
+
+// Timestamp de Firestore: solo importa `toDate`
+const timestamp = (date) => ({ toDate: () => date });
+
+const sessionOn = (year, month, day, hour = 20) => ({ inicio: new Date(year, month, day, hour) });
+
+describe('getMonthlyReading', () => {
+  const now = new Date(2024, 2, 15);
+
+  test('devuelve los últimos doce meses, del más antiguo al actual', () => {
+    const months = stats.getMonthlyReading([], now);
+
+    expect(months).toHaveLength(12);
+    expect(months[0]).toEqual({ key: '2023-04', label: 'Abr', libros: 0, paginas: 0 });
+    expect(months[11]).toEqual({ key: '2024-03', label: 'Mar', libros: 0, paginas: 0 });
+  });
+
+  test('cada libro cuenta en el mes en que se terminó, con todas sus páginas', () => {
+    const months = stats.getMonthlyReading([
+      readBook(new Date(2024, 2, 1), { numeroPaginas: 320 }),
+      readBook(timestamp(new Date(2024, 2, 10)), { numeroPaginas: '180' }),
+      readBook(new Date(2024, 1, 20))
+    ], now);
+
+    expect(months[11]).toMatchObject({ libros: 2, paginas: 500 });
+    expect(months[10]).toMatchObject({ key: '2024-02', libros: 1, paginas: 100 });
+  });
+
+  test('el último instante de un mes y el primero del siguiente caen en meses distintos', () => {
+    const months = stats.getMonthlyReading([
+      readBook(new Date(2023, 11, 31, 23, 59)),
+      readBook(new Date(2024, 0, 1, 0, 1))
+    ], now);
+
+    expect(months.find(month => month.key === '2023-12').libros).toBe(1);
+    expect(months.find(month => month.key === '2024-01').libros).toBe(1);
+  });
+
+  test('ignora los libros sin terminar y los que quedan fuera del período', () => {
+    const months = stats.getMonthlyReading([
+      { estadoLectura: 'reading', fechaFinLectura: new Date(2024, 2, 5), numeroPaginas: 50 },
+      readBook(new Date(2023, 2, 31)),
+      readBook(new Date(2024, 3, 1))
+    ], now);
+
+    expect(months.every(month => month.libros === 0)).toBe(true);
+  });
+
+  test('sin fecha de fin usa la última actualización', () => {
+    const months = stats.getMonthlyReading([
+      { estadoLectura: 'read', fechaActualizacion: '2024-02-10T12:00:00', numeroPaginas: 90 }
+    ], now);
+
+    expect(months[10]).toMatchObject({ libros: 1, paginas: 90 });
+  });
+
+  test('el período cruza el cambio de año', () => {
+    const months = stats.getMonthlyReading([], new Date(2024, 1, 29), 3);
+
+    expect(months.map(month => month.key)).toEqual(['2023-12', '2024-01', '2024-02']);
+  });
+});
+
+describe('getReadingStreaks', () => {
+  test('sin sesiones no hay rachas', () => {
+    expect(stats.getReadingStreaks([], new Date(2024, 2, 15))).toEqual({
+      rachaMasLarga: 0,
+      rachaActual: 0,
+      diasConLectura: 0
+    });
+  });
+
+  test('la racha actual sigue viva si empieza ayer', () => {
+    const sessions = [sessionOn(2024, 2, 12), sessionOn(2024, 2, 13), sessionOn(2024, 2, 14)];
+
+    expect(stats.getReadingStreaks(sessions, new Date(2024, 2, 15, 9))).toEqual({
+      rachaMasLarga: 3,
+      rachaActual: 3,
+      diasConLectura: 3
+    });
+  });
+
+  test('leer hoy suma a la racha que venía de ayer', () => {
+    const sessions = [sessionOn(2024, 2, 14), sessionOn(2024, 2, 15, 7)];
+
+    expect(stats.getReadingStreaks(sessions, new Date(2024, 2, 15, 9)).rachaActual).toBe(2);
+  });
+
+  test('sin leer hoy ni ayer la racha actual es cero', () => {
+    const sessions = [sessionOn(2024, 2, 12), sessionOn(2024, 2, 13)];
+
+    expect(stats.getReadingStreaks(sessions, new Date(2024, 2, 15))).toEqual({
+      rachaMasLarga: 2,
+      rachaActual: 0,
+      diasConLectura: 2
+    });
+  });
+
+  test('la racha continúa de un mes al siguiente', () => {
+    const sessions = [
+      sessionOn(2023, 1, 27),
+      sessionOn(2023, 1, 28),
+      sessionOn(2023, 2, 1),
+      sessionOn(2023, 2, 2)
+    ];
+
+    expect(stats.getReadingStreaks(sessions, new Date(2023, 2, 2, 22))).toMatchObject({
+      rachaMasLarga: 4,
+      rachaActual: 4
+    });
+  });
+
+  test('la racha continúa de un año al siguiente, aunque empiece ayer', () => {
+    const sessions = [sessionOn(2023, 11, 30), sessionOn(2023, 11, 31), sessionOn(2024, 0, 1)];
+
+    expect(stats.getReadingStreaks(sessions, new Date(2024, 0, 2, 8))).toMatchObject({
+      rachaMasLarga: 3,
+      rachaActual: 3
+    });
+  });
+
+  test('varias sesiones el mismo día cuentan una vez y un hueco corta la racha', () => {
+    const sessions = [
+      sessionOn(2024, 2, 1, 8),
+      sessionOn(2024, 2, 1, 21),
+      sessionOn(2024, 2, 2),
+      sessionOn(2024, 2, 4),
+      { fin: timestamp(new Date(2024, 2, 5, 10)) },
+      { inicio: null }
+    ];
+
+    expect(stats.getReadingStreaks(sessions, new Date(2024, 2, 5, 12))).toEqual({
+      rachaMasLarga: 2,
+      rachaActual: 2,
+      diasConLectura: 4
+    });
+  });
+});
+
+describe('getAverageDaysToFinish', () => {
+  test('promedia los días entre el inicio y el fin', () => {
+    const result = stats.getAverageDaysToFinish([
+      readBook(new Date(2024, 2, 11), { fechaInicioLectura: new Date(2024, 2, 1) }),
+      readBook(timestamp(new Date(2024, 2, 21)), { fechaInicioLectura: timestamp(new Date(2024, 2, 1)) })
+    ]);
+
+    expect(result).toEqual({ promedioDias: 15, libros: 2 });
+  });
+
+  test('un libro terminado el mismo día cuenta como un día', () => {
+    const result = stats.getAverageDaysToFinish([
+      readBook(new Date(2024, 2, 1, 22), { fechaInicioLectura: new Date(2024, 2, 1, 9) })
+    ]);
+
+    expect(result).toEqual({ promedioDias: 1, libros: 1 });
+  });
+
+  test('solo cuentan los libros leídos con ambas fechas en orden', () => {
+    const result = stats.getAverageDaysToFinish([
+      readBook(new Date(2024, 2, 5), { fechaInicioLectura: new Date(2024, 2, 1) }),
+      readBook(new Date(2024, 2, 5)),
+      readBook(new Date(2024, 2, 1), { fechaInicioLectura: new Date(2024, 2, 5) }),
+      { estadoLectura: 'reading', fechaInicioLectura: new Date(2024, 1, 1), fechaFinLectura: new Date(2024, 2, 1) }
+    ]);
+
+    expect(result).toEqual({ promedioDias: 4, libros: 1 });
+  });
+
+  test('sin libros con fechas no hay promedio', () => {
+    expect(stats.getAverageDaysToFinish([])).toEqual({ promedioDias: null, libros: 0 });
+  });
+});
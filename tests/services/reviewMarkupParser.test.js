@@ -0,0 +1,103 @@
+import { ReviewMarkupParser } from '../../src/services/reviews/reviewMarkupParser';
+
+/**
+ * **PRUEBAS DEL FORMATO DE RESEÑAS** 🧪✍️
+ *
+ * Del texto con marcas al árbol que dibujan los componentes.
+ */
+
+const parser = new ReviewMarkupParser();
+
+// Nodos en línea del primer párrafo
+const inline = (text) => parser.parse(text).children[0].children;
+
+const plain = (text) => ({ type: 'text', text });
+
+describe('formato en línea', () => {
+  test('negrita, cursiva y spoiler', () => {
+    expect(inline('**uno** *dos* _tres_ ||cuatro||')).toEqual([
+      { type: 'bold', children: [plain('uno')] },
+      plain(' '),
+      { type: 'italic', children: [plain('dos')] },
+      plain(' '),
+      { type: 'italic', children: [plain('tres')] },
+      plain(' '),
+      { type: 'spoiler', children: [plain('cuatro')] }
+    ]);
+  });
+
+  test('cursiva dentro de negrita con `***`', () => {
+    expect(inline('**a *b***')).toEqual([
+      { type: 'bold', children: [plain('a '), { type: 'italic', children: [plain('b')] }] }
+    ]);
+  });
+
+  test('un marcador sin cierre se muestra tal cual', () => {
+    expect(inline('5 * 3')).toEqual([plain('5 * 3')]);
+    expect(inline('**sin cierre')).toEqual([plain('**sin cierre')]);
+  });
+
+  test('`\\` delante de un marcador lo deja como texto', () => {
+    expect(inline('\\*no es cursiva\\*')).toEqual([plain('*no es cursiva*')]);
+  });
+
+  test('`_` dentro de una palabra no es cursiva', () => {
+    expect(inline('nombre_de_algo')).toEqual([plain('nombre_de_algo')]);
+  });
+});
+
+describe('marcadores rodeados de espacios', () => {
+  test('`*` entre espacios no abre ni cierra cursiva', () => {
+    expect(inline('2 * 3 * 4')).toEqual([plain('2 * 3 * 4')]);
+    expect(inline('_ hola _')).toEqual([plain('_ hola _')]);
+  });
+
+  test('no abre si después del marcador hay un espacio', () => {
+    expect(inline('dice * hola* y')).toEqual([plain('dice * hola* y')]);
+    expect(inline('** hola**')).toEqual([plain('** hola**')]);
+  });
+
+  test('no cierra si antes del marcador hay un espacio', () => {
+    expect(inline('*hola *')).toEqual([plain('*hola *')]);
+    expect(inline('_hola _')).toEqual([plain('_hola _')]);
+  });
+
+  test('se salta el cierre con espacio y usa el siguiente', () => {
+    expect(inline('*a * b*')).toEqual([{ type: 'italic', children: [plain('a * b')] }]);
+  });
+
+  test('los spoilers admiten espacios junto al marcador', () => {
+    expect(inline('|| el final ||')).toEqual([{ type: 'spoiler', children: [plain(' el final ')] }]);
+  });
+});
+
+describe('bloques', () => {
+  test('citas, listas y spoilers de varios párrafos', () => {
+    const { children } = parser.parse('> Una cita\n\n- uno\n- dos\n\n||\nEl final\n\nOtro párrafo\n||');
+
+    expect(children.map(block => block.type)).toEqual(['quote', 'list', 'spoiler']);
+    expect(children[1].items).toEqual([[plain('uno')], [plain('dos')]]);
+    expect(children[2].children).toHaveLength(2);
+  });
+
+  test('quita los caracteres de control y conserva tabs y saltos', () => {
+    expect(parser.getVisibleText('uno\u0000\u0007\tdos\r\ntres\u007F')).toBe('uno\tdos\ntres');
+  });
+});
+
+describe('texto visible', () => {
+  test('el largo visible no cuenta los marcadores', () => {
+    expect(parser.getVisibleLength('**hola** *mundo*')).toBe('hola mundo'.length);
+  });
+
+  test('escape deja el texto tal cual al volver a parsearlo', () => {
+    const original = '2 * 3 = *seis* y nombre_de_algo || - guion';
+
+    expect(parser.getVisibleText(parser.escape(original))).toBe(original);
+  });
+
+  test('detecta spoilers', () => {
+    expect(parser.hasSpoilers('Sin sorpresas')).toBe(false);
+    expect(parser.hasSpoilers('El asesino es ||el mayordomo||')).toBe(true);
+  });
+});
@@ -0,0 +1,146 @@
+import { SearchIndex } from '../../src/services/search/searchIndex';
+
+/**
+ * **PRUEBAS DEL ÍNDICE INVERTIDO** 🧪🗂️
+ *
+ * Cómo coincide cada palabra de la consulta (exacta, por prefijo o con
+ * errores) y cómo se mantiene el índice al cambiar la librería.
+ */
+
+const ficciones = {
+  bookId: 'ficciones',
+  titulo: 'Ficciones',
+  autor: 'Jorge Luis Borges',
+  generos: ['Cuentos'],
+  sinopsis: 'Laberintos, espejos y bibliotecas infinitas.',
+  idioma: 'es'
+};
+
+const cienAnos = {
+  bookId: 'cien-anos',
+  titulo: 'Cien años de soledad',
+  autor: 'Gabriel García Márquez',
+  generos: ['Novela'],
+  sinopsis: 'La historia de los Buendía en Macondo.',
+  idioma: 'es'
+};
+
+const hobbit = {
+  bookId: 'hobbit',
+  titulo: 'The Hobbit',
+  autor: 'J. R. R. Tolkien',
+  generos: ['Fantasy'],
+  sinopsis: 'Stories of a journey and a dragon.',
+  idioma: 'en'
+};
+
+const idsFor = (index, query) => index.search(query).map(({ id }) => id);
+
+describe('búsqueda', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.sync([ficciones, cienAnos, hobbit]);
+  });
+
+  test('no distingue mayúsculas ni acentos', () => {
+    expect(idsFor(index, 'GARCIA')).toEqual(['cien-anos']);
+    expect(idsFor(index, 'márquez')).toEqual(['cien-anos']);
+    expect(idsFor(index, 'buendia')).toEqual(['cien-anos']);
+  });
+
+  test('coincide por raíz en el idioma del libro', () => {
+    expect(idsFor(index, 'novelas')).toEqual(['cien-anos']);
+    expect(idsFor(index, 'story')).toEqual(['hobbit']);
+    expect(idsFor(index, 'laberinto')).toEqual(['ficciones']);
+  });
+
+  test('completa la palabra que se está escribiendo', () => {
+    expect(idsFor(index, 'labe')).toEqual(['ficciones']);
+    expect(idsFor(index, 'tolk')).toEqual(['hobbit']);
+  });
+
+  test('tolera errores de tipeo en palabras largas', () => {
+    expect(idsFor(index, 'borjes')).toEqual(['ficciones']);
+    expect(idsFor(index, 'tolkein')).toEqual(['hobbit']);
+    // "ani" está a un error de "ano" (años), pero es corta
+    expect(idsFor(index, 'ani')).toEqual([]);
+  });
+
+  test('una coincidencia exacta pesa más que un prefijo o un error', () => {
+    const [exact] = index.search('laberintos');
+    const [prefix] = index.search('labe');
+    const [typo] = index.search('laberimtos');
+
+    expect(exact.score).toBeGreaterThan(prefix.score);
+    expect(prefix.score).toBeGreaterThan(typo.score);
+  });
+
+  test('el título y el autor pesan más que la sinopsis', () => {
+    index.add({ bookId: 'dragones', titulo: 'Dragones', autor: 'Otra autora', idioma: 'es' });
+
+    expect(idsFor(index, 'dragon')).toEqual(['dragones', 'hobbit']);
+  });
+
+  test('todas las palabras de la consulta tienen que coincidir', () => {
+    expect(idsFor(index, 'borges laberintos')).toEqual(['ficciones']);
+    expect(idsFor(index, 'borges soledad')).toEqual([]);
+  });
+
+  test('una consulta vacía no devuelve resultados', () => {
+    expect(index.search('')).toEqual([]);
+    expect(index.search('  ¿? ')).toEqual([]);
+  });
+
+  test('el límite recorta los resultados ordenados', () => {
+    index.add({ bookId: 'aleph', titulo: 'El Aleph', autor: 'Jorge Luis Borges', idioma: 'es' });
+
+    expect(index.search('borges')).toHaveLength(2);
+    expect(index.search('borges', { limit: 1 })).toHaveLength(1);
+  });
+});
+
+describe('sincronización', () => {
+  test('solo agrega, reindexa o elimina lo que cambió', () => {
+    const index = new SearchIndex();
+
+    expect(index.sync([ficciones, cienAnos])).toEqual({ added: 2, updated: 0, removed: 0 });
+    expect(index.sync([ficciones, cienAnos])).toEqual({ added: 0, updated: 0, removed: 0 });
+
+    const renamed = { ...cienAnos, titulo: 'Crónica de una muerte anunciada' };
+    expect(index.sync([ficciones, renamed, hobbit])).toEqual({ added: 1, updated: 1, removed: 0 });
+    expect(idsFor(index, 'soledad')).toEqual([]);
+    expect(idsFor(index, 'cronica')).toEqual(['cien-anos']);
+
+    expect(index.sync([hobbit])).toEqual({ added: 0, updated: 0, removed: 2 });
+    expect(index.size).toBe(1);
+    expect(idsFor(index, 'borges')).toEqual([]);
+  });
+
+  test('un cambio fuera de los campos indexados no reindexa pero guarda el libro nuevo', () => {
+    const index = new SearchIndex();
+    index.sync([ficciones]);
+
+    const read = { ...ficciones, estado: 'read' };
+    expect(index.sync([read])).toEqual({ added: 0, updated: 0, removed: 0 });
+    expect(index.filter('borges')).toEqual([read]);
+  });
+
+  test('al eliminar un libro sus términos dejan el índice', () => {
+    const index = new SearchIndex();
+    index.sync([ficciones, cienAnos]);
+
+    index.remove('ficciones');
+
+    expect(index.getTerms()).not.toContain('borg');
+    expect(index.getTerms()).toContain('soledad');
+  });
+
+  test('ignora los libros sin identificador', () => {
+    const index = new SearchIndex();
+
+    expect(index.sync([{ titulo: 'Sin id' }, ficciones])).toEqual({ added: 1, updated: 0, removed: 0 });
+    expect(index.add({ titulo: 'Sin id' })).toBe(false);
+  });
+});
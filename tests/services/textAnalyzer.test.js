@@ -0,0 +1,82 @@
+import { TextAnalyzer } from '../../src/services/search/textAnalyzer';
+
+/**
+ * **PRUEBAS DEL ANALIZADOR DE TEXTO** 🧪🔤
+ *
+ * Plegado, raíces y distancia de edición: lo que comparten el índice
+ * de búsqueda y el parser de consultas.
+ */
+
+const analyzer = new TextAnalyzer();
+
+describe('normalización', () => {
+  test('pliega mayúsculas, acentos y signos de puntuación', () => {
+    expect(analyzer.fold('¡Cien AÑOS de García Márquez!')).toBe('cien anos de garcia marquez');
+    expect(analyzer.fold('  Ficciones,   1944  ')).toBe('ficciones 1944');
+    expect(analyzer.fold(null)).toBe('');
+  });
+
+  test('tokeniza por palabras y un texto vacío no tiene tokens', () => {
+    expect(analyzer.tokenize('El Aleph (cuentos)')).toEqual(['el', 'aleph', 'cuentos']);
+    expect(analyzer.tokenize('¡¿?!')).toEqual([]);
+  });
+});
+
+describe('raíces', () => {
+  test('quita el sufijo más largo que deja una raíz suficiente', () => {
+    expect(analyzer.stem('novelas', 'es')).toBe('novel');
+    expect(analyzer.stem('novela', 'es')).toBe('novel');
+    expect(analyzer.stem('fantasticos', 'es')).toBe('fantastic');
+    expect(analyzer.stem('oso', 'es')).toBe('oso');
+  });
+
+  test('usa los sufijos del idioma del libro', () => {
+    expect(analyzer.stem('stories', 'en')).toBe('stor');
+    expect(analyzer.stem('story', 'en')).toBe('stor');
+    expect(analyzer.getLanguage('en-US')).toBe('en');
+    expect(analyzer.getLanguage('fr')).toBe('es');
+  });
+
+  test('los números no se modifican', () => {
+    expect(analyzer.stem('1984', 'es')).toBe('1984');
+  });
+
+  test('al indexar quita las palabras vacías', () => {
+    expect(analyzer.analyze('Las novelas de García', 'es')).toEqual(['novel', 'garci']);
+    expect(analyzer.analyze('The stories of a hobbit', 'en')).toEqual(['stor', 'hobbit']);
+  });
+
+  test('la consulta trae la palabra y sus raíces en ambos idiomas', () => {
+    expect(analyzer.analyzeQuery('las historias')).toEqual([
+      { token: 'historias', stems: ['histori', 'historia'] }
+    ]);
+    expect(analyzer.analyzeQuery('stories')).toEqual([
+      { token: 'stories', stems: ['stori', 'stor'] }
+    ]);
+  });
+
+  test('una consulta de solo palabras vacías las busca igual', () => {
+    expect(analyzer.analyzeQuery('el').map(({ token }) => token)).toEqual(['el']);
+  });
+});
+
+describe('errores de tipeo', () => {
+  test('las palabras cortas no admiten errores y las largas hasta dos', () => {
+    expect(analyzer.getMaxTypos('sol')).toBe(0);
+    expect(analyzer.getMaxTypos('borjes')).toBe(1);
+    expect(analyzer.getMaxTypos('tolkiennn')).toBe(2);
+  });
+
+  test('cuenta sustituciones, inserciones, borrados y transposiciones', () => {
+    expect(analyzer.editDistance('borges', 'borges')).toBe(0);
+    expect(analyzer.editDistance('borjes', 'borges')).toBe(1);
+    expect(analyzer.editDistance('borge', 'borges')).toBe(1);
+    expect(analyzer.editDistance('tolkein', 'tolkien')).toBe(1);
+    expect(analyzer.editDistance('ficcion', 'fricciones')).toBe(3);
+  });
+
+  test('corta apenas la distancia supera el máximo', () => {
+    expect(analyzer.editDistance('ficcion', 'fricciones', 1)).toBe(2);
+    expect(analyzer.editDistance('a', 'abcdef', 2)).toBe(3);
+  });
+});